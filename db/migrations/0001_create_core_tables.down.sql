@@ -0,0 +1,7 @@
+-- ==========================================
+-- Migration 0001 (down)
+-- ==========================================
+-- Drop in reverse dependency order
+DROP TABLE IF EXISTS enrollments;
+DROP TABLE IF EXISTS courses;
+DROP TABLE IF EXISTS students;
@@ -0,0 +1,81 @@
+-- ==========================================
+-- Migration 0001: students, courses and enrollments
+-- ==========================================
+-- Core schema of the school database
+
+-- ==========================================
+-- CREATE STUDENTS TABLE
+-- ==========================================
+-- Stores student information
+CREATE TABLE students (
+  -- Primary key: unique identifier for each student
+  student_id INT AUTO_INCREMENT PRIMARY KEY,
+  -- Student's first name
+  first_name VARCHAR(50) NOT NULL,
+  -- Student's last name
+  last_name VARCHAR(50) NOT NULL,
+  -- Student's email address (must be unique)
+  email VARCHAR(100) NOT NULL UNIQUE,
+  -- Grade level (9-12 for high school)
+  grade INT NOT NULL,
+  -- Date when student enrolled in the school
+  enrollment_date DATE NOT NULL,
+  -- Timestamp for record creation
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  -- Timestamp for record updates
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  -- Add index on grade for faster queries
+  INDEX idx_grade (grade),
+  -- Add index on email for faster lookups
+  INDEX idx_email (email)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ==========================================
+-- CREATE COURSES TABLE
+-- ==========================================
+-- Stores course information
+CREATE TABLE courses (
+  -- Primary key: unique identifier for each course
+  course_id INT AUTO_INCREMENT PRIMARY KEY,
+  -- Course name/title
+  course_name VARCHAR(100) NOT NULL,
+  -- Department offering the course
+  department VARCHAR(50) NOT NULL,
+  -- Number of credits for the course
+  credits INT NOT NULL,
+  -- Course description
+  description TEXT,
+  -- Timestamp for record creation
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  -- Add index on department for faster queries
+  INDEX idx_department (department)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ==========================================
+-- CREATE ENROLLMENTS TABLE
+-- ==========================================
+-- Junction table linking students to courses with grades
+CREATE TABLE enrollments (
+  -- Primary key: unique identifier for each enrollment
+  enrollment_id INT AUTO_INCREMENT PRIMARY KEY,
+  -- Foreign key: reference to student
+  student_id INT NOT NULL,
+  -- Foreign key: reference to course
+  course_id INT NOT NULL,
+  -- Date when student enrolled in the course
+  enrollment_date DATE NOT NULL,
+  -- Grade received in the course (A, B, C, D, F, or NULL if in progress)
+  grade CHAR(1),
+  -- Timestamp for record creation
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  -- Foreign key constraint to students table
+  FOREIGN KEY (student_id) REFERENCES students(student_id) ON DELETE CASCADE,
+  -- Foreign key constraint to courses table
+  FOREIGN KEY (course_id) REFERENCES courses(course_id) ON DELETE CASCADE,
+  -- Prevent duplicate enrollments
+  UNIQUE KEY unique_enrollment (student_id, course_id),
+  -- Add composite index for common queries
+  INDEX idx_student_course (student_id, course_id),
+  -- Add index on enrollment_date
+  INDEX idx_enrollment_date (enrollment_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
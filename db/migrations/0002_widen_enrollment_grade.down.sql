@@ -0,0 +1,7 @@
+-- ==========================================
+-- Migration 0002 (down)
+-- ==========================================
+-- Plus/minus grades cannot be represented in CHAR(1); keep the letter only
+UPDATE enrollments SET grade = LEFT(grade, 1) WHERE CHAR_LENGTH(grade) > 1;
+ALTER TABLE enrollments
+  MODIFY grade CHAR(1) NULL;
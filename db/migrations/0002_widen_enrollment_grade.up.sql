@@ -0,0 +1,6 @@
+-- ==========================================
+-- Migration 0002: plus/minus letter grades
+-- ==========================================
+-- enrollments.grade must hold two-character grades such as B+ (see src/grading.js)
+ALTER TABLE enrollments
+  MODIFY grade VARCHAR(2) NULL COMMENT 'Letter from the grading scale, e.g. A or B+, or NULL if in progress';
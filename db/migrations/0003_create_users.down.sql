@@ -0,0 +1,5 @@
+-- ==========================================
+-- Migration 0003 (down)
+-- ==========================================
+DROP TABLE IF EXISTS course_teachers;
+DROP TABLE IF EXISTS users;
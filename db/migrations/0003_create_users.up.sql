@@ -0,0 +1,44 @@
+-- ==========================================
+-- Migration 0003: users and course_teachers
+-- ==========================================
+-- Logins for JWT authentication and teacher course assignments
+
+-- ==========================================
+-- CREATE USERS TABLE
+-- ==========================================
+-- Accounts that can log in to the API
+CREATE TABLE users (
+  -- Primary key: unique identifier for each user
+  user_id INT AUTO_INCREMENT PRIMARY KEY,
+  -- Login email (must be unique)
+  email VARCHAR(100) NOT NULL UNIQUE,
+  -- scrypt password hash (never the plain password)
+  password_hash VARCHAR(255) NOT NULL,
+  -- Role used for authorization
+  role ENUM('admin', 'teacher', 'student') NOT NULL,
+  -- Linked student record for the student role
+  student_id INT NULL,
+  -- Incremented to revoke all refresh tokens of the user
+  token_version INT NOT NULL DEFAULT 0,
+  -- Timestamp for record creation
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  -- Foreign key constraint to students table
+  FOREIGN KEY (student_id) REFERENCES students(student_id) ON DELETE CASCADE,
+  -- One login per student
+  UNIQUE KEY unique_user_student (student_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ==========================================
+-- CREATE COURSE_TEACHERS TABLE
+-- ==========================================
+-- Junction table assigning teachers to the courses they teach
+CREATE TABLE course_teachers (
+  -- Foreign key: reference to teacher account
+  user_id INT NOT NULL,
+  -- Foreign key: reference to course
+  course_id INT NOT NULL,
+  -- A teacher is assigned to a course at most once
+  PRIMARY KEY (user_id, course_id),
+  FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+  FOREIGN KEY (course_id) REFERENCES courses(course_id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,16 @@
+-- ==========================================
+-- Migration 0004 (down)
+-- ==========================================
+-- Fails on unique_enrollment if a student has retaken a course; remove
+-- the extra enrollments first.
+ALTER TABLE enrollments
+  DROP FOREIGN KEY fk_enrollments_section;
+
+ALTER TABLE enrollments
+  ADD UNIQUE KEY unique_enrollment (student_id, course_id),
+  DROP INDEX unique_section_enrollment,
+  DROP INDEX fk_enrollments_section,
+  DROP COLUMN section_id;
+
+DROP TABLE IF EXISTS course_sections;
+DROP TABLE IF EXISTS terms;
@@ -0,0 +1,118 @@
+-- ==========================================
+-- Migration 0004: academic terms and course sections
+-- ==========================================
+-- A course is offered once or more per term as a section (own teacher,
+-- capacity and meeting times), and enrollments now point at a section.
+-- enrollments.course_id is kept so the analytics queries can still join
+-- courses directly; a composite foreign key keeps it equal to the
+-- section's course.
+
+-- ==========================================
+-- CREATE TERMS TABLE
+-- ==========================================
+CREATE TABLE terms (
+  -- Primary key: unique identifier for each term
+  term_id INT AUTO_INCREMENT PRIMARY KEY,
+  -- Display name, e.g. "Fall 2023"
+  name VARCHAR(50) NOT NULL UNIQUE,
+  -- First and last day of the term
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  -- Timestamps for record creation and updates
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  -- Terms are looked up by date
+  INDEX idx_term_dates (start_date, end_date),
+  CONSTRAINT chk_term_dates CHECK (end_date >= start_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ==========================================
+-- CREATE COURSE_SECTIONS TABLE
+-- ==========================================
+CREATE TABLE course_sections (
+  -- Primary key: unique identifier for each section
+  section_id INT AUTO_INCREMENT PRIMARY KEY,
+  -- Course offered and the term it is offered in
+  course_id INT NOT NULL,
+  term_id INT NOT NULL,
+  -- Section number within the course and term, e.g. "001"
+  section_number VARCHAR(10) NOT NULL,
+  -- Teacher (users row with the teacher role), NULL while unassigned
+  teacher_id INT NULL,
+  -- Maximum number of enrolled students
+  capacity INT NOT NULL DEFAULT 30,
+  -- Meeting pattern: day letters (M T W R F S U) and start/end times
+  meeting_days VARCHAR(7) NULL,
+  start_time TIME NULL,
+  end_time TIME NULL,
+  -- Room or location
+  room VARCHAR(50) NULL,
+  -- Timestamps for record creation and updates
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  -- One section number per course and term
+  UNIQUE KEY unique_section (course_id, term_id, section_number),
+  -- Target of the enrollments (section_id, course_id) foreign key
+  UNIQUE KEY unique_section_course (section_id, course_id),
+  INDEX idx_section_term (term_id),
+  INDEX idx_section_teacher (teacher_id),
+  -- Removing a course removes its sections; terms with sections cannot be removed
+  FOREIGN KEY (course_id) REFERENCES courses(course_id) ON DELETE CASCADE,
+  FOREIGN KEY (term_id) REFERENCES terms(term_id),
+  FOREIGN KEY (teacher_id) REFERENCES users(user_id) ON DELETE SET NULL,
+  CONSTRAINT chk_section_capacity CHECK (capacity >= 0),
+  CONSTRAINT chk_section_times CHECK (end_time > start_time)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ==========================================
+-- BACKFILL EXISTING ENROLLMENTS
+-- ==========================================
+-- Terms are derived from enrollment dates (Aug-Dec = Fall, Jan-May = Spring,
+-- Jun-Jul = Summer) and every course gets section 001 in each of its terms.
+INSERT INTO terms (name, start_date, end_date)
+SELECT DISTINCT
+  CASE
+    WHEN MONTH(enrollment_date) >= 8 THEN CONCAT('Fall ', YEAR(enrollment_date))
+    WHEN MONTH(enrollment_date) >= 6 THEN CONCAT('Summer ', YEAR(enrollment_date))
+    ELSE CONCAT('Spring ', YEAR(enrollment_date))
+  END,
+  CASE
+    WHEN MONTH(enrollment_date) >= 8 THEN MAKEDATE(YEAR(enrollment_date), 1) + INTERVAL 7 MONTH
+    WHEN MONTH(enrollment_date) >= 6 THEN MAKEDATE(YEAR(enrollment_date), 1) + INTERVAL 5 MONTH
+    ELSE MAKEDATE(YEAR(enrollment_date), 1)
+  END,
+  CASE
+    WHEN MONTH(enrollment_date) >= 8 THEN MAKEDATE(YEAR(enrollment_date), 1) + INTERVAL 12 MONTH - INTERVAL 1 DAY
+    WHEN MONTH(enrollment_date) >= 6 THEN MAKEDATE(YEAR(enrollment_date), 1) + INTERVAL 7 MONTH - INTERVAL 1 DAY
+    ELSE MAKEDATE(YEAR(enrollment_date), 1) + INTERVAL 5 MONTH - INTERVAL 1 DAY
+  END
+FROM enrollments;
+
+INSERT INTO course_sections (course_id, term_id, section_number)
+SELECT DISTINCT e.course_id, t.term_id, '001'
+FROM enrollments e
+INNER JOIN terms t ON e.enrollment_date BETWEEN t.start_date AND t.end_date;
+
+-- ==========================================
+-- POINT ENROLLMENTS AT SECTIONS
+-- ==========================================
+ALTER TABLE enrollments
+  ADD COLUMN section_id INT NULL AFTER course_id;
+
+UPDATE enrollments e
+INNER JOIN terms t ON e.enrollment_date BETWEEN t.start_date AND t.end_date
+INNER JOIN course_sections cs
+  ON cs.course_id = e.course_id AND cs.term_id = t.term_id AND cs.section_number = '001'
+SET e.section_id = cs.section_id;
+
+-- A student may now retake a course in a later term, but not enroll
+-- twice in the same section
+ALTER TABLE enrollments
+  MODIFY section_id INT NOT NULL,
+  ADD UNIQUE KEY unique_section_enrollment (student_id, section_id);
+
+ALTER TABLE enrollments
+  DROP INDEX unique_enrollment,
+  ADD CONSTRAINT fk_enrollments_section
+    FOREIGN KEY (section_id, course_id) REFERENCES course_sections(section_id, course_id)
+    ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,14 @@
+-- ==========================================
+-- Migration 0005 (down)
+-- ==========================================
+-- Rows that do not hold a seat are removed (the old schema deleted drops)
+DROP TABLE IF EXISTS course_prerequisites;
+
+DELETE FROM enrollments WHERE status <> 'enrolled';
+
+ALTER TABLE enrollments
+  DROP INDEX idx_section_status,
+  DROP COLUMN waitlisted_at,
+  DROP COLUMN status_changed_at,
+  DROP COLUMN status_reason,
+  DROP COLUMN status;
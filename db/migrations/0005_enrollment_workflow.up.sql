@@ -0,0 +1,39 @@
+-- ==========================================
+-- Migration 0005: enrollment workflow
+-- ==========================================
+-- Enrollments get a status instead of being deleted when a student drops,
+-- sections keep a FIFO waitlist, and courses can require prerequisites.
+
+-- ==========================================
+-- ENROLLMENT STATUS
+-- ==========================================
+-- enrolled   : holds a seat (graded or in progress)
+-- waitlisted : waiting for a seat, ordered by waitlisted_at (FIFO)
+-- dropped    : left the section; not shown on transcripts
+-- withdrawn  : left the section late; shown as W on transcripts
+ALTER TABLE enrollments
+  ADD COLUMN status ENUM('enrolled', 'waitlisted', 'dropped', 'withdrawn') NOT NULL DEFAULT 'enrolled' AFTER grade,
+  -- Reason code of the last status decision (e.g. PROMOTED_FROM_WAITLIST)
+  ADD COLUMN status_reason VARCHAR(40) NULL AFTER status,
+  ADD COLUMN status_changed_at TIMESTAMP NULL AFTER status_reason,
+  -- Millisecond precision keeps the waitlist order stable
+  ADD COLUMN waitlisted_at TIMESTAMP(3) NULL AFTER status_changed_at,
+  ADD INDEX idx_section_status (section_id, status, waitlisted_at);
+
+-- ==========================================
+-- CREATE COURSE_PREREQUISITES TABLE
+-- ==========================================
+CREATE TABLE course_prerequisites (
+  -- Course that has the requirement
+  course_id INT NOT NULL,
+  -- Course that must have been completed first
+  prerequisite_id INT NOT NULL,
+  -- Lowest accepted grade; NULL accepts any passing grade
+  minimum_grade VARCHAR(2) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (course_id, prerequisite_id),
+  INDEX idx_prerequisite (prerequisite_id),
+  FOREIGN KEY (course_id) REFERENCES courses(course_id) ON DELETE CASCADE,
+  FOREIGN KEY (prerequisite_id) REFERENCES courses(course_id) ON DELETE CASCADE,
+  CONSTRAINT chk_prerequisite_self CHECK (course_id <> prerequisite_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,6 @@
+-- ==========================================
+-- Migration 0006 (down)
+-- ==========================================
+ALTER TABLE courses DROP INDEX ft_courses_search;
+
+ALTER TABLE students DROP INDEX ft_students_search;
@@ -0,0 +1,11 @@
+-- ==========================================
+-- Migration 0006: full-text search
+-- ==========================================
+-- FULLTEXT indexes behind GET /api/search (src/search.js). The default
+-- parser splits on punctuation, so emails are searchable by their parts
+-- (jane.doe@school.edu -> jane, doe, school, edu).
+ALTER TABLE students
+  ADD FULLTEXT INDEX ft_students_search (first_name, last_name, email);
+
+ALTER TABLE courses
+  ADD FULLTEXT INDEX ft_courses_search (course_name, department, description);
@@ -0,0 +1,12 @@
+-- ==========================================
+-- Migration 0007 (down)
+-- ==========================================
+DROP TRIGGER IF EXISTS audit_log_no_delete;
+
+DROP TRIGGER IF EXISTS audit_log_no_update;
+
+DROP TABLE IF EXISTS audit_log;
+
+ALTER TABLE enrollments DROP COLUMN updated_at;
+
+ALTER TABLE courses DROP COLUMN updated_at;
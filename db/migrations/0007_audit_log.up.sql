@@ -0,0 +1,52 @@
+-- ==========================================
+-- Migration 0007: audit log
+-- ==========================================
+-- Every write through the API records who changed which row, when, from
+-- which request, and the row before and after (src/audit.js). Courses and
+-- enrollments get the updated_at column students already have.
+
+-- ==========================================
+-- UPDATE TIMESTAMPS
+-- ==========================================
+ALTER TABLE courses
+  ADD COLUMN updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP AFTER created_at;
+
+ALTER TABLE enrollments
+  ADD COLUMN updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP AFTER created_at;
+
+-- ==========================================
+-- CREATE AUDIT_LOG TABLE
+-- ==========================================
+CREATE TABLE audit_log (
+  -- Primary key: also the order in which changes were made
+  audit_id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  -- Changed record: entity name (student, course, enrollment, ...) and its id
+  entity VARCHAR(30) NOT NULL,
+  entity_id INT NOT NULL,
+  action ENUM('create', 'update', 'delete') NOT NULL,
+  -- Acting user; no foreign key, entries outlive deleted users.
+  -- NULL with role 'system' for changes made outside a request
+  actor_id INT NULL,
+  actor_role VARCHAR(20) NOT NULL,
+  -- X-Request-Id of the request that made the change
+  request_id VARCHAR(128) NULL,
+  -- Why the change was made (required for grade changes)
+  reason VARCHAR(255) NULL,
+  -- Row before and after the change (NULL for creates and deletes respectively)
+  before_values JSON NULL,
+  after_values JSON NULL,
+  created_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  INDEX idx_audit_entity (entity, entity_id, audit_id),
+  INDEX idx_audit_actor (actor_id, audit_id),
+  INDEX idx_audit_created (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ==========================================
+-- APPEND-ONLY
+-- ==========================================
+-- Entries can be added but never changed or removed
+CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+  FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_log is append-only';
+
+CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+  FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_log is append-only';
@@ -0,0 +1,4 @@
+-- ==========================================
+-- Migration 0008 (down)
+-- ==========================================
+DROP TABLE IF EXISTS attendance;
@@ -0,0 +1,34 @@
+-- ==========================================
+-- Migration 0008: attendance
+-- ==========================================
+-- One row per enrollment and school day, taken by roll call
+-- (POST /api/courses/:id/attendance). Days without a row were not recorded
+-- and count neither way in attendance rates.
+
+-- ==========================================
+-- CREATE ATTENDANCE TABLE
+-- ==========================================
+CREATE TABLE attendance (
+  -- Primary key: unique identifier for each attendance record
+  attendance_id INT AUTO_INCREMENT PRIMARY KEY,
+  -- Enrollment (student in a course section) the record belongs to
+  enrollment_id INT NOT NULL,
+  -- School day
+  attendance_date DATE NOT NULL,
+  -- present and tardy count as attended; absent and excused do not
+  status ENUM('present', 'absent', 'tardy', 'excused') NOT NULL,
+  -- Optional remark, e.g. "doctor's note"
+  note VARCHAR(255) NULL,
+  -- User who took the roll call (NULL for imported records)
+  recorded_by INT NULL,
+  -- Timestamps for record creation and updates
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  -- One record per enrollment and day (roll calls update it)
+  UNIQUE KEY unique_enrollment_date (enrollment_id, attendance_date),
+  -- Reports by date range
+  INDEX idx_attendance_date (attendance_date, status),
+  -- Removing an enrollment removes its attendance
+  FOREIGN KEY (enrollment_id) REFERENCES enrollments(enrollment_id) ON DELETE CASCADE,
+  FOREIGN KEY (recorded_by) REFERENCES users(user_id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
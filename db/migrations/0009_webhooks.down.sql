@@ -0,0 +1,8 @@
+-- ==========================================
+-- Migration 0009 (down)
+-- ==========================================
+DROP TABLE IF EXISTS webhook_deliveries;
+
+DROP TABLE IF EXISTS event_outbox;
+
+DROP TABLE IF EXISTS webhook_subscriptions;
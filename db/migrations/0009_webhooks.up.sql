@@ -0,0 +1,81 @@
+-- ==========================================
+-- Migration 0009: webhooks
+-- ==========================================
+-- Outbound event notifications (src/events.js, src/webhooks.js). Writes add
+-- their events to event_outbox in the same transaction as the change, so an
+-- event exists exactly when its change was committed. The dispatcher fans
+-- each event out to the matching subscriptions (one webhook_deliveries row
+-- per subscription) and delivers them with retries.
+
+-- ==========================================
+-- CREATE WEBHOOK_SUBSCRIPTIONS TABLE
+-- ==========================================
+CREATE TABLE webhook_subscriptions (
+  -- Primary key: unique identifier for each subscription
+  subscription_id INT AUTO_INCREMENT PRIMARY KEY,
+  -- Endpoint the events are POSTed to
+  url VARCHAR(2048) NOT NULL,
+  -- Subscribed event types, e.g. ["enrollment.created", "enrollment.graded"]
+  events JSON NOT NULL,
+  -- Shared secret for the HMAC-SHA256 signature of every delivery
+  secret VARCHAR(128) NOT NULL,
+  description VARCHAR(255) NULL,
+  -- Paused subscriptions get no new events; queued deliveries wait until reactivated
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  -- Admin who created the subscription
+  created_by INT NULL,
+  -- Timestamps for record creation and updates
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ==========================================
+-- CREATE EVENT_OUTBOX TABLE
+-- ==========================================
+CREATE TABLE event_outbox (
+  -- Primary key: also the order in which events happened
+  event_id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  -- Event type, e.g. enrollment.graded
+  event_type VARCHAR(50) NOT NULL,
+  -- Record the event is about
+  entity VARCHAR(30) NOT NULL,
+  entity_id INT NOT NULL,
+  -- Event data sent to subscribers
+  payload JSON NOT NULL,
+  -- X-Request-Id of the request that made the change
+  request_id VARCHAR(128) NULL,
+  created_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  -- Set once the event was fanned out to the subscriptions
+  dispatched_at TIMESTAMP(3) NULL,
+  INDEX idx_outbox_pending (dispatched_at, event_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ==========================================
+-- CREATE WEBHOOK_DELIVERIES TABLE
+-- ==========================================
+CREATE TABLE webhook_deliveries (
+  -- Primary key: unique identifier for each delivery
+  delivery_id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  event_id BIGINT NOT NULL,
+  subscription_id INT NOT NULL,
+  -- pending until delivered; dead after the last failed attempt (dead letter)
+  status ENUM('pending', 'delivered', 'dead') NOT NULL DEFAULT 'pending',
+  -- Attempts made so far and when the next one is due
+  attempts INT NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  -- Outcome of the latest attempt
+  last_attempt_at TIMESTAMP(3) NULL,
+  response_status SMALLINT NULL,
+  last_error VARCHAR(255) NULL,
+  delivered_at TIMESTAMP(3) NULL,
+  created_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  -- One delivery per event and subscription
+  UNIQUE KEY unique_event_subscription (event_id, subscription_id),
+  -- Due deliveries
+  INDEX idx_delivery_due (status, next_attempt_at),
+  INDEX idx_delivery_subscription (subscription_id, delivery_id),
+  FOREIGN KEY (event_id) REFERENCES event_outbox(event_id) ON DELETE CASCADE,
+  -- Deleting a subscription drops its deliveries
+  FOREIGN KEY (subscription_id) REFERENCES webhook_subscriptions(subscription_id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
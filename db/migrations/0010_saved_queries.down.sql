@@ -0,0 +1,4 @@
+-- ==========================================
+-- Migration 0010 (down)
+-- ==========================================
+DROP TABLE IF EXISTS saved_queries;
@@ -0,0 +1,26 @@
+-- ==========================================
+-- Migration 0010: saved queries
+-- ==========================================
+-- Named SELECT statements for the read-only query console (POST /api/query,
+-- src/sqlconsole.js). The statement is checked by the console when it is
+-- saved and again every time it runs.
+
+-- ==========================================
+-- CREATE SAVED_QUERIES TABLE
+-- ==========================================
+CREATE TABLE saved_queries (
+  -- Primary key: unique identifier for each saved query
+  query_id INT AUTO_INCREMENT PRIMARY KEY,
+  -- Name the query is run by, e.g. students-per-grade
+  name VARCHAR(100) NOT NULL,
+  description VARCHAR(255) NULL,
+  -- The SELECT statement
+  sql_text TEXT NOT NULL,
+  -- Admin who saved the query
+  created_by INT NULL,
+  -- Timestamps for record creation and updates
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY unique_query_name (name),
+  FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,27 @@
+-- ==========================================
+-- Seed: sample students
+-- ==========================================
+-- Idempotent: explicit ids, existing rows are left untouched
+
+INSERT INTO students (student_id, first_name, last_name, email, grade, enrollment_date) VALUES
+(1, 'John', 'Smith', 'john.smith@school.edu', 9, '2023-09-01'),
+(2, 'Emily', 'Johnson', 'emily.johnson@school.edu', 9, '2023-09-01'),
+(3, 'Michael', 'Williams', 'michael.williams@school.edu', 9, '2023-09-01'),
+(4, 'Sarah', 'Brown', 'sarah.brown@school.edu', 9, '2023-09-01'),
+(5, 'David', 'Jones', 'david.jones@school.edu', 10, '2022-09-01'),
+(6, 'Jessica', 'Garcia', 'jessica.garcia@school.edu', 10, '2022-09-01'),
+(7, 'Daniel', 'Martinez', 'daniel.martinez@school.edu', 10, '2022-09-01'),
+(8, 'Ashley', 'Rodriguez', 'ashley.rodriguez@school.edu', 10, '2022-09-01'),
+(9, 'James', 'Wilson', 'james.wilson@school.edu', 10, '2022-09-01'),
+(10, 'Jennifer', 'Anderson', 'jennifer.anderson@school.edu', 11, '2021-09-01'),
+(11, 'Robert', 'Taylor', 'robert.taylor@school.edu', 11, '2021-09-01'),
+(12, 'Maria', 'Thomas', 'maria.thomas@school.edu', 11, '2021-09-01'),
+(13, 'Christopher', 'Moore', 'christopher.moore@school.edu', 11, '2021-09-01'),
+(14, 'Amanda', 'Jackson', 'amanda.jackson@school.edu', 11, '2021-09-01'),
+(15, 'Matthew', 'Martin', 'matthew.martin@school.edu', 12, '2020-09-01'),
+(16, 'Michelle', 'Lee', 'michelle.lee@school.edu', 12, '2020-09-01'),
+(17, 'Joshua', 'Perez', 'joshua.perez@school.edu', 12, '2020-09-01'),
+(18, 'Laura', 'White', 'laura.white@school.edu', 12, '2020-09-01'),
+(19, 'Andrew', 'Harris', 'andrew.harris@school.edu', 12, '2020-09-01'),
+(20, 'Elizabeth', 'Clark', 'elizabeth.clark@school.edu', 12, '2020-09-01')
+ON DUPLICATE KEY UPDATE student_id = student_id;
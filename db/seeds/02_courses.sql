@@ -0,0 +1,26 @@
+-- ==========================================
+-- Seed: sample courses
+-- ==========================================
+-- Idempotent: explicit ids, existing rows are left untouched
+
+INSERT INTO courses (course_id, course_name, department, credits, description) VALUES
+(1, 'Algebra I', 'Mathematics', 4, 'Introduction to algebraic concepts and problem solving'),
+(2, 'Geometry', 'Mathematics', 4, 'Study of shapes, sizes, and properties of space'),
+(3, 'Algebra II', 'Mathematics', 4, 'Advanced algebraic concepts and functions'),
+(4, 'Pre-Calculus', 'Mathematics', 4, 'Preparation for calculus with advanced functions'),
+(5, 'Calculus AB', 'Mathematics', 5, 'Introduction to differential and integral calculus'),
+(6, 'Biology', 'Science', 4, 'Study of living organisms and life processes'),
+(7, 'Chemistry', 'Science', 4, 'Study of matter, its properties, and reactions'),
+(8, 'Physics', 'Science', 4, 'Study of matter, energy, and their interactions'),
+(9, 'Environmental Science', 'Science', 3, 'Study of environmental systems and sustainability'),
+(10, 'English 9', 'English', 3, 'Introduction to literature and composition'),
+(11, 'English 10', 'English', 3, 'World literature and advanced writing'),
+(12, 'English 11', 'English', 3, 'American literature and rhetorical analysis'),
+(13, 'English 12', 'English', 3, 'British literature and college preparation'),
+(14, 'World History', 'Social Studies', 3, 'Survey of world civilizations and cultures'),
+(15, 'US History', 'Social Studies', 3, 'American history from colonial times to present'),
+(16, 'Government', 'Social Studies', 3, 'Study of political systems and civic engagement'),
+(17, 'Art I', 'Arts', 2, 'Introduction to visual arts and techniques'),
+(18, 'Music Theory', 'Arts', 2, 'Study of musical notation, harmony, and composition'),
+(19, 'Physical Education', 'PE', 1, 'Physical fitness and sports activities')
+ON DUPLICATE KEY UPDATE course_id = course_id;
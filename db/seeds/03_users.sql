@@ -0,0 +1,17 @@
+-- ==========================================
+-- Seed: demo users
+-- ==========================================
+-- Idempotent: explicit ids, existing rows are left untouched
+
+-- Demo accounts, all with the password "password123" (change before deploying!)
+INSERT INTO users (user_id, email, password_hash, role, student_id) VALUES
+(1, 'admin@school.edu', 'scrypt$16384$ffaf33599a632536793d6146c7fd4e24$07c4ada247c6e852bbe1e3a6cbbad05ec92de1ed819e86662b0096ccbfb306a0fa1795cf474b42535769831d712d7503b9e1bfe3d815f1ebe791b152008b1a22', 'admin', NULL),
+(2, 'teacher@school.edu', 'scrypt$16384$a0527fb713e6b231dd8ff1e91c2e4c47$b0f9071c906b7c01288f3d563553743b035e1629ad5ab295f4a50d3feebae0d7e26b0f037a538a32866ba031fecaefaabeb75f35fcbc783c7465df3d59bc4d6e', 'teacher', NULL),
+(3, 'john.smith@school.edu', 'scrypt$16384$b2ca13479db1da2b58ae800ca70af282$29224df8bf7a058457a02427a8738ea2cb4871d453052fba452e4fba45a999862b6d356ff24832c558f75fcdff2413a1f725910a67ca24a6390468acce7b920c', 'student', 1)
+ON DUPLICATE KEY UPDATE user_id = user_id;
+
+-- The demo teacher teaches Algebra I (1) and Biology (6)
+INSERT INTO course_teachers (user_id, course_id) VALUES
+(2, 1),
+(2, 6)
+ON DUPLICATE KEY UPDATE course_id = course_id;
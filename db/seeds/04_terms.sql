@@ -0,0 +1,13 @@
+-- ==========================================
+-- Seed: academic terms
+-- ==========================================
+-- Fall terms of the sample enrollments plus an upcoming spring term.
+-- Idempotent: the unique term name skips terms that already exist
+
+INSERT INTO terms (name, start_date, end_date) VALUES
+('Fall 2020', '2020-08-01', '2020-12-31'),
+('Fall 2021', '2021-08-01', '2021-12-31'),
+('Fall 2022', '2022-08-01', '2022-12-31'),
+('Fall 2023', '2023-08-01', '2023-12-31'),
+('Spring 2024', '2024-01-01', '2024-05-31')
+ON DUPLICATE KEY UPDATE name = name;
@@ -0,0 +1,46 @@
+-- ==========================================
+-- Seed: course sections
+-- ==========================================
+-- Section 001 of every course in every term, meeting daily in a
+-- period that depends on the department.
+-- Idempotent: unique_section (course_id, term_id, section_number) skips existing sections
+
+INSERT INTO course_sections
+  (course_id, term_id, section_number, capacity, meeting_days, start_time, end_time, room)
+SELECT
+  c.course_id,
+  t.term_id,
+  '001',
+  30,
+  'MTWRF',
+  p.start_time,
+  ADDTIME(p.start_time, '00:50:00'),
+  CONCAT('Room ', 100 + c.course_id)
+FROM courses c
+CROSS JOIN terms t
+INNER JOIN (
+  SELECT 'Mathematics' AS department, CAST('08:00:00' AS TIME) AS start_time
+  UNION ALL SELECT 'Science', '09:00:00'
+  UNION ALL SELECT 'English', '10:00:00'
+  UNION ALL SELECT 'Social Studies', '11:00:00'
+  UNION ALL SELECT 'Arts', '13:00:00'
+  UNION ALL SELECT 'PE', '14:00:00'
+) p ON p.department = c.department
+WHERE c.course_id BETWEEN 1 AND 19
+  AND t.name IN ('Fall 2020', 'Fall 2021', 'Fall 2022', 'Fall 2023', 'Spring 2024')
+ON DUPLICATE KEY UPDATE section_id = course_sections.section_id;
+
+-- A second, afternoon Algebra I section in Fall 2023
+INSERT INTO course_sections
+  (course_id, term_id, section_number, capacity, meeting_days, start_time, end_time, room)
+SELECT 1, t.term_id, '002', 25, 'MWF', '13:00:00', '14:15:00', 'Room 201'
+FROM terms t
+WHERE t.name = 'Fall 2023'
+ON DUPLICATE KEY UPDATE section_id = course_sections.section_id;
+
+-- The demo teacher (user 2) teaches section 001 of Algebra I and Biology
+UPDATE course_sections
+SET teacher_id = 2
+WHERE course_id IN (1, 6)
+  AND section_number = '001'
+  AND teacher_id IS NULL;
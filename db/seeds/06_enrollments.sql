@@ -0,0 +1,152 @@
+-- ==========================================
+-- Seed: sample enrollments
+-- ==========================================
+-- Realistic enrollment patterns with varying grades.
+-- Each row is placed in section 001 of its course in the term containing
+-- the enrollment date (see 04_terms.sql and 05_course_sections.sql).
+-- Idempotent: unique_section_enrollment (student_id, section_id) skips rows that already exist
+
+INSERT INTO enrollments (student_id, course_id, section_id, enrollment_date, grade)
+SELECT v.student_id, v.course_id, cs.section_id, v.enrollment_date, v.grade
+FROM (
+  VALUES
+  -- Student 1 (Grade 9) - Good student
+  ROW(1, 1, '2023-09-01', 'A'), -- Algebra I
+  ROW(1, 6, '2023-09-01', 'B'), -- Biology
+  ROW(1, 10, '2023-09-01', 'A'), -- English 9
+  ROW(1, 14, '2023-09-01', 'B'), -- World History
+  ROW(1, 17, '2023-09-01', 'A'), -- Art I
+
+  -- Student 2 (Grade 9) - Average student
+  ROW(2, 1, '2023-09-01', 'B'), -- Algebra I
+  ROW(2, 6, '2023-09-01', 'C'), -- Biology
+  ROW(2, 10, '2023-09-01', 'B'), -- English 9
+  ROW(2, 14, '2023-09-01', 'C'), -- World History
+  ROW(2, 19, '2023-09-01', 'A'), -- PE
+
+  -- Student 3 (Grade 9) - Excellent student
+  ROW(3, 1, '2023-09-01', 'A'), -- Algebra I
+  ROW(3, 6, '2023-09-01', 'A'), -- Biology
+  ROW(3, 10, '2023-09-01', 'A'), -- English 9
+  ROW(3, 14, '2023-09-01', 'A'), -- World History
+  ROW(3, 18, '2023-09-01', 'A'), -- Music Theory
+
+  -- Student 4 (Grade 9) - Struggling student
+  ROW(4, 1, '2023-09-01', 'C'), -- Algebra I
+  ROW(4, 6, '2023-09-01', 'D'), -- Biology
+  ROW(4, 10, '2023-09-01', 'C'), -- English 9
+  ROW(4, 14, '2023-09-01', 'C'), -- World History
+
+  -- Student 5 (Grade 10) - Good student
+  ROW(5, 2, '2022-09-01', 'A'), -- Geometry
+  ROW(5, 7, '2022-09-01', 'B'), -- Chemistry
+  ROW(5, 11, '2022-09-01', 'A'), -- English 10
+  ROW(5, 15, '2022-09-01', 'A'), -- US History
+  ROW(5, 17, '2022-09-01', 'B'), -- Art I
+
+  -- Student 6 (Grade 10) - Excellent student
+  ROW(6, 2, '2022-09-01', 'A'), -- Geometry
+  ROW(6, 7, '2022-09-01', 'A'), -- Chemistry
+  ROW(6, 11, '2022-09-01', 'A'), -- English 10
+  ROW(6, 15, '2022-09-01', 'A'), -- US History
+  ROW(6, 18, '2022-09-01', 'A'), -- Music Theory
+  ROW(6, 19, '2022-09-01', 'A'), -- PE
+
+  -- Student 7 (Grade 10) - Average student
+  ROW(7, 2, '2022-09-01', 'B'), -- Geometry
+  ROW(7, 7, '2022-09-01', 'C'), -- Chemistry
+  ROW(7, 11, '2022-09-01', 'B'), -- English 10
+  ROW(7, 15, '2022-09-01', 'B'), -- US History
+
+  -- Student 8 (Grade 10)
+  ROW(8, 2, '2022-09-01', 'B'), -- Geometry
+  ROW(8, 7, '2022-09-01', 'B'), -- Chemistry
+  ROW(8, 11, '2022-09-01', 'A'), -- English 10
+  ROW(8, 15, '2022-09-01', 'B'), -- US History
+  ROW(8, 19, '2022-09-01', 'A'), -- PE
+
+  -- Student 9 (Grade 10)
+  ROW(9, 2, '2022-09-01', 'C'), -- Geometry
+  ROW(9, 6, '2022-09-01', 'B'), -- Biology
+  ROW(9, 11, '2022-09-01', 'B'), -- English 10
+  ROW(9, 14, '2022-09-01', 'C'), -- World History
+
+  -- Student 10 (Grade 11) - Excellent student
+  ROW(10, 3, '2021-09-01', 'A'), -- Algebra II
+  ROW(10, 8, '2021-09-01', 'A'), -- Physics
+  ROW(10, 12, '2021-09-01', 'A'), -- English 11
+  ROW(10, 16, '2021-09-01', 'A'), -- Government
+  ROW(10, 18, '2021-09-01', 'A'), -- Music Theory
+
+  -- Student 11 (Grade 11) - Good student
+  ROW(11, 3, '2021-09-01', 'B'), -- Algebra II
+  ROW(11, 8, '2021-09-01', 'A'), -- Physics
+  ROW(11, 12, '2021-09-01', 'A'), -- English 11
+  ROW(11, 16, '2021-09-01', 'B'), -- Government
+  ROW(11, 19, '2021-09-01', 'A'), -- PE
+
+  -- Student 12 (Grade 11)
+  ROW(12, 3, '2021-09-01', 'B'), -- Algebra II
+  ROW(12, 7, '2021-09-01', 'B'), -- Chemistry
+  ROW(12, 12, '2021-09-01', 'B'), -- English 11
+  ROW(12, 16, '2021-09-01', 'A'), -- Government
+
+  -- Student 13 (Grade 11)
+  ROW(13, 3, '2021-09-01', 'A'), -- Algebra II
+  ROW(13, 8, '2021-09-01', 'B'), -- Physics
+  ROW(13, 12, '2021-09-01', 'A'), -- English 11
+  ROW(13, 16, '2021-09-01', 'A'), -- Government
+  ROW(13, 17, '2021-09-01', 'A'), -- Art I
+
+  -- Student 14 (Grade 11)
+  ROW(14, 3, '2021-09-01', 'C'), -- Algebra II
+  ROW(14, 6, '2021-09-01', 'B'), -- Biology
+  ROW(14, 12, '2021-09-01', 'B'), -- English 11
+  ROW(14, 15, '2021-09-01', 'C'), -- US History
+
+  -- Student 15 (Grade 12) - Excellent student
+  ROW(15, 4, '2020-09-01', 'A'), -- Pre-Calculus
+  ROW(15, 5, '2020-09-01', 'A'), -- Calculus AB
+  ROW(15, 8, '2020-09-01', 'A'), -- Physics
+  ROW(15, 13, '2020-09-01', 'A'), -- English 12
+  ROW(15, 16, '2020-09-01', 'A'), -- Government
+  ROW(15, 9, '2020-09-01', 'A'), -- Environmental Science
+
+  -- Student 16 (Grade 12) - Excellent student
+  ROW(16, 4, '2020-09-01', 'A'), -- Pre-Calculus
+  ROW(16, 5, '2020-09-01', 'A'), -- Calculus AB
+  ROW(16, 8, '2020-09-01', 'A'), -- Physics
+  ROW(16, 13, '2020-09-01', 'A'), -- English 12
+  ROW(16, 16, '2020-09-01', 'A'), -- Government
+
+  -- Student 17 (Grade 12)
+  ROW(17, 4, '2020-09-01', 'B'), -- Pre-Calculus
+  ROW(17, 8, '2020-09-01', 'B'), -- Physics
+  ROW(17, 13, '2020-09-01', 'A'), -- English 12
+  ROW(17, 16, '2020-09-01', 'B'), -- Government
+  ROW(17, 19, '2020-09-01', 'A'), -- PE
+
+  -- Student 18 (Grade 12)
+  ROW(18, 4, '2020-09-01', 'B'), -- Pre-Calculus
+  ROW(18, 7, '2020-09-01', 'A'), -- Chemistry
+  ROW(18, 13, '2020-09-01', 'A'), -- English 12
+  ROW(18, 16, '2020-09-01', 'A'), -- Government
+  ROW(18, 17, '2020-09-01', 'B'), -- Art I
+
+  -- Student 19 (Grade 12)
+  ROW(19, 4, '2020-09-01', 'C'), -- Pre-Calculus
+  ROW(19, 7, '2020-09-01', 'B'), -- Chemistry
+  ROW(19, 13, '2020-09-01', 'B'), -- English 12
+  ROW(19, 16, '2020-09-01', 'C'), -- Government
+
+  -- Student 20 (Grade 12)
+  ROW(20, 3, '2020-09-01', 'B'), -- Algebra II
+  ROW(20, 7, '2020-09-01', 'B'), -- Chemistry
+  ROW(20, 13, '2020-09-01', 'A'), -- English 12
+  ROW(20, 15, '2020-09-01', 'B'), -- US History
+  ROW(20, 18, '2020-09-01', 'A') -- Music Theory
+) AS v (student_id, course_id, enrollment_date, grade)
+INNER JOIN terms t ON v.enrollment_date BETWEEN t.start_date AND t.end_date
+INNER JOIN course_sections cs
+  ON cs.course_id = v.course_id AND cs.term_id = t.term_id AND cs.section_number = '001'
+ON DUPLICATE KEY UPDATE enrollment_id = enrollments.enrollment_id;
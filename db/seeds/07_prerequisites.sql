@@ -0,0 +1,17 @@
+-- ==========================================
+-- Seed: course prerequisites
+-- ==========================================
+-- The math and English sequences, plus math for the physical sciences.
+-- Idempotent: the (course_id, prerequisite_id) primary key skips existing rows
+
+INSERT INTO course_prerequisites (course_id, prerequisite_id, minimum_grade) VALUES
+(2, 1, NULL),  -- Geometry       <- Algebra I
+(3, 1, 'C'),   -- Algebra II     <- Algebra I (C or better)
+(4, 3, 'C'),   -- Pre-Calculus   <- Algebra II (C or better)
+(5, 4, 'B'),   -- Calculus AB    <- Pre-Calculus (B or better)
+(7, 1, NULL),  -- Chemistry      <- Algebra I
+(8, 3, NULL),  -- Physics        <- Algebra II
+(11, 10, NULL), -- English 10    <- English 9
+(12, 11, NULL), -- English 11    <- English 10
+(13, 12, NULL)  -- English 12    <- English 11
+ON DUPLICATE KEY UPDATE course_id = course_id;
@@ -0,0 +1,32 @@
+-- ==========================================
+-- Seed: sample attendance
+-- ==========================================
+-- Every school day of September 2023 for the Fall 2023 enrollments, with
+-- a scattering of absences, tardies and excused days. Student 2 misses
+-- every fourth day (chronically absent, see GET /api/analytics/chronic-absence).
+-- Idempotent: unique_enrollment_date (enrollment_id, attendance_date) skips rows that already exist
+
+INSERT INTO attendance (enrollment_id, attendance_date, status)
+SELECT
+  e.enrollment_id,
+  d.day,
+  CASE
+    WHEN e.student_id = 2 AND MOD(DAY(d.day), 4) = 0 THEN 'absent'
+    WHEN MOD(e.student_id + DAY(d.day), 19) = 0 THEN 'absent'
+    WHEN MOD(e.student_id + DAY(d.day), 13) = 0 THEN 'tardy'
+    WHEN MOD(e.student_id + 3 * DAY(d.day), 29) = 0 THEN 'excused'
+    ELSE 'present'
+  END
+FROM enrollments e
+INNER JOIN course_sections cs ON e.section_id = cs.section_id
+INNER JOIN terms t ON cs.term_id = t.term_id AND t.name = 'Fall 2023'
+CROSS JOIN (
+  WITH RECURSIVE days (day) AS (
+    SELECT DATE '2023-09-01'
+    UNION ALL
+    SELECT day + INTERVAL 1 DAY FROM days WHERE day < '2023-09-29'
+  )
+  SELECT day FROM days WHERE WEEKDAY(day) < 5
+) d
+WHERE e.status = 'enrolled'
+ON DUPLICATE KEY UPDATE attendance_id = attendance_id;
@@ -0,0 +1,12 @@
+-- ==========================================
+-- Seed: sample webhook subscription
+-- ==========================================
+-- A paused subscription for the LMS, so the webhook endpoints have a record
+-- to show. Paused, it gets no events; point url at a real receiver and set
+-- active to true (PATCH /api/webhooks/1) to try deliveries.
+-- Idempotent: the primary key skips the row if it already exists
+
+INSERT INTO webhook_subscriptions (subscription_id, url, events, secret, description, active, created_by) VALUES
+(1, 'https://lms.example.org/hooks/school', '["enrollment.created", "enrollment.graded"]',
+ 'demo-webhook-secret-change-me', 'LMS gradebook sync (demo)', FALSE, 1)
+ON DUPLICATE KEY UPDATE subscription_id = subscription_id;
@@ -0,0 +1,31 @@
+-- ==========================================
+-- Seed: saved console queries
+-- ==========================================
+-- Starting points for the query console (POST /api/query {"name": ...}),
+-- one per concept of SQL_CONCEPTS.md they practice.
+-- Idempotent: the primary key skips rows that already exist
+
+INSERT INTO saved_queries (query_id, name, description, sql_text, created_by) VALUES
+(1, 'students-per-grade', 'GROUP BY: students and distinct emails per grade level',
+ 'SELECT grade, COUNT(*) AS students, COUNT(DISTINCT email) AS unique_emails
+FROM students
+GROUP BY grade
+ORDER BY grade', 1),
+(2, 'courses-without-enrollments', 'LEFT JOIN: courses nobody is enrolled in',
+ 'SELECT c.course_id, c.course_name, c.department
+FROM courses c
+LEFT JOIN enrollments e ON e.course_id = c.course_id AND e.status = ''enrolled''
+WHERE e.enrollment_id IS NULL
+ORDER BY c.department, c.course_name', 1),
+(3, 'department-grade-mix', 'CASE + HAVING: letter grades per department with at least 5 graded enrollments',
+ 'SELECT c.department,
+  SUM(CASE WHEN LEFT(e.grade, 1) = ''A'' THEN 1 ELSE 0 END) AS a_grades,
+  SUM(CASE WHEN LEFT(e.grade, 1) = ''B'' THEN 1 ELSE 0 END) AS b_grades,
+  SUM(CASE WHEN LEFT(e.grade, 1) IN (''C'', ''D'', ''F'') THEN 1 ELSE 0 END) AS other_grades
+FROM courses c
+INNER JOIN enrollments e ON e.course_id = c.course_id
+WHERE e.grade IS NOT NULL
+GROUP BY c.department
+HAVING COUNT(*) >= 5
+ORDER BY a_grades DESC', 1)
+ON DUPLICATE KEY UPDATE query_id = query_id;
@@ -1,74 +1,96 @@
+// Start OpenTelemetry first so it can instrument the modules below (optional)
+const { stopTracing } = require('./tracing');
+
 // Import required modules
 const express = require('express');
-const mysql = require('mysql2/promise');
 const morgan = require('morgan');
-const winston = require('winston');
+const logger = require('./logger');
+const { initializeDatabase, getPool, requireDatabase, checkReadiness, closeDatabase } = require('./db');
+const { ApiError, errorHandler } = require('./errors');
+const { validate } = require('./validation');
+const schemas = require('./schemas');
+const { paginate } = require('./pagination');
+const grading = require('./grading');
+const attendance = require('./attendance');
+const risk = require('./risk');
+const { authorize } = require('./auth');
+const { isOwnStudent, teachesCourse, teachesCourses, teachesStudent, studentScope, courseScope } = require('./policies');
+const { termCondition } = require('./terms');
+const { cached } = require('./cache');
+const { requestContext } = require('./context');
+const { listTenants, resolveTenant } = require('./tenants');
+const { rateLimit } = require('./ratelimit');
+const { registry, httpMetrics } = require('./metrics');
+const { startWebhooks, stopWebhooks } = require('./webhooks');
+const { closeStreams } = require('./stream');
+
+// Import resource routers (CRUD write API, authentication, user administration)
+const authRouter = require('./routes/auth');
+const usersRouter = require('./routes/users');
+const bulkRouter = require('./routes/bulk');
+const studentsRouter = require('./routes/students');
+const coursesRouter = require('./routes/courses');
+const enrollmentsRouter = require('./routes/enrollments');
+const termsRouter = require('./routes/terms');
+const sectionsRouter = require('./routes/sections');
+const searchRouter = require('./routes/search');
+const auditRouter = require('./routes/audit');
+const districtRouter = require('./routes/district');
+const trendsRouter = require('./routes/trends');
+const webhooksRouter = require('./routes/webhooks');
+const streamRouter = require('./routes/stream');
+const queryRouter = require('./routes/query');
+const graphqlRouter = require('./routes/graphql');
+const docsRouter = require('./routes/docs');
 
 // Initialize Express application
 const app = express();
 
-// Configure Winston logger for application logging
-const logger = winston.createLogger({
-  // Set logging level
-  level: 'info',
-  // Define log format as JSON
-  format: winston.format.json(),
-  // Define where to write logs
-  transports: [
-    // Write all logs to console
-    new winston.transports.Console({
-      format: winston.format.combine(
-        winston.format.colorize(),
-        winston.format.simple()
-      )
-    }),
-    // Write all logs to combined.log file
-    new winston.transports.File({ filename: 'logs/combined.log' }),
-    // Write only error logs to error.log file
-    new winston.transports.File({ filename: 'logs/error.log', level: 'error' })
-  ]
-});
+// Behind a load balancer or reverse proxy: which X-Forwarded-For hops to
+// trust for req.ip (rate limiting per address, see src/ratelimit.js).
+// A hop count, "true", or addresses/subnets as Express accepts them.
+const { TRUST_PROXY } = process.env;
+if (TRUST_PROXY === 'true') {
+  app.set('trust proxy', true);
+} else if (/^\d+$/.test(TRUST_PROXY || '')) {
+  app.set('trust proxy', Number(TRUST_PROXY));
+} else if (TRUST_PROXY) {
+  app.set('trust proxy', TRUST_PROXY);
+}
+
+// Correlation ID (X-Request-Id) for logs and responses, then request metrics
+app.use(requestContext);
+app.use(httpMetrics);
 
 // Middleware to parse JSON request bodies
 app.use(express.json());
 
-// HTTP request logger middleware
-app.use(morgan('combined'));
-
-// Database configuration object
-const dbConfig = {
-  host: process.env.DB_HOST || 'mysql',
-  user: process.env.DB_USER || 'root',
-  password: process.env.DB_PASSWORD || 'rootpassword',
-  database: process.env.DB_NAME || 'school_db',
-  waitForConnections: true,
-  connectionLimit: 10,
-  queueLimit: 0
-};
+// HTTP request logger middleware (Apache combined format plus the correlation ID)
+morgan.token('id', (req) => req.id);
+app.use(morgan(':remote-addr - :remote-user [:date[clf]] ":method :url HTTP/:http-version" :status :res[content-length] ":referrer" ":user-agent" :id'));
 
-// Create a connection pool for database operations
-let pool;
+// API requests are served from their school's database (see src/tenants.js),
+// take a token from the client's rate limit budget (429 once it is spent)
+// and get 503 + Retry-After while the database is unreachable
+app.use(['/api', '/graphql'], resolveTenant, rateLimit, requireDatabase);
 
-// Initialize database connection pool
-const initializeDatabase = async () => {
-  try {
-    // Create connection pool
-    pool = mysql.createPool(dbConfig);
-    // Test the connection
-    await pool.query('SELECT 1');
-    logger.info('✅ Database connection pool established successfully');
-  } catch (error) {
-    logger.error('❌ Failed to connect to database:', error);
-    // Retry connection after 5 seconds
-    setTimeout(initializeDatabase, 5000);
-  }
-};
+// Route access policies (admins can access every route; see src/auth.js)
+// Students see their own records, teachers see students and analytics of their courses
+const studentRecordPolicy = { student: isOwnStudent('studentId'), teacher: teachesStudent('studentId') };
+const courseRosterPolicy = { teacher: teachesCourses('courseIds') };
+const courseAnalyticsPolicy = { teacher: teachesCourse('courseId') };
+
+// School-wide analytics: teachers get the same report over the courses they
+// teach (courseScope/studentScope), so only admins' responses are shared
+// through the cache
+const schoolAnalyticsPolicy = { teacher: true };
+const adminsOnly = { when: (req) => req.user.role === 'admin' };
 
 // ==============================================
 // ENDPOINT 1: Simple SELECT with WHERE clause
 // ==============================================
 // Get all students from a specific grade
-app.get('/api/students/grade/:grade', async (req, res) => {
+app.get('/api/students/grade/:grade', authorize(), validate(schemas.studentsByGrade), async (req, res, next) => {
   try {
     // Extract grade parameter from URL
     const { grade } = req.params;
@@ -86,23 +108,28 @@ app.get('/api/students/grade/:grade', async (req, res) => {
         enrollment_date
       FROM students
       WHERE grade = ?
-      ORDER BY last_name, first_name
     `;
     
-    // Execute query with parameterized value to prevent SQL injection
-    const [rows] = await pool.query(query, [grade]);
+    // Execute one page of the query (default order: last_name, first_name)
+    const page = await paginate(req, res, schemas.studentsByGrade.listing, query, [grade]);
     
     // Log successful query execution
-    logger.info(`Found ${rows.length} students in grade ${grade}`);
+    logger.info(`Found ${page.total} students in grade ${grade}, returning ${page.data.length}`);
     
     // Send response with data
     res.json({
       success: true,
-      count: rows.length,
-      data: rows
+      count: page.data.length,
+      total: page.total,
+      links: page.links,
+      data: page.data
     });
     
   } catch (error) {
+    // Invalid pagination parameters are client errors
+    if (error instanceof ApiError) {
+      return next(error);
+    }
     // Log error details
     logger.error('Error fetching students by grade:', error);
     // Send error response
@@ -117,12 +144,13 @@ app.get('/api/students/grade/:grade', async (req, res) => {
 // ENDPOINT 2: INNER JOIN - Students with their enrollments
 // ==============================================
 // Get students with their course enrollments
-app.get('/api/students/:studentId/enrollments', async (req, res) => {
+app.get('/api/students/:studentId/enrollments', authorize(studentRecordPolicy), validate(schemas.studentEnrollments), async (req, res) => {
   try {
-    // Extract student ID from URL parameters
+    // Extract student ID from URL parameters and the optional term filter
     const { studentId } = req.params;
+    const { term } = req.query;
     
-    logger.info(`Fetching enrollments for student ID: ${studentId}`);
+    logger.info(`Fetching enrollments for student ID: ${studentId} (term: ${term || 'all'})`);
     
     // INNER JOIN query - only returns students who have enrollments
     const query = `
@@ -133,17 +161,25 @@ app.get('/api/students/:studentId/enrollments', async (req, res) => {
         c.course_id,
         c.course_name,
         c.credits,
+        e.section_id,
+        cs.section_number,
+        t.term_id,
+        t.name as term_name,
         e.enrollment_date,
-        e.grade
+        e.grade,
+        e.status
       FROM students s
       INNER JOIN enrollments e ON s.student_id = e.student_id
       INNER JOIN courses c ON e.course_id = c.course_id
+      INNER JOIN course_sections cs ON e.section_id = cs.section_id
+      INNER JOIN terms t ON cs.term_id = t.term_id
       WHERE s.student_id = ?
-      ORDER BY e.enrollment_date DESC
+        ${term ? 'AND t.term_id = ?' : ''}
+      ORDER BY t.start_date DESC, e.enrollment_date DESC
     `;
     
-    // Execute query with student ID parameter
-    const [rows] = await pool.query(query, [studentId]);
+    // Execute query with student ID (and term) parameters
+    const [rows] = await getPool().query(query, term ? [studentId, term] : [studentId]);
     
     logger.info(`Found ${rows.length} enrollments for student ${studentId}`);
     
@@ -167,9 +203,12 @@ app.get('/api/students/:studentId/enrollments', async (req, res) => {
 // ENDPOINT 3: LEFT JOIN - All students with optional enrollments
 // ==============================================
 // Get all students including those without enrollments
-app.get('/api/students/all-with-enrollments', async (req, res) => {
+app.get('/api/students/all-with-enrollments', authorize(), validate(schemas.allWithEnrollments), async (req, res, next) => {
   try {
-    logger.info('Fetching all students with enrollment data');
+    // Optional term filter (applied in the join so students without enrollments stay)
+    const { term } = req.query;
+    
+    logger.info(`Fetching all students with enrollment data (term: ${term || 'all'})`);
     
     // LEFT JOIN - returns all students even if they have no enrollments
     const query = `
@@ -181,24 +220,28 @@ app.get('/api/students/all-with-enrollments', async (req, res) => {
         COUNT(e.enrollment_id) as total_enrollments,
         GROUP_CONCAT(c.course_name SEPARATOR ', ') as courses
       FROM students s
-      LEFT JOIN enrollments e ON s.student_id = e.student_id
+      LEFT JOIN enrollments e ON s.student_id = e.student_id AND e.status = 'enrolled' ${termCondition(term)}
       LEFT JOIN courses c ON e.course_id = c.course_id
       GROUP BY s.student_id, s.first_name, s.last_name, s.grade
-      ORDER BY s.last_name
     `;
     
-    // Execute query without parameters
-    const [rows] = await pool.query(query);
+    // Execute one page of the query (default order: last_name)
+    const page = await paginate(req, res, schemas.allWithEnrollments.listing, query, term ? [term] : []);
     
-    logger.info(`Found ${rows.length} students with enrollment data`);
+    logger.info(`Found ${page.total} students with enrollment data, returning ${page.data.length}`);
     
     res.json({
       success: true,
-      count: rows.length,
-      data: rows
+      count: page.data.length,
+      total: page.total,
+      links: page.links,
+      data: page.data
     });
     
   } catch (error) {
+    if (error instanceof ApiError) {
+      return next(error);
+    }
     logger.error('Error fetching students with enrollments:', error);
     res.status(500).json({
       success: false,
@@ -210,23 +253,25 @@ app.get('/api/students/all-with-enrollments', async (req, res) => {
 // ==============================================
 // ENDPOINT 4: GROUP BY with COUNT - Student count per grade
 // ==============================================
-// Get count of students in each grade
-app.get('/api/analytics/students-per-grade', async (req, res) => {
+// Get count of students in each grade (teachers: the students in their courses)
+app.get('/api/analytics/students-per-grade', authorize(schoolAnalyticsPolicy), async (req, res) => {
   try {
     logger.info('Calculating students per grade');
     
     // GROUP BY query with aggregate function COUNT
+    const scope = studentScope(req.user);
     const query = `
       SELECT 
-        grade,
+        s.grade,
         COUNT(*) as student_count,
-        COUNT(DISTINCT email) as unique_emails
-      FROM students
-      GROUP BY grade
-      ORDER BY grade
+        COUNT(DISTINCT s.email) as unique_emails
+      FROM students s
+      WHERE 1=1 ${scope.sql}
+      GROUP BY s.grade
+      ORDER BY s.grade
     `;
     
-    const [rows] = await pool.query(query);
+    const [rows] = await getPool().query(query, scope.params);
     
     logger.info(`Calculated distribution across ${rows.length} grades`);
     
@@ -248,35 +293,34 @@ app.get('/api/analytics/students-per-grade', async (req, res) => {
 // ENDPOINT 5: GROUP BY with HAVING - Courses with many students
 // ==============================================
 // Get courses that have more than a specified number of enrollments
-app.get('/api/courses/popular/:minEnrollments', async (req, res) => {
+// (teachers: among the courses they teach)
+app.get('/api/courses/popular/:minEnrollments', authorize(schoolAnalyticsPolicy), validate(schemas.popularCourses), async (req, res) => {
   try {
-    // Extract minimum enrollments threshold from URL
+    // Extract minimum enrollments threshold from URL and the optional term filter
     const { minEnrollments } = req.params;
+    const { term } = req.query;
     
     logger.info(`Fetching courses with at least ${minEnrollments} enrollments`);
     
     // GROUP BY with HAVING clause to filter aggregated results
+    const scope = courseScope(req.user, 'c');
     const query = `
       SELECT 
         c.course_id,
         c.course_name,
         c.credits,
         COUNT(e.enrollment_id) as enrollment_count,
-        AVG(CASE 
-          WHEN e.grade = 'A' THEN 4.0
-          WHEN e.grade = 'B' THEN 3.0
-          WHEN e.grade = 'C' THEN 2.0
-          WHEN e.grade = 'D' THEN 1.0
-          ELSE 0.0
-        END) as average_gpa
+        -- Average grade points (in-progress enrollments are ignored)
+        ${grading.gpaSql()} as average_gpa
       FROM courses c
-      INNER JOIN enrollments e ON c.course_id = e.course_id
+      INNER JOIN enrollments e ON c.course_id = e.course_id AND e.status = 'enrolled' ${termCondition(term)}
+      WHERE 1=1 ${scope.sql}
       GROUP BY c.course_id, c.course_name, c.credits
       HAVING COUNT(e.enrollment_id) >= ?
       ORDER BY enrollment_count DESC, average_gpa DESC
     `;
     
-    const [rows] = await pool.query(query, [parseInt(minEnrollments)]);
+    const [rows] = await getPool().query(query, [...(term ? [term] : []), ...scope.params, minEnrollments]);
     
     logger.info(`Found ${rows.length} popular courses`);
     
@@ -298,16 +342,17 @@ app.get('/api/courses/popular/:minEnrollments', async (req, res) => {
 // ==============================================
 // ENDPOINT 6: Complex JOIN with WHERE and GROUP BY
 // ==============================================
-// Get student performance summary with filtering
-app.get('/api/analytics/student-performance', async (req, res) => {
+// Get student performance summary with filtering (teachers: the grades given
+// in their courses)
+app.get('/api/analytics/student-performance', authorize(schoolAnalyticsPolicy), validate(schemas.studentPerformance), async (req, res, next) => {
   try {
-    // Extract query parameters with defaults
-    const minGPA = parseFloat(req.query.minGPA) || 0;
-    const grade = req.query.grade;
+    // Extract query parameters (validated and defaulted by the schema)
+    const { minGPA, grade, term } = req.query;
     
-    logger.info(`Fetching student performance data (minGPA: ${minGPA}, grade: ${grade || 'all'})`);
+    logger.info(`Fetching student performance data (minGPA: ${minGPA}, grade: ${grade || 'all'}, term: ${term || 'all'})`);
     
     // Complex query with multiple JOINs, WHERE, and GROUP BY
+    const scope = courseScope(req.user);
     const query = `
       SELECT 
         s.student_id,
@@ -316,52 +361,55 @@ app.get('/api/analytics/student-performance', async (req, res) => {
         s.grade as student_grade,
         COUNT(e.enrollment_id) as courses_taken,
         SUM(c.credits) as total_credits,
-        AVG(CASE 
-          WHEN e.grade = 'A' THEN 4.0
-          WHEN e.grade = 'B' THEN 3.0
-          WHEN e.grade = 'C' THEN 2.0
-          WHEN e.grade = 'D' THEN 1.0
-          WHEN e.grade = 'F' THEN 0.0
-        END) as gpa,
+        ${grading.gpaSql()} as gpa,
         GROUP_CONCAT(
           CONCAT(c.course_name, ' (', e.grade, ')')
           ORDER BY e.enrollment_date DESC
           SEPARATOR ' | '
         ) as course_history
       FROM students s
-      INNER JOIN enrollments e ON s.student_id = e.student_id
+      INNER JOIN enrollments e ON s.student_id = e.student_id AND e.status = 'enrolled'
       INNER JOIN courses c ON e.course_id = c.course_id
       WHERE 1=1
         ${grade ? 'AND s.grade = ?' : ''}
+        ${termCondition(term)}
+        ${scope.sql}
       GROUP BY s.student_id, s.first_name, s.last_name, s.grade
-      HAVING AVG(CASE 
-        WHEN e.grade = 'A' THEN 4.0
-        WHEN e.grade = 'B' THEN 3.0
-        WHEN e.grade = 'C' THEN 2.0
-        WHEN e.grade = 'D' THEN 1.0
-        WHEN e.grade = 'F' THEN 0.0
-      END) >= ?
-      ORDER BY gpa DESC, total_credits DESC
+      HAVING ${grading.gpaSql()} >= ?
     `;
     
-    // Build parameters array based on whether grade filter is applied
-    const params = grade ? [grade, minGPA] : [minGPA];
+    // Build parameters array based on which filters are applied
+    const params = [];
+    if (grade) {
+      params.push(grade);
+    }
+    if (term) {
+      params.push(term);
+    }
+    params.push(...scope.params, minGPA);
     
-    const [rows] = await pool.query(query, params);
+    // Execute one page of the query (default order: gpa DESC, total_credits DESC)
+    const page = await paginate(req, res, schemas.studentPerformance.listing, query, params);
     
-    logger.info(`Found ${rows.length} students meeting performance criteria`);
+    logger.info(`Found ${page.total} students meeting performance criteria, returning ${page.data.length}`);
     
     res.json({
       success: true,
       filters: {
         minGPA,
-        grade: grade || 'all'
+        grade: grade || 'all',
+        term: term || 'all'
       },
-      count: rows.length,
-      data: rows
+      count: page.data.length,
+      total: page.total,
+      links: page.links,
+      data: page.data
     });
     
   } catch (error) {
+    if (error instanceof ApiError) {
+      return next(error);
+    }
     logger.error('Error fetching student performance:', error);
     res.status(500).json({
       success: false,
@@ -374,17 +422,10 @@ app.get('/api/analytics/student-performance', async (req, res) => {
 // ENDPOINT 7: Subquery with WHERE IN
 // ==============================================
 // Get students enrolled in specific courses
-app.get('/api/students/in-courses', async (req, res) => {
+app.get('/api/students/in-courses', authorize(courseRosterPolicy), validate(schemas.studentsInCourses), async (req, res) => {
   try {
-    // Extract course IDs from query parameter (comma-separated)
-    const courseIds = req.query.courseIds?.split(',') || [];
-    
-    if (courseIds.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Please provide courseIds as comma-separated values'
-      });
-    }
+    // Course IDs parsed from the comma-separated query parameter, optional term filter
+    const { courseIds, term } = req.query;
     
     logger.info(`Fetching students in courses: ${courseIds.join(', ')}`);
     
@@ -401,17 +442,23 @@ app.get('/api/students/in-courses', async (req, res) => {
           FROM enrollments e2
           WHERE e2.student_id = s.student_id
             AND e2.course_id IN (?)
+            AND e2.status = 'enrolled'
+            ${termCondition(term, 'e2')}
         ) as matching_course_count
       FROM students s
       WHERE s.student_id IN (
         SELECT DISTINCT student_id
         FROM enrollments
         WHERE course_id IN (?)
+          AND status = 'enrolled'
+          ${termCondition(term, 'enrollments')}
       )
       ORDER BY matching_course_count DESC, s.last_name
     `;
     
-    const [rows] = await pool.query(query, [courseIds, courseIds]);
+    // Each subquery takes the course list (and the term)
+    const subqueryParams = term ? [courseIds, term] : [courseIds];
+    const [rows] = await getPool().query(query, [...subqueryParams, ...subqueryParams]);
     
     logger.info(`Found ${rows.length} students enrolled in specified courses`);
     
@@ -435,11 +482,12 @@ app.get('/api/students/in-courses', async (req, res) => {
 // ENDPOINT 8: Advanced - Multiple JOINs with CASE statements
 // ==============================================
 // Get comprehensive course analytics
-app.get('/api/analytics/course-details/:courseId', async (req, res) => {
+app.get('/api/analytics/course-details/:courseId', authorize(courseAnalyticsPolicy), validate(schemas.courseDetails), cached(['courses', 'enrollments', 'students']), async (req, res) => {
   try {
     const { courseId } = req.params;
+    const { term } = req.query;
     
-    logger.info(`Fetching comprehensive analytics for course: ${courseId}`);
+    logger.info(`Fetching comprehensive analytics for course: ${courseId} (term: ${term || 'all'})`);
     
     // Advanced query with multiple JOINs, CASE statements, and aggregations
     const query = `
@@ -451,22 +499,16 @@ app.get('/api/analytics/course-details/:courseId', async (req, res) => {
         COUNT(DISTINCT e.student_id) as total_students,
         COUNT(DISTINCT s.grade) as grade_levels_represented,
         -- Grade distribution
-        SUM(CASE WHEN e.grade = 'A' THEN 1 ELSE 0 END) as count_A,
-        SUM(CASE WHEN e.grade = 'B' THEN 1 ELSE 0 END) as count_B,
-        SUM(CASE WHEN e.grade = 'C' THEN 1 ELSE 0 END) as count_C,
-        SUM(CASE WHEN e.grade = 'D' THEN 1 ELSE 0 END) as count_D,
-        SUM(CASE WHEN e.grade = 'F' THEN 1 ELSE 0 END) as count_F,
+        ${grading.familyCountSql('A')} as count_A,
+        ${grading.familyCountSql('B')} as count_B,
+        ${grading.familyCountSql('C')} as count_C,
+        ${grading.familyCountSql('D')} as count_D,
+        ${grading.familyCountSql('F')} as count_F,
         -- Calculate percentages
-        ROUND(SUM(CASE WHEN e.grade = 'A' THEN 1 ELSE 0 END) * 100.0 / COUNT(*), 2) as percent_A,
-        ROUND(SUM(CASE WHEN e.grade = 'B' THEN 1 ELSE 0 END) * 100.0 / COUNT(*), 2) as percent_B,
+        ROUND(${grading.familyCountSql('A')} * 100.0 / COUNT(*), 2) as percent_A,
+        ROUND(${grading.familyCountSql('B')} * 100.0 / COUNT(*), 2) as percent_B,
         -- Average GPA
-        ROUND(AVG(CASE 
-          WHEN e.grade = 'A' THEN 4.0
-          WHEN e.grade = 'B' THEN 3.0
-          WHEN e.grade = 'C' THEN 2.0
-          WHEN e.grade = 'D' THEN 1.0
-          WHEN e.grade = 'F' THEN 0.0
-        END), 2) as average_gpa,
+        ROUND(${grading.gpaSql()}, 2) as average_gpa,
         -- Latest enrollment date
         MAX(e.enrollment_date) as latest_enrollment,
         -- Top performing student
@@ -475,17 +517,20 @@ app.get('/api/analytics/course-details/:courseId', async (req, res) => {
           FROM students s2
           INNER JOIN enrollments e2 ON s2.student_id = e2.student_id
           WHERE e2.course_id = c.course_id
-            AND e2.grade = 'A'
+            AND LEFT(e2.grade, 1) = 'A'
+            AND e2.status = 'enrolled'
+            ${termCondition(term, 'e2')}
           LIMIT 1
         ) as top_student_example
       FROM courses c
-      LEFT JOIN enrollments e ON c.course_id = e.course_id
+      LEFT JOIN enrollments e ON c.course_id = e.course_id AND e.status = 'enrolled' ${termCondition(term)}
       LEFT JOIN students s ON e.student_id = s.student_id
       WHERE c.course_id = ?
       GROUP BY c.course_id, c.course_name, c.credits, c.department
     `;
     
-    const [rows] = await pool.query(query, [courseId]);
+    // The term is bound twice (subquery in the select list, then the join)
+    const [rows] = await getPool().query(query, term ? [term, term, courseId] : [courseId]);
     
     if (rows.length === 0) {
       logger.warn(`Course not found: ${courseId}`);
@@ -514,16 +559,17 @@ app.get('/api/analytics/course-details/:courseId', async (req, res) => {
 // ==============================================
 // ENDPOINT 9: Complex aggregation with HAVING and multiple conditions
 // ==============================================
-// Find high-performing students in multiple courses
-app.get('/api/analytics/top-performers', async (req, res) => {
+// Find high-performing students in multiple courses (teachers: the grades
+// given in their courses)
+app.get('/api/analytics/top-performers', authorize(schoolAnalyticsPolicy), validate(schemas.topPerformers), cached(['students', 'courses', 'enrollments'], adminsOnly), async (req, res, next) => {
   try {
-    // Extract parameters with validation
-    const minCourses = parseInt(req.query.minCourses) || 3;
-    const minGPA = parseFloat(req.query.minGPA) || 3.5;
+    // Extract parameters (validated and defaulted by the schema, so minGPA=0 is honoured)
+    const { minCourses, minGPA, term } = req.query;
     
-    logger.info(`Fetching top performers (minCourses: ${minCourses}, minGPA: ${minGPA})`);
+    logger.info(`Fetching top performers (minCourses: ${minCourses}, minGPA: ${minGPA}, term: ${term || 'all'})`);
     
     // Complex query with multiple GROUP BY, HAVING clauses
+    const scope = courseScope(req.user);
     const query = `
       SELECT 
         s.student_id,
@@ -534,82 +580,49 @@ app.get('/api/analytics/top-performers', async (req, res) => {
         COUNT(DISTINCT e.course_id) as courses_completed,
         SUM(c.credits) as total_credits_earned,
         -- Calculate weighted GPA
-        ROUND(
-          SUM(
-            CASE 
-              WHEN e.grade = 'A' THEN 4.0 * c.credits
-              WHEN e.grade = 'B' THEN 3.0 * c.credits
-              WHEN e.grade = 'C' THEN 2.0 * c.credits
-              WHEN e.grade = 'D' THEN 1.0 * c.credits
-              WHEN e.grade = 'F' THEN 0.0 * c.credits
-            END
-          ) / SUM(c.credits),
-          2
-        ) as weighted_gpa,
+        ROUND(${grading.weightedGpaSql()}, 2) as weighted_gpa,
         -- Count of A grades
-        SUM(CASE WHEN e.grade = 'A' THEN 1 ELSE 0 END) as a_count,
+        ${grading.familyCountSql('A')} as a_count,
         -- Performance rating
         CASE 
-          WHEN AVG(CASE 
-            WHEN e.grade = 'A' THEN 4.0
-            WHEN e.grade = 'B' THEN 3.0
-            WHEN e.grade = 'C' THEN 2.0
-            WHEN e.grade = 'D' THEN 1.0
-            WHEN e.grade = 'F' THEN 0.0
-          END) >= 3.8 THEN 'Outstanding'
-          WHEN AVG(CASE 
-            WHEN e.grade = 'A' THEN 4.0
-            WHEN e.grade = 'B' THEN 3.0
-            WHEN e.grade = 'C' THEN 2.0
-            WHEN e.grade = 'D' THEN 1.0
-            WHEN e.grade = 'F' THEN 0.0
-          END) >= 3.5 THEN 'Excellent'
-          WHEN AVG(CASE 
-            WHEN e.grade = 'A' THEN 4.0
-            WHEN e.grade = 'B' THEN 3.0
-            WHEN e.grade = 'C' THEN 2.0
-            WHEN e.grade = 'D' THEN 1.0
-            WHEN e.grade = 'F' THEN 0.0
-          END) >= 3.0 THEN 'Good'
+          WHEN ${grading.gpaSql()} >= 3.8 THEN 'Outstanding'
+          WHEN ${grading.gpaSql()} >= 3.5 THEN 'Excellent'
+          WHEN ${grading.gpaSql()} >= 3.0 THEN 'Good'
           ELSE 'Satisfactory'
         END as performance_rating
       FROM students s
-      INNER JOIN enrollments e ON s.student_id = e.student_id
+      INNER JOIN enrollments e ON s.student_id = e.student_id AND e.status = 'enrolled' ${termCondition(term)}
       INNER JOIN courses c ON e.course_id = c.course_id
+      WHERE 1=1 ${scope.sql}
       GROUP BY s.student_id, s.first_name, s.last_name, s.email, s.grade
       HAVING 
         COUNT(DISTINCT e.course_id) >= ?
-        AND ROUND(
-          SUM(
-            CASE 
-              WHEN e.grade = 'A' THEN 4.0 * c.credits
-              WHEN e.grade = 'B' THEN 3.0 * c.credits
-              WHEN e.grade = 'C' THEN 2.0 * c.credits
-              WHEN e.grade = 'D' THEN 1.0 * c.credits
-              WHEN e.grade = 'F' THEN 0.0 * c.credits
-            END
-          ) / SUM(c.credits),
-          2
-        ) >= ?
-      ORDER BY weighted_gpa DESC, courses_completed DESC
-      LIMIT 20
+        AND ROUND(${grading.weightedGpaSql()}, 2) >= ?
     `;
     
-    const [rows] = await pool.query(query, [minCourses, minGPA]);
+    // Execute one page of the query (default order: weighted_gpa DESC, courses_completed DESC; 20 per page)
+    const params = [...(term ? [term] : []), ...scope.params, minCourses, minGPA];
+    const page = await paginate(req, res, schemas.topPerformers.listing, query, params);
     
-    logger.info(`Found ${rows.length} top-performing students`);
+    logger.info(`Found ${page.total} top-performing students, returning ${page.data.length}`);
     
     res.json({
       success: true,
       criteria: {
         minCourses,
-        minGPA
+        minGPA,
+        term: term || 'all'
       },
-      count: rows.length,
-      data: rows
+      count: page.data.length,
+      total: page.total,
+      links: page.links,
+      data: page.data
     });
     
   } catch (error) {
+    if (error instanceof ApiError) {
+      return next(error);
+    }
     logger.error('Error fetching top performers:', error);
     res.status(500).json({
       success: false,
@@ -621,12 +634,16 @@ app.get('/api/analytics/top-performers', async (req, res) => {
 // ==============================================
 // ENDPOINT 10: Department analytics with nested aggregations
 // ==============================================
-// Get comprehensive department statistics
-app.get('/api/analytics/departments', async (req, res) => {
+// Get comprehensive department statistics (teachers: over the courses they teach)
+app.get('/api/analytics/departments', authorize(schoolAnalyticsPolicy), validate(schemas.departments), cached(['courses', 'enrollments'], adminsOnly), async (req, res) => {
   try {
-    logger.info('Fetching department analytics');
+    // Optional term filter (applied in the join so every course still counts)
+    const { term } = req.query;
+    
+    logger.info(`Fetching department analytics (term: ${term || 'all'})`);
     
-    // Advanced query with subqueries and window functions simulation
+    // Advanced query with subqueries (real window functions: /api/analytics/trends)
+    const scope = courseScope(req.user, 'c');
     const query = `
       SELECT 
         c.department,
@@ -638,32 +655,27 @@ app.get('/api/analytics/departments', async (req, res) => {
         COUNT(e.enrollment_id) as total_enrollments,
         ROUND(COUNT(e.enrollment_id) * 1.0 / COUNT(DISTINCT c.course_id), 2) as avg_enrollments_per_course,
         -- Performance metrics
-        ROUND(AVG(CASE 
-          WHEN e.grade = 'A' THEN 4.0
-          WHEN e.grade = 'B' THEN 3.0
-          WHEN e.grade = 'C' THEN 2.0
-          WHEN e.grade = 'D' THEN 1.0
-          WHEN e.grade = 'F' THEN 0.0
-        END), 2) as department_avg_gpa,
+        ROUND(${grading.gpaSql()}, 2) as department_avg_gpa,
         -- Grade distribution
         CONCAT(
-          'A:', SUM(CASE WHEN e.grade = 'A' THEN 1 ELSE 0 END), ' ',
-          'B:', SUM(CASE WHEN e.grade = 'B' THEN 1 ELSE 0 END), ' ',
-          'C:', SUM(CASE WHEN e.grade = 'C' THEN 1 ELSE 0 END)
+          'A:', ${grading.familyCountSql('A')}, ' ',
+          'B:', ${grading.familyCountSql('B')}, ' ',
+          'C:', ${grading.familyCountSql('C')}
         ) as grade_distribution,
-        -- Success rate (C or better)
+        -- Success rate (at or above the scale's success minimum, graded enrollments only)
         ROUND(
-          SUM(CASE WHEN e.grade IN ('A', 'B', 'C') THEN 1 ELSE 0 END) * 100.0 / COUNT(e.enrollment_id),
+          ${grading.successCountSql()} * 100.0 / ${grading.gradedCountSql()},
           2
         ) as success_rate_percent
       FROM courses c
-      LEFT JOIN enrollments e ON c.course_id = e.course_id
+      LEFT JOIN enrollments e ON c.course_id = e.course_id AND e.status = 'enrolled' ${termCondition(term)}
+      WHERE 1=1 ${scope.sql}
       GROUP BY c.department
       HAVING COUNT(e.enrollment_id) > 0
       ORDER BY total_enrollments DESC, department_avg_gpa DESC
     `;
     
-    const [rows] = await pool.query(query);
+    const [rows] = await getPool().query(query, [...(term ? [term] : []), ...scope.params]);
     
     logger.info(`Fetched analytics for ${rows.length} departments`);
     
@@ -682,13 +694,253 @@ app.get('/api/analytics/departments', async (req, res) => {
   }
 });
 
+// ==============================================
+// ENDPOINT 11: Attendance rates of a course and its students
+// ==============================================
+// Counterpart of course-details for attendance: the course's totals and
+// each student's rate, lowest first, flagged when chronically absent
+app.get('/api/analytics/course-attendance/:courseId', authorize(courseAnalyticsPolicy), validate(schemas.courseAttendance), cached(['courses', 'enrollments', 'students', 'attendance']), async (req, res, next) => {
+  try {
+    const { courseId } = req.params;
+    const { term, from, to } = req.query;
+
+    logger.info(`Fetching attendance analytics for course: ${courseId} (term: ${term || 'all'})`);
+
+    const [courses] = await getPool().query('SELECT course_id, course_name, department FROM courses WHERE course_id = ?', [courseId]);
+    if (courses.length === 0) {
+      throw new ApiError(404, 'Course not found');
+    }
+
+    // Same filters for the totals and the per-student rows
+    const range = attendance.dateRange({ from, to });
+    const filters = `
+      WHERE e.course_id = ?
+        ${termCondition(term)}
+        ${range.sql}
+    `;
+    const params = [courseId, ...(term ? [term] : []), ...range.params];
+
+    const [[totals]] = await getPool().query(
+      `SELECT
+         COUNT(DISTINCT a.attendance_date) as school_days,
+         ${attendance.statusCountsSql()},
+         ${attendance.attendanceRateSql()} as attendance_rate
+       FROM attendance a
+       INNER JOIN enrollments e ON a.enrollment_id = e.enrollment_id
+       ${filters}`,
+      params
+    );
+
+    const [students] = await getPool().query(
+      `SELECT
+         s.student_id,
+         s.first_name,
+         s.last_name,
+         ${attendance.statusCountsSql()},
+         ${attendance.attendanceRateSql()} as attendance_rate
+       FROM attendance a
+       INNER JOIN enrollments e ON a.enrollment_id = e.enrollment_id
+       INNER JOIN students s ON e.student_id = s.student_id
+       ${filters}
+       GROUP BY s.student_id, s.first_name, s.last_name
+       ORDER BY attendance_rate, s.last_name, s.first_name`,
+      params
+    );
+
+    const rows = students.map((student) => ({ ...student, chronically_absent: attendance.isChronicallyAbsent(student) }));
+
+    res.json({
+      success: true,
+      criteria: {
+        threshold: attendance.CHRONIC_ABSENCE_THRESHOLD,
+        minDays: attendance.CHRONIC_ABSENCE_MIN_DAYS
+      },
+      data: {
+        ...courses[0],
+        ...totals,
+        chronically_absent: rows.filter((row) => row.chronically_absent).length,
+        students: rows
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return next(error);
+    }
+    logger.error('Error fetching course attendance:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch course attendance'
+    });
+  }
+});
+
+// ==============================================
+// ENDPOINT 12: Chronic absence report
+// ==============================================
+// Students attending less than ?threshold= percent of their recorded days
+// (default CHRONIC_ABSENCE_THRESHOLD) over at least ?minDays= days.
+// Teachers see the attendance in their own courses. Not cached, as the
+// response depends on the user.
+app.get('/api/analytics/chronic-absence', authorize({ teacher: true }), validate(schemas.chronicAbsence), async (req, res, next) => {
+  try {
+    const { threshold, minDays, term, from, to, course_id: courseId, grade } = req.query;
+
+    logger.info(`Fetching chronically absent students (threshold: ${threshold}%, minDays: ${minDays}, term: ${term || 'all'})`);
+
+    const range = attendance.dateRange({ from, to });
+    const scope = courseScope(req.user);
+    const query = `
+      SELECT
+        s.student_id,
+        s.first_name,
+        s.last_name,
+        s.grade,
+        ${attendance.statusCountsSql()},
+        ${attendance.attendanceRateSql()} as attendance_rate
+      FROM students s
+      INNER JOIN enrollments e ON s.student_id = e.student_id ${termCondition(term)}
+      INNER JOIN attendance a ON e.enrollment_id = a.enrollment_id
+      WHERE 1=1
+        ${range.sql}
+        ${courseId ? 'AND e.course_id = ?' : ''}
+        ${grade ? 'AND s.grade = ?' : ''}
+        ${scope.sql}
+      GROUP BY s.student_id, s.first_name, s.last_name, s.grade
+      HAVING
+        COUNT(a.attendance_id) >= ?
+        AND ${attendance.attendanceRateSql()} < ?
+    `;
+    const params = [
+      ...(term ? [term] : []),
+      ...range.params,
+      ...(courseId ? [courseId] : []),
+      ...(grade ? [grade] : []),
+      ...scope.params,
+      minDays,
+      threshold
+    ];
+
+    // Execute one page of the query (default order: attendance_rate, last_name)
+    const page = await paginate(req, res, schemas.chronicAbsence.listing, query, params);
+
+    logger.info(`Found ${page.total} chronically absent students, returning ${page.data.length}`);
+
+    res.json({
+      success: true,
+      criteria: {
+        threshold,
+        minDays,
+        term: term || 'all'
+      },
+      count: page.data.length,
+      total: page.total,
+      links: page.links,
+      data: page.data
+    });
+
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return next(error);
+    }
+    logger.error('Error fetching chronic absence report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch chronic absence report'
+    });
+  }
+});
+
+// ==============================================
+// ENDPOINT 13: At-risk students (early warning)
+// ==============================================
+// The other end of top-performers: students triggering any of the rules of
+// src/risk.js (?rules= picks them), each with the reasons and a severity
+// score, highest first. Teachers see the students in their courses. Not
+// cached, as the response depends on the user.
+app.get('/api/analytics/at-risk', authorize({ teacher: true }), validate(schemas.atRisk), async (req, res, next) => {
+  try {
+    const { minGPA, lowGrades, gpaDrop, creditsPerYear, severity, grade, department } = req.query;
+    const rules = req.query.rules || risk.RULE_NAMES;
+
+    logger.info(`Fetching at-risk students (rules: ${rules.join(', ')}, grade: ${grade || 'all'}, department: ${department || 'all'})`);
+
+    const flagged = await risk.findAtRiskStudents({ ...req.query, rules }, studentScope(req.user));
+    const rows = severity ? flagged.filter((student) => severity.includes(student.severity)) : flagged;
+
+    logger.info(`Found ${rows.length} at-risk students`);
+
+    res.json({
+      success: true,
+      criteria: {
+        rules,
+        minGPA,
+        lowGrades,
+        gpaDrop,
+        creditsPerYear,
+        grade: grade || 'all',
+        department: department || 'all'
+      },
+      count: rows.length,
+      data: rows
+    });
+
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return next(error);
+    }
+    logger.error('Error fetching at-risk students:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch at-risk students'
+    });
+  }
+});
+
+// ==============================================
+// Grading scale used by every GPA calculation
+// ==============================================
+app.get('/api/grading-scale', (req, res) => {
+  res.json({
+    success: true,
+    data: grading.describeScale()
+  });
+});
+
+// ==============================================
+// CRUD, authentication, user administration, GraphQL and docs routes
+// ==============================================
+// Mount paths are kept in app.locals for the OpenAPI generator (src/openapi.js)
+app.locals.routers = [
+  ['/api/auth', authRouter],
+  ['/api/users', usersRouter],
+  ['/api/students', studentsRouter],
+  ['/api/courses', coursesRouter],
+  ['/api/enrollments', enrollmentsRouter],
+  ['/api/terms', termsRouter],
+  ['/api/sections', sectionsRouter],
+  ['/api/search', searchRouter],
+  ['/api/audit', auditRouter],
+  ['/api/district', districtRouter],
+  ['/api/analytics/trends', trendsRouter],
+  ['/api/webhooks', webhooksRouter],
+  ['/api/stream', streamRouter],
+  ['/api/query', queryRouter],
+  ['/api', bulkRouter],
+  ['/graphql', graphqlRouter],
+  ['', docsRouter]
+];
+for (const [path, router] of app.locals.routers) {
+  app.use(path || '/', router);
+}
+
 // ==============================================
 // Health check endpoint
 // ==============================================
 app.get('/health', async (req, res) => {
   try {
-    // Test database connection
-    await pool.query('SELECT 1');
+    // Test the database connection of every school
+    await Promise.all(listTenants().map((tenant) => getPool(tenant.id).query('SELECT 1')));
     res.json({
       status: 'healthy',
       database: 'connected',
@@ -704,6 +956,50 @@ app.get('/health', async (req, res) => {
   }
 });
 
+// ==============================================
+// Liveness: the process is up and serving HTTP (no dependency checks,
+// so a database outage does not get the container restarted)
+// ==============================================
+app.get('/health/live', (req, res) => {
+  res.json({
+    status: 'alive',
+    uptime: Math.round(process.uptime()),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Set on SIGTERM/SIGINT: readiness fails so load balancers stop routing here
+let shuttingDown = false;
+
+// ==============================================
+// Readiness: every school's database reachable, migrated, pool not saturated
+// ==============================================
+app.get('/health/ready', async (req, res) => {
+  const { ready, retryAfter, checks } = await checkReadiness();
+  if (shuttingDown) {
+    checks.shutdown = 'draining';
+  }
+  if (!ready || shuttingDown) {
+    res.status(503).set('Retry-After', String(retryAfter));
+  }
+  res.json({
+    status: ready && !shuttingDown ? 'ready' : 'not ready',
+    checks,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// ==============================================
+// Prometheus metrics
+// ==============================================
+app.get('/metrics', async (req, res, next) => {
+  try {
+    res.type(registry.contentType).send(await registry.metrics());
+  } catch (error) {
+    next(error);
+  }
+});
+
 // ==============================================
 // Root endpoint with API documentation
 // ==============================================
@@ -712,7 +1008,8 @@ app.get('/', (req, res) => {
     message: 'MySQL Express API - SQL Query Examples',
     version: '1.0.0',
     endpoints: {
-      health: 'GET /health',
+      health: 'GET /health, GET /health/live, GET /health/ready',
+      metrics: 'GET /metrics',
       simple_where: 'GET /api/students/grade/:grade',
       inner_join: 'GET /api/students/:studentId/enrollments',
       left_join: 'GET /api/students/all-with-enrollments',
@@ -722,30 +1019,101 @@ app.get('/', (req, res) => {
       subquery: 'GET /api/students/in-courses?courseIds=1,2,3',
       advanced_case: 'GET /api/analytics/course-details/:courseId',
       complex_aggregation: 'GET /api/analytics/top-performers?minCourses=3&minGPA=3.5',
-      department_analytics: 'GET /api/analytics/departments'
+      department_analytics: 'GET /api/analytics/departments',
+      grading_scale: 'GET /api/grading-scale',
+      login: 'POST /api/auth/login',
+      refresh_token: 'POST /api/auth/refresh',
+      current_user: 'GET /api/auth/me',
+      user_admin: 'POST /api/users, GET|DELETE /api/users/:id, PUT /api/users/:id/courses',
+      transcript: 'GET /api/students/:id/transcript?format=json|csv|pdf',
+      bulk_import: 'POST /api/import/{students|courses|enrollments}?dryRun=true',
+      bulk_export: 'GET /api/export/{students|courses|enrollments}?format=csv|ndjson',
+      student_crud: 'GET|PUT|PATCH|DELETE /api/students/:id, POST /api/students',
+      course_crud: 'GET|PUT|PATCH|DELETE /api/courses/:id, POST /api/courses',
+      enrollment_crud: 'GET|PUT|PATCH|DELETE /api/enrollments/:id, POST /api/enrollments',
+      enrollment_workflow: 'POST /api/enrollments/:id/drop, POST /api/enrollments/:id/withdraw, GET /api/sections/:id/waitlist',
+      prerequisites: 'GET|POST /api/courses/:id/prerequisites, DELETE /api/courses/:id/prerequisites/:prerequisiteId',
+      search: 'GET /api/search?q=algebra&type=course&department=Mathematics',
+      audit_log: 'GET /api/audit?entity=enrollment&id=1, GET /api/enrollments/:id/history',
+      district_analytics: 'GET /api/district/analytics',
+      attendance: 'GET|POST /api/courses/:id/attendance, GET /api/students/:id/attendance',
+      at_risk: 'GET /api/analytics/at-risk?rules=low_gpa,declining_gpa&grade=10',
+      attendance_analytics: 'GET /api/analytics/course-attendance/:courseId, GET /api/analytics/chronic-absence?threshold=90',
+      webhooks: 'GET|POST /api/webhooks, GET|PATCH|DELETE /api/webhooks/:id, GET /api/webhooks/deliveries?status=dead, POST /api/webhooks/deliveries/:id/retry',
+      live_analytics: 'GET /api/stream/analytics?topics=departments,students-per-grade,course:1,grade:10 (Server-Sent Events)',
+      query_console: 'POST /api/query {"sql": "SELECT ..."} or {"name": "students-per-grade"}, GET|POST /api/query/saved, GET|PATCH|DELETE /api/query/saved/:id',
+      window_functions: 'GET /api/analytics/trends/{departments|cohorts|grade-inflation}?interval=month|term|year, GET /api/analytics/trends/gpa-ranks?grade=10',
+      graphql: 'POST /graphql (or GET /graphql?query=)',
+      openapi: 'GET /openapi.json',
+      docs: 'GET /docs',
+      term_crud: 'GET /api/terms, GET|PUT|PATCH|DELETE /api/terms/:id, POST /api/terms',
+      section_crud: 'GET /api/sections?term=&course_id=, GET|PUT|PATCH|DELETE /api/sections/:id, POST /api/sections',
+      term_filter: 'Add ?term=<term_id> to the enrollment and analytics endpoints above',
+      tenants: 'Select the school with its subdomain or the X-Tenant-Id header (tokens are per school)'
     }
   });
 });
 
+// ==============================================
+// Error handler (must be registered after all routes)
+// ==============================================
+app.use(errorHandler);
+
 // ==============================================
 // Start server
 // ==============================================
 const PORT = process.env.PORT || 3000;
 
-// Initialize database and start server
-initializeDatabase().then(() => {
-  app.listen(PORT, '0.0.0.0', () => {
-    logger.info(`🚀 Server is running on port ${PORT}`);
-    logger.info(`📚 API Documentation available at http://localhost:${PORT}/`);
-  });
+// Seconds in-flight requests get to finish on shutdown
+const SHUTDOWN_TIMEOUT = Number(process.env.SHUTDOWN_TIMEOUT) || 10;
+
+// Serve right away (liveness, readiness, docs); API requests get 503 until
+// the database is ready, and initializeDatabase keeps retrying with backoff
+const server = app.listen(PORT, '0.0.0.0', () => {
+  logger.info(`🚀 Server is running on port ${PORT}`);
+  logger.info(`📚 API Documentation available at http://localhost:${PORT}/`);
 });
+initializeDatabase();
 
-// Handle graceful shutdown
-process.on('SIGTERM', async () => {
-  logger.info('SIGTERM signal received: closing HTTP server');
-  if (pool) {
-    await pool.end();
-    logger.info('Database pool closed');
+// Deliver webhook events from the outbox (src/webhooks.js)
+startWebhooks();
+
+// Handle graceful shutdown: stop accepting connections, let in-flight
+// requests finish, then close the pool and flush traces
+const shutdown = async (signal) => {
+  if (shuttingDown) {
+    return;
   }
+  shuttingDown = true;
+  logger.info(`${signal} signal received: draining HTTP connections`);
+
+  // Event streams never finish by themselves; their clients reconnect
+  // (with Last-Event-ID) to another instance
+  closeStreams();
+
+  // Give up on requests still running after the timeout
+  setTimeout(() => {
+    logger.error(`Requests still running after ${SHUTDOWN_TIMEOUT}s, exiting`);
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT * 1000).unref();
+
+  await new Promise((resolve) => {
+    server.close(resolve);
+    // Idle keep-alive connections would otherwise hold close() open
+    server.closeIdleConnections();
+  });
+  logger.info('HTTP server closed');
+
+  // Let the current webhook run finish before its database goes away
+  await stopWebhooks();
+  await closeDatabase();
+  // Flush pending OpenTelemetry spans
+  await stopTracing();
   process.exit(0);
-});
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// The tests (test/) start the app with PORT=0 and call the bound port
+module.exports = { app, server };
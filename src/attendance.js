@@ -0,0 +1,161 @@
+// Import required modules
+const { getPool, withTransaction } = require('./db');
+const { ApiError } = require('./errors');
+const { recordWrite } = require('./audit');
+
+// ==============================================
+// Attendance
+// ==============================================
+// One attendance row per enrollment and school day (migration 0008),
+// recorded by a daily roll call per course. Present and tardy count as
+// attended; absent and excused do not, so excused days still count towards
+// chronic absence (missing 10% or more of the school days, for any reason).
+// Days without a row were not recorded and are left out of every rate.
+
+const STATUSES = ['present', 'absent', 'tardy', 'excused'];
+const ATTENDED = ['present', 'tardy'];
+
+// Attendance rate (%) below which a student counts as chronically absent
+const CHRONIC_ABSENCE_THRESHOLD = Number(process.env.CHRONIC_ABSENCE_THRESHOLD) || 90;
+
+// Recorded days needed before a student is flagged (one absence in the
+// first week of term is not a pattern yet)
+const CHRONIC_ABSENCE_MIN_DAYS = Number(process.env.CHRONIC_ABSENCE_MIN_DAYS) || 10;
+
+// ==============================================
+// SQL builders
+// ==============================================
+
+// Recorded days and days per status of an attendance alias
+const statusCountsSql = (alias = 'a') => [
+  `COUNT(${alias}.attendance_id) as days_recorded`,
+  ...STATUSES.map((status) => `SUM(CASE WHEN ${alias}.status = '${status}' THEN 1 ELSE 0 END) as ${status}`)
+].join(',\n');
+
+// Share of the recorded days attended, in percent (NULL without records)
+const attendanceRateSql = (alias = 'a') =>
+  `ROUND(SUM(CASE WHEN ${alias}.status IN (${ATTENDED.map((status) => `'${status}'`).join(', ')}) THEN 1 ELSE 0 END)` +
+  ` * 100.0 / COUNT(${alias}.attendance_id), 2)`;
+
+// SQL condition limiting an attendance alias to a date range ('' without from/to).
+// Returns { sql, params } like studentScope().
+const dateRange = ({ from, to }, alias = 'a') => ({
+  sql: `${from ? `AND ${alias}.attendance_date >= ?` : ''} ${to ? `AND ${alias}.attendance_date <= ?` : ''}`,
+  params: [from, to].filter(Boolean)
+});
+
+// Whether a row with days_recorded and attendance_rate (a DECIMAL string)
+// falls below the threshold
+const isChronicallyAbsent = (row, threshold = CHRONIC_ABSENCE_THRESHOLD, minDays = CHRONIC_ABSENCE_MIN_DAYS) =>
+  row.attendance_rate !== null && row.days_recorded >= minDays && Number(row.attendance_rate) < threshold;
+
+// ==============================================
+// Roll call
+// ==============================================
+
+// Students holding a seat in the course on the date (their section's term
+// covers it), optionally in one section, with that day's record if any.
+// db is the pool or a connection inside a transaction.
+const rollSheet = async (db, courseId, date, sectionId) => {
+  const [rows] = await db.query(
+    `SELECT
+       e.enrollment_id,
+       e.section_id,
+       s.student_id,
+       s.first_name,
+       s.last_name,
+       a.attendance_id,
+       a.status,
+       a.note
+     FROM enrollments e
+     INNER JOIN course_sections cs ON e.section_id = cs.section_id
+     INNER JOIN terms t ON cs.term_id = t.term_id
+     INNER JOIN students s ON e.student_id = s.student_id
+     LEFT JOIN attendance a ON a.enrollment_id = e.enrollment_id AND a.attendance_date = ?
+     WHERE e.course_id = ?
+       AND e.status = 'enrolled'
+       AND ? BETWEEN t.start_date AND t.end_date
+       ${sectionId ? 'AND e.section_id = ?' : ''}
+     ORDER BY s.last_name, s.first_name`,
+    sectionId ? [date, courseId, date, sectionId] : [date, courseId, date]
+  );
+  return rows;
+};
+
+// 404 for unknown courses
+const requireCourse = async (db, courseId) => {
+  const [rows] = await db.query('SELECT course_id FROM courses WHERE course_id = ?', [courseId]);
+  if (rows.length === 0) {
+    throw new ApiError(404, 'Course not found');
+  }
+};
+
+// Roll sheet of a course (students without a record have status null)
+const getRollSheet = async (courseId, date, sectionId) => {
+  await requireCourse(getPool(), courseId);
+  return rollSheet(getPool(), courseId, date, sectionId);
+};
+
+// Record a day's roll call for a course in one transaction. Every listed
+// student must hold a seat in the course that day (422 otherwise); students
+// left out stay unrecorded. A student's existing record of the day is
+// updated, and an omitted note keeps the current one. Each created or
+// changed record is audited. Returns the counts and the updated roll sheet.
+const takeRollCall = (courseId, { date, section_id: sectionId, records }, userId) =>
+  withTransaction(async (connection) => {
+    await requireCourse(connection, courseId);
+    const seats = new Map((await rollSheet(connection, courseId, date, sectionId)).map((seat) => [seat.student_id, seat]));
+
+    const problems = [];
+    const listed = new Set();
+    for (const { student_id: studentId } of records) {
+      if (listed.has(studentId)) {
+        problems.push(`student ${studentId} is listed more than once`);
+      } else if (!seats.has(studentId)) {
+        problems.push(`student ${studentId} is not enrolled in this course on ${date}`);
+      }
+      listed.add(studentId);
+    }
+    if (problems.length > 0) {
+      throw new ApiError(422, 'Roll call refused', problems.map((message) => ({ location: 'body', field: 'records', message })));
+    }
+
+    const counts = { created: 0, updated: 0, unchanged: 0 };
+    for (const record of records) {
+      const seat = seats.get(record.student_id);
+      const note = record.note !== undefined ? record.note : seat.note;
+      if (seat.attendance_id === null) {
+        await recordWrite(connection, { entity: 'attendance', action: 'create' }, async (db) => {
+          const [result] = await db.query('INSERT INTO attendance SET ?', [{
+            enrollment_id: seat.enrollment_id,
+            attendance_date: date,
+            status: record.status,
+            note,
+            recorded_by: userId
+          }]);
+          return result.insertId;
+        });
+        counts.created++;
+      } else if (record.status !== seat.status || note !== seat.note) {
+        await recordWrite(connection, { entity: 'attendance', action: 'update', id: seat.attendance_id }, (db) =>
+          db.query('UPDATE attendance SET ? WHERE attendance_id = ?', [{ status: record.status, note, recorded_by: userId }, seat.attendance_id]));
+        counts.updated++;
+      } else {
+        counts.unchanged++;
+      }
+    }
+
+    return { ...counts, sheet: await rollSheet(connection, courseId, date, sectionId) };
+  });
+
+module.exports = {
+  STATUSES,
+  CHRONIC_ABSENCE_THRESHOLD,
+  CHRONIC_ABSENCE_MIN_DAYS,
+  statusCountsSql,
+  attendanceRateSql,
+  dateRange,
+  isChronicallyAbsent,
+  getRollSheet,
+  takeRollCall
+};
@@ -0,0 +1,145 @@
+// Import required modules
+const { Types } = require('mysql2');
+const { withTransaction } = require('./db');
+const { ApiError } = require('./errors');
+const { currentRequest, currentRequestId } = require('./context');
+const { formatDate } = require('./csv');
+const { publishChange } = require('./events');
+
+// ==============================================
+// Audit log
+// ==============================================
+// Every write through the API adds one row to audit_log (migration 0007):
+// the entity and id, create/update/delete, the acting user and request ID
+// (taken from the request context, see src/context.js), an optional reason
+// and the row before and after the change. The table is append-only; the
+// triggers of migration 0007 refuse UPDATE and DELETE.
+//
+// Entries are written on the connection that makes the change, inside its
+// transaction, so a rolled-back write leaves no entry behind. Rows removed
+// by ON DELETE CASCADE are covered by their parent's delete entry. Writes
+// through recordWrite also add their domain events to the outbox on the
+// same connection (see src/events.js).
+
+// Audited entities: table, primary key and the 404 message for unknown ids
+const ENTITIES = {
+  student: { table: 'students', key: 'student_id', notFound: 'Student not found' },
+  course: { table: 'courses', key: 'course_id', notFound: 'Course not found' },
+  enrollment: { table: 'enrollments', key: 'enrollment_id', notFound: 'Enrollment not found' },
+  term: { table: 'terms', key: 'term_id', notFound: 'Term not found' },
+  section: { table: 'course_sections', key: 'section_id', notFound: 'Section not found' },
+  user: { table: 'users', key: 'user_id', notFound: 'User not found' },
+  attendance: { table: 'attendance', key: 'attendance_id', notFound: 'Attendance record not found' },
+  webhook: { table: 'webhook_subscriptions', key: 'subscription_id', notFound: 'Webhook not found' },
+  webhook_delivery: { table: 'webhook_deliveries', key: 'delivery_id', notFound: 'Delivery not found' },
+  saved_query: { table: 'saved_queries', key: 'query_id', notFound: 'Saved query not found' }
+};
+
+// Columns never copied into the log (secrets, and timestamps the entry has itself)
+const OMITTED_COLUMNS = ['password_hash', 'secret', 'updated_at'];
+
+// ==============================================
+// Snapshots
+// ==============================================
+
+// Current row as stored in the log, or null when it does not exist.
+// lock: take a row lock first (before changing the row).
+const snapshot = async (db, entity, id, { lock = false } = {}) => {
+  const { table, key } = ENTITIES[entity];
+  const [rows, fields] = await db.query(`SELECT * FROM ${table} WHERE ${key} = ?${lock ? ' FOR UPDATE' : ''}`, [id]);
+  if (rows.length === 0) {
+    return null;
+  }
+  const values = { ...rows[0] };
+  OMITTED_COLUMNS.forEach((column) => delete values[column]);
+  // DATE columns as YYYY-MM-DD (timestamps stay ISO 8601)
+  for (const field of fields) {
+    if (field.columnType === Types.DATE && values[field.name] instanceof Date) {
+      values[field.name] = formatDate(values[field.name]);
+    }
+  }
+  return values;
+};
+
+// ==============================================
+// Recording
+// ==============================================
+
+// Add an entry for a change made on db (a connection or the pool).
+// Outside a request the actor is recorded as 'system'.
+const recordChange = async (db, { entity, id, action, before = null, after = null, reason = null }) => {
+  const req = currentRequest();
+  const user = req && req.user;
+  await db.query('INSERT INTO audit_log SET ?', [{
+    entity,
+    entity_id: id,
+    action,
+    actor_id: user ? user.id : null,
+    actor_role: user ? user.role : 'system',
+    request_id: currentRequestId() || null,
+    reason,
+    before_values: before && JSON.stringify(before),
+    after_values: after && JSON.stringify(after)
+  }]);
+};
+
+// Change one row on an open connection, record it and publish its events:
+//  - create: write(connection) returns the new row's id
+//  - update/delete: the row is locked and read first (404 when missing);
+//    write(connection, before) may refuse the change by throwing
+// Returns { id, before, after }.
+const recordWrite = async (connection, { entity, action, id, reason }, write) => {
+  let before = null;
+  if (action !== 'create') {
+    before = await snapshot(connection, entity, id, { lock: true });
+    if (!before) {
+      throw new ApiError(404, ENTITIES[entity].notFound);
+    }
+  }
+
+  const result = await write(connection, before);
+  const entityId = action === 'create' ? result : Number(id);
+  const after = action === 'delete' ? null : await snapshot(connection, entity, entityId);
+
+  await recordChange(connection, { entity, id: entityId, action, before, after, reason });
+  await publishChange(connection, { entity, id: entityId, action, before, after, changes: changesOf(before, after) });
+  return { id: entityId, before, after };
+};
+
+// recordWrite in a transaction of its own (single-row CRUD writes)
+const auditedWrite = (change, write) => withTransaction((connection) => recordWrite(connection, change, write));
+
+// ==============================================
+// Reading
+// ==============================================
+
+// Columns that differ between the before and after values:
+// { column: { from, to } } (from is null for creates, to for deletes)
+const changesOf = (before, after) => {
+  const changes = {};
+  const columns = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const column of columns) {
+    const from = before && before[column] !== undefined ? before[column] : null;
+    const to = after && after[column] !== undefined ? after[column] : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[column] = { from, to };
+    }
+  }
+  return changes;
+};
+
+// Log entry as returned by the API, with the changed columns added
+// (when both value columns were selected)
+const withChanges = (entry) => (
+  entry.before_values !== undefined && entry.after_values !== undefined
+    ? { ...entry, changes: changesOf(entry.before_values, entry.after_values) }
+    : entry
+);
+
+module.exports = {
+  ENTITIES,
+  recordChange,
+  recordWrite,
+  auditedWrite,
+  withChanges
+};
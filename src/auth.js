@@ -0,0 +1,188 @@
+// Import required modules
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const logger = require('./logger');
+const { ApiError } = require('./errors');
+const { DEFAULT_TENANT } = require('./tenants');
+
+// ==============================================
+// Authentication: JWT bearer tokens and password hashing
+// ==============================================
+// Access tokens are short-lived and sent as "Authorization: Bearer <token>".
+// Refresh tokens live longer and can only be exchanged at /api/auth/refresh.
+// Both are HS256 JWTs signed with JWT_SECRET, so tests (or scripts) can
+// mint tokens locally:
+//
+//   JWT_SECRET=test-secret node -e "
+//     const { signAccessToken } = require('./src/auth');
+//     console.log(signAccessToken({ user_id: 1, role: 'admin' }, 'default'));"
+//
+// Tokens carry the tenant (school) that issued them in the tid claim and
+// are only accepted by that tenant (see src/tenants.js).
+
+// Roles known to the application
+const ROLES = ['admin', 'teacher', 'student'];
+
+// Token lifetimes (jsonwebtoken accepts "15m", "7d", seconds, ...)
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_TTL || '15m';
+const REFRESH_TOKEN_TTL = process.env.JWT_REFRESH_TTL || '7d';
+
+// Fallback secret for local development only (tokens die with the process)
+let developmentSecret;
+
+// Resolve the signing secret at call time so tests can set JWT_SECRET
+const getSecret = () => {
+  if (process.env.JWT_SECRET) {
+    return process.env.JWT_SECRET;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+  if (!developmentSecret) {
+    developmentSecret = crypto.randomBytes(32).toString('hex');
+    logger.warn('⚠️  JWT_SECRET is not set; using a random development secret');
+  }
+  return developmentSecret;
+};
+
+// ==============================================
+// Password hashing (scrypt, no native dependencies)
+// ==============================================
+// Stored format: scrypt$<N>$<salt hex>$<hash hex>
+
+const scrypt = promisify(crypto.scrypt);
+const SCRYPT_COST = 16384;
+const KEY_LENGTH = 64;
+
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH, { N: SCRYPT_COST });
+  return `scrypt$${SCRYPT_COST}$${salt.toString('hex')}$${hash.toString('hex')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+  const [scheme, cost, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, Buffer.from(salt, 'hex'), expected.length, { N: Number(cost) });
+  // Constant-time comparison to avoid leaking how many bytes matched
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// Well-formed hash no password matches: logins with an unknown email are
+// checked against it, so they take as long as a wrong password
+const DUMMY_PASSWORD_HASH = `scrypt$${SCRYPT_COST}$${'0'.repeat(32)}$${'0'.repeat(KEY_LENGTH * 2)}`;
+
+// ==============================================
+// Token helpers
+// ==============================================
+
+// Claims shared by both token types (user is a users row of tenantId)
+const claimsFor = (user, tenantId) => ({
+  sub: String(user.user_id),
+  tid: tenantId,
+  role: user.role,
+  // Linked students row for the student role
+  sid: user.student_id || null
+});
+
+const signAccessToken = (user, tenantId) =>
+  jwt.sign({ ...claimsFor(user, tenantId), typ: 'access' }, getSecret(), { expiresIn: ACCESS_TOKEN_TTL });
+
+// token_version lets an admin revoke every refresh token of a user
+const signRefreshToken = (user, tenantId) =>
+  jwt.sign({ ...claimsFor(user, tenantId), typ: 'refresh', ver: user.token_version || 0 }, getSecret(), {
+    expiresIn: REFRESH_TOKEN_TTL
+  });
+
+// Verify a token of the expected type, issued by the given tenant, and
+// return its claims (tokens without tid predate tenants: DEFAULT_TENANT)
+const verifyToken = (token, type, tenantId) => {
+  let claims;
+  try {
+    claims = jwt.verify(token, getSecret(), { algorithms: ['HS256'] });
+  } catch (error) {
+    throw new ApiError(401, error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+  }
+  if (claims.typ !== type) {
+    throw new ApiError(401, 'Invalid token');
+  }
+  if ((claims.tid || DEFAULT_TENANT) !== tenantId) {
+    throw new ApiError(401, 'Token was issued by another school');
+  }
+  return claims;
+};
+
+// ==============================================
+// Middleware
+// ==============================================
+
+// Read the bearer token and attach req.user = { id, role, studentId, tenant }
+const authenticate = (req, res, next) => {
+  const header = req.get('authorization') || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return next(new ApiError(401, 'Authentication required'));
+  }
+  try {
+    const claims = verifyToken(token, 'access', req.tenant && req.tenant.id);
+    req.user = {
+      id: Number(claims.sub),
+      role: claims.role,
+      studentId: claims.sid,
+      tenant: req.tenant.id
+    };
+    next();
+  } catch (error) {
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+    next(error);
+  }
+};
+
+// Authenticate, then check the role policy for this route.
+// A policy maps roles to true or to a (req) => boolean | Promise<boolean>
+// check; admins are always allowed, roles not listed are refused.
+//
+//   authorize()                                   admin only
+//   authorize({ teacher: true })                  admin and teachers
+//   authorize({ student: (req) => isSelf(req) })  admin and the student themself
+const authorize = (policy = {}) => {
+  const middleware = (req, res, next) => {
+    authenticate(req, res, async (error) => {
+      if (error) {
+        return next(error);
+      }
+      try {
+        const rule = req.user.role === 'admin' ? true : policy[req.user.role];
+        const allowed = typeof rule === 'function' ? await rule(req) : rule === true;
+        if (!allowed) {
+          logger.warn(`Forbidden: user ${req.user.id} (${req.user.role}) ${req.method} ${req.originalUrl}`);
+          return next(new ApiError(403, 'You do not have access to this resource'));
+        }
+        next();
+      } catch (checkError) {
+        next(checkError);
+      }
+    });
+  };
+  // Read by the OpenAPI generator (src/openapi.js)
+  middleware.policy = policy;
+  return middleware;
+};
+
+module.exports = {
+  ROLES,
+  ACCESS_TOKEN_TTL,
+  DUMMY_PASSWORD_HASH,
+  hashPassword,
+  verifyPassword,
+  signAccessToken,
+  signRefreshToken,
+  verifyToken,
+  authenticate,
+  authorize
+};
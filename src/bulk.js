@@ -0,0 +1,280 @@
+// Import required modules
+const { Transform, pipeline } = require('stream');
+const { getPool } = require('./db');
+const logger = require('./logger');
+const { ApiError, isConnectionError, mapDatabaseError } = require('./errors');
+const { validateLocation } = require('./validation');
+const { parseCsv, formatCsvRow, formatDate } = require('./csv');
+const schemas = require('./schemas');
+const { courseOfSection } = require('./terms');
+const { recordWrite } = require('./audit');
+const { requireGradeReason, checkImportedEnrollment } = require('./enrollments');
+
+// ==============================================
+// Bulk import and export of students, courses and enrollments
+// ==============================================
+
+// Table layout per entity: keyColumns identify the row to update on re-import,
+// prepare(connection, values) fills in derived columns before the upsert and
+// throws for rows the domain rules refuse, auditEntity names the rows in the
+// audit log (src/audit.js)
+const ENTITIES = {
+  students: {
+    table: 'students',
+    auditEntity: 'student',
+    idColumn: 'student_id',
+    keyColumns: ['email'],
+    columns: ['student_id', 'first_name', 'last_name', 'email', 'grade', 'enrollment_date']
+  },
+  courses: {
+    table: 'courses',
+    auditEntity: 'course',
+    idColumn: 'course_id',
+    keyColumns: ['course_id'],
+    columns: ['course_id', 'course_name', 'department', 'credits', 'description']
+  },
+  enrollments: {
+    table: 'enrollments',
+    auditEntity: 'enrollment',
+    idColumn: 'enrollment_id',
+    keyColumns: ['student_id', 'section_id'],
+    columns: ['enrollment_id', 'student_id', 'course_id', 'section_id', 'enrollment_date', 'grade', 'status'],
+    // Capacity, prerequisites and schedule as for POST /api/enrollments
+    prepare: async (connection, values) => {
+      values.course_id = await courseOfSection(connection, values.section_id);
+      await checkImportedEnrollment(connection, values);
+    }
+  }
+};
+
+// ==============================================
+// Upload parsing
+// ==============================================
+// Returns [{ line, record }] or [{ line, errors }] for lines that cannot be read
+
+// CSV: first record is the header; empty cells are "not provided"
+// (or NULL for nullable columns such as enrollments.grade)
+const parseCsvUpload = (text, fields) => {
+  let records;
+  try {
+    records = parseCsv(text.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new ApiError(400, error.message);
+  }
+  if (records.length === 0) {
+    throw new ApiError(400, 'CSV upload is empty');
+  }
+
+  const header = records[0].values.map((name) => name.trim());
+  return records.slice(1).map(({ line, values }) => {
+    const record = {};
+    header.forEach((name, index) => {
+      const value = values[index];
+      if (value === undefined || value === '') {
+        if (fields[name] && fields[name].nullable) {
+          record[name] = null;
+        }
+        return;
+      }
+      record[name] = value;
+    });
+    return { line, record };
+  });
+};
+
+// NDJSON: one JSON object per line
+const parseNdjsonUpload = (text) => text
+  .split(/\r?\n/)
+  .map((content, index) => ({ line: index + 1, content: content.trim() }))
+  .filter(({ content }) => content.length > 0)
+  .map(({ line, content }) => {
+    try {
+      const record = JSON.parse(content);
+      if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return { line, errors: [{ field: null, message: 'line must be a JSON object' }] };
+      }
+      return { line, record };
+    } catch (error) {
+      return { line, errors: [{ field: null, message: 'line is not valid JSON' }] };
+    }
+  });
+
+// Pick the parser from the Content-Type header
+const parseUpload = (req, entity) => {
+  if (typeof req.body !== 'string' || req.body.length === 0) {
+    throw new ApiError(415, 'Upload CSV (text/csv) or NDJSON (application/x-ndjson) as the request body');
+  }
+  if (req.is('text/csv')) {
+    return parseCsvUpload(req.body, schemas.fields[entity]);
+  }
+  return parseNdjsonUpload(req.body);
+};
+
+// ==============================================
+// Import
+// ==============================================
+// Every row runs inside one transaction behind its own savepoint, so a
+// rejected row is rolled back on its own. The transaction is rolled back
+// as a whole for dry runs, and for atomic imports with any rejected row.
+// Every created or updated row is audited with the import's reason; rows
+// that change a posted grade are rejected unless a reason was given.
+const importRows = async (entity, rows, { dryRun, atomic, reason }) => {
+  const { table, idColumn, keyColumns, prepare, auditEntity } = ENTITIES[entity];
+  const fields = schemas.fields[entity];
+  const results = [];
+  const summary = { total: rows.length, created: 0, updated: 0, rejected: 0 };
+
+  // reason: the enrollment workflow's reason code (e.g. SECTION_FULL)
+  const reject = (line, errors, reason) => {
+    summary.rejected += 1;
+    results.push({ line, status: 'rejected', ...(reason && { reason }), errors });
+  };
+
+  const connection = await getPool().getConnection();
+  try {
+    await connection.beginTransaction();
+
+    for (const row of rows) {
+      if (row.errors) {
+        reject(row.line, row.errors);
+        continue;
+      }
+
+      // Same field rules as the CRUD endpoints
+      const { values, errors } = validateLocation(row.record, fields, 'body');
+      if (errors.length > 0) {
+        reject(row.line, errors.map(({ field, message }) => ({ field, message })));
+        continue;
+      }
+
+      await connection.query('SAVEPOINT import_row');
+      try {
+        if (prepare) {
+          await prepare(connection, values);
+        }
+
+        // Upsert: update the row matching the key columns, insert otherwise
+        let existing = [];
+        if (keyColumns.every((column) => values[column] !== undefined)) {
+          [existing] = await connection.query(
+            `SELECT ${idColumn} AS id FROM ${table} WHERE ${keyColumns.map((column) => `${column} = ?`).join(' AND ')} FOR UPDATE`,
+            keyColumns.map((column) => values[column])
+          );
+        }
+
+        if (existing.length > 0) {
+          const change = { entity: auditEntity, action: 'update', id: existing[0].id, reason };
+          await recordWrite(connection, change, (db, before) => {
+            if (auditEntity === 'enrollment') {
+              requireGradeReason(before, values, reason);
+            }
+            return db.query(`UPDATE ${table} SET ? WHERE ${idColumn} = ?`, [values, existing[0].id]);
+          });
+          summary.updated += 1;
+          results.push({ line: row.line, status: 'updated', id: existing[0].id });
+        } else {
+          const { id } = await recordWrite(connection, { entity: auditEntity, action: 'create', reason }, async (db) => {
+            const [result] = await db.query(`INSERT INTO ${table} SET ?`, [values]);
+            return result.insertId;
+          });
+          summary.created += 1;
+          results.push({ line: row.line, status: 'created', id });
+        }
+        await connection.query('RELEASE SAVEPOINT import_row');
+      } catch (error) {
+        await connection.query('ROLLBACK TO SAVEPOINT import_row');
+        // Constraint violations reject the row; anything else aborts the import
+        const mapped = mapDatabaseError(error);
+        if (isConnectionError(error) || !(mapped instanceof ApiError)) {
+          throw error;
+        }
+        // Validation details (a missing grade change reason) name their field
+        // (enrollment workflow refusals carry an object and their reason code)
+        const [detail] = Array.isArray(mapped.details) ? mapped.details : [];
+        reject(
+          row.line,
+          [detail ? { field: detail.field, message: detail.message } : { field: null, message: mapped.message }],
+          mapped.reason
+        );
+      }
+    }
+
+    const committed = !dryRun && !(atomic && summary.rejected > 0);
+    if (committed) {
+      await connection.commit();
+    } else {
+      await connection.rollback();
+    }
+
+    logger.info(
+      `Import into ${table}: ${summary.created} created, ${summary.updated} updated, ` +
+      `${summary.rejected} rejected (${committed ? 'committed' : 'rolled back'})`
+    );
+
+    return { committed, summary, rows: results };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+// ==============================================
+// Export
+// ==============================================
+// Rows are streamed from MySQL and formatted one at a time, so whole
+// tables are never held in memory; pipeline() handles backpressure.
+
+// DATE columns come back as Date objects; export them as YYYY-MM-DD
+const plainValues = (row) => {
+  const result = {};
+  for (const [column, value] of Object.entries(row)) {
+    result[column] = value instanceof Date ? formatDate(value) : value;
+  }
+  return result;
+};
+
+const streamExport = (entity, format, res) => {
+  const { table, idColumn, columns } = ENTITIES[entity];
+
+  // Row-by-row query on the underlying callback pool
+  const source = getPool().pool
+    .query(`SELECT ${columns.join(', ')} FROM ${table} ORDER BY ${idColumn}`)
+    .stream({ highWaterMark: 100 });
+
+  const formatter = new Transform({
+    writableObjectMode: true,
+    transform(row, encoding, callback) {
+      const values = plainValues(row);
+      callback(null, format === 'csv'
+        ? formatCsvRow(columns.map((column) => values[column]))
+        : `${JSON.stringify(values)}\n`);
+    }
+  });
+
+  if (format === 'csv') {
+    res.type('text/csv');
+    formatter.push(formatCsvRow(columns));
+  } else {
+    res.type('application/x-ndjson');
+  }
+  res.attachment(`${entity}.${format}`);
+
+  pipeline(source, formatter, res, (error) => {
+    if (error) {
+      // Headers are already sent; all we can do is log and drop the connection
+      logger.error(`Export of ${table} failed:`, error);
+      res.destroy(error);
+    } else {
+      logger.info(`Exported ${table} as ${format}`);
+    }
+  });
+};
+
+module.exports = {
+  ENTITIES,
+  parseUpload,
+  importRows,
+  streamExport
+};
@@ -0,0 +1,218 @@
+// Import required modules
+const crypto = require('crypto');
+const logger = require('./logger');
+
+// ==============================================
+// Response cache
+// ==============================================
+// Caches successful JSON responses of read-heavy endpoints. Entries are
+// keyed by route + normalized (validated) query, so ?minGPA=3.5 and
+// ?minGPA=3.50&minCourses=3 share an entry, and tagged with the tables
+// the response reads from.
+//
+// Invalidation uses per-table version counters: every key embeds the
+// current versions of its tables, and a write through the API bumps the
+// versions of the tables it touches. Stale entries are never read again
+// and age out of the store (LRU / TTL).
+//
+// Keys and version counters are scoped by tenant (src/tenants.js): each
+// school has its own entries, and its writes only invalidate its own.
+//
+// Clients get an ETag (hash of the body) with `Cache-Control: private,
+// no-cache`, so they always revalidate and a conditional GET answers 304
+// while the data is unchanged.
+//
+// Configuration:
+//   CACHE_DRIVER       memory (default), redis or none
+//   CACHE_TTL          seconds an entry lives (default 60)
+//   CACHE_MAX_ENTRIES  memory driver: entries kept before evicting the
+//                      least recently used (default 500)
+//   REDIS_URL          redis driver: server URL (see src/redis.js)
+
+const DEFAULT_TTL = Number(process.env.CACHE_TTL) || 60;
+const MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES) || 500;
+
+// Response headers replayed on cache hits (pagination Link header)
+const CACHED_HEADERS = ['Link'];
+
+// ==============================================
+// Stores
+// ==============================================
+// A store keeps entries with a TTL and per-tag version counters:
+//   get(key) / set(key, entry, ttlSeconds) / version(tag) / bump(tag)
+
+// In-process LRU (a Map keeps insertion order: re-inserting on read moves
+// an entry to the back, the front is the least recently used)
+const createMemoryStore = (maxEntries = MAX_ENTRIES) => {
+  const entries = new Map();
+  const versions = new Map();
+
+  return {
+    name: 'memory',
+    get: async (key) => {
+      const item = entries.get(key);
+      if (!item) {
+        return undefined;
+      }
+      entries.delete(key);
+      if (item.expiresAt <= Date.now()) {
+        return undefined;
+      }
+      entries.set(key, item);
+      return item.entry;
+    },
+    set: async (key, entry, ttl) => {
+      entries.delete(key);
+      entries.set(key, { entry, expiresAt: Date.now() + ttl * 1000 });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    version: async (tag) => versions.get(tag) || 0,
+    bump: async (tag) => {
+      versions.set(tag, (versions.get(tag) || 0) + 1);
+    }
+  };
+};
+
+// Redis (shared between app instances, see src/redis.js). Errors are
+// treated as misses so an unavailable Redis only costs the cache, not the request.
+const createRedisStore = () => {
+  const redis = require('./redis');
+  // Connect at startup rather than on the first request
+  redis.getClient();
+  return {
+    name: 'redis',
+    get: (key) => redis.attempt('cache', async (client) => {
+      const value = await client.get(`cache:${key}`);
+      return value ? JSON.parse(value) : undefined;
+    }),
+    set: (key, entry, ttl) => redis.attempt('cache', (client) => client.set(`cache:${key}`, JSON.stringify(entry), { EX: ttl })),
+    version: (tag) => redis.attempt('cache', async (client) => Number(await client.get(`cache-version:${tag}`)) || 0, 0),
+    // A bump that cannot reach Redis leaves stale entries behind, so it is
+    // not swallowed here: invalidates() logs it as an error
+    bump: async (tag) => {
+      await redis.getClient().incr(`cache-version:${tag}`);
+    }
+  };
+};
+
+const createStore = (driver = process.env.CACHE_DRIVER || 'memory') => {
+  switch (driver) {
+    case 'memory':
+      return createMemoryStore();
+    case 'redis':
+      return createRedisStore();
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown CACHE_DRIVER "${driver}" (available: memory, redis, none)`);
+  }
+};
+
+const store = createStore();
+logger.info(`Response cache: ${store ? store.name : 'disabled'}`);
+
+// ==============================================
+// Middleware
+// ==============================================
+
+// Tenant of a request ('-' for routes outside /api)
+const tenantOf = (req) => (req.tenant ? req.tenant.id : '-');
+
+// Key of a request: tenant, route path + query parameters sorted by name
+const keyOf = (req) => {
+  const query = Object.keys(req.query)
+    .sort()
+    .map((name) => `${name}=${JSON.stringify(req.query[name])}`)
+    .join('&');
+  return `${tenantOf(req)}:${req.baseUrl}${req.path}?${query}`;
+};
+
+// Version tag of a table in the request's tenant
+const tagOf = (req, table) => `${tenantOf(req)}:${table}`;
+
+const etagOf = (body) => `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+
+// Send a cached (or just stored) entry; res.send answers 304 itself when
+// If-None-Match matches the ETag
+const sendEntry = (res, entry, status) => {
+  res.set('X-Cache', status);
+  res.set('ETag', entry.etag);
+  res.set('Cache-Control', 'private, no-cache');
+  res.set(entry.headers);
+  res.type('json').send(entry.body);
+};
+
+// Cache successful responses of a GET route reading from the given tables.
+// Place it after authorize() and validate(): access is checked on every
+// request, and the key uses the validated query. Routes whose response
+// depends on the user pass when(req) to cache only the requests it accepts.
+const cached = (tables, { ttl = DEFAULT_TTL, when = () => true } = {}) => {
+  const middleware = async (req, res, next) => {
+    if (!store || !when(req)) {
+      return next();
+    }
+    try {
+      const versions = await Promise.all(tables.map((table) => store.version(tagOf(req, table))));
+      const key = `${keyOf(req)}#${versions.join('.')}`;
+
+      const entry = await store.get(key);
+      if (entry) {
+        return sendEntry(res, entry, 'HIT');
+      }
+
+      // Store the body on its way out (200 responses only)
+      const json = res.json.bind(res);
+      res.json = (data) => {
+        if (res.statusCode !== 200) {
+          return json(data);
+        }
+        const body = JSON.stringify(data);
+        const headers = {};
+        for (const name of CACHED_HEADERS) {
+          if (res.get(name)) {
+            headers[name] = res.get(name);
+          }
+        }
+        const fresh = { body, etag: etagOf(body), headers };
+        store.set(key, fresh, ttl).catch((error) => logger.warn(`Cache write failed: ${error.message}`));
+        return sendEntry(res, fresh, 'MISS');
+      };
+      next();
+    } catch (error) {
+      // A broken cache must not break the endpoint
+      logger.warn(`Cache lookup failed: ${error.message}`);
+      next();
+    }
+  };
+  // Read by the OpenAPI generator (src/openapi.js)
+  middleware.cache = { tables, ttl };
+  return middleware;
+};
+
+// Bump the versions of the given tables (or tables(req)) once a write
+// request succeeds. The bump happens before the response is sent, so a
+// client that reads right after its write never sees a cached result.
+const invalidates = (tables) => (req, res, next) => {
+  if (!store || req.method === 'GET' || req.method === 'HEAD') {
+    return next();
+  }
+  const end = res.end;
+  res.end = (...args) => {
+    if (res.statusCode >= 400) {
+      return end.apply(res, args);
+    }
+    const names = typeof tables === 'function' ? tables(req) : tables;
+    Promise.all(names.map((table) => store.bump(tagOf(req, table))))
+      .catch((error) => logger.error('Cache invalidation failed:', error))
+      .then(() => end.apply(res, args));
+    return res;
+  };
+  next();
+};
+
+module.exports = {
+  cached,
+  invalidates
+};
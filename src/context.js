@@ -0,0 +1,49 @@
+// Import required modules
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+// ==============================================
+// Request context
+// ==============================================
+// Every request runs inside an AsyncLocalStorage store holding its
+// correlation ID and the request itself, so code far from the handler
+// (log formatting, query timing) can tell which request it works for
+// without passing req around.
+
+const storage = new AsyncLocalStorage();
+
+// Incoming IDs are reused (a proxy or another service may have set one)
+// as long as they are short and printable
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Express middleware: assign the ID, echo it back and open the store
+const requestContext = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+  storage.run({ requestId, req }, next);
+};
+
+// Correlation ID of the current request (undefined outside requests)
+const currentRequestId = () => {
+  const store = storage.getStore();
+  return store && store.requestId;
+};
+
+// Current request (undefined outside requests)
+const currentRequest = () => {
+  const store = storage.getStore();
+  return store && store.req;
+};
+
+// Run fn outside any request: timers started from a request handler would
+// otherwise carry that request's context for as long as they run
+const outsideRequest = (fn) => storage.exit(fn);
+
+module.exports = {
+  requestContext,
+  currentRequestId,
+  currentRequest,
+  outsideRequest
+};
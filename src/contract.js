@@ -0,0 +1,206 @@
+// Import required modules
+const { OPERATIONS } = require('./openapi');
+
+// ==============================================
+// Contract test CLI
+// ==============================================
+// Usage (against a running server with the sample data loaded):
+//
+//   npm run test:contract
+//   BASE_URL=http://localhost:3000 ADMIN_EMAIL=... ADMIN_PASSWORD=... node src/contract.js
+//   TENANT=lincoln npm run test:contract   (one school of a multi-tenant deployment)
+//
+// Fails (exit code 1) when
+//  - a route has no documented responses (spec `x-undocumented`),
+//  - a documented operation no longer exists,
+//  - a response has a status code or content type the spec does not list,
+//  - a JSON body does not match the documented schema: missing, extra,
+//    renamed or mistyped fields.
+// Every GET operation is called as the demo admin, with the example
+// parameters in `x-example` where the path needs them. Write operations
+// are checked through the login response and unknown-id 404s only, so
+// the sample data is left untouched.
+
+const BASE_URL = process.env.BASE_URL || 'http://localhost:3000';
+const ADMIN_EMAIL = process.env.ADMIN_EMAIL || 'admin@school.edu';
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'password123';
+
+// School to log in to (the token then selects it for every request)
+const TENANT_HEADERS = process.env.TENANT ? { 'X-Tenant-Id': process.env.TENANT } : {};
+
+// Problems reported per response before the rest are summarized
+const MAX_PROBLEMS = 5;
+
+// ==============================================
+// Minimal JSON Schema checker (the subset src/openapi.js produces)
+// ==============================================
+
+const resolve = (spec, pointer) =>
+  pointer.replace(/^#\//, '').split('/').reduce((node, key) => node[key], spec);
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const TYPE_CHECKS = {
+  null: (value) => value === null,
+  boolean: (value) => typeof value === 'boolean',
+  integer: (value) => Number.isInteger(value),
+  number: (value) => typeof value === 'number',
+  string: (value) => typeof value === 'string',
+  array: Array.isArray,
+  object: isObject
+};
+
+const describe = (value) => (value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value);
+
+// Append a "where: what" line to problems for every mismatch
+const check = (value, schema, spec, where, problems) => {
+  if (schema.$ref) {
+    return check(value, resolve(spec, schema.$ref), spec, where, problems);
+  }
+  if (schema.type && ![].concat(schema.type).some((type) => TYPE_CHECKS[type](value))) {
+    problems.push(`${where}: expected ${[].concat(schema.type).join(' or ')}, got ${describe(value)}`);
+    return;
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    problems.push(`${where}: expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push(`${where}: ${JSON.stringify(value)} is not one of ${schema.enum.join(', ')}`);
+  }
+
+  if (isObject(value)) {
+    for (const name of schema.required || []) {
+      if (!(name in value)) {
+        problems.push(`${where}.${name}: missing`);
+      }
+    }
+    for (const [name, item] of Object.entries(value)) {
+      if (schema.properties && schema.properties[name]) {
+        check(item, schema.properties[name], spec, `${where}.${name}`, problems);
+      } else if (schema.additionalProperties === false) {
+        problems.push(`${where}.${name}: not in the spec`);
+      } else if (isObject(schema.additionalProperties)) {
+        check(item, schema.additionalProperties, spec, `${where}.${name}`, problems);
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => check(item, schema.items, spec, `${where}[${index}]`, problems));
+  }
+};
+
+// ==============================================
+// HTTP
+// ==============================================
+
+// Fill in {param} placeholders and the query string from an example
+const urlFor = (path, example = {}) => {
+  const filled = path.replace(/\{(\w+)\}/g, (match, name) =>
+    (example.params && example.params[name] !== undefined ? encodeURIComponent(example.params[name]) : match));
+  if (filled.includes('{')) {
+    return null;
+  }
+  const query = new URLSearchParams(example.query || {}).toString();
+  return `${BASE_URL}${filled}${query ? `?${query}` : ''}`;
+};
+
+// Compare one response with the operation's documented responses
+const verify = async (spec, operation, response) => {
+  const documented = operation.responses[response.status];
+  if (!documented) {
+    return [`status ${response.status} is not documented`];
+  }
+
+  const type = (response.headers.get('content-type') || '').split(';')[0];
+  if (!documented.content) {
+    return [];
+  }
+  const media = documented.content[type];
+  if (!media) {
+    return [`content type ${type || '(none)'} is not documented for ${response.status}`];
+  }
+  if (type !== 'application/json' || !media.schema) {
+    return [];
+  }
+
+  const problems = [];
+  check(await response.json(), media.schema, spec, 'body', problems);
+  return problems;
+};
+
+// ==============================================
+// Run
+// ==============================================
+
+const run = async () => {
+  const results = [];
+  const record = (name, problems) => {
+    results.push({ name, problems });
+    const mark = problems.length === 0 ? '✓' : '✗';
+    console.log(`${mark} ${name}`);
+    for (const problem of problems.slice(0, MAX_PROBLEMS)) {
+      console.log(`    ${problem}`);
+    }
+    if (problems.length > MAX_PROBLEMS) {
+      console.log(`    ... and ${problems.length - MAX_PROBLEMS} more`);
+    }
+  };
+
+  const spec = await (await fetch(`${BASE_URL}/openapi.json`)).json();
+
+  // Spec and registry in sync with the routes
+  record('every route is documented', spec['x-undocumented'].map((key) => `${key}: no entry in OPERATIONS`));
+  const routed = new Set(Object.entries(spec.paths)
+    .flatMap(([path, methods]) => Object.keys(methods).map((method) => `${method.toUpperCase()} ${path}`)));
+  record('every documented operation exists', Object.keys(OPERATIONS)
+    .filter((key) => !routed.has(key))
+    .map((key) => `${key}: no such route`));
+
+  // Log in as the demo admin (checks the login response too)
+  const login = await fetch(`${BASE_URL}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...TENANT_HEADERS },
+    body: JSON.stringify({ email: ADMIN_EMAIL, password: ADMIN_PASSWORD })
+  });
+  const loginBody = await login.clone().json();
+  record('POST /api/auth/login', await verify(spec, spec.paths['/api/auth/login'].post, login));
+  if (!loginBody.success) {
+    throw new Error(`Login as ${ADMIN_EMAIL} failed: ${loginBody.error}`);
+  }
+  const headers = { Authorization: `Bearer ${loginBody.data.accessToken}`, Accept: 'application/json' };
+
+  for (const [path, methods] of Object.entries(spec.paths)) {
+    for (const [method, operation] of Object.entries(methods)) {
+      const example = operation['x-example'];
+
+      // Documented GET responses
+      if (method === 'get') {
+        const url = urlFor(path, example);
+        if (!url) {
+          record(`GET ${path}`, ['path parameters need an x-example']);
+          continue;
+        }
+        record(`GET ${path}`, await verify(spec, operation, await fetch(url, { headers })));
+      }
+
+      // Unknown ids answer with the documented error shape
+      if (example && example.params && example.params.id !== undefined && operation.responses[404]) {
+        const url = urlFor(path, { params: { ...example.params, id: 999999999 } });
+        const response = await fetch(url, { method: method.toUpperCase(), headers });
+        if (response.status === 404) {
+          record(`${method.toUpperCase()} ${path} (unknown id)`, await verify(spec, operation, response));
+        }
+      }
+    }
+  }
+
+  const failed = results.filter((result) => result.problems.length > 0);
+  console.log(`\n${results.length - failed.length} passed, ${failed.length} failed`);
+  process.exitCode = failed.length > 0 ? 1 : 0;
+};
+
+run().catch((error) => {
+  console.error(`Contract test could not run: ${error.message}`);
+  process.exitCode = 1;
+});
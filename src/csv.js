@@ -0,0 +1,90 @@
+// ==============================================
+// CSV helpers (RFC 4180)
+// ==============================================
+
+// mysql2 returns DATE columns as local-midnight Date objects
+const formatDate = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+// Quote a value when it contains a delimiter, quote or line break
+const formatCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = value instanceof Date ? formatDate(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line (with trailing CRLF) from an array of values
+const formatCsvRow = (values) => `${values.map(formatCsvValue).join(',')}\r\n`;
+
+// Parse CSV text into records: [{ line, values }]
+// Handles quoted fields with embedded commas, quotes and line breaks;
+// line is the 1-based line on which the record starts.
+const parseCsv = (text) => {
+  const records = [];
+  let values = [];
+  let value = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  // Close the current record, skipping completely blank lines
+  const endRecord = () => {
+    values.push(value);
+    if (values.length > 1 || values[0] !== '') {
+      records.push({ line: recordLine, values });
+    }
+    values = [];
+    value = '';
+  };
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line += 1;
+        }
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      values.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      // Treat CRLF as a single line break
+      if (char === '\r' && text[i + 1] === '\n') {
+        i += 1;
+      }
+      endRecord();
+      line += 1;
+      recordLine = line;
+    } else {
+      value += char;
+    }
+  }
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+  }
+  if (value !== '' || values.length > 0) {
+    endRecord();
+  }
+  return records;
+};
+
+module.exports = {
+  parseCsv,
+  formatDate,
+  formatCsvValue,
+  formatCsvRow
+};
@@ -0,0 +1,343 @@
+// Import MySQL client with promise support
+const mysql = require('mysql2/promise');
+const logger = require('./logger');
+const migrations = require('./migrations');
+const { instrumentPool, trackPools } = require('./metrics');
+const { isConnectionError, unavailableError } = require('./errors');
+const { currentRequest } = require('./context');
+const { DEFAULT_TENANT, listTenants } = require('./tenants');
+
+// Connection settings shared by every tenant database
+const baseConfig = {
+  host: process.env.DB_HOST || 'mysql',
+  user: process.env.DB_USER || 'root',
+  password: process.env.DB_PASSWORD || 'rootpassword',
+  waitForConnections: true,
+  connectionLimit: Number(process.env.DB_POOL_SIZE) || 10,
+  queueLimit: 0
+};
+
+// Database configuration of one tenant (see src/tenants.js)
+const configFor = (tenant) => ({ ...baseConfig, database: tenant.database });
+
+// Read-only MySQL account of the query console (src/sqlconsole.js), with
+// SELECT on the console's tables only; the console stays disabled while it
+// is not set
+const readOnlyConfig = process.env.QUERY_DB_USER && {
+  user: process.env.QUERY_DB_USER,
+  password: process.env.QUERY_DB_PASSWORD || '',
+  connectionLimit: Number(process.env.QUERY_POOL_SIZE) || 2
+};
+
+// Reconnect delays: doubled after every failed attempt, up to the cap
+const RETRY_BASE_MS = Number(process.env.DB_RETRY_BASE_MS) || 1000;
+const RETRY_MAX_MS = Number(process.env.DB_RETRY_MAX_MS) || 30000;
+
+// Queued connection requests at which a pool counts as saturated
+const SATURATION_QUEUE = baseConfig.connectionLimit;
+
+// ==============================================
+// Tenant databases
+// ==============================================
+// One entry per tenant: its configuration, connection pool and connection
+// state. state.status is 'connecting' until the first successful start,
+// 'ready' while MySQL answers, 'unavailable' after a connection error until
+// a retry succeeds, 'closed' after shutdown. Requests are only let through
+// to a tenant while its database is 'ready'.
+const databases = new Map();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const retryDelay = (attempt) => Math.min(RETRY_BASE_MS * 2 ** attempt, RETRY_MAX_MS);
+
+// Reject queries of a pool or connection that fail because MySQL went away
+// by switching to 'unavailable' and reconnecting in the background
+const watchConnection = (database, target) => {
+  for (const method of ['query', 'execute']) {
+    const original = target[method].bind(target);
+    target[method] = async (...args) => {
+      try {
+        return await original(...args);
+      } catch (error) {
+        if (isConnectionError(error)) {
+          markUnavailable(database, error);
+        }
+        throw error;
+      }
+    };
+  }
+};
+
+const createPool = (database) => {
+  const created = mysql.createPool(database.config);
+  watchConnection(database, created);
+  const getConnection = created.getConnection.bind(created);
+  created.getConnection = async () => {
+    try {
+      const connection = await getConnection();
+      watchConnection(database, connection);
+      return connection;
+    } catch (error) {
+      if (isConnectionError(error)) {
+        markUnavailable(database, error);
+      }
+      throw error;
+    }
+  };
+  // Query timings for /metrics
+  instrumentPool(created);
+  return created;
+};
+
+// Connect (and migrate/seed on the first start), retrying with backoff
+// until it works. Resolves once the database is ready.
+const connect = async (database, firstStart) => {
+  const { tenant, state, config } = database;
+  for (let attempt = 0; state.status !== 'closed'; attempt++) {
+    try {
+      await database.pool.query('SELECT 1');
+      // Optionally bring the schema (and sample data) up to date before serving
+      if (firstStart && process.env.RUN_MIGRATIONS === 'true') {
+        await migrations.migrate(config);
+      }
+      if (firstStart && process.env.RUN_SEEDS === 'true') {
+        await migrations.seed(config);
+      }
+      Object.assign(state, { status: 'ready', attempts: 0, lastError: null, retryAt: null });
+      logger.info(`✅ Database connection pool established successfully (${tenant.id}: ${config.database})`);
+      return;
+    } catch (error) {
+      const delay = retryDelay(attempt);
+      Object.assign(state, { attempts: attempt + 1, lastError: error.message, retryAt: Date.now() + delay });
+      logger.error(`❌ Failed to connect to database ${config.database} (attempt ${attempt + 1}), retrying in ${delay / 1000}s:`, error);
+      await sleep(delay);
+    }
+  }
+};
+
+// Run one connect loop per database at a time
+const startConnecting = (database, firstStart) => {
+  if (!database.connecting) {
+    database.connecting = connect(database, firstStart).finally(() => {
+      database.connecting = null;
+    });
+  }
+  return database.connecting;
+};
+
+// Start a pool per tenant; resolves once every database is reachable (and migrated)
+const initializeDatabase = () => {
+  for (const tenant of listTenants()) {
+    if (!databases.has(tenant.id)) {
+      const database = {
+        tenant,
+        config: configFor(tenant),
+        state: { status: 'connecting', attempts: 0, lastError: null, retryAt: null },
+        connecting: null
+      };
+      database.pool = createPool(database);
+      databases.set(tenant.id, database);
+    }
+  }
+  return Promise.all([...databases.values()].map((database) => startConnecting(database, true)));
+};
+
+// Switch to 'unavailable' and reconnect in the background
+const markUnavailable = (database, error) => {
+  const { state } = database;
+  if (state.status !== 'ready') {
+    return;
+  }
+  logger.error(`❌ Lost database connection (${database.tenant.id}): ${error.message}`);
+  Object.assign(state, { status: 'unavailable', lastError: error.message, retryAt: Date.now() });
+  startConnecting(database, false);
+};
+
+// Database of the given tenant, else of the current request's tenant, else
+// of DEFAULT_TENANT (code running outside a request)
+const databaseFor = (tenantId) => {
+  const req = currentRequest();
+  const id = tenantId || (req && req.tenant && req.tenant.id) || DEFAULT_TENANT;
+  if (!id) {
+    throw new Error('No tenant selected: pass a tenant id outside requests');
+  }
+  return databases.get(id);
+};
+
+// Accessor for a tenant's pool (undefined before initializeDatabase).
+// Request handlers call getPool() and get their own school's pool.
+const getPool = (tenantId) => {
+  const database = databaseFor(tenantId);
+  return database && database.pool;
+};
+
+// Pool of the query console's read-only account for a tenant (created on
+// first use), or null without QUERY_DB_USER. Its errors do not mark the
+// database unavailable: a wrong console password must not take the API down.
+const getReadOnlyPool = (tenantId) => {
+  const database = databaseFor(tenantId);
+  if (!database || !readOnlyConfig) {
+    return null;
+  }
+  if (!database.readOnlyPool) {
+    database.readOnlyPool = mysql.createPool({ ...database.config, ...readOnlyConfig });
+    instrumentPool(database.readOnlyPool);
+  }
+  return database.readOnlyPool;
+};
+
+// Whether a tenant's database is connected (background jobs skip it otherwise)
+const isDatabaseReady = (tenantId) => {
+  const database = databaseFor(tenantId);
+  return Boolean(database && database.state.status === 'ready');
+};
+
+// Run fn(connection) in a transaction on a dedicated pool connection
+// (of the given tenant, else of the current request's, as in getPool)
+const withTransaction = async (fn, tenantId) => {
+  let connection;
+  let healthy = true;
+  try {
+    connection = await getPool(tenantId).getConnection();
+    await connection.beginTransaction();
+    const result = await fn(connection);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    if (connection) {
+      // A failed rollback (e.g. the connection dropped) must not hide the
+      // original error, which callers map to a status (503 for lost connections)
+      try {
+        await connection.rollback();
+      } catch (rollbackError) {
+        healthy = false;
+        logger.error(`Rollback failed: ${rollbackError.message}`);
+      }
+    }
+    throw error;
+  } finally {
+    if (connection) {
+      // A connection that could not roll back is not handed out again
+      if (healthy) {
+        connection.release();
+      } else {
+        connection.destroy();
+      }
+    }
+  }
+};
+
+// ==============================================
+// Health
+// ==============================================
+
+// Connection counts of a pool (read from mysql2's core pool)
+const poolStats = (database) => {
+  const core = database.pool.pool;
+  const all = core._allConnections.length;
+  const idle = core._freeConnections.length;
+  const queued = core._connectionQueue.length;
+  return {
+    active: all - idle,
+    idle,
+    queued,
+    limit: baseConfig.connectionLimit,
+    saturated: all - idle >= baseConfig.connectionLimit && queued >= SATURATION_QUEUE
+  };
+};
+
+// Connection gauges for /metrics, per tenant
+trackPools(() => [...databases.values()].map((database) => ({ tenant: database.tenant.id, ...poolStats(database) })));
+
+// Seconds until the next reconnect attempt (for Retry-After)
+const retryAfter = (database) =>
+  Math.max(1, Math.ceil(((database.state.retryAt || Date.now()) - Date.now()) / 1000));
+
+// Express middleware: answer 503 + Retry-After instead of running
+// handlers while the request's tenant database is unreachable
+const requireDatabase = (req, res, next) => {
+  const database = databaseFor(req.tenant && req.tenant.id);
+  if (database && database.state.status === 'ready') {
+    return next();
+  }
+  next(unavailableError(database ? retryAfter(database) : undefined));
+};
+
+// Migration files not yet recorded in schema_migrations
+const pendingMigrations = async (pool) => {
+  let applied = [];
+  try {
+    [applied] = await pool.query('SELECT version FROM schema_migrations');
+  } catch (error) {
+    if (error.code !== 'ER_NO_SUCH_TABLE') {
+      throw error;
+    }
+  }
+  const versions = new Set(applied.map((row) => row.version));
+  return migrations.loadMigrations()
+    .filter((migration) => !versions.has(migration.version))
+    .map((migration) => `${migration.version}_${migration.name}`);
+};
+
+// Readiness of one tenant database: reachable, migrated, pool not saturated
+const checkDatabase = async (database) => {
+  const { state, pool } = database;
+  const status = { status: state.status, attempts: state.attempts, lastError: state.lastError };
+  const connectionPool = poolStats(database);
+  let migrationStatus = { status: 'unknown', pending: [] };
+
+  if (state.status === 'ready') {
+    try {
+      await pool.query('SELECT 1');
+      const pending = await pendingMigrations(pool);
+      migrationStatus = { status: pending.length === 0 ? 'up-to-date' : 'pending', pending };
+    } catch (error) {
+      status.status = 'unavailable';
+      status.lastError = error.message;
+    }
+  }
+
+  return {
+    ready: status.status === 'ready' && migrationStatus.status === 'up-to-date' && !connectionPool.saturated,
+    retryAfter: retryAfter(database),
+    checks: { database: status, migrations: migrationStatus, pool: connectionPool }
+  };
+};
+
+// Readiness report: every tenant database ready (checks per tenant id)
+const checkReadiness = async () => {
+  const entries = [...databases.values()];
+  const reports = await Promise.all(entries.map(checkDatabase));
+  const waiting = reports.filter((report) => !report.ready);
+  return {
+    ready: waiting.length === 0,
+    retryAfter: Math.min(...waiting.map((report) => report.retryAfter), 5),
+    checks: {
+      tenants: Object.fromEntries(entries.map((database, index) => [database.tenant.id, reports[index].checks]))
+    }
+  };
+};
+
+// Stop reconnecting and close every pool (graceful shutdown)
+const closeDatabase = async () => {
+  await Promise.all([...databases.values()].map(async (database) => {
+    database.state.status = 'closed';
+    await database.pool.end();
+    if (database.readOnlyPool) {
+      await database.readOnlyPool.end();
+    }
+  }));
+  logger.info('Database pools closed');
+};
+
+module.exports = {
+  configFor,
+  initializeDatabase,
+  getPool,
+  getReadOnlyPool,
+  isDatabaseReady,
+  withTransaction,
+  requireDatabase,
+  checkReadiness,
+  closeDatabase
+};
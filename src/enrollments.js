@@ -0,0 +1,456 @@
+// Import required modules
+const { getPool, withTransaction } = require('./db');
+const logger = require('./logger');
+const grading = require('./grading');
+const { ApiError } = require('./errors');
+const { formatDate } = require('./csv');
+const { recordWrite } = require('./audit');
+
+// ==============================================
+// Enrollment workflow
+// ==============================================
+// Business rules behind POST /api/enrollments and drops/withdrawals:
+//  - a section seats at most `capacity` enrolled students; later requests
+//    join a FIFO waitlist (or are refused when waitlist=false)
+//  - every prerequisite course must have been passed, with at least the
+//    minimum grade when one is set
+//  - a student's enrolled sections in one term must not overlap in time,
+//    and their credits must stay within MAX_CREDITS_PER_TERM
+//  - drops and withdrawals change the status instead of deleting the row;
+//    the freed seat goes to the first waitlisted student who still passes
+//    the checks
+// Every decision carries a machine-readable reason code (REASONS), which is
+// also the reason of its audit log entry (src/audit.js).
+//
+// Locking: every operation runs in one transaction that locks the section
+// row first and student rows second, so concurrent requests for the same
+// section (or the same student) are serialized without deadlocks.
+
+// Credit limit per student and term
+const MAX_CREDITS_PER_TERM = Number(process.env.MAX_CREDITS_PER_TERM) || 30;
+
+// Reason codes returned with every decision
+const REASONS = Object.freeze({
+  // Accepted
+  ENROLLED: 'ENROLLED',
+  WAITLISTED: 'WAITLISTED',
+  PROMOTED_FROM_WAITLIST: 'PROMOTED_FROM_WAITLIST',
+  DROPPED: 'DROPPED',
+  WITHDRAWN: 'WITHDRAWN',
+  // Refused
+  STUDENT_NOT_FOUND: 'STUDENT_NOT_FOUND',
+  SECTION_NOT_FOUND: 'SECTION_NOT_FOUND',
+  ENROLLMENT_NOT_FOUND: 'ENROLLMENT_NOT_FOUND',
+  ALREADY_ENROLLED: 'ALREADY_ENROLLED',
+  ALREADY_WAITLISTED: 'ALREADY_WAITLISTED',
+  DUPLICATE_COURSE: 'DUPLICATE_COURSE',
+  SECTION_FULL: 'SECTION_FULL',
+  PREREQUISITE_NOT_MET: 'PREREQUISITE_NOT_MET',
+  TIME_CONFLICT: 'TIME_CONFLICT',
+  CREDIT_LIMIT_EXCEEDED: 'CREDIT_LIMIT_EXCEEDED',
+  NOT_ACTIVE: 'NOT_ACTIVE',
+  ALREADY_GRADED: 'ALREADY_GRADED',
+  NOT_ENROLLED: 'NOT_ENROLLED'
+});
+
+// Refused decision: an ApiError that also carries the reason code
+const rejection = (status, reason, message, details) => {
+  const error = new ApiError(status, message, details);
+  error.reason = reason;
+  return error;
+};
+
+// ==============================================
+// Row locks
+// ==============================================
+
+// Lock a section (with its course's credits) or refuse with SECTION_NOT_FOUND
+const lockSection = async (connection, sectionId) => {
+  const [rows] = await connection.query(
+    `SELECT cs.section_id, cs.course_id, cs.term_id, cs.capacity,
+            cs.meeting_days, cs.start_time, cs.end_time, c.credits
+     FROM course_sections cs
+     INNER JOIN courses c ON cs.course_id = c.course_id
+     WHERE cs.section_id = ?
+     FOR UPDATE OF cs`,
+    [sectionId]
+  );
+  if (rows.length === 0) {
+    throw rejection(422, REASONS.SECTION_NOT_FOUND, 'Referenced section does not exist');
+  }
+  return rows[0];
+};
+
+// Lock a student or refuse with STUDENT_NOT_FOUND
+const lockStudent = async (connection, studentId) => {
+  const [rows] = await connection.query(
+    'SELECT student_id FROM students WHERE student_id = ? FOR UPDATE',
+    [studentId]
+  );
+  if (rows.length === 0) {
+    throw rejection(422, REASONS.STUDENT_NOT_FOUND, 'Referenced student does not exist');
+  }
+};
+
+// ==============================================
+// Checks
+// ==============================================
+
+// Number of enrolled students in a section
+const seatsTaken = async (connection, sectionId) => {
+  const [[{ taken }]] = await connection.query(
+    "SELECT COUNT(*) AS taken FROM enrollments WHERE section_id = ? AND status = 'enrolled'",
+    [sectionId]
+  );
+  return taken;
+};
+
+// Whether a grade satisfies a prerequisite (any passing grade without a minimum)
+const meetsMinimum = (grade, minimumGrade) =>
+  grading.isPassing(grade) &&
+  (minimumGrade === null || grading.pointsFor(grade) >= grading.pointsFor(minimumGrade));
+
+// Prerequisites of a course the student has not passed (empty when all are met)
+const missingPrerequisites = async (connection, studentId, courseId) => {
+  const [prerequisites] = await connection.query(
+    `SELECT p.prerequisite_id AS course_id, c.course_name, p.minimum_grade
+     FROM course_prerequisites p
+     INNER JOIN courses c ON p.prerequisite_id = c.course_id
+     WHERE p.course_id = ?`,
+    [courseId]
+  );
+  if (prerequisites.length === 0) {
+    return [];
+  }
+
+  // Every grade the student received in one of those courses
+  const [grades] = await connection.query(
+    `SELECT course_id, grade
+     FROM enrollments
+     WHERE student_id = ? AND course_id IN (?) AND status = 'enrolled' AND grade IS NOT NULL`,
+    [studentId, prerequisites.map((prerequisite) => prerequisite.course_id)]
+  );
+
+  return prerequisites
+    .map((prerequisite) => {
+      const received = grades
+        .filter((row) => row.course_id === prerequisite.course_id)
+        .map((row) => row.grade)
+        .sort((a, b) => (grading.pointsFor(b) ?? -1) - (grading.pointsFor(a) ?? -1));
+      return { ...prerequisite, best_grade: received[0] || null };
+    })
+    // Met when the best grade is good enough
+    .filter((prerequisite) =>
+      prerequisite.best_grade === null || !meetsMinimum(prerequisite.best_grade, prerequisite.minimum_grade));
+};
+
+// Two meeting patterns overlap when they share a day and their times intersect
+// (sections without a schedule never conflict). TIME columns arrive as
+// zero-padded HH:MM:SS strings, so they compare correctly as text.
+const overlaps = (a, b) =>
+  Boolean(a.meeting_days && a.start_time && a.end_time && b.meeting_days && b.start_time && b.end_time) &&
+  [...a.meeting_days].some((day) => b.meeting_days.includes(day)) &&
+  a.start_time < b.end_time &&
+  b.start_time < a.end_time;
+
+// Refusal for a schedule problem in the section's term, or null.
+// skipEnrollmentId excludes the row being promoted from the waitlist.
+const scheduleProblem = async (connection, studentId, section, skipEnrollmentId = null) => {
+  const [rows] = await connection.query(
+    `SELECT e.enrollment_id, e.status, cs.section_id, cs.course_id, c.course_name, c.credits,
+            cs.meeting_days, cs.start_time, cs.end_time
+     FROM enrollments e
+     INNER JOIN course_sections cs ON e.section_id = cs.section_id
+     INNER JOIN courses c ON cs.course_id = c.course_id
+     WHERE e.student_id = ?
+       AND cs.term_id = ?
+       AND e.status IN ('enrolled', 'waitlisted')
+       AND e.enrollment_id <> ?`,
+    [studentId, section.term_id, skipEnrollmentId || 0]
+  );
+
+  // Already in (or waiting for) another section of the same course this term
+  const sameCourse = rows.find((row) => row.course_id === section.course_id);
+  if (sameCourse) {
+    return rejection(409, REASONS.DUPLICATE_COURSE, 'Student is already in another section of this course this term', {
+      section_id: sameCourse.section_id,
+      status: sameCourse.status
+    });
+  }
+
+  const enrolled = rows.filter((row) => row.status === 'enrolled');
+
+  const conflicts = enrolled.filter((row) => overlaps(row, section));
+  if (conflicts.length > 0) {
+    return rejection(409, REASONS.TIME_CONFLICT, 'Section meets at the same time as another enrolled section', {
+      conflicts: conflicts.map(({ section_id, course_name, meeting_days, start_time, end_time }) =>
+        ({ section_id, course_name, meeting_days, start_time, end_time }))
+    });
+  }
+
+  const credits = enrolled.reduce((sum, row) => sum + row.credits, 0) + section.credits;
+  if (credits > MAX_CREDITS_PER_TERM) {
+    return rejection(409, REASONS.CREDIT_LIMIT_EXCEEDED, `Enrolling would exceed ${MAX_CREDITS_PER_TERM} credits this term`, {
+      credits,
+      limit: MAX_CREDITS_PER_TERM
+    });
+  }
+
+  return null;
+};
+
+// Refusal for a student who may not take a section (prerequisites, then the
+// schedule), or null; skipEnrollmentId as in scheduleProblem
+const admissionProblem = async (connection, studentId, section, skipEnrollmentId = null) => {
+  const missing = await missingPrerequisites(connection, studentId, section.course_id);
+  if (missing.length > 0) {
+    return rejection(422, REASONS.PREREQUISITE_NOT_MET, 'Prerequisites not met', { missing });
+  }
+  return scheduleProblem(connection, studentId, section, skipEnrollmentId);
+};
+
+// 1-based waitlist position of an enrollment
+const waitlistPosition = async (connection, enrollmentId) => {
+  const [[{ position }]] = await connection.query(
+    `SELECT COUNT(*) AS position
+     FROM enrollments w
+     INNER JOIN enrollments me ON me.enrollment_id = ?
+     WHERE w.section_id = me.section_id
+       AND w.status = 'waitlisted'
+       AND (w.waitlisted_at < me.waitlisted_at
+         OR (w.waitlisted_at = me.waitlisted_at AND w.enrollment_id <= me.enrollment_id))`,
+    [enrollmentId]
+  );
+  return position;
+};
+
+// ==============================================
+// Waitlist promotion
+// ==============================================
+// Fill free seats from the waitlist in FIFO order. Students who now fail a
+// check (e.g. enrolled elsewhere at the same time) keep their place and
+// are reported as skipped. The section must already be locked.
+const promote = async (connection, section) => {
+  const promoted = [];
+  const skipped = [];
+
+  let free = section.capacity - await seatsTaken(connection, section.section_id);
+  if (free <= 0) {
+    return { promoted, skipped };
+  }
+
+  const [waiting] = await connection.query(
+    `SELECT enrollment_id, student_id
+     FROM enrollments
+     WHERE section_id = ? AND status = 'waitlisted'
+     ORDER BY waitlisted_at, enrollment_id`,
+    [section.section_id]
+  );
+
+  for (const candidate of waiting) {
+    if (free <= 0) {
+      break;
+    }
+    await lockStudent(connection, candidate.student_id);
+
+    const problem = await admissionProblem(connection, candidate.student_id, section, candidate.enrollment_id);
+    if (problem) {
+      skipped.push({ ...candidate, reason: problem.reason });
+      continue;
+    }
+
+    const promotion = { entity: 'enrollment', action: 'update', id: candidate.enrollment_id, reason: REASONS.PROMOTED_FROM_WAITLIST };
+    await recordWrite(connection, promotion, (db) => db.query(
+      `UPDATE enrollments
+       SET status = 'enrolled', status_reason = ?, status_changed_at = NOW(), waitlisted_at = NULL
+       WHERE enrollment_id = ?`,
+      [REASONS.PROMOTED_FROM_WAITLIST, candidate.enrollment_id]
+    ));
+    promoted.push({ ...candidate, reason: REASONS.PROMOTED_FROM_WAITLIST });
+    free -= 1;
+    logger.info(`Promoted enrollment ${candidate.enrollment_id} from the waitlist of section ${section.section_id}`);
+  }
+
+  return { promoted, skipped };
+};
+
+// ==============================================
+// Grade changes
+// ==============================================
+
+// A posted grade is only changed or cleared with a reason, which is kept in
+// the audit log (the first grade of an enrollment needs none)
+const requireGradeReason = (enrollment, values, reason) => {
+  const changed = values.grade !== undefined && enrollment.grade !== null && values.grade !== enrollment.grade;
+  if (changed && !reason) {
+    throw new ApiError(400, 'Validation failed', [
+      { location: 'body', field: 'reason', message: 'is required when changing a posted grade' }
+    ]);
+  }
+};
+
+// ==============================================
+// Public operations
+// ==============================================
+
+// Enroll a student in a section (or put them on its waitlist).
+// Returns { enrollment_id, status, reason, waitlist_position }.
+const enroll = ({ studentId, sectionId, enrollmentDate, waitlist = true }) => withTransaction(async (connection) => {
+  const section = await lockSection(connection, sectionId);
+  await lockStudent(connection, studentId);
+
+  // A previous drop or withdrawal of this section is reactivated
+  const [existing] = await connection.query(
+    'SELECT enrollment_id, status FROM enrollments WHERE student_id = ? AND section_id = ?',
+    [studentId, sectionId]
+  );
+  if (existing.length > 0 && existing[0].status === 'enrolled') {
+    throw rejection(409, REASONS.ALREADY_ENROLLED, 'Student is already enrolled in this section');
+  }
+  if (existing.length > 0 && existing[0].status === 'waitlisted') {
+    throw rejection(409, REASONS.ALREADY_WAITLISTED, 'Student is already on the waitlist of this section');
+  }
+
+  const problem = await admissionProblem(connection, studentId, section);
+  if (problem) {
+    throw problem;
+  }
+
+  // Seat or waitlist
+  const full = await seatsTaken(connection, sectionId) >= section.capacity;
+  if (full && !waitlist) {
+    throw rejection(409, REASONS.SECTION_FULL, 'Section is full', { capacity: section.capacity });
+  }
+  const status = full ? 'waitlisted' : 'enrolled';
+  const reason = full ? REASONS.WAITLISTED : REASONS.ENROLLED;
+
+  const row = {
+    enrollment_date: enrollmentDate || formatDate(new Date()),
+    grade: null,
+    status,
+    status_reason: reason
+  };
+  // NOW(3)/NOW() are evaluated by MySQL so waitlist order follows commit order
+  const timestamps = `status_changed_at = NOW(), waitlisted_at = ${full ? 'NOW(3)' : 'NULL'}`;
+
+  let change;
+  if (existing.length > 0) {
+    change = await recordWrite(connection, { entity: 'enrollment', action: 'update', id: existing[0].enrollment_id, reason }, (db) =>
+      db.query(`UPDATE enrollments SET ?, ${timestamps} WHERE enrollment_id = ?`, [row, existing[0].enrollment_id]));
+  } else {
+    change = await recordWrite(connection, { entity: 'enrollment', action: 'create', reason }, async (db) => {
+      const [result] = await db.query(
+        `INSERT INTO enrollments SET ?, ${timestamps}`,
+        [{ ...row, student_id: studentId, section_id: sectionId, course_id: section.course_id }]
+      );
+      return result.insertId;
+    });
+  }
+  const enrollmentId = change.id;
+
+  logger.info(`Enrollment decision: student ${studentId}, section ${sectionId} -> ${reason}`);
+
+  return {
+    enrollment_id: enrollmentId,
+    status,
+    reason,
+    waitlist_position: full ? await waitlistPosition(connection, enrollmentId) : null
+  };
+});
+
+// Check an imported enrollment row (src/bulk.js) on the import's connection
+// before it is written. A row that seats a student or puts them on a
+// waitlist (newly, or by changing its status) gets the same checks as
+// enroll(), except that a full section refuses with SECTION_FULL: the file
+// says which status the row gets. Fills in status_reason and, for the
+// waitlist, waitlisted_at, so imported students queue behind those already
+// waiting. Other rows (drops, grade corrections) are left alone.
+const checkImportedEnrollment = async (connection, values) => {
+  const section = await lockSection(connection, values.section_id);
+  await lockStudent(connection, values.student_id);
+
+  const [[existing]] = await connection.query(
+    'SELECT enrollment_id, status FROM enrollments WHERE student_id = ? AND section_id = ?',
+    [values.student_id, values.section_id]
+  );
+  // The database defaults new rows to enrolled
+  const status = values.status || (existing ? existing.status : 'enrolled');
+  if ((status !== 'enrolled' && status !== 'waitlisted') || (existing && existing.status === status)) {
+    return;
+  }
+
+  const problem = await admissionProblem(connection, values.student_id, section, existing ? existing.enrollment_id : null);
+  if (problem) {
+    throw problem;
+  }
+  if (status === 'enrolled' && await seatsTaken(connection, section.section_id) >= section.capacity) {
+    throw rejection(409, REASONS.SECTION_FULL, 'Section is full', { capacity: section.capacity });
+  }
+
+  values.status_reason = status === 'enrolled' ? REASONS.ENROLLED : REASONS.WAITLISTED;
+  values.status_changed_at = new Date();
+  values.waitlisted_at = status === 'waitlisted' ? new Date() : null;
+};
+
+// Drop or withdraw an enrollment ('dropped' | 'withdrawn') and refill the seat.
+// Leaving a waitlist is always recorded as a drop.
+// Returns { enrollment_id, status, reason, promoted, skipped }.
+const leave = async (enrollmentId, requestedStatus) => {
+  // Find the section first so it can be locked before the enrollment
+  const [found] = await getPool().query('SELECT section_id FROM enrollments WHERE enrollment_id = ?', [enrollmentId]);
+  if (found.length === 0) {
+    throw rejection(404, REASONS.ENROLLMENT_NOT_FOUND, 'Enrollment not found');
+  }
+
+  return withTransaction(async (connection) => {
+    const section = await lockSection(connection, found[0].section_id);
+    const [[enrollment]] = await connection.query(
+      'SELECT enrollment_id, status, grade FROM enrollments WHERE enrollment_id = ? FOR UPDATE',
+      [enrollmentId]
+    );
+    if (!enrollment) {
+      throw rejection(404, REASONS.ENROLLMENT_NOT_FOUND, 'Enrollment not found');
+    }
+    if (enrollment.status !== 'enrolled' && enrollment.status !== 'waitlisted') {
+      throw rejection(409, REASONS.NOT_ACTIVE, `Enrollment is already ${enrollment.status}`);
+    }
+    if (enrollment.grade !== null) {
+      throw rejection(409, REASONS.ALREADY_GRADED, 'Graded enrollments cannot be dropped or withdrawn');
+    }
+
+    const status = enrollment.status === 'waitlisted' ? 'dropped' : requestedStatus;
+    const reason = status === 'withdrawn' ? REASONS.WITHDRAWN : REASONS.DROPPED;
+    await recordWrite(connection, { entity: 'enrollment', action: 'update', id: enrollmentId, reason }, (db) => db.query(
+      `UPDATE enrollments
+       SET status = ?, status_reason = ?, status_changed_at = NOW(), waitlisted_at = NULL
+       WHERE enrollment_id = ?`,
+      [status, reason, enrollmentId]
+    ));
+
+    logger.info(`Enrollment decision: enrollment ${enrollmentId} -> ${reason}`);
+
+    // Only a seat that was actually held can be handed on
+    const { promoted, skipped } = enrollment.status === 'enrolled'
+      ? await promote(connection, section)
+      : { promoted: [], skipped: [] };
+
+    return { enrollment_id: enrollmentId, status, reason, promoted, skipped };
+  });
+};
+
+// Refill a section after its capacity was raised; returns { promoted, skipped }
+const promoteWaitlist = (sectionId) => withTransaction(async (connection) => {
+  const section = await lockSection(connection, sectionId);
+  return promote(connection, section);
+});
+
+module.exports = {
+  MAX_CREDITS_PER_TERM,
+  REASONS,
+  rejection,
+  requireGradeReason,
+  checkImportedEnrollment,
+  enroll,
+  leave,
+  promoteWaitlist
+};
@@ -0,0 +1,163 @@
+// Import application logger
+const logger = require('./logger');
+
+// ==============================================
+// HTTP error type
+// ==============================================
+// Error carrying the HTTP status code and optional details for the client
+class ApiError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    // HTTP status code sent to the client
+    this.status = status;
+    // Optional structured details (e.g. offending fields)
+    this.details = details;
+  }
+}
+
+// ==============================================
+// MySQL error mapping
+// ==============================================
+// Singular names of referenced tables, for foreign key messages
+const REFERENCED_NAMES = {
+  students: 'student',
+  courses: 'course',
+  terms: 'term',
+  course_sections: 'section',
+  users: 'user'
+};
+
+// Messages for CHECK constraints, by constraint name
+const CHECK_MESSAGES = {
+  chk_term_dates: 'end_date must not be before start_date',
+  chk_section_times: 'end_time must be after start_time',
+  chk_section_capacity: 'capacity must not be negative',
+  chk_prerequisite_self: 'A course cannot be its own prerequisite'
+};
+
+// Errors meaning MySQL is unreachable rather than the query being wrong
+// (mysql2 flags errors that break the connection as fatal)
+const CONNECTION_ERRORS = new Set([
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'ENOTFOUND',
+  'EHOSTUNREACH',
+  'PROTOCOL_CONNECTION_LOST',
+  'ER_CON_COUNT_ERROR'
+]);
+
+const isConnectionError = (error) => Boolean(error && (error.fatal || CONNECTION_ERRORS.has(error.code)));
+
+// Seconds clients are asked to wait when the database is unavailable
+const DEFAULT_RETRY_AFTER = 5;
+
+// 503 telling the client when to try again (sent as Retry-After)
+const unavailableError = (retryAfter = DEFAULT_RETRY_AFTER) => {
+  const error = new ApiError(503, 'Database unavailable, please retry later');
+  error.retryAfter = retryAfter;
+  return error;
+};
+
+// Translate constraint violations reported by MySQL into HTTP errors
+const mapDatabaseError = (error) => {
+  if (isConnectionError(error)) {
+    return unavailableError();
+  }
+  switch (error.code) {
+    // UNIQUE constraint violated (students.email, users.email, terms.name, section keys)
+    case 'ER_DUP_ENTRY':
+      if (/unique_section_enrollment/.test(error.sqlMessage)) {
+        return new ApiError(409, 'Student is already enrolled in this section');
+      }
+      if (/unique_section'/.test(error.sqlMessage)) {
+        return new ApiError(409, 'This course already has a section with that number in the term');
+      }
+      if (/course_prerequisites\.PRIMARY/.test(error.sqlMessage)) {
+        return new ApiError(409, 'Course already has this prerequisite');
+      }
+      if (/terms\.name/.test(error.sqlMessage)) {
+        return new ApiError(409, 'A term with this name already exists');
+      }
+      if (/unique_query_name/.test(error.sqlMessage)) {
+        return new ApiError(409, 'A saved query with this name already exists');
+      }
+      if (/users\.email/.test(error.sqlMessage)) {
+        return new ApiError(409, 'A user with this email already exists');
+      }
+      if (/email/.test(error.sqlMessage)) {
+        return new ApiError(409, 'A student with this email already exists');
+      }
+      return new ApiError(409, 'Duplicate entry');
+    // Child row references a parent that does not exist
+    case 'ER_NO_REFERENCED_ROW':
+    case 'ER_NO_REFERENCED_ROW_2': {
+      const [, table] = /REFERENCES `(\w+)`/.exec(error.sqlMessage || '') || [];
+      return new ApiError(422, `Referenced ${REFERENCED_NAMES[table] || 'record'} does not exist`);
+    }
+    // Parent row is still referenced by a child row
+    case 'ER_ROW_IS_REFERENCED':
+    case 'ER_ROW_IS_REFERENCED_2':
+      return new ApiError(422, 'Record is still referenced by other records');
+    // CHECK constraint violated (e.g. a term ending before it starts)
+    case 'ER_CHECK_CONSTRAINT_VIOLATED': {
+      const [, name] = /'(\w+)'/.exec(error.sqlMessage || '') || [];
+      return new ApiError(422, CHECK_MESSAGES[name] || 'Record violates a check constraint');
+    }
+    default:
+      return error;
+  }
+};
+
+// ==============================================
+// Error handling middleware
+// ==============================================
+// Last middleware in the chain: turns thrown errors into JSON responses
+// (Express recognises error handlers by their four arguments)
+const errorHandler = (err, req, res, next) => {
+  // Map MySQL constraint errors to HTTP errors
+  const error = mapDatabaseError(err);
+
+  // Known HTTP errors are returned as-is
+  if (error instanceof ApiError) {
+    const body = {
+      success: false,
+      error: error.message
+    };
+    // Machine-readable reason code of enrollment decisions (src/enrollments.js)
+    if (error.reason) {
+      body.reason = error.reason;
+    }
+    if (error.details) {
+      body.details = error.details;
+    }
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+    return res.status(error.status).json(body);
+  }
+
+  // Malformed JSON bodies are reported by express.json() with a 400 status
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      success: false,
+      error: 'Malformed JSON body'
+    });
+  }
+
+  // Anything else is unexpected
+  logger.error(`Unhandled error on ${req.method} ${req.originalUrl}:`, error);
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error'
+  });
+};
+
+module.exports = {
+  ApiError,
+  isConnectionError,
+  unavailableError,
+  mapDatabaseError,
+  errorHandler
+};
@@ -0,0 +1,58 @@
+// Import required modules
+const { currentRequestId } = require('./context');
+
+// ==============================================
+// Domain events (transactional outbox)
+// ==============================================
+// Audited writes (recordWrite in src/audit.js) turn into events here and are
+// added to event_outbox (migration 0009) on the connection making the
+// change, inside its transaction: a committed change always has its events,
+// a rolled-back one never does, even if the process dies right after the
+// commit. src/webhooks.js delivers them to the subscribers.
+
+// Event types, with the change that emits them:
+//   student.created     a student record was added
+//   enrollment.created  a student enrolled or joined a waitlist
+//   enrollment.graded   an enrollment got a grade, or its grade changed
+//   course.updated      a course's columns changed
+const EVENTS = {
+  'student.created': ({ entity, action, after }) =>
+    (entity === 'student' && action === 'create' ? { student: after } : null),
+
+  'enrollment.created': ({ entity, action, after }) =>
+    (entity === 'enrollment' && action === 'create' ? { enrollment: after } : null),
+
+  'enrollment.graded': ({ entity, action, before, after }) => {
+    const previous = before ? before.grade : null;
+    return entity === 'enrollment' && action !== 'delete' && after.grade !== null && after.grade !== previous
+      ? { enrollment: after, previous_grade: previous }
+      : null;
+  },
+
+  'course.updated': ({ entity, action, after, changes }) =>
+    (entity === 'course' && action === 'update' && Object.keys(changes).length > 0 ? { course: after, changes } : null)
+};
+
+const EVENT_TYPES = Object.keys(EVENTS);
+
+// Add the events of one recorded change to the outbox.
+// change: { entity, id, action, before, after, changes } as in src/audit.js.
+const publishChange = async (db, change) => {
+  for (const [type, build] of Object.entries(EVENTS)) {
+    const data = build(change);
+    if (data) {
+      await db.query('INSERT INTO event_outbox SET ?', [{
+        event_type: type,
+        entity: change.entity,
+        entity_id: change.id,
+        payload: JSON.stringify(data),
+        request_id: currentRequestId() || null
+      }]);
+    }
+  }
+};
+
+module.exports = {
+  EVENT_TYPES,
+  publishChange
+};
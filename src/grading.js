@@ -0,0 +1,168 @@
+// Import required modules
+const fs = require('fs');
+const mysql = require('mysql2');
+const logger = require('./logger');
+
+// ==============================================
+// Grading scale
+// ==============================================
+// Single source of truth for letter grade -> grade point conversion.
+// Every GPA expression in the analytics queries is generated from the
+// active scale, so all endpoints agree on the numbers. Letters that are
+// not on the scale (including NULL = course in progress) map to NULL and
+// are ignored by AVG()/SUM() instead of counting as an F.
+
+// Built-in scales, selected with GRADING_SCALE=<name>
+const PRESETS = {
+  // Plain A-F scale (the original sample data)
+  standard: {
+    name: 'standard',
+    description: 'Unweighted 4.0 scale with plain letter grades',
+    // Minimum grade points counted as "success" (C or better)
+    successMinimum: 2.0,
+    grades: [
+      { letter: 'A', points: 4.0, passing: true },
+      { letter: 'B', points: 3.0, passing: true },
+      { letter: 'C', points: 2.0, passing: true },
+      { letter: 'D', points: 1.0, passing: true },
+      { letter: 'F', points: 0.0, passing: false }
+    ]
+  },
+
+  // A-F with plus/minus modifiers
+  'plus-minus': {
+    name: 'plus-minus',
+    description: 'Unweighted 4.0 scale with plus/minus letter grades',
+    successMinimum: 2.0,
+    grades: [
+      { letter: 'A+', points: 4.0, passing: true },
+      { letter: 'A', points: 4.0, passing: true },
+      { letter: 'A-', points: 3.7, passing: true },
+      { letter: 'B+', points: 3.3, passing: true },
+      { letter: 'B', points: 3.0, passing: true },
+      { letter: 'B-', points: 2.7, passing: true },
+      { letter: 'C+', points: 2.3, passing: true },
+      { letter: 'C', points: 2.0, passing: true },
+      { letter: 'C-', points: 1.7, passing: true },
+      { letter: 'D+', points: 1.3, passing: true },
+      { letter: 'D', points: 1.0, passing: true },
+      { letter: 'D-', points: 0.7, passing: true },
+      { letter: 'F', points: 0.0, passing: false }
+    ]
+  }
+};
+
+// Letter families used for grade distributions (A+/A/A- all count as "A")
+const LETTER_FAMILIES = ['A', 'B', 'C', 'D', 'F'];
+
+// Load the active scale: a JSON file (GRADING_SCALE_FILE) or a preset (GRADING_SCALE)
+const loadScale = () => {
+  if (process.env.GRADING_SCALE_FILE) {
+    const scale = JSON.parse(fs.readFileSync(process.env.GRADING_SCALE_FILE, 'utf8'));
+    logger.info(`Loaded grading scale "${scale.name}" from ${process.env.GRADING_SCALE_FILE}`);
+    return scale;
+  }
+  const name = process.env.GRADING_SCALE || 'standard';
+  if (!PRESETS[name]) {
+    throw new Error(`Unknown grading scale "${name}" (available: ${Object.keys(PRESETS).join(', ')})`);
+  }
+  return PRESETS[name];
+};
+
+// Check the scale once at startup so a bad config fails fast
+const validateScale = (scale) => {
+  if (!scale || !Array.isArray(scale.grades) || scale.grades.length === 0) {
+    throw new Error('Grading scale must define at least one grade');
+  }
+  for (const grade of scale.grades) {
+    if (typeof grade.letter !== 'string' || grade.letter.length === 0 || grade.letter.length > 2) {
+      throw new Error(`Invalid letter grade: ${JSON.stringify(grade.letter)}`);
+    }
+    if (typeof grade.points !== 'number' || grade.points < 0 || grade.points > 4) {
+      throw new Error(`Grade ${grade.letter} must have points between 0 and 4`);
+    }
+  }
+  // Custom scales without a success minimum fall back to "C or better"
+  if (typeof scale.successMinimum !== 'number') {
+    scale.successMinimum = 2.0;
+  }
+  return scale;
+};
+
+// Active scale for this process
+const scale = validateScale(loadScale());
+
+// ==============================================
+// Scale lookups
+// ==============================================
+
+// All letters accepted in enrollments.grade
+const letters = () => scale.grades.map((grade) => grade.letter);
+
+// Grade points for one letter (null for in-progress or unknown grades)
+const pointsFor = (letter) => {
+  const grade = scale.grades.find((entry) => entry.letter === letter);
+  return grade ? grade.points : null;
+};
+
+// Whether a letter earns credit
+const isPassing = (letter) => {
+  const grade = scale.grades.find((entry) => entry.letter === letter);
+  return Boolean(grade && grade.passing);
+};
+
+// ==============================================
+// SQL builders
+// ==============================================
+// Letters come from configuration, but are still escaped as SQL literals.
+
+// Grade points for one enrollment, NULL when ungraded
+const pointsSql = (column = 'e.grade') => {
+  const branches = scale.grades
+    .map((grade) => `WHEN ${mysql.escape(grade.letter)} THEN ${grade.points.toFixed(2)}`)
+    .join(' ');
+  return `(CASE ${column} ${branches} END)`;
+};
+
+// Average grade points (simple GPA)
+const gpaSql = (column = 'e.grade') => `AVG(${pointsSql(column)})`;
+
+// Credit-weighted GPA; only graded courses count towards the credits divisor
+const weightedGpaSql = (column = 'e.grade', credits = 'c.credits') =>
+  `(SUM(${pointsSql(column)} * ${credits}) / ` +
+  `SUM(CASE WHEN ${pointsSql(column)} IS NOT NULL THEN ${credits} END))`;
+
+// Number of graded enrollments
+const gradedCountSql = (column = 'e.grade') => `COUNT(${pointsSql(column)})`;
+
+// Number of enrollments in a letter family (A+/A/A- for 'A')
+const familyCountSql = (family, column = 'e.grade') =>
+  `SUM(CASE WHEN LEFT(${column}, 1) = ${mysql.escape(family)} THEN 1 ELSE 0 END)`;
+
+// Number of graded enrollments at or above the scale's success minimum
+const successCountSql = (column = 'e.grade') =>
+  `SUM(CASE WHEN ${pointsSql(column)} >= ${scale.successMinimum.toFixed(2)} THEN 1 ELSE 0 END)`;
+
+// Public description of the active scale (GET /api/grading-scale)
+const describeScale = () => ({
+  name: scale.name,
+  description: scale.description,
+  successMinimum: scale.successMinimum,
+  families: LETTER_FAMILIES,
+  grades: scale.grades
+});
+
+module.exports = {
+  PRESETS,
+  LETTER_FAMILIES,
+  letters,
+  pointsFor,
+  isPassing,
+  pointsSql,
+  gpaSql,
+  weightedGpaSql,
+  gradedCountSql,
+  familyCountSql,
+  successCountSql,
+  describeScale
+};
@@ -0,0 +1,505 @@
+// Import required modules
+const {
+  buildSchema,
+  parse,
+  validate,
+  execute,
+  specifiedRules,
+  GraphQLError,
+  Kind
+} = require('graphql');
+const { getPool } = require('./db');
+const logger = require('./logger');
+const grading = require('./grading');
+const { ApiError } = require('./errors');
+const { formatDate } = require('./csv');
+const { termCondition } = require('./terms');
+const { createLoaders } = require('./loaders');
+
+// ==============================================
+// GraphQL schema over the school data model
+// ==============================================
+// The REST query endpoints in src/app.js each return one fixed shape; here
+// clients pick the combination they need in one request. Filters mirror the
+// REST query parameters (grade, minGPA, courseIds, term, minEnrollments) and
+// computed fields use the active grading scale like the analytics endpoints.
+// Nested fields are resolved through the batch loaders in src/loaders.js.
+//
+// Only enrolled students count towards GPAs and enrollment counts, as in
+// the analytics endpoints; Student.enrollments lists every status.
+
+const typeDefs = `
+  "A student and their enrollments"
+  type Student {
+    id: ID!
+    firstName: String!
+    lastName: String!
+    email: String!
+    "Grade level (9-12)"
+    grade: Int!
+    enrollmentDate: String!
+    "Enrollments, newest first (every status unless one is given)"
+    enrollments(term: ID, status: EnrollmentStatus): [Enrollment!]!
+    "Average grade points of graded enrolled courses"
+    gpa(term: ID): Float
+    "Credit-weighted GPA"
+    weightedGpa(term: ID): Float
+    "Credits of passed courses"
+    creditsEarned(term: ID): Int!
+  }
+
+  type Course {
+    id: ID!
+    name: String!
+    department: Department!
+    credits: Int!
+    description: String
+    enrollments(term: ID, status: EnrollmentStatus): [Enrollment!]!
+    "Number of enrolled students"
+    enrollmentCount(term: ID): Int!
+    averageGpa(term: ID): Float
+    "Courses that must be passed first"
+    prerequisites: [Prerequisite!]!
+    sections(term: ID): [Section!]!
+  }
+
+  type Prerequisite {
+    course: Course!
+    "Lowest accepted grade (null: any passing grade)"
+    minimumGrade: String
+  }
+
+  enum EnrollmentStatus {
+    enrolled
+    waitlisted
+    dropped
+    withdrawn
+  }
+
+  type Enrollment {
+    id: ID!
+    student: Student!
+    course: Course!
+    section: Section!
+    term: Term!
+    enrollmentDate: String!
+    "Letter grade (null while in progress)"
+    grade: String
+    gradePoints: Float
+    status: EnrollmentStatus!
+  }
+
+  type Section {
+    id: ID!
+    course: Course!
+    term: Term!
+    sectionNumber: String!
+    teacherId: ID
+    capacity: Int!
+    enrolled: Int!
+    meetingDays: String
+    startTime: String
+    endTime: String
+    room: String
+  }
+
+  type Term {
+    id: ID!
+    name: String!
+    startDate: String!
+    endDate: String!
+  }
+
+  "Courses grouped by department"
+  type Department {
+    name: String!
+    courses: [Course!]!
+    enrollmentCount(term: ID): Int!
+    "Distinct enrolled students"
+    studentCount(term: ID): Int!
+    averageGpa(term: ID): Float
+  }
+
+  type Query {
+    student(id: ID!): Student
+    "Students ordered by name, filtered like the REST analytics endpoints"
+    students(grade: Int, minGPA: Float, courseIds: [ID!], term: ID, limit: Int = 50, offset: Int = 0): [Student!]!
+    course(id: ID!): Course
+    "Courses ordered by name; minEnrollments counts enrolled students (in the term)"
+    courses(department: String, minEnrollments: Int, term: ID): [Course!]!
+    enrollment(id: ID!): Enrollment
+    department(name: String!): Department
+    departments: [Department!]!
+    terms: [Term!]!
+  }
+`;
+
+// Largest page for Query.students, deepest allowed selection and most
+// courseIds (the REST limit, see MAX_LIST_ITEMS in src/schemas.js)
+const MAX_LIMIT = 100;
+const MAX_DEPTH = 8;
+const MAX_COURSE_IDS = 50;
+
+// ==============================================
+// Argument helpers
+// ==============================================
+
+// Parse an ID argument; ids are positive integers
+const toId = (value, name = 'id') => {
+  if (!/^\d+$/.test(String(value)) || Number(value) < 1) {
+    throw new GraphQLError(`${name} must be a positive integer`, { extensions: { code: 'BAD_USER_INPUT' } });
+  }
+  return Number(value);
+};
+
+// Optional term argument as an id (undefined when not given)
+const termArg = (args) => (args.term === undefined || args.term === null ? undefined : toId(args.term, 'term'));
+
+// Enrollments in one term (all terms without one)
+const inTerm = (enrollments, term) =>
+  (term === undefined ? enrollments : enrollments.filter((enrollment) => enrollment.term_id === term));
+
+// Enrolled (seat-holding) enrollments, optionally in one term
+const active = (enrollments, term) =>
+  inTerm(enrollments, term).filter((enrollment) => enrollment.status === 'enrolled');
+
+// Round like the analytics endpoints (ROUND(..., 2))
+const round2 = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+// Simple and credit-weighted GPAs of a set of enrollments (null when nothing is graded)
+const gpaOf = (enrollments) => {
+  const points = enrollments
+    .map((enrollment) => grading.pointsFor(enrollment.grade))
+    .filter((value) => value !== null);
+  return points.length > 0 ? round2(points.reduce((sum, value) => sum + value, 0) / points.length) : null;
+};
+
+const weightedGpaOf = (enrollments) => {
+  let qualityPoints = 0;
+  let credits = 0;
+  for (const enrollment of enrollments) {
+    const points = grading.pointsFor(enrollment.grade);
+    if (points !== null) {
+      qualityPoints += points * enrollment.credits;
+      credits += enrollment.credits;
+    }
+  }
+  return credits > 0 ? round2(qualityPoints / credits) : null;
+};
+
+// Enrolled enrollments in every course of a department
+const departmentEnrollments = async (department, args, { loaders }) => {
+  const courses = await loaders.coursesByDepartment.load(department.name);
+  const perCourse = await loaders.enrollmentsByCourse.loadMany(courses.map((course) => course.course_id));
+  return active(perCourse.flat(), termArg(args));
+};
+
+// ==============================================
+// Resolvers
+// ==============================================
+// Field resolvers by type; fields not listed here read the column of the
+// same name from the row.
+
+const resolvers = {
+  Query: {
+    student: (root, args, { loaders }) => loaders.student.load(toId(args.id)),
+
+    students: async (root, args, { loaders }) => {
+      const term = termArg(args);
+      if (args.courseIds && args.courseIds.length > MAX_COURSE_IDS) {
+        throw new GraphQLError(`courseIds must contain at most ${MAX_COURSE_IDS} items`, {
+          extensions: { code: 'BAD_USER_INPUT' }
+        });
+      }
+      if (args.limit < 1 || args.limit > MAX_LIMIT || args.offset < 0) {
+        throw new GraphQLError(`limit must be between 1 and ${MAX_LIMIT} and offset must not be negative`, {
+          extensions: { code: 'BAD_USER_INPUT' }
+        });
+      }
+
+      // Same shape as endpoints 6 and 7: enrolled rows joined for the GPA,
+      // course filter as a subquery
+      const conditions = [];
+      const params = term ? [term] : [];
+      if (args.grade !== undefined && args.grade !== null) {
+        conditions.push('AND s.grade = ?');
+        params.push(args.grade);
+      }
+      if (args.courseIds && args.courseIds.length > 0) {
+        conditions.push(`AND s.student_id IN (
+          SELECT student_id FROM enrollments
+          WHERE course_id IN (?) AND status = 'enrolled' ${termCondition(term, 'enrollments')}
+        )`);
+        params.push(args.courseIds.map((courseId) => toId(courseId, 'courseIds')));
+        if (term) {
+          params.push(term);
+        }
+      }
+      const minGpa = args.minGPA !== undefined && args.minGPA !== null;
+      if (minGpa) {
+        params.push(args.minGPA);
+      }
+      params.push(args.limit, args.offset);
+
+      const [rows] = await getPool().query(
+        `SELECT s.student_id, s.first_name, s.last_name, s.email, s.grade, s.enrollment_date
+         FROM students s
+         LEFT JOIN enrollments e ON s.student_id = e.student_id AND e.status = 'enrolled' ${termCondition(term)}
+         WHERE 1=1 ${conditions.join(' ')}
+         GROUP BY s.student_id, s.first_name, s.last_name, s.email, s.grade, s.enrollment_date
+         ${minGpa ? `HAVING ${grading.gpaSql()} >= ?` : ''}
+         ORDER BY s.last_name, s.first_name, s.student_id
+         LIMIT ? OFFSET ?`,
+        params
+      );
+
+      // Nested fields asking for these students again are answered from the cache
+      for (const row of rows) {
+        loaders.student.prime(row.student_id, row);
+      }
+      return rows;
+    },
+
+    course: (root, args, { loaders }) => loaders.course.load(toId(args.id)),
+
+    courses: async (root, args, { loaders }) => {
+      const term = termArg(args);
+      const params = term ? [term] : [];
+      if (args.department) {
+        params.push(args.department);
+      }
+      const minEnrollments = args.minEnrollments !== undefined && args.minEnrollments !== null;
+      if (minEnrollments) {
+        params.push(args.minEnrollments);
+      }
+
+      const [rows] = await getPool().query(
+        `SELECT c.course_id, c.course_name, c.department, c.credits, c.description
+         FROM courses c
+         LEFT JOIN enrollments e ON c.course_id = e.course_id AND e.status = 'enrolled' ${termCondition(term)}
+         ${args.department ? 'WHERE c.department = ?' : ''}
+         GROUP BY c.course_id, c.course_name, c.department, c.credits, c.description
+         ${minEnrollments ? 'HAVING COUNT(e.enrollment_id) >= ?' : ''}
+         ORDER BY c.course_name`,
+        params
+      );
+
+      for (const row of rows) {
+        loaders.course.prime(row.course_id, row);
+      }
+      return rows;
+    },
+
+    enrollment: (root, args, { loaders }) => loaders.enrollment.load(toId(args.id)),
+
+    // Departments are not a table; use the spelling stored on the courses
+    department: async (root, args) => {
+      const [rows] = await getPool().query(
+        'SELECT DISTINCT department AS name FROM courses WHERE department = ? LIMIT 1',
+        [args.name]
+      );
+      return rows[0] || null;
+    },
+
+    departments: async () => {
+      const [rows] = await getPool().query('SELECT DISTINCT department AS name FROM courses ORDER BY department');
+      return rows;
+    },
+
+    terms: async () => {
+      const [rows] = await getPool().query('SELECT term_id, name, start_date, end_date FROM terms ORDER BY start_date');
+      return rows;
+    }
+  },
+
+  Student: {
+    id: (student) => student.student_id,
+    firstName: (student) => student.first_name,
+    lastName: (student) => student.last_name,
+    enrollmentDate: (student) => formatDate(student.enrollment_date),
+    enrollments: async (student, args, { loaders }) => {
+      const enrollments = inTerm(await loaders.enrollmentsByStudent.load(student.student_id), termArg(args));
+      return args.status ? enrollments.filter((enrollment) => enrollment.status === args.status) : enrollments;
+    },
+    gpa: async (student, args, { loaders }) =>
+      gpaOf(active(await loaders.enrollmentsByStudent.load(student.student_id), termArg(args))),
+    weightedGpa: async (student, args, { loaders }) =>
+      weightedGpaOf(active(await loaders.enrollmentsByStudent.load(student.student_id), termArg(args))),
+    creditsEarned: async (student, args, { loaders }) =>
+      active(await loaders.enrollmentsByStudent.load(student.student_id), termArg(args))
+        .filter((enrollment) => grading.isPassing(enrollment.grade))
+        .reduce((sum, enrollment) => sum + enrollment.credits, 0)
+  },
+
+  Course: {
+    id: (course) => course.course_id,
+    name: (course) => course.course_name,
+    department: (course) => ({ name: course.department }),
+    enrollments: async (course, args, { loaders }) => {
+      const enrollments = inTerm(await loaders.enrollmentsByCourse.load(course.course_id), termArg(args));
+      return args.status ? enrollments.filter((enrollment) => enrollment.status === args.status) : enrollments;
+    },
+    enrollmentCount: async (course, args, { loaders }) =>
+      active(await loaders.enrollmentsByCourse.load(course.course_id), termArg(args)).length,
+    averageGpa: async (course, args, { loaders }) =>
+      gpaOf(active(await loaders.enrollmentsByCourse.load(course.course_id), termArg(args))),
+    prerequisites: (course, args, { loaders }) => loaders.prerequisitesByCourse.load(course.course_id),
+    sections: async (course, args, { loaders }) => {
+      const term = termArg(args);
+      const sections = await loaders.sectionsByCourse.load(course.course_id);
+      return term === undefined ? sections : sections.filter((section) => section.term_id === term);
+    }
+  },
+
+  Prerequisite: {
+    course: (prerequisite, args, { loaders }) => loaders.course.load(prerequisite.prerequisite_id),
+    minimumGrade: (prerequisite) => prerequisite.minimum_grade
+  },
+
+  Enrollment: {
+    id: (enrollment) => enrollment.enrollment_id,
+    student: (enrollment, args, { loaders }) => loaders.student.load(enrollment.student_id),
+    course: (enrollment, args, { loaders }) => loaders.course.load(enrollment.course_id),
+    section: (enrollment, args, { loaders }) => loaders.section.load(enrollment.section_id),
+    term: (enrollment, args, { loaders }) => loaders.term.load(enrollment.term_id),
+    enrollmentDate: (enrollment) => formatDate(enrollment.enrollment_date),
+    gradePoints: (enrollment) => grading.pointsFor(enrollment.grade)
+  },
+
+  Section: {
+    id: (section) => section.section_id,
+    course: (section, args, { loaders }) => loaders.course.load(section.course_id),
+    term: (section, args, { loaders }) => loaders.term.load(section.term_id),
+    sectionNumber: (section) => section.section_number,
+    teacherId: (section) => section.teacher_id,
+    meetingDays: (section) => section.meeting_days,
+    startTime: (section) => section.start_time,
+    endTime: (section) => section.end_time
+  },
+
+  Term: {
+    id: (term) => term.term_id,
+    startDate: (term) => formatDate(term.start_date),
+    endDate: (term) => formatDate(term.end_date)
+  },
+
+  Department: {
+    courses: (department, args, { loaders }) => loaders.coursesByDepartment.load(department.name),
+    enrollmentCount: async (department, args, context) =>
+      (await departmentEnrollments(department, args, context)).length,
+    studentCount: async (department, args, context) =>
+      new Set((await departmentEnrollments(department, args, context)).map((enrollment) => enrollment.student_id)).size,
+    averageGpa: async (department, args, context) =>
+      gpaOf(await departmentEnrollments(department, args, context))
+  }
+};
+
+// Attach the resolvers to the SDL schema
+const schema = buildSchema(typeDefs);
+for (const [typeName, fields] of Object.entries(resolvers)) {
+  const type = schema.getType(typeName);
+  for (const [fieldName, resolve] of Object.entries(fields)) {
+    type.getFields()[fieldName].resolve = resolve;
+  }
+}
+
+// ==============================================
+// Validation: selection depth limit
+// ==============================================
+// Types refer to each other (student -> enrollments -> course -> enrollments
+// -> ...), so an unbounded query could fan out over the whole database.
+const depthLimitRule = (context) => {
+  const fragments = Object.fromEntries(
+    context.getDocument().definitions
+      .filter((definition) => definition.kind === Kind.FRAGMENT_DEFINITION)
+      .map((definition) => [definition.name.value, definition])
+  );
+
+  const depthOf = (selectionSet, depth, visited) => {
+    if (!selectionSet) {
+      return depth;
+    }
+    return Math.max(depth, ...selectionSet.selections.map((selection) => {
+      if (selection.kind === Kind.FIELD) {
+        return depthOf(selection.selectionSet, depth + 1, visited);
+      }
+      if (selection.kind === Kind.INLINE_FRAGMENT) {
+        return depthOf(selection.selectionSet, depth, visited);
+      }
+      // Fragment spread (cycles are reported by the standard NoFragmentCycles rule)
+      const fragment = fragments[selection.name.value];
+      if (!fragment || visited.has(fragment.name.value)) {
+        return depth;
+      }
+      return depthOf(fragment.selectionSet, depth, new Set([...visited, fragment.name.value]));
+    }));
+  };
+
+  return {
+    OperationDefinition(operation) {
+      if (depthOf(operation.selectionSet, 0, new Set()) > MAX_DEPTH) {
+        context.reportError(new GraphQLError(`Query is nested more than ${MAX_DEPTH} levels deep`, {
+          nodes: [operation]
+        }));
+      }
+    }
+  };
+};
+
+// ==============================================
+// Execution
+// ==============================================
+
+// Client-facing error: ApiError and GraphQL errors keep their message,
+// anything else is logged and replaced with a generic one
+const formatError = (error) => {
+  const original = error.originalError;
+  if (original && !(original instanceof ApiError) && !(original instanceof GraphQLError)) {
+    logger.error('GraphQL resolver error:', original);
+    return { message: 'Internal server error', path: error.path, extensions: { code: 'INTERNAL_SERVER_ERROR' } };
+  }
+  const extensions = original instanceof ApiError ? { code: 'API_ERROR', status: original.status } : error.extensions;
+  return { message: error.message, locations: error.locations, path: error.path, extensions };
+};
+
+// Run one GraphQL request; returns { status, body } for the HTTP layer.
+// Syntax and validation errors are 400; resolver errors are reported in
+// `errors` next to the partial `data` with status 200, as GraphQL clients expect.
+const runQuery = async ({ query, variables, operationName }, user) => {
+  if (typeof query !== 'string' || query.trim() === '') {
+    return { status: 400, body: { errors: [{ message: 'A query string is required' }] } };
+  }
+
+  let document;
+  try {
+    document = parse(query);
+  } catch (error) {
+    return { status: 400, body: { errors: [formatError(error)] } };
+  }
+
+  const validationErrors = validate(schema, document, [...specifiedRules, depthLimitRule]);
+  if (validationErrors.length > 0) {
+    return { status: 400, body: { errors: validationErrors.map(formatError) } };
+  }
+
+  const result = await execute({
+    schema,
+    document,
+    variableValues: variables,
+    operationName,
+    contextValue: { user, loaders: createLoaders() }
+  });
+
+  // Without data the request itself was rejected (e.g. invalid variables)
+  const body = { data: result.data };
+  if (result.errors) {
+    body.errors = result.errors.map(formatError);
+  }
+  return { status: result.data === undefined ? 400 : 200, body };
+};
+
+module.exports = {
+  schema,
+  typeDefs,
+  runQuery
+};
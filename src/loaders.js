@@ -0,0 +1,110 @@
+// Import required modules
+const DataLoader = require('dataloader');
+const { getPool } = require('./db');
+
+// ==============================================
+// Per-request batch loaders (GraphQL)
+// ==============================================
+// Nested GraphQL fields ask for one row at a time (the course of every
+// enrollment, the enrollments of every student...). Each loader collects
+// the keys requested in one tick and answers them with a single
+// `WHERE ... IN (?)` query, so a query costs one round trip per level
+// instead of one per row. Loaders also cache for the rest of the request;
+// create a fresh set per request so no data outlives it.
+
+// Columns selected for each entity (enrollments carry their term and credits
+// so filters and GPAs can be computed without another query)
+const STUDENT_COLUMNS = 's.student_id, s.first_name, s.last_name, s.email, s.grade, s.enrollment_date';
+const COURSE_COLUMNS = 'c.course_id, c.course_name, c.department, c.credits, c.description';
+const SECTION_COLUMNS = `
+  cs.section_id, cs.course_id, cs.term_id, cs.section_number, cs.teacher_id, cs.capacity,
+  (SELECT COUNT(*) FROM enrollments e WHERE e.section_id = cs.section_id AND e.status = 'enrolled') AS enrolled,
+  cs.meeting_days, cs.start_time, cs.end_time, cs.room
+`;
+const ENROLLMENT_COLUMNS = `
+  e.enrollment_id, e.student_id, e.course_id, e.section_id, e.enrollment_date,
+  e.grade, e.status, cs.term_id, c.credits
+`;
+const ENROLLMENT_FROM = `
+  FROM enrollments e
+  INNER JOIN course_sections cs ON e.section_id = cs.section_id
+  INNER JOIN courses c ON e.course_id = c.course_id
+`;
+
+// One row (or null) per key, in key order
+const byKey = (rows, keys, column) => {
+  const found = new Map(rows.map((row) => [row[column], row]));
+  return keys.map((key) => found.get(key) || null);
+};
+
+// A list of rows per key, in key order
+const groupByKey = (rows, keys, column) => {
+  const groups = new Map(keys.map((key) => [key, []]));
+  for (const row of rows) {
+    groups.get(row[column]).push(row);
+  }
+  return keys.map((key) => groups.get(key));
+};
+
+// Loader running `query` once for all keys; rows are matched back on `column`
+const batched = (query, column, { many = false } = {}) => new DataLoader(async (keys) => {
+  const [rows] = await getPool().query(query, [keys]);
+  return many ? groupByKey(rows, keys, column) : byKey(rows, keys, column);
+});
+
+// Fresh loaders for one request
+const createLoaders = () => ({
+  student: batched(
+    `SELECT ${STUDENT_COLUMNS} FROM students s WHERE s.student_id IN (?)`,
+    'student_id'
+  ),
+  course: batched(
+    `SELECT ${COURSE_COLUMNS} FROM courses c WHERE c.course_id IN (?)`,
+    'course_id'
+  ),
+  coursesByDepartment: batched(
+    `SELECT ${COURSE_COLUMNS} FROM courses c WHERE c.department IN (?) ORDER BY c.course_name`,
+    'department',
+    { many: true }
+  ),
+  section: batched(
+    `SELECT ${SECTION_COLUMNS} FROM course_sections cs WHERE cs.section_id IN (?)`,
+    'section_id'
+  ),
+  sectionsByCourse: batched(
+    `SELECT ${SECTION_COLUMNS}
+     FROM course_sections cs
+     INNER JOIN terms t ON cs.term_id = t.term_id
+     WHERE cs.course_id IN (?)
+     ORDER BY t.start_date, cs.section_number`,
+    'course_id',
+    { many: true }
+  ),
+  term: batched(
+    'SELECT term_id, name, start_date, end_date FROM terms WHERE term_id IN (?)',
+    'term_id'
+  ),
+  enrollment: batched(
+    `SELECT ${ENROLLMENT_COLUMNS} ${ENROLLMENT_FROM} WHERE e.enrollment_id IN (?)`,
+    'enrollment_id'
+  ),
+  enrollmentsByStudent: batched(
+    `SELECT ${ENROLLMENT_COLUMNS} ${ENROLLMENT_FROM} WHERE e.student_id IN (?) ORDER BY e.enrollment_date DESC, e.enrollment_id`,
+    'student_id',
+    { many: true }
+  ),
+  enrollmentsByCourse: batched(
+    `SELECT ${ENROLLMENT_COLUMNS} ${ENROLLMENT_FROM} WHERE e.course_id IN (?) ORDER BY e.enrollment_date DESC, e.enrollment_id`,
+    'course_id',
+    { many: true }
+  ),
+  prerequisitesByCourse: batched(
+    'SELECT course_id, prerequisite_id, minimum_grade FROM course_prerequisites WHERE course_id IN (?)',
+    'course_id',
+    { many: true }
+  )
+});
+
+module.exports = {
+  createLoaders
+};
@@ -0,0 +1,36 @@
+// Import winston logging library
+const winston = require('winston');
+const { currentRequestId } = require('./context');
+
+// Tag every line logged while handling a request with its correlation ID
+const requestId = winston.format((info) => {
+  const id = currentRequestId();
+  if (id) {
+    info.requestId = id;
+  }
+  return info;
+});
+
+// Configure Winston logger for application logging
+const logger = winston.createLogger({
+  // Set logging level
+  level: 'info',
+  // Define log format as JSON
+  format: winston.format.combine(requestId(), winston.format.json()),
+  // Define where to write logs
+  transports: [
+    // Write all logs to console
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    }),
+    // Write all logs to combined.log file
+    new winston.transports.File({ filename: 'logs/combined.log' }),
+    // Write only error logs to error.log file
+    new winston.transports.File({ filename: 'logs/error.log', level: 'error' })
+  ]
+});
+
+module.exports = logger;
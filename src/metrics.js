@@ -0,0 +1,190 @@
+// Import required modules
+const client = require('prom-client');
+const { currentRequest } = require('./context');
+
+// ==============================================
+// Prometheus metrics
+// ==============================================
+// Served as text at GET /metrics (see src/app.js). Routes are labelled by
+// their Express pattern (/api/students/:id), never by the raw URL, so the
+// number of series stays bounded.
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+// Latency buckets in seconds (HTTP requests and queries)
+const BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by route, method and status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry]
+});
+
+const httpErrors = new client.Counter({
+  name: 'http_request_errors_total',
+  help: 'HTTP requests answered with a 4xx or 5xx status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry]
+});
+
+const httpDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by route, method and status',
+  labelNames: ['method', 'route', 'status'],
+  buckets: BUCKETS,
+  registers: [registry]
+});
+
+const queryDuration = new client.Histogram({
+  name: 'db_query_duration_seconds',
+  help: 'MySQL query latency by endpoint',
+  labelNames: ['endpoint', 'outcome'],
+  buckets: BUCKETS,
+  registers: [registry]
+});
+
+const rateLimited = new client.Counter({
+  name: 'http_rate_limited_total',
+  help: 'Requests refused with 429 by budget (see src/ratelimit.js)',
+  labelNames: ['budget'],
+  registers: [registry]
+});
+
+const webhookDeliveries = new client.Counter({
+  name: 'webhook_deliveries_total',
+  help: 'Webhook delivery attempts by outcome (delivered, failed, dead; see src/webhooks.js)',
+  labelNames: ['outcome'],
+  registers: [registry]
+});
+
+const streamClients = new client.Gauge({
+  name: 'analytics_stream_clients',
+  help: 'Open analytics event streams by tenant (see src/stream.js)',
+  labelNames: ['tenant'],
+  registers: [registry]
+});
+
+// ==============================================
+// Route labels
+// ==============================================
+
+// Express pattern of the matched route without parameter regexes
+// (/api/students/:id(\\d+) -> /api/students/:id); 'unmatched' for 404s
+const routeOf = (req) => (req && req.routePattern) || 'unmatched';
+
+// Express sets req.route when a route matches, while req.baseUrl still holds
+// the router's mount path (it is reset once the request leaves the router,
+// e.g. on next(error)), so the full pattern is recorded at that moment
+const trackRoute = (req) => {
+  let route;
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (value) => {
+      route = value;
+      const path = value.path === '/' && req.baseUrl ? '' : value.path;
+      req.routePattern = `${req.baseUrl}${path}`.replace(/\((?:[^()]|\([^()]*\))*\)/g, '');
+    }
+  });
+};
+
+// Endpoint label of a query: method and route of the request issuing it
+const endpointOf = (req) => (req ? `${req.method} ${routeOf(req)}` : 'background');
+
+// ==============================================
+// HTTP middleware
+// ==============================================
+
+// Count and time every request once its response is finished
+const httpMetrics = (req, res, next) => {
+  trackRoute(req);
+  const stop = httpDuration.startTimer();
+  res.on('finish', () => {
+    const labels = { method: req.method, route: routeOf(req), status: res.statusCode };
+    stop(labels);
+    httpRequests.inc(labels);
+    if (res.statusCode >= 400) {
+      httpErrors.inc(labels);
+    }
+  });
+  next();
+};
+
+// Count a request refused by the rate limiter
+const countRateLimited = (budget) => rateLimited.inc({ budget });
+
+// Count a webhook delivery attempt
+const countWebhookDelivery = (outcome) => webhookDeliveries.inc({ outcome });
+
+// Count an analytics stream opening (1) or closing (-1)
+const countStreamClients = (tenant, change) => streamClients.inc({ tenant }, change);
+
+// ==============================================
+// MySQL pool
+// ==============================================
+
+// Time query() / execute() of a pool or connection, labelled by endpoint
+const timeQueries = (target) => {
+  for (const method of ['query', 'execute']) {
+    const original = target[method].bind(target);
+    target[method] = async (...args) => {
+      const stop = queryDuration.startTimer({ endpoint: endpointOf(currentRequest()) });
+      try {
+        const result = await original(...args);
+        stop({ outcome: 'success' });
+        return result;
+      } catch (error) {
+        stop({ outcome: 'error' });
+        throw error;
+      }
+    };
+  }
+};
+
+// Instrument a mysql2/promise pool: its queries and the queries of the
+// connections it hands out
+const instrumentPool = (pool) => {
+  timeQueries(pool);
+
+  // getConnection() returns a fresh promise wrapper every time
+  const getConnection = pool.getConnection.bind(pool);
+  pool.getConnection = async () => {
+    const connection = await getConnection();
+    timeQueries(connection);
+    return connection;
+  };
+};
+
+// Gauges for the connections of every tenant's pool, read at scrape time:
+// stats() returns [{ tenant, active, idle, queued, limit }] (see poolStats
+// in src/db.js)
+const trackPools = (stats) => {
+  new client.Gauge({
+    name: 'db_pool_connections',
+    help: 'MySQL pool connections by tenant and state (active, idle, queued requests, limit)',
+    labelNames: ['tenant', 'state'],
+    registers: [registry],
+    collect() {
+      this.reset();
+      for (const { tenant, active, idle, queued, limit } of stats()) {
+        this.set({ tenant, state: 'active' }, active);
+        this.set({ tenant, state: 'idle' }, idle);
+        this.set({ tenant, state: 'queued' }, queued);
+        this.set({ tenant, state: 'limit' }, limit);
+      }
+    }
+  });
+};
+
+module.exports = {
+  registry,
+  httpMetrics,
+  countRateLimited,
+  countWebhookDelivery,
+  countStreamClients,
+  instrumentPool,
+  trackPools
+};
@@ -0,0 +1,74 @@
+// Import required modules
+const { configFor } = require('./db');
+const { listTenants, findTenant } = require('./tenants');
+const migrations = require('./migrations');
+const logger = require('./logger');
+
+// ==============================================
+// Migration CLI
+// ==============================================
+// Usage (see the npm scripts in package.json):
+//
+//   node src/migrate.js up            apply pending migrations
+//   node src/migrate.js down [steps]  revert the last migration(s), default 1
+//   node src/migrate.js status        list applied and pending migrations
+//   node src/migrate.js seed          load the sample data in db/seeds
+//
+// Commands run against every tenant database in turn (src/tenants.js), or
+// only against the one named by TENANT=<id>.
+
+const COMMANDS = {
+  up: (dbConfig) => migrations.migrate(dbConfig),
+  down: async (dbConfig, steps) => {
+    const count = steps === undefined ? 1 : Number(steps);
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error('steps must be a positive integer');
+    }
+    return migrations.rollback(dbConfig, count);
+  },
+  status: async (dbConfig) => {
+    const rows = await migrations.status(dbConfig);
+    for (const row of rows) {
+      const when = row.applied_at ? row.applied_at.toISOString() : '';
+      const flag = row.modified ? '  (modified since applied)' : '';
+      console.log(`${String(row.version).padStart(4, '0')}  ${row.status.padEnd(8)}  ${row.name}  ${when}${flag}`);
+    }
+  },
+  seed: (dbConfig) => migrations.seed(dbConfig)
+};
+
+// Tenants to run the command against
+const selectTenants = () => {
+  if (!process.env.TENANT) {
+    return listTenants();
+  }
+  const tenant = findTenant(process.env.TENANT);
+  if (!tenant) {
+    throw new Error(`Unknown TENANT "${process.env.TENANT}"`);
+  }
+  return [tenant];
+};
+
+const run = async (command, args) => {
+  const tenants = selectTenants();
+  for (const tenant of tenants) {
+    if (tenants.length > 1) {
+      console.log(`== ${tenant.id} (${tenant.database})`);
+    }
+    await COMMANDS[command](configFor(tenant), ...args);
+  }
+};
+
+const [command = 'up', ...args] = process.argv.slice(2);
+
+if (!COMMANDS[command]) {
+  console.error(`Unknown command "${command}" (available: ${Object.keys(COMMANDS).join(', ')})`);
+  process.exit(1);
+}
+
+run(command, args)
+  .then(() => process.exit(0))
+  .catch((error) => {
+    logger.error(`❌ Migration command "${command}" failed:`, error);
+    process.exit(1);
+  });
@@ -0,0 +1,198 @@
+// Import required modules
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mysql = require('mysql2/promise');
+const logger = require('./logger');
+
+// ==============================================
+// Versioned schema migrations and seed data
+// ==============================================
+// Migrations live in db/migrations as NNNN_name.up.sql / NNNN_name.down.sql
+// pairs and are applied in version order. Applied versions are recorded in
+// the schema_migrations table. A named MySQL lock (GET_LOCK) serializes
+// runners, so several app instances starting at once apply each migration
+// exactly once. Seeds in db/seeds are plain SQL files that must be safe to
+// run repeatedly (explicit ids + ON DUPLICATE KEY UPDATE).
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'db', 'migrations');
+const SEEDS_DIR = path.join(__dirname, '..', 'db', 'seeds');
+
+// Seconds to wait for another runner to release the lock
+const LOCK_TIMEOUT = 60;
+
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// ==============================================
+// Migration files
+// ==============================================
+
+const checksumOf = (sql) => crypto.createHash('sha256').update(sql).digest('hex');
+
+// Read db/migrations into [{ version, name, up, down, checksum }], oldest first
+const loadMigrations = (directory = MIGRATIONS_DIR) => {
+  const migrations = new Map();
+  for (const file of fs.readdirSync(directory)) {
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) {
+      continue;
+    }
+    const [, digits, name, direction] = match;
+    const version = Number(digits);
+    if (!migrations.has(version)) {
+      migrations.set(version, { version, name });
+    }
+    const migration = migrations.get(version);
+    if (migration.name !== name) {
+      throw new Error(`Migration ${digits} has files with different names (${migration.name}, ${name})`);
+    }
+    migration[direction] = fs.readFileSync(path.join(directory, file), 'utf8');
+  }
+
+  return [...migrations.values()]
+    .map((migration) => {
+      if (!migration.up) {
+        throw new Error(`Migration ${migration.version} (${migration.name}) has no .up.sql file`);
+      }
+      return { ...migration, checksum: checksumOf(migration.up) };
+    })
+    .sort((a, b) => a.version - b.version);
+};
+
+// ==============================================
+// Connection and lock handling
+// ==============================================
+
+// Run fn(connection) on a dedicated connection holding the migration lock.
+// Migration files contain several statements, so multipleStatements is
+// enabled here only, never on the application pool.
+const withLock = async (config, fn) => {
+  const connection = await mysql.createConnection({
+    host: config.host,
+    port: config.port,
+    user: config.user,
+    password: config.password,
+    database: config.database,
+    multipleStatements: true
+  });
+  const lockName = `${config.database}.schema_migrations`;
+  try {
+    const [[{ acquired }]] = await connection.query('SELECT GET_LOCK(?, ?) AS acquired', [lockName, LOCK_TIMEOUT]);
+    if (acquired !== 1) {
+      throw new Error(`Timed out after ${LOCK_TIMEOUT}s waiting for the migration lock`);
+    }
+    try {
+      await connection.query(
+        `CREATE TABLE IF NOT EXISTS schema_migrations (
+           version INT PRIMARY KEY,
+           name VARCHAR(255) NOT NULL,
+           checksum CHAR(64) NOT NULL,
+           applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+         ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+      );
+      return await fn(connection);
+    } finally {
+      await connection.query('SELECT RELEASE_LOCK(?)', [lockName]);
+    }
+  } finally {
+    await connection.end();
+  }
+};
+
+// Applied versions keyed by version number
+const appliedMigrations = async (connection) => {
+  const [rows] = await connection.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(rows.map((row) => [row.version, row]));
+};
+
+// ==============================================
+// Commands
+// ==============================================
+// MySQL commits DDL implicitly, so a migration that fails half-way is not
+// rolled back; it stays unrecorded and has to be fixed by hand.
+
+// Apply every pending migration; returns the versions applied
+const migrate = async (config) => withLock(config, async (connection) => {
+  const applied = await appliedMigrations(connection);
+  const done = [];
+
+  for (const migration of loadMigrations()) {
+    const record = applied.get(migration.version);
+    if (record) {
+      // Editing an applied migration has no effect; flag it instead of failing
+      if (record.checksum !== migration.checksum) {
+        logger.warn(`⚠️  Migration ${migration.version} (${migration.name}) was modified after it was applied`);
+      }
+      continue;
+    }
+
+    logger.info(`Applying migration ${migration.version} (${migration.name})`);
+    await connection.query(migration.up);
+    await connection.query(
+      'INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)',
+      [migration.version, migration.name, migration.checksum]
+    );
+    done.push(migration.version);
+  }
+
+  logger.info(done.length > 0
+    ? `✅ Applied ${done.length} migration(s)`
+    : '✅ Database schema is up to date');
+  return done;
+});
+
+// Revert the most recent applied migrations; returns the versions reverted
+const rollback = async (config, steps = 1) => withLock(config, async (connection) => {
+  const applied = await appliedMigrations(connection);
+  const files = new Map(loadMigrations().map((migration) => [migration.version, migration]));
+  const targets = [...applied.keys()].sort((a, b) => b - a).slice(0, steps);
+  const done = [];
+
+  for (const version of targets) {
+    const migration = files.get(version);
+    if (!migration || !migration.down) {
+      throw new Error(`Migration ${version} has no .down.sql file and cannot be reverted`);
+    }
+    logger.info(`Reverting migration ${version} (${migration.name})`);
+    await connection.query(migration.down);
+    await connection.query('DELETE FROM schema_migrations WHERE version = ?', [version]);
+    done.push(version);
+  }
+
+  logger.info(`✅ Reverted ${done.length} migration(s)`);
+  return done;
+});
+
+// Applied and pending migrations, oldest first
+const status = async (config) => withLock(config, async (connection) => {
+  const applied = await appliedMigrations(connection);
+  return loadMigrations().map((migration) => {
+    const record = applied.get(migration.version);
+    return {
+      version: migration.version,
+      name: migration.name,
+      status: record ? 'applied' : 'pending',
+      applied_at: record ? record.applied_at : null,
+      modified: Boolean(record && record.checksum !== migration.checksum)
+    };
+  });
+});
+
+// Run every seed file in name order; returns the files run
+const seed = async (config) => withLock(config, async (connection) => {
+  const files = fs.readdirSync(SEEDS_DIR).filter((file) => file.endsWith('.sql')).sort();
+  for (const file of files) {
+    logger.info(`Running seed ${file}`);
+    await connection.query(fs.readFileSync(path.join(SEEDS_DIR, file), 'utf8'));
+  }
+  logger.info(`✅ Ran ${files.length} seed file(s)`);
+  return files;
+});
+
+module.exports = {
+  loadMigrations,
+  migrate,
+  rollback,
+  status,
+  seed
+};
@@ -0,0 +1,1341 @@
+// Import required modules
+const { version } = require('../package.json');
+const grading = require('./grading');
+const { budgetFor } = require('./ratelimit');
+const { EVENT_TYPES } = require('./events');
+
+// ==============================================
+// OpenAPI 3.1 document generated from the routes
+// ==============================================
+// Paths, methods, parameters, request bodies and security are read from the
+// registered Express routes: validate(schema) and authorize(policy) keep
+// their arguments on the middleware (see src/validation.js, src/auth.js).
+// What the routes cannot tell - summaries and response bodies - is declared
+// per operation in OPERATIONS below. Routes missing from OPERATIONS are
+// listed under `x-undocumented` and fail the contract test (src/contract.js).
+
+// ==============================================
+// Schema helpers
+// ==============================================
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// Allow null as well (OpenAPI 3.1 / JSON Schema type arrays)
+const nullable = (schema) => ({ ...schema, type: [].concat(schema.type, 'null') });
+
+// Closed object: every property required unless listed as optional
+const object = (properties, { optional = [] } = {}) => ({
+  type: 'object',
+  properties,
+  required: Object.keys(properties).filter((name) => !optional.includes(name)),
+  additionalProperties: false
+});
+
+// Row of a paginated listing: ?fields= may leave out any column
+const row = (properties) => ({ ...object(properties), required: [] });
+
+const arrayOf = (items) => ({ type: 'array', items });
+
+// Column types as serialized by mysql2 + res.json()
+const INT = { type: 'integer' };
+const STRING = { type: 'string' };
+const BOOLEAN = { type: 'boolean' };
+// DATE / TIMESTAMP columns become ISO 8601 strings
+const DATE_TIME = { type: 'string', description: 'ISO 8601 timestamp' };
+// DECIMAL results (SUM, AVG, ROUND) arrive as strings from mysql2
+const DECIMAL = { type: ['string', 'number'], description: 'Decimal number (string in JSON)' };
+const LETTER_GRADE = nullable({ type: 'string', enum: grading.letters() });
+const ENROLLMENT_STATUS = { type: 'string', enum: ['enrolled', 'waitlisted', 'dropped', 'withdrawn'] };
+
+// ==============================================
+// Response envelopes
+// ==============================================
+
+const SUCCESS = { const: true };
+
+const single = (data, extra = {}) => object({ success: SUCCESS, ...extra, data });
+
+const list = (item, extra = {}) => object({ success: SUCCESS, ...extra, count: INT, data: arrayOf(item) });
+
+const page = (item, extra = {}) => object({
+  success: SUCCESS,
+  ...extra,
+  count: INT,
+  total: INT,
+  links: ref('PageLinks'),
+  data: arrayOf(row(item))
+});
+
+const json = (schema, description = 'OK') => ({
+  description,
+  content: { 'application/json': { schema } }
+});
+
+const ERROR = json(ref('Error'), 'Error');
+
+// ==============================================
+// Component schemas
+// ==============================================
+
+// Section columns (single sections and the paginated listing)
+const SECTION = {
+  section_id: INT,
+  course_id: INT,
+  course_name: STRING,
+  term_id: INT,
+  term_name: STRING,
+  section_number: STRING,
+  teacher_id: nullable(INT),
+  capacity: INT,
+  enrolled: INT,
+  waitlisted: INT,
+  meeting_days: nullable(STRING),
+  start_time: nullable(STRING),
+  end_time: nullable(STRING),
+  room: nullable(STRING)
+};
+
+// Audit log entry columns (GET /api/audit and enrollment history)
+const AUDIT_ENTRY = {
+  audit_id: INT,
+  entity: { type: 'string', enum: ['student', 'course', 'enrollment', 'term', 'section', 'user', 'attendance', 'webhook', 'webhook_delivery', 'saved_query'] },
+  entity_id: INT,
+  action: { type: 'string', enum: ['create', 'update', 'delete'] },
+  actor_id: nullable(INT),
+  actor_role: STRING,
+  request_id: nullable(STRING),
+  reason: nullable(STRING),
+  before_values: nullable({ type: 'object' }),
+  after_values: nullable({ type: 'object' }),
+  created_at: DATE_TIME,
+  // Changed columns: { column: { from, to } }
+  changes: {
+    type: 'object',
+    additionalProperties: object({ from: {}, to: {} })
+  }
+};
+
+// Webhook delivery columns (GET /api/webhooks/deliveries)
+const WEBHOOK_DELIVERY = {
+  delivery_id: INT,
+  subscription_id: INT,
+  event_id: INT,
+  event_type: { type: 'string', enum: EVENT_TYPES },
+  status: { type: 'string', enum: ['pending', 'delivered', 'dead'] },
+  attempts: INT,
+  next_attempt_at: DATE_TIME,
+  last_attempt_at: nullable(DATE_TIME),
+  response_status: nullable(INT),
+  last_error: nullable(STRING),
+  delivered_at: nullable(DATE_TIME),
+  created_at: DATE_TIME
+};
+
+const components = {
+  securitySchemes: {
+    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+  },
+  schemas: {
+    Error: object({
+      success: { const: false },
+      error: STRING,
+      reason: { ...STRING, description: 'Enrollment workflow reason code' },
+      details: {}
+    }, { optional: ['reason', 'details'] }),
+
+    PageLinks: {
+      type: 'object',
+      properties: {
+        next: { ...STRING, description: 'Relative URL of the next page' },
+        prev: { ...STRING, description: 'Relative URL of the previous page' }
+      },
+      additionalProperties: false
+    },
+
+    Student: object({
+      student_id: INT,
+      first_name: STRING,
+      last_name: STRING,
+      email: STRING,
+      grade: INT,
+      enrollment_date: DATE_TIME,
+      created_at: DATE_TIME,
+      updated_at: DATE_TIME
+    }),
+
+    Course: object({
+      course_id: INT,
+      course_name: STRING,
+      department: STRING,
+      credits: INT,
+      description: nullable(STRING),
+      created_at: DATE_TIME,
+      updated_at: DATE_TIME
+    }),
+
+    Enrollment: object({
+      enrollment_id: INT,
+      student_id: INT,
+      course_id: INT,
+      section_id: INT,
+      enrollment_date: DATE_TIME,
+      grade: LETTER_GRADE,
+      status: ENROLLMENT_STATUS,
+      status_reason: nullable(STRING),
+      status_changed_at: nullable(DATE_TIME),
+      waitlisted_at: nullable(DATE_TIME),
+      created_at: DATE_TIME,
+      updated_at: DATE_TIME
+    }),
+
+    WaitlistChange: object({
+      enrollment_id: INT,
+      student_id: INT,
+      reason: STRING
+    }),
+
+    // Drops and withdrawals, with the waitlist entries promoted into the seat
+    LeaveResult: object({
+      success: SUCCESS,
+      reason: STRING,
+      promoted: arrayOf(ref('WaitlistChange')),
+      skipped: arrayOf(ref('WaitlistChange')),
+      data: ref('Enrollment')
+    }),
+
+    Term: object({
+      term_id: INT,
+      name: STRING,
+      start_date: DATE_TIME,
+      end_date: DATE_TIME,
+      section_count: INT,
+      created_at: DATE_TIME,
+      updated_at: DATE_TIME
+    }),
+
+    Section: object(SECTION),
+
+    // Webhook subscription (the secret only on creation and rotation)
+    Webhook: object({
+      subscription_id: INT,
+      url: STRING,
+      events: arrayOf({ type: 'string', enum: EVENT_TYPES }),
+      description: nullable(STRING),
+      active: BOOLEAN,
+      created_by: nullable(INT),
+      created_at: DATE_TIME,
+      updated_at: DATE_TIME,
+      pending_deliveries: INT,
+      dead_deliveries: INT,
+      secret: STRING
+    }, { optional: ['secret'] }),
+
+    // Named statement of the SQL console
+    SavedQuery: object({
+      query_id: INT,
+      name: STRING,
+      description: nullable(STRING),
+      sql: STRING,
+      created_by: nullable(INT),
+      created_at: DATE_TIME,
+      updated_at: DATE_TIME
+    }),
+
+    User: object({
+      user_id: INT,
+      email: STRING,
+      role: { type: 'string', enum: ['admin', 'teacher', 'student'] },
+      student_id: nullable(INT),
+      created_at: DATE_TIME,
+      course_ids: arrayOf(INT)
+    }),
+
+    TokenPair: object({
+      tokenType: { const: 'Bearer' },
+      accessToken: STRING,
+      expiresIn: { ...INT, description: 'Access token lifetime in seconds' },
+      refreshToken: STRING,
+      user: object({
+        user_id: INT,
+        email: STRING,
+        role: STRING,
+        student_id: nullable(INT)
+      })
+    }),
+
+    TranscriptCourse: object({
+      course_id: INT,
+      course_name: STRING,
+      department: STRING,
+      credits: INT,
+      section_number: STRING,
+      enrollment_date: { type: 'string', format: 'date' },
+      grade: nullable(STRING),
+      grade_points: nullable({ type: 'number' }),
+      passing: BOOLEAN,
+      status: { type: 'string', enum: ['completed', 'in_progress', 'withdrawn'] }
+    }),
+
+    Transcript: object({
+      student: object({
+        student_id: INT,
+        first_name: STRING,
+        last_name: STRING,
+        email: STRING,
+        grade: INT,
+        enrollment_date: { type: 'string', format: 'date' }
+      }),
+      grading_scale: STRING,
+      terms: arrayOf(object({
+        term: STRING,
+        courses: arrayOf(ref('TranscriptCourse')),
+        credits_attempted: INT,
+        credits_earned: INT,
+        credits_in_progress: INT,
+        term_gpa: nullable({ type: 'number' }),
+        cumulative_gpa: nullable({ type: 'number' }),
+        cumulative_credits_earned: INT,
+        standing: STRING
+      })),
+      summary: object({
+        credits_attempted: INT,
+        credits_earned: INT,
+        credits_in_progress: INT,
+        cumulative_gpa: nullable({ type: 'number' }),
+        standing: STRING
+      }),
+      generated_at: DATE_TIME
+    }),
+
+    ImportReport: object({
+      success: SUCCESS,
+      dryRun: BOOLEAN,
+      atomic: BOOLEAN,
+      committed: BOOLEAN,
+      summary: object({ total: INT, created: INT, updated: INT, rejected: INT }),
+      rows: arrayOf(object({
+        line: INT,
+        status: { type: 'string', enum: ['created', 'updated', 'rejected'] },
+        id: INT,
+        reason: { type: 'string', description: 'Enrollment workflow reason code, e.g. SECTION_FULL' },
+        errors: arrayOf(object({ field: nullable(STRING), message: STRING }))
+      }, { optional: ['id', 'reason', 'errors'] }))
+    }),
+
+    GradingScale: object({
+      name: STRING,
+      description: nullable(STRING),
+      successMinimum: { type: 'number' },
+      families: arrayOf(STRING),
+      grades: arrayOf(object({ letter: STRING, points: { type: 'number' }, passing: BOOLEAN }))
+    }),
+
+    GraphQLResponse: {
+      type: 'object',
+      properties: {
+        data: nullable({ type: 'object' }),
+        errors: arrayOf({ type: 'object', properties: { message: STRING }, required: ['message'] })
+      }
+    },
+
+    SearchResult: object({
+      type: { enum: ['student', 'course'] },
+      id: INT,
+      title: STRING,
+      subtitle: STRING,
+      url: STRING,
+      score: { type: 'number' },
+      match: { enum: ['exact', 'prefix', 'fuzzy'] },
+      // Matched fields with the matching words in <mark> (descriptions cut to a snippet)
+      highlights: { type: 'object', additionalProperties: STRING }
+    }),
+
+    Readiness: object({
+      status: { enum: ['ready', 'not ready'] },
+      checks: object({
+        // Keyed by tenant id (src/tenants.js)
+        tenants: {
+          type: 'object',
+          additionalProperties: object({
+            database: object({
+              status: { enum: ['connecting', 'ready', 'unavailable', 'closed'] },
+              attempts: INT,
+              lastError: nullable(STRING)
+            }),
+            migrations: object({
+              status: { enum: ['up-to-date', 'pending', 'unknown'] },
+              pending: arrayOf(STRING)
+            }),
+            pool: object({ active: INT, idle: INT, queued: INT, limit: INT, saturated: BOOLEAN })
+          })
+        },
+        shutdown: { const: 'draining' }
+      }, { optional: ['shutdown'] }),
+      timestamp: DATE_TIME
+    })
+  }
+};
+
+// ==============================================
+// Operations: summaries, responses and contract-test examples
+// ==============================================
+// Keyed by "METHOD /openapi/path". `example` holds the path and query
+// parameters the contract test uses for GET requests (seed data ids).
+
+const STUDENT_NAME = { student_id: INT, first_name: STRING, last_name: STRING };
+
+const ATTENDANCE_STATUS = { type: 'string', enum: ['present', 'absent', 'tardy', 'excused'] };
+
+// Recorded days, days per status and rate (sums are null without records)
+const ATTENDANCE_COUNTS = {
+  days_recorded: INT,
+  present: nullable(DECIMAL),
+  absent: nullable(DECIMAL),
+  tardy: nullable(DECIMAL),
+  excused: nullable(DECIMAL),
+  attendance_rate: nullable(DECIMAL)
+};
+
+// Roll sheet of a course and day (status null: not recorded yet)
+const ROLL_SHEET_ENTRY = object({
+  enrollment_id: INT,
+  section_id: INT,
+  ...STUDENT_NAME,
+  attendance_id: nullable(INT),
+  status: nullable(ATTENDANCE_STATUS),
+  note: nullable(STRING)
+});
+
+// Time bucket of the trends endpoints (?interval=)
+const TREND_INTERVAL = { type: 'string', enum: ['month', 'term', 'year'] };
+
+const OPERATIONS = {
+  // System
+  'GET /': {
+    summary: 'Endpoint overview',
+    responses: {
+      200: json(object({
+        message: STRING,
+        version: STRING,
+        endpoints: { type: 'object', additionalProperties: STRING }
+      }))
+    }
+  },
+  'GET /health': {
+    summary: 'Database connectivity check (every school)',
+    responses: {
+      200: json(object({ status: { const: 'healthy' }, database: STRING, timestamp: DATE_TIME })),
+      503: json(object({ status: { const: 'unhealthy' }, database: STRING, error: STRING }), 'Database unavailable')
+    }
+  },
+  'GET /health/live': {
+    summary: 'Liveness probe (process up, no dependency checks)',
+    responses: {
+      200: json(object({ status: { const: 'alive' }, uptime: INT, timestamp: DATE_TIME }))
+    }
+  },
+  'GET /health/ready': {
+    summary: 'Readiness probe (database, migrations, pool saturation of every school)',
+    responses: {
+      200: json(ref('Readiness')),
+      503: json(ref('Readiness'), 'Not ready (see Retry-After)')
+    }
+  },
+  'GET /metrics': {
+    summary: 'Prometheus metrics (requests, latency, errors, query timings, pool connections)',
+    responses: { 200: { description: 'Prometheus text exposition format', content: { 'text/plain': {} } } }
+  },
+  'GET /openapi.json': {
+    summary: 'This OpenAPI document',
+    responses: { 200: json({ type: 'object' }) }
+  },
+  'GET /docs': {
+    summary: 'Interactive API documentation (Swagger UI)',
+    responses: { 200: { description: 'HTML page', content: { 'text/html': {} } } }
+  },
+  'GET /api/grading-scale': {
+    summary: 'Active grading scale',
+    responses: { 200: json(single(ref('GradingScale'))) }
+  },
+
+  // Query examples (src/app.js)
+  'GET /api/students/grade/{grade}': {
+    summary: 'Students in a grade level (WHERE)',
+    example: { params: { grade: 10 } },
+    responses: {
+      200: json(page({ ...STUDENT_NAME, email: STRING, grade: INT, enrollment_date: DATE_TIME }))
+    }
+  },
+  'GET /api/students/{studentId}/enrollments': {
+    summary: 'Enrollments of a student (INNER JOIN)',
+    example: { params: { studentId: 1 } },
+    responses: {
+      200: json(list(object({
+        ...STUDENT_NAME,
+        course_id: INT,
+        course_name: STRING,
+        credits: INT,
+        section_id: INT,
+        section_number: STRING,
+        term_id: INT,
+        term_name: STRING,
+        enrollment_date: DATE_TIME,
+        grade: LETTER_GRADE,
+        status: ENROLLMENT_STATUS
+      })))
+    }
+  },
+  'GET /api/students/all-with-enrollments': {
+    summary: 'All students with their enrollment counts (LEFT JOIN)',
+    responses: {
+      200: json(page({ ...STUDENT_NAME, grade: INT, total_enrollments: INT, courses: nullable(STRING) }))
+    }
+  },
+  'GET /api/analytics/students-per-grade': {
+    summary: 'Student count per grade level (GROUP BY)',
+    responses: {
+      200: json(object({
+        success: SUCCESS,
+        data: arrayOf(object({ grade: INT, student_count: INT, unique_emails: INT }))
+      }))
+    }
+  },
+  'GET /api/courses/popular/{minEnrollments}': {
+    summary: 'Courses with at least N enrollments (HAVING)',
+    example: { params: { minEnrollments: 1 } },
+    responses: {
+      200: json(list(object({
+        course_id: INT,
+        course_name: STRING,
+        credits: INT,
+        enrollment_count: INT,
+        average_gpa: nullable(DECIMAL)
+      })))
+    }
+  },
+  'GET /api/analytics/student-performance': {
+    summary: 'Student GPAs with filters (multiple JOINs)',
+    responses: {
+      200: json(page({
+        ...STUDENT_NAME,
+        student_grade: INT,
+        courses_taken: INT,
+        total_credits: DECIMAL,
+        gpa: nullable(DECIMAL),
+        course_history: nullable(STRING)
+      }, {
+        filters: object({ minGPA: { type: 'number' }, grade: { type: ['integer', 'string'] }, term: { type: ['integer', 'string'] } })
+      }))
+    }
+  },
+  'GET /api/students/in-courses': {
+    summary: 'Students enrolled in any of the given courses (subquery)',
+    example: { query: { courseIds: '1,2,3' } },
+    responses: {
+      200: json(list(object({
+        ...STUDENT_NAME,
+        email: STRING,
+        grade: INT,
+        matching_course_count: INT
+      }), { courseIds: arrayOf(INT) }))
+    }
+  },
+  'GET /api/analytics/course-details/{courseId}': {
+    summary: 'Grade distribution and statistics of a course (CASE)',
+    example: { params: { courseId: 1 } },
+    responses: {
+      200: json(single(object({
+        course_id: INT,
+        course_name: STRING,
+        credits: INT,
+        department: STRING,
+        total_students: INT,
+        grade_levels_represented: INT,
+        count_A: nullable(DECIMAL),
+        count_B: nullable(DECIMAL),
+        count_C: nullable(DECIMAL),
+        count_D: nullable(DECIMAL),
+        count_F: nullable(DECIMAL),
+        percent_A: nullable(DECIMAL),
+        percent_B: nullable(DECIMAL),
+        average_gpa: nullable(DECIMAL),
+        latest_enrollment: nullable(DATE_TIME),
+        top_student_example: nullable(STRING)
+      })))
+    }
+  },
+  'GET /api/analytics/top-performers': {
+    summary: 'Students with high weighted GPAs across several courses',
+    responses: {
+      200: json(page({
+        ...STUDENT_NAME,
+        email: STRING,
+        student_grade: INT,
+        courses_completed: INT,
+        total_credits_earned: DECIMAL,
+        weighted_gpa: nullable(DECIMAL),
+        a_count: DECIMAL,
+        performance_rating: { type: 'string', enum: ['Outstanding', 'Excellent', 'Good', 'Satisfactory'] }
+      }, {
+        criteria: object({ minCourses: INT, minGPA: { type: 'number' }, term: { type: ['integer', 'string'] } })
+      }))
+    }
+  },
+  'GET /api/analytics/course-attendance/{courseId}': {
+    summary: 'Attendance rates of a course and each of its students, lowest first',
+    example: { params: { courseId: 1 } },
+    responses: {
+      200: json(single(object({
+        course_id: INT,
+        course_name: STRING,
+        department: STRING,
+        school_days: INT,
+        ...ATTENDANCE_COUNTS,
+        chronically_absent: INT,
+        students: arrayOf(object({ ...STUDENT_NAME, ...ATTENDANCE_COUNTS, chronically_absent: BOOLEAN }))
+      }), {
+        criteria: object({ threshold: { type: 'number' }, minDays: INT })
+      }))
+    }
+  },
+  'GET /api/analytics/chronic-absence': {
+    summary: 'Students attending less than the threshold percentage of their recorded days',
+    responses: {
+      200: json(page({ ...STUDENT_NAME, grade: INT, ...ATTENDANCE_COUNTS }, {
+        criteria: object({ threshold: { type: 'number' }, minDays: INT, term: { type: ['integer', 'string'] } })
+      }))
+    }
+  },
+  'GET /api/analytics/at-risk': {
+    summary: 'Students flagged by the early-warning rules, with reasons and severity, highest first',
+    responses: {
+      200: json(list(object({
+        ...STUDENT_NAME,
+        grade: INT,
+        gpa: nullable({ type: 'number' }),
+        low_grades: INT,
+        credits_earned: INT,
+        attendance_rate: nullable(DECIMAL),
+        score: INT,
+        severity: { type: 'string', enum: ['high', 'medium', 'low'] },
+        reasons: arrayOf(object({
+          rule: STRING,
+          points: INT,
+          message: STRING,
+          value: { type: 'number' },
+          threshold: { type: 'number' }
+        }))
+      }), {
+        criteria: object({
+          rules: arrayOf(STRING),
+          minGPA: { type: 'number' },
+          lowGrades: INT,
+          gpaDrop: { type: 'number' },
+          creditsPerYear: INT,
+          grade: { type: ['integer', 'string'] },
+          department: STRING
+        })
+      }))
+    }
+  },
+  'GET /api/analytics/trends/departments': {
+    summary: 'Enrollments and GPA per department and period, with running totals and changes (window functions)',
+    responses: {
+      200: json(list(object({
+        department: STRING,
+        period: STRING,
+        period_start: DATE_TIME,
+        enrollments: INT,
+        students: INT,
+        avg_gpa: nullable(DECIMAL),
+        cumulative_enrollments: DECIMAL,
+        enrollment_change: nullable(INT),
+        gpa_change: nullable(DECIMAL),
+        gpa_moving_avg: nullable(DECIMAL),
+        enrollment_rank: INT
+      }), { interval: TREND_INTERVAL }))
+    }
+  },
+  'GET /api/analytics/trends/cohorts': {
+    summary: 'Activity and GPA of each entry-year cohort per period (window functions)',
+    responses: {
+      200: json(list(object({
+        cohort: INT,
+        cohort_size: INT,
+        period: STRING,
+        period_start: DATE_TIME,
+        period_number: INT,
+        active_students: INT,
+        active_percent: DECIMAL,
+        enrollments: INT,
+        avg_gpa: nullable(DECIMAL),
+        gpa_change_since_start: nullable(DECIMAL)
+      }), { interval: TREND_INTERVAL }))
+    }
+  },
+  'GET /api/analytics/trends/gpa-ranks': {
+    summary: 'Weighted GPA rank, percentile and quartile of each student within their grade level',
+    responses: {
+      200: json(page({
+        ...STUDENT_NAME,
+        grade: INT,
+        graded_courses: INT,
+        gpa: DECIMAL,
+        grade_rank: INT,
+        grade_size: INT,
+        percentile: { type: 'number' },
+        quartile: INT
+      }))
+    }
+  },
+  'GET /api/analytics/trends/grade-inflation': {
+    summary: 'Average grade points and share of A grades per course, period over period',
+    responses: {
+      200: json(list(object({
+        course_id: INT,
+        course_name: STRING,
+        department: STRING,
+        period: STRING,
+        period_start: DATE_TIME,
+        graded: INT,
+        avg_grade_points: DECIMAL,
+        a_percent: DECIMAL,
+        grade_points_change: nullable(DECIMAL),
+        grade_points_change_percent: nullable(DECIMAL),
+        a_percent_change: nullable(DECIMAL)
+      }), { interval: TREND_INTERVAL }))
+    }
+  },
+  'GET /api/analytics/departments': {
+    summary: 'Enrollment and grade statistics per department',
+    responses: {
+      200: json(list(object({
+        department: STRING,
+        total_courses: INT,
+        total_students: INT,
+        total_credits_offered: DECIMAL,
+        avg_credits_per_course: DECIMAL,
+        total_enrollments: INT,
+        avg_enrollments_per_course: DECIMAL,
+        department_avg_gpa: nullable(DECIMAL),
+        grade_distribution: nullable(STRING),
+        success_rate_percent: nullable(DECIMAL)
+      })))
+    }
+  },
+
+  // Authentication and users
+  'POST /api/auth/login': {
+    summary: 'Exchange email and password for tokens',
+    responses: { 200: json(single(ref('TokenPair'))) }
+  },
+  'POST /api/auth/refresh': {
+    summary: 'Exchange a refresh token for a new token pair',
+    responses: { 200: json(single(ref('TokenPair'))) }
+  },
+  'GET /api/auth/me': {
+    summary: 'The authenticated user',
+    responses: {
+      200: json(single(object({
+        user_id: INT,
+        email: STRING,
+        role: STRING,
+        student_id: nullable(INT),
+        created_at: DATE_TIME
+      })))
+    }
+  },
+  'POST /api/users': { summary: 'Create a user', responses: { 201: json(single(ref('User')), 'Created') } },
+  'GET /api/users/{id}': { summary: 'Single user', example: { params: { id: 1 } }, responses: { 200: json(single(ref('User'))) } },
+  'PUT /api/users/{id}/courses': { summary: 'Replace the courses a teacher teaches', responses: { 200: json(single(ref('User'))) } },
+  'POST /api/users/{id}/revoke-tokens': { summary: 'Invalidate all refresh tokens of a user', responses: { 204: { description: 'Revoked' } } },
+  'DELETE /api/users/{id}': { summary: 'Remove a user', responses: { 204: { description: 'Deleted' } } },
+
+  // Students
+  'GET /api/students/{id}': { summary: 'Single student', example: { params: { id: 1 } }, responses: { 200: json(single(ref('Student'))) } },
+  'GET /api/students/{id}/transcript': {
+    summary: 'Transcript as JSON, CSV or PDF',
+    example: { params: { id: 1 } },
+    responses: {
+      200: {
+        description: 'Transcript',
+        content: {
+          'application/json': { schema: single(ref('Transcript')) },
+          'text/csv': { schema: STRING },
+          'application/pdf': { schema: { type: 'string', format: 'binary' } }
+        }
+      },
+      406: ERROR
+    }
+  },
+  'GET /api/students/{id}/attendance': {
+    summary: 'Attendance records of a student, newest first, with their attendance rate',
+    example: { params: { id: 2 } },
+    responses: {
+      200: json(page({
+        attendance_id: INT,
+        attendance_date: DATE_TIME,
+        status: ATTENDANCE_STATUS,
+        note: nullable(STRING),
+        course_id: INT,
+        course_name: STRING,
+        section_id: INT,
+        section_number: STRING,
+        term_id: INT,
+        term_name: STRING
+      }, {
+        summary: object({ ...ATTENDANCE_COUNTS, chronically_absent: BOOLEAN })
+      }))
+    }
+  },
+  'POST /api/students': { summary: 'Create a student', responses: { 201: json(single(ref('Student')), 'Created'), 409: ERROR } },
+  'PUT /api/students/{id}': { summary: 'Replace a student', responses: { 200: json(single(ref('Student'))), 409: ERROR } },
+  'PATCH /api/students/{id}': { summary: 'Partially update a student', responses: { 200: json(single(ref('Student'))), 409: ERROR } },
+  'DELETE /api/students/{id}': { summary: 'Remove a student and their enrollments', responses: { 204: { description: 'Deleted' } } },
+
+  // Courses and prerequisites
+  'GET /api/courses/{id}': { summary: 'Single course', example: { params: { id: 1 } }, responses: { 200: json(single(ref('Course'))) } },
+  'POST /api/courses': { summary: 'Create a course', responses: { 201: json(single(ref('Course')), 'Created') } },
+  'PUT /api/courses/{id}': { summary: 'Replace a course', responses: { 200: json(single(ref('Course'))) } },
+  'PATCH /api/courses/{id}': { summary: 'Partially update a course', responses: { 200: json(single(ref('Course'))) } },
+  'DELETE /api/courses/{id}': { summary: 'Remove a course', responses: { 204: { description: 'Deleted' } } },
+  'GET /api/courses/{id}/prerequisites': {
+    summary: 'Courses required before this one',
+    example: { params: { id: 3 } },
+    responses: {
+      200: json(list(object({
+        prerequisite_id: INT,
+        course_name: STRING,
+        department: STRING,
+        credits: INT,
+        minimum_grade: LETTER_GRADE
+      })))
+    }
+  },
+  'POST /api/courses/{id}/prerequisites': {
+    summary: 'Require another course first',
+    responses: {
+      201: json(single(object({ course_id: INT, prerequisite_id: INT, minimum_grade: LETTER_GRADE })), 'Created'),
+      409: ERROR,
+      422: ERROR
+    }
+  },
+  'DELETE /api/courses/{id}/prerequisites/{prerequisiteId}': {
+    summary: 'Drop a prerequisite',
+    responses: { 204: { description: 'Deleted' } }
+  },
+  'GET /api/courses/{id}/attendance': {
+    summary: 'Roll sheet of a day: the students with a seat in the course and their status',
+    example: { params: { id: 1 }, query: { date: '2023-09-05' } },
+    responses: { 200: json(list(ROLL_SHEET_ENTRY, { date: STRING })) }
+  },
+  'POST /api/courses/{id}/attendance': {
+    summary: 'Record the roll call of a day (updates earlier records of the day)',
+    responses: {
+      200: json(list(ROLL_SHEET_ENTRY, {
+        date: STRING,
+        summary: object({ created: INT, updated: INT, unchanged: INT }),
+        unrecorded: arrayOf(INT)
+      })),
+      422: ERROR
+    }
+  },
+
+  // Enrollments
+  'GET /api/enrollments/{id}': { summary: 'Single enrollment', example: { params: { id: 1 } }, responses: { 200: json(single(ref('Enrollment'))) } },
+  'POST /api/enrollments': {
+    summary: 'Request a seat in a section (enrollment workflow)',
+    responses: {
+      201: json(single(ref('Enrollment'), { reason: STRING, waitlist_position: nullable(INT) }), 'Enrolled or waitlisted'),
+      409: ERROR,
+      422: ERROR
+    }
+  },
+  'PUT /api/enrollments/{id}': {
+    summary: 'Correct an enrollment (changing a posted grade requires a reason)',
+    responses: { 200: json(single(ref('Enrollment'))), 409: ERROR }
+  },
+  'PATCH /api/enrollments/{id}': {
+    summary: 'Post a grade or correct an enrollment (changing a posted grade requires a reason)',
+    responses: { 200: json(single(ref('Enrollment'))), 409: ERROR }
+  },
+  'GET /api/enrollments/{id}/history': {
+    summary: 'Audit log entries of an enrollment, oldest first',
+    example: { params: { id: 1 } },
+    responses: { 200: json(list(object(AUDIT_ENTRY))) }
+  },
+  'DELETE /api/enrollments/{id}': { summary: 'Drop an enrollment', responses: { 200: json(ref('LeaveResult')), 409: ERROR } },
+  'POST /api/enrollments/{id}/drop': { summary: 'Drop an enrollment or leave the waitlist', responses: { 200: json(ref('LeaveResult')), 409: ERROR } },
+  'POST /api/enrollments/{id}/withdraw': { summary: 'Withdraw from a section', responses: { 200: json(ref('LeaveResult')), 409: ERROR } },
+
+  // Terms and sections
+  'GET /api/terms': { summary: 'All terms, oldest first', responses: { 200: json(list(ref('Term'))) } },
+  'GET /api/terms/{id}': { summary: 'Single term', example: { params: { id: 1 } }, responses: { 200: json(single(ref('Term'))) } },
+  'POST /api/terms': { summary: 'Create a term', responses: { 201: json(single(ref('Term')), 'Created'), 409: ERROR, 422: ERROR } },
+  'PUT /api/terms/{id}': { summary: 'Replace a term', responses: { 200: json(single(ref('Term'))), 409: ERROR, 422: ERROR } },
+  'PATCH /api/terms/{id}': { summary: 'Partially update a term', responses: { 200: json(single(ref('Term'))), 409: ERROR, 422: ERROR } },
+  'DELETE /api/terms/{id}': { summary: 'Remove a term without sections', responses: { 204: { description: 'Deleted' }, 422: ERROR } },
+  'GET /api/sections': {
+    summary: 'Sections, filtered by term, course or teacher',
+    responses: { 200: json(page(SECTION)) }
+  },
+  'GET /api/sections/{id}': { summary: 'Single section', example: { params: { id: 1 } }, responses: { 200: json(single(ref('Section'))) } },
+  'GET /api/sections/{id}/waitlist': {
+    summary: 'Waitlisted students in promotion order',
+    example: { params: { id: 1 } },
+    responses: {
+      200: json(list(object({
+        position: INT,
+        enrollment_id: INT,
+        student_id: INT,
+        student_name: STRING,
+        waitlisted_at: DATE_TIME
+      })))
+    }
+  },
+  'POST /api/sections': { summary: 'Offer a course in a term', responses: { 201: json(single(ref('Section')), 'Created'), 409: ERROR, 422: ERROR } },
+  'PUT /api/sections/{id}': { summary: 'Replace a section', responses: { 200: json(single(ref('Section'))), 409: ERROR, 422: ERROR } },
+  'PATCH /api/sections/{id}': { summary: 'Partially update a section', responses: { 200: json(single(ref('Section'))), 409: ERROR, 422: ERROR } },
+  'DELETE /api/sections/{id}': { summary: 'Remove a section and its enrollments', responses: { 204: { description: 'Deleted' } } },
+
+  // Bulk import and export
+  'POST /api/import/{entity}': {
+    summary: 'Bulk upsert from CSV or NDJSON',
+    requestBody: {
+      required: true,
+      content: { 'text/csv': { schema: STRING }, 'application/x-ndjson': { schema: STRING } }
+    },
+    responses: { 200: json(ref('ImportReport')), 415: ERROR }
+  },
+  'GET /api/export/{entity}': {
+    summary: 'Stream a table as CSV or NDJSON',
+    example: { params: { entity: 'courses' } },
+    responses: {
+      200: {
+        description: 'Table rows',
+        content: { 'text/csv': { schema: STRING }, 'application/x-ndjson': { schema: STRING } }
+      }
+    }
+  },
+
+  // Audit log
+  'GET /api/audit': {
+    summary: 'Audit log entries, newest first, filtered by record, actor, action or date',
+    example: { query: { entity: 'enrollment', id: 1 } },
+    responses: { 200: json(page(AUDIT_ENTRY)) }
+  },
+
+  // Webhooks
+  'GET /api/webhooks': { summary: 'Webhook subscriptions', responses: { 200: json(list(ref('Webhook'))) } },
+  'POST /api/webhooks': {
+    summary: 'Subscribe a URL to event types (the response holds the signing secret)',
+    responses: { 201: json(single(ref('Webhook')), 'Created') }
+  },
+  'GET /api/webhooks/deliveries': {
+    summary: 'Webhook deliveries, newest first (status=dead: dead letters)',
+    responses: { 200: json(page(WEBHOOK_DELIVERY)) }
+  },
+  'POST /api/webhooks/deliveries/{id}/retry': {
+    summary: 'Queue a delivery again with a fresh set of attempts',
+    responses: {
+      202: json(single(object({ delivery_id: INT, status: { const: 'pending' } })), 'Queued'),
+      409: ERROR
+    }
+  },
+  'GET /api/webhooks/{id}': { summary: 'Single webhook subscription', example: { params: { id: 1 } }, responses: { 200: json(single(ref('Webhook'))) } },
+  'PATCH /api/webhooks/{id}': { summary: 'Change the URL, events or description, or pause a subscription', responses: { 200: json(single(ref('Webhook'))) } },
+  'POST /api/webhooks/{id}/rotate-secret': { summary: 'Replace the signing secret', responses: { 200: json(single(ref('Webhook'))) } },
+  'DELETE /api/webhooks/{id}': { summary: 'Remove a subscription and its deliveries', responses: { 204: { description: 'Deleted' } } },
+
+  // SQL console (src/sqlconsole.js)
+  'POST /api/query': {
+    summary: 'Run a read-only SELECT over students, courses and enrollments (or a saved query by name)',
+    responses: {
+      200: json(object({
+        success: SUCCESS,
+        count: INT,
+        truncated: { type: 'boolean', description: 'More rows matched than the row limit' },
+        elapsed_ms: { type: 'number' },
+        columns: arrayOf(object({
+          name: STRING,
+          table: nullable(STRING),
+          column: nullable(STRING),
+          type: { type: 'string', description: 'MySQL type, e.g. LONG, VAR_STRING, NEWDECIMAL' },
+          nullable: BOOLEAN,
+          length: INT,
+          decimals: INT
+        })),
+        data: arrayOf({ type: 'array', description: 'One value per column' }),
+        explain: arrayOf({ type: 'object', description: 'Row of EXPLAIN' })
+      }))
+    }
+  },
+  'GET /api/query/saved': { summary: 'Saved queries of the SQL console', responses: { 200: json(list(ref('SavedQuery'))) } },
+  'POST /api/query/saved': {
+    summary: 'Save a named query (checked like a console query)',
+    responses: { 201: json(single(ref('SavedQuery')), 'Created') }
+  },
+  'GET /api/query/saved/{id}': { summary: 'Single saved query', example: { params: { id: 1 } }, responses: { 200: json(single(ref('SavedQuery'))) } },
+  'PATCH /api/query/saved/{id}': { summary: 'Rename, describe or rewrite a saved query', responses: { 200: json(single(ref('SavedQuery'))) } },
+  'DELETE /api/query/saved/{id}': { summary: 'Remove a saved query', responses: { 204: { description: 'Deleted' } } },
+
+  // Live analytics (src/stream.js)
+  'GET /api/stream/analytics': {
+    summary: 'Live dashboard updates as Server-Sent Events (snapshot and delta messages)',
+    parameters: [
+      {
+        name: 'topics',
+        in: 'query',
+        required: true,
+        schema: STRING,
+        description: 'Comma-separated: departments, students-per-grade, course:<id>, grade:<9-12>'
+      },
+      {
+        name: 'Last-Event-ID',
+        in: 'header',
+        required: false,
+        schema: STRING,
+        description: 'Id of the last message received: resume with the changes since'
+      }
+    ],
+    responses: {
+      200: {
+        description: 'Event stream, open until the client disconnects',
+        content: { 'text/event-stream': { schema: STRING } }
+      }
+    }
+  },
+
+  // District
+  'GET /api/district/analytics': {
+    summary: 'Departments and grade distribution across all schools (district administrators)',
+    responses: {
+      200: json(object({
+        success: { const: true },
+        count: INT,
+        // Schools whose database could not be queried
+        unavailable: arrayOf(STRING),
+        data: object({
+          schools: arrayOf(object({
+            tenant: STRING,
+            departments: INT,
+            total_courses: INT,
+            total_students: INT,
+            total_enrollments: INT,
+            avg_gpa: nullable({ type: 'number' }),
+            success_rate_percent: nullable({ type: 'number' })
+          })),
+          departments: arrayOf(object({
+            department: STRING,
+            schools: arrayOf(STRING),
+            total_courses: INT,
+            total_students: INT,
+            total_enrollments: INT,
+            graded_enrollments: INT,
+            avg_gpa: nullable({ type: 'number' }),
+            success_rate_percent: nullable({ type: 'number' })
+          })),
+          grade_distribution: arrayOf(object({
+            grade: STRING,
+            count: INT,
+            percent: { type: 'number' },
+            by_school: { type: 'object', additionalProperties: INT }
+          }))
+        })
+      }))
+    }
+  },
+
+  // Search
+  'GET /api/search': {
+    summary: 'Full-text search over students and courses (ranked, typo tolerant)',
+    example: { query: { q: 'algebra' } },
+    responses: {
+      200: json(object({
+        success: { const: true },
+        query: STRING,
+        terms: arrayOf(STRING),
+        count: INT,
+        data: arrayOf(ref('SearchResult'))
+      }))
+    }
+  },
+
+  // GraphQL
+  'POST /graphql': {
+    summary: 'GraphQL query',
+    requestBody: {
+      required: true,
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            properties: { query: STRING, variables: { type: 'object' }, operationName: STRING },
+            required: ['query']
+          }
+        }
+      }
+    },
+    responses: { 200: json(ref('GraphQLResponse')), 400: json(ref('GraphQLResponse'), 'Invalid query') }
+  },
+  'GET /graphql': {
+    summary: 'GraphQL query (query string)',
+    parameters: [
+      { name: 'query', in: 'query', required: true, schema: STRING },
+      { name: 'variables', in: 'query', schema: STRING, description: 'JSON object' },
+      { name: 'operationName', in: 'query', schema: STRING }
+    ],
+    example: { query: { query: '{ terms { id name } }' } },
+    responses: { 200: json(ref('GraphQLResponse')), 400: json(ref('GraphQLResponse'), 'Invalid query') }
+  }
+};
+
+// ==============================================
+// Route discovery
+// ==============================================
+
+// Express path (/:id(\\d+)) -> OpenAPI path (/{id})
+const toOpenApiPath = (path) => path.replace(/:(\w+)(\([^)]*\))?\??/g, '{$1}');
+
+// Every { method, path, handlers } registered on the app; routers are
+// found through their mount paths ([[path, router], ...])
+const collectRoutes = (app, routers) => {
+  const mountPaths = new Map(routers.map(([path, router]) => [router, path]));
+  const routes = [];
+
+  const walk = (stack, prefix) => {
+    for (const layer of stack) {
+      if (layer.route) {
+        const path = prefix + (layer.route.path === '/' && prefix ? '' : layer.route.path);
+        for (const method of Object.keys(layer.route.methods)) {
+          routes.push({
+            method,
+            path: toOpenApiPath(path),
+            handlers: layer.route.stack.map((entry) => entry.handle)
+          });
+        }
+      } else if (mountPaths.has(layer.handle)) {
+        walk(layer.handle.stack, prefix + mountPaths.get(layer.handle));
+      }
+    }
+  };
+  walk(app._router.stack, '');
+  return routes;
+};
+
+// ==============================================
+// Validation rules -> JSON Schema
+// ==============================================
+
+// Drop undefined keywords so the document stays compact
+const compact = (schema) => Object.fromEntries(Object.entries(schema).filter(([, value]) => value !== undefined));
+
+const ruleSchema = (rule) => {
+  const base = {
+    integer: () => ({ type: 'integer', minimum: rule.min, maximum: rule.max }),
+    number: () => ({ type: 'number', minimum: rule.min, maximum: rule.max }),
+    string: () => ({ type: 'string', minLength: rule.minLength, maxLength: rule.maxLength, pattern: rule.pattern && rule.pattern.source }),
+    email: () => ({ type: 'string', format: 'email', maxLength: rule.maxLength }),
+    date: () => ({ type: 'string', format: 'date' }),
+    time: () => ({ type: 'string', pattern: '^\\d{2}:\\d{2}(:\\d{2})?$' }),
+    boolean: () => ({ type: 'boolean' }),
+    enum: () => ({ enum: rule.values }),
+    list: () => ({ type: 'array', items: { enum: rule.values } }),
+    integerList: () => ({
+      type: 'array',
+      items: compact({ type: 'integer', minimum: rule.min, maximum: rule.max }),
+      maxItems: rule.maxItems
+    }),
+    objectList: () => ({
+      type: 'array',
+      items: requestBodyOf({ body: rule.fields }).content['application/json'].schema,
+      maxItems: rule.maxItems
+    })
+  }[rule.type]();
+  const schema = compact({ ...base, default: rule.default });
+  if (rule.nullable) {
+    return schema.type ? nullable(schema) : { ...schema, enum: [...schema.enum, null] };
+  }
+  return schema;
+};
+
+// Path and query parameters of a validation schema
+const parametersOf = (schema, path) => {
+  const parameters = [];
+  for (const [location, place] of [['params', 'path'], ['query', 'query']]) {
+    for (const [name, rule] of Object.entries((schema && schema[location]) || {})) {
+      const parameter = { name, in: place, required: place === 'path' || Boolean(rule.required), schema: ruleSchema(rule) };
+      // Lists travel as one comma-separated value (?courseIds=1,2,3)
+      if (parameter.schema.type === 'array') {
+        Object.assign(parameter, { style: 'form', explode: false });
+      }
+      parameters.push(parameter);
+    }
+  }
+  // Path parameters the route does not validate
+  for (const [, name] of path.matchAll(/\{(\w+)\}/g)) {
+    if (!parameters.some((parameter) => parameter.name === name && parameter.in === 'path')) {
+      parameters.push({ name, in: 'path', required: true, schema: STRING });
+    }
+  }
+  return parameters;
+};
+
+const requestBodyOf = (schema) => {
+  if (!schema || !schema.body) {
+    return undefined;
+  }
+  const properties = {};
+  const required = [];
+  for (const [name, rule] of Object.entries(schema.body)) {
+    properties[name] = ruleSchema(rule);
+    if (rule.required) {
+      required.push(name);
+    }
+  }
+  return {
+    required: true,
+    content: { 'application/json': { schema: compact({ type: 'object', properties, required: required.length > 0 ? required : undefined }) } }
+  };
+};
+
+// Roles allowed by an authorize() policy (admins always are)
+const rolesOf = (policy) => ['admin', ...Object.entries(policy)
+  .filter(([, rule]) => rule)
+  .map(([role, rule]) => (typeof rule === 'function' ? `${role} (own records)` : role))];
+
+// operationId from method and path: GET /api/students/{id} -> getApiStudentsById
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+const operationIdOf = (method, path) => method + (path
+  .split('/')
+  .filter(Boolean)
+  .map((segment) => (segment.startsWith('{')
+    ? `By${capitalize(segment.slice(1, -1))}`
+    : capitalize(segment.replace(/[-.](\w)/g, (match, letter) => letter.toUpperCase()))))
+  .join('') || 'Root');
+
+// Rate limit headers of API responses (src/ratelimit.js)
+const RATE_LIMIT_HEADERS = {
+  'RateLimit-Limit': { description: 'Requests of the budget per window (burst size)', schema: INT },
+  'RateLimit-Remaining': { description: 'Requests left right now', schema: INT },
+  'RateLimit-Reset': { description: 'Seconds until the budget is full again', schema: INT },
+  'RateLimit-Policy': { description: 'Budget as "<limit>;w=<window seconds>"', schema: STRING }
+};
+
+// School of an API request (src/tenants.js); optional with a school
+// subdomain, a token or a default tenant
+const TENANT_HEADER = {
+  name: 'X-Tenant-Id',
+  in: 'header',
+  required: false,
+  schema: { type: 'string', pattern: '^[a-z0-9][a-z0-9-]{0,62}$' }
+};
+
+// Tag from the first path segment after /api (Students, Analytics, ...)
+const tagOf = (path) => {
+  const [, first, second] = path.split('/');
+  const name = first === 'api' ? second : 'system';
+  return capitalize(name);
+};
+
+// ==============================================
+// Document
+// ==============================================
+
+const buildSpec = (app, routers) => {
+  const paths = {};
+  const undocumented = [];
+
+  for (const { method, path, handlers } of collectRoutes(app, routers)) {
+    const key = `${method.toUpperCase()} ${path}`;
+    const documented = OPERATIONS[key];
+    if (!documented) {
+      undocumented.push(key);
+    }
+    const { example, ...doc } = documented || { summary: key, responses: { 200: { description: 'Undocumented' } } };
+
+    const validation = handlers.find((handler) => handler.schema);
+    const authorization = handlers.find((handler) => handler.policy);
+    const caching = handlers.find((handler) => handler.cache);
+
+    const operation = {
+      operationId: operationIdOf(method, path),
+      tags: [tagOf(path)],
+      summary: doc.summary,
+      parameters: doc.parameters || parametersOf(validation && validation.schema, path),
+      requestBody: doc.requestBody || requestBodyOf(validation && validation.schema),
+      responses: { ...doc.responses }
+    };
+
+    // Responses every route of its kind can give
+    if (validation) {
+      operation.responses[400] = operation.responses[400] || json(ref('Error'), 'Validation failed');
+    }
+    if (authorization) {
+      const roles = rolesOf(authorization.policy);
+      operation.security = [{ bearerAuth: [] }];
+      operation['x-roles'] = roles;
+      operation.description = `Roles: ${roles.join(', ')}`;
+      operation.responses[401] = json(ref('Error'), 'Missing or invalid token');
+      operation.responses[403] = json(ref('Error'), 'Role not allowed');
+    }
+    if (caching) {
+      operation.responses[200] = {
+        ...operation.responses[200],
+        headers: {
+          ETag: { description: 'Hash of the body, for If-None-Match', schema: STRING },
+          'X-Cache': { description: 'HIT or MISS', schema: { enum: ['HIT', 'MISS'] } }
+        }
+      };
+      operation.responses[304] = { description: 'Not modified (If-None-Match matches the current ETag)' };
+      operation['x-cache'] = caching.cache;
+    }
+    // src/app.js serves API requests from their school's database, and
+    // answers 503 while that database is unreachable
+    if (/^\/(api|graphql)(\/|$)/.test(path)) {
+      operation.parameters = [...operation.parameters, TENANT_HEADER];
+      operation.responses[503] = json(ref('Error'), 'Database unavailable (see Retry-After)');
+      // ...after taking a token from the client's budget (src/ratelimit.js)
+      for (const [status, response] of Object.entries(operation.responses)) {
+        if (status < 300) {
+          operation.responses[status] = { ...response, headers: { ...response.headers, ...RATE_LIMIT_HEADERS } };
+        }
+      }
+      operation.responses[429] = {
+        ...json(ref('Error'), 'Rate limit exceeded (see Retry-After)'),
+        headers: {
+          ...RATE_LIMIT_HEADERS,
+          'Retry-After': { description: 'Seconds until the next request is allowed', schema: INT }
+        }
+      };
+      operation['x-rate-limit'] = budgetFor(path);
+    }
+    if (path.includes('{')) {
+      operation.responses[404] = operation.responses[404] || json(ref('Error'), 'Not found');
+    }
+    if (example) {
+      operation['x-example'] = example;
+    }
+
+    paths[path] = paths[path] || {};
+    paths[path][method] = compact(operation);
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'MySQL Express API - SQL Query Examples',
+      version,
+      description: 'School data API: SQL query examples, CRUD, enrollment workflow, transcripts, bulk data and GraphQL.'
+    },
+    servers: [{ url: '/' }],
+    paths,
+    components,
+    'x-undocumented': undocumented
+  };
+};
+
+module.exports = {
+  OPERATIONS,
+  buildSpec
+};
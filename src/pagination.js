@@ -0,0 +1,285 @@
+// Import required modules
+const { getPool } = require('./db');
+const { ApiError } = require('./errors');
+
+// ==============================================
+// Shared list handling: pagination, sorting and field selection
+// ==============================================
+// A listing wraps an endpoint's base query as a derived table, so paging,
+// ordering and projection work on the query's output columns:
+//
+//   SELECT <fields> FROM (<base query>) AS t
+//   [WHERE <after the cursor's row>]  -- cursor (keyset) mode
+//   ORDER BY <sort>, t.<key>          -- the key keeps the order stable
+//   LIMIT ? [OFFSET ?]
+//
+// The key is a unique output column (student_id unless the listing says otherwise).
+//
+// Offset mode:  ?limit=20&offset=40
+// Cursor mode:  ?limit=20 (no offset), then ?cursor=<opaque token from links.next/prev>;
+//               the token holds the sort and the sort values and key of the
+//               row it continues from
+// Sorting:      ?sort=last_name,-gpa   (leading "-" = descending)
+// Projection:   ?fields=student_id,first_name,gpa
+
+// Hard upper bound for ?limit=
+const MAX_LIMIT = 100;
+
+// Define a listing and the query parameters it accepts
+// (key: column used for keyset pagination and as the ordering tie-breaker)
+const defineListing = ({ columns, defaultSort, defaultLimit = 50, key = 'student_id' }) => {
+  const sortValues = columns.flatMap((column) => [column, `-${column}`]);
+  return {
+    columns,
+    defaultSort,
+    key,
+    // Merged into the endpoint's query schema
+    query: {
+      limit: { type: 'integer', min: 1, max: MAX_LIMIT, default: defaultLimit },
+      offset: { type: 'integer', min: 0 },
+      cursor: { type: 'string', maxLength: 4096 },
+      sort: { type: 'list', values: sortValues },
+      fields: { type: 'list', values: columns }
+    }
+  };
+};
+
+// Report a single invalid query parameter in the validation error format
+const invalidParameter = (field, message) =>
+  new ApiError(400, 'Validation failed', [{ location: 'query', field, message }]);
+
+// Turn ['last_name', '-gpa'] into [{ column, descending }]
+const parseSort = (sort) => sort.map((item) => (
+  item.startsWith('-')
+    ? { column: item.slice(1), descending: true }
+    : { column: item, descending: false }
+));
+
+// ['last_name', '-gpa'] back into 'last_name,-gpa'
+const formatSort = (sort) => sort.map(({ column, descending }) => `${descending ? '-' : ''}${column}`).join(',');
+
+// Sort values as stored in a cursor: dates and JSON documents are tagged so
+// they are bound as the types they were read as
+const encodeValue = (value) => {
+  if (value instanceof Date) {
+    return { date: value.toISOString() };
+  }
+  if (value !== null && typeof value === 'object') {
+    return { json: JSON.stringify(value) };
+  }
+  return value;
+};
+
+// A stored sort value as { sql, params } to compare a column with
+// (undefined when it is not one encodeValue() produces)
+const decodeValue = (value) => {
+  if (value === null || typeof value === 'string' || typeof value === 'number') {
+    return { sql: '?', params: [value] };
+  }
+  if (value && typeof value.date === 'string' && !Number.isNaN(Date.parse(value.date))) {
+    return { sql: '?', params: [new Date(value.date)] };
+  }
+  if (value && typeof value.json === 'string') {
+    return { sql: 'CAST(? AS JSON)', params: [value.json] };
+  }
+  return undefined;
+};
+
+// Opaque cursor: base64url-encoded JSON with the sort, the row's sort values
+// and key, and the direction to continue in
+const encodeCursor = (sort, row, keyColumn, direction) =>
+  Buffer.from(JSON.stringify({
+    s: formatSort(sort),
+    v: sort.map(({ column }) => encodeValue(row[column])),
+    k: row[keyColumn],
+    d: direction
+  })).toString('base64url');
+
+// Position of a cursor made for the given sort: { values, key, direction }
+const decodeCursor = (cursor, sort) => {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw invalidParameter('cursor', 'is not a valid cursor');
+  }
+  const { s, v, k, d } = position || {};
+  const values = Array.isArray(v) ? v.map(decodeValue) : [];
+  if (!Array.isArray(v) || values.length !== sort.length || values.includes(undefined)
+    || !Number.isInteger(k) || (d !== 'next' && d !== 'prev')) {
+    throw invalidParameter('cursor', 'is not a valid cursor');
+  }
+  if (s !== formatSort(sort)) {
+    throw invalidParameter('cursor', `was made for sort=${s}; page with the same sort or start over without a cursor`);
+  }
+  return { values, key: k, direction: d };
+};
+
+// WHERE condition for the rows after a position in the scan order
+// (columns: [{ column, descending }] ending with the key). MySQL puts NULLs
+// first in ascending and last in descending order, so "after NULL" is any
+// value in ascending order and nothing in descending order.
+const keysetCondition = (columns, values) => {
+  const branches = [];
+  const params = [];
+  columns.forEach(({ column, descending }, index) => {
+    const name = `t.\`${column}\``;
+    const value = values[index];
+    const isNull = value.params[0] === null;
+    let after;
+    if (isNull) {
+      after = descending ? null : { sql: `${name} IS NOT NULL`, params: [] };
+    } else if (descending) {
+      after = { sql: `(${name} < ${value.sql} OR ${name} IS NULL)`, params: value.params };
+    } else {
+      after = { sql: `${name} > ${value.sql}`, params: value.params };
+    }
+    if (after) {
+      // Same values as the position in every earlier column
+      const equal = columns.slice(0, index).map(({ column: earlier }, i) => ({
+        sql: `t.\`${earlier}\` <=> ${values[i].sql}`,
+        params: values[i].params
+      }));
+      branches.push(`(${[...equal, after].map((part) => part.sql).join(' AND ')})`);
+      [...equal, after].forEach((part) => params.push(...part.params));
+    }
+  });
+  return { sql: branches.length > 0 ? branches.join(' OR ') : 'FALSE', params };
+};
+
+// Build the URL of another page of the current request. Links are relative
+// (path and query): the Host header is the client's to choose, and a cached
+// response must not point other clients at it.
+const pageUrl = (req, changes) => {
+  const search = new URLSearchParams();
+  for (const [name, value] of Object.entries({ ...req.query, ...changes })) {
+    if (value === undefined || value === null) {
+      continue;
+    }
+    search.set(name, Array.isArray(value) ? value.join(',') : String(value));
+  }
+  return `${req.baseUrl}${req.path}?${search}`;
+};
+
+// ==============================================
+// Run a listing for the current request
+// ==============================================
+// Returns { data, total, links } and sets the RFC 8288 Link header
+const paginate = async (req, res, listing, baseQuery, params = []) => {
+  const { limit, offset, cursor } = req.query;
+  const sort = parseSort(req.query.sort || listing.defaultSort);
+  const fields = req.query.fields || listing.columns;
+  const keyColumn = listing.key;
+
+  // The key ends the order (unless sorted by already), so it is total
+  const order = sort.some(({ column }) => column === keyColumn)
+    ? sort
+    : [...sort, { column: keyColumn, descending: false }];
+  const orderBy = (columns) => columns
+    .map(({ column, descending }) => `t.\`${column}\` ${descending ? 'DESC' : 'ASC'}`)
+    .join(', ');
+
+  if (cursor !== undefined && offset !== undefined) {
+    throw invalidParameter('cursor', 'cannot be combined with offset');
+  }
+
+  // Total number of matching rows, independent of the page
+  const [[{ total }]] = await getPool().query(
+    `SELECT COUNT(*) AS total FROM (${baseQuery}) AS t`,
+    params
+  );
+
+  // The sort and key columns are always fetched so cursors can be built,
+  // then stripped
+  const selected = [...new Set([...fields, ...order.map(({ column }) => column)])];
+  const select = selected.map((column) => `t.\`${column}\``).join(', ');
+
+  let rows;
+  const links = {};
+
+  if (offset === undefined) {
+    // ---------- Cursor (keyset) mode ----------
+    const position = cursor !== undefined ? decodeCursor(cursor, sort) : null;
+    // Walking backwards means scanning in the opposite order, then reversing
+    const backwards = position !== null && position.direction === 'prev';
+    const scan = order.map(({ column, descending }) => ({ column, descending: descending !== backwards }));
+
+    let where = '';
+    const pageParams = [...params];
+    if (position) {
+      // The cursor holds the values of the sort columns; the key is last
+      const values = order.length > sort.length
+        ? [...position.values, { sql: '?', params: [position.key] }]
+        : position.values;
+      const condition = keysetCondition(scan, values);
+      where = `WHERE ${condition.sql}`;
+      pageParams.push(...condition.params);
+    }
+    // Fetch one extra row to learn whether another page exists
+    pageParams.push(limit + 1);
+
+    const [result] = await getPool().query(
+      `SELECT ${select} FROM (${baseQuery}) AS t ${where}
+       ORDER BY ${orderBy(scan)}
+       LIMIT ?`,
+      pageParams
+    );
+
+    const hasMore = result.length > limit;
+    rows = result.slice(0, limit);
+    if (backwards) {
+      rows.reverse();
+    }
+
+    if (rows.length > 0) {
+      const first = rows[0];
+      const last = rows[rows.length - 1];
+      // Moving forward: a next page exists if the extra row came back.
+      // Moving backward: we came from the next page, so it always exists.
+      if (backwards || hasMore) {
+        links.next = pageUrl(req, { cursor: encodeCursor(sort, last, keyColumn, 'next'), offset: undefined });
+      }
+      if ((backwards && hasMore) || (!backwards && position)) {
+        links.prev = pageUrl(req, { cursor: encodeCursor(sort, first, keyColumn, 'prev'), offset: undefined });
+      }
+    }
+  } else {
+    // ---------- Offset mode ----------
+    [rows] = await getPool().query(
+      `SELECT ${select} FROM (${baseQuery}) AS t
+       ORDER BY ${orderBy(order)}
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    if (offset + limit < total) {
+      links.next = pageUrl(req, { offset: offset + limit });
+    }
+    if (offset > 0) {
+      links.prev = pageUrl(req, { offset: Math.max(offset - limit, 0) });
+    }
+  }
+
+  // Drop the columns the client did not ask for again
+  const extra = selected.filter((column) => !fields.includes(column));
+  rows.forEach((row) => extra.forEach((column) => delete row[column]));
+
+  // RFC 8288 Link header (res.links formats <url>; rel="...")
+  if (Object.keys(links).length > 0) {
+    res.links(links);
+  }
+
+  return {
+    data: rows,
+    total,
+    links: {
+      next: links.next || null,
+      prev: links.prev || null
+    }
+  };
+};
+
+module.exports = {
+  defineListing,
+  paginate
+};
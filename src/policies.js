@@ -0,0 +1,114 @@
+// Import database pool accessor
+const { getPool } = require('./db');
+
+// ==============================================
+// Authorization policy checks
+// ==============================================
+// Building blocks for authorize({ role: check }) in src/auth.js.
+// Checks run before validation, so route values are still raw strings.
+
+// Parse a raw id; NaN for anything that is not a plain integer
+const toId = (value) => (/^\d+$/.test(String(value)) ? Number(value) : NaN);
+
+// Courses a teacher teaches: assigned to the course as a whole, or teaching
+// one of its sections (two parameters: the teacher's user_id twice)
+const TAUGHT_COURSES = `
+  SELECT course_id FROM course_teachers WHERE user_id = ?
+  UNION
+  SELECT course_id FROM course_sections WHERE teacher_id = ?
+`;
+
+// Student accessing their own record (/:param is their student_id)
+const isOwnStudent = (param) => (req) =>
+  req.user.studentId !== null && req.user.studentId === toId(req.params[param]);
+
+// Teacher of the course in /:param
+const teachesCourse = (param) => async (req) => {
+  const [rows] = await getPool().query(
+    `SELECT 1 FROM (${TAUGHT_COURSES}) AS taught WHERE course_id = ? LIMIT 1`,
+    [req.user.id, req.user.id, toId(req.params[param])]
+  );
+  return rows.length > 0;
+};
+
+// Whether the teacher teaches every one of the (distinct) courseIds
+const teachesAll = async (userId, courseIds) => {
+  const [rows] = await getPool().query(
+    `SELECT COUNT(*) AS taught FROM (${TAUGHT_COURSES}) AS taught WHERE course_id IN (?)`,
+    [userId, userId, courseIds]
+  );
+  return rows[0].taught === courseIds.length;
+};
+
+// Teacher of every course in the comma-separated ?field= list
+// (malformed ids are left for the validation layer to reject)
+const teachesCourses = (field) => async (req) => {
+  const courseIds = [...new Set(String(req.query[field] || '').split(',').map(toId))]
+    .filter(Number.isInteger);
+  if (courseIds.length === 0) {
+    return true;
+  }
+  return teachesAll(req.user.id, courseIds);
+};
+
+// Teacher of every course:<id> topic in the comma-separated ?field= list of
+// an event stream (src/stream.js); any other topic is refused
+const teachesTopics = (field) => async (req) => {
+  const topics = String(req.query[field] || '').split(',').map((topic) => topic.trim()).filter(Boolean);
+  const courseIds = topics.map((topic) => (/^course:\d+$/.test(topic) ? toId(topic.slice('course:'.length)) : NaN));
+  if (courseIds.length === 0) {
+    return true;
+  }
+  if (courseIds.some(Number.isNaN)) {
+    return false;
+  }
+  return teachesAll(req.user.id, [...new Set(courseIds)]);
+};
+
+// Teacher of at least one course the student in /:param is enrolled in
+const teachesStudent = (param) => async (req) => {
+  const [rows] = await getPool().query(
+    `SELECT 1
+     FROM enrollments e
+     WHERE e.course_id IN (${TAUGHT_COURSES}) AND e.student_id = ?
+     LIMIT 1`,
+    [req.user.id, req.user.id, toId(req.params[param])]
+  );
+  return rows.length > 0;
+};
+
+// SQL condition limiting a students alias to the rows the user may read:
+// admins every student, teachers the students in their courses, students
+// themselves. Returns { sql, params } to splice into a WHERE clause.
+const studentScope = (user, alias = 's') => {
+  if (user.role === 'admin') {
+    return { sql: '', params: [] };
+  }
+  if (user.role === 'teacher') {
+    return {
+      sql: `AND ${alias}.student_id IN (SELECT e.student_id FROM enrollments e WHERE e.course_id IN (${TAUGHT_COURSES}))`,
+      params: [user.id, user.id]
+    };
+  }
+  return { sql: `AND ${alias}.student_id = ?`, params: [user.studentId] };
+};
+
+// SQL condition limiting an enrollments (or courses) alias to the courses the
+// user may report on: admins every course, teachers the courses they teach.
+// Returns { sql, params } like studentScope().
+const courseScope = (user, alias = 'e') => {
+  if (user.role === 'admin') {
+    return { sql: '', params: [] };
+  }
+  return { sql: `AND ${alias}.course_id IN (${TAUGHT_COURSES})`, params: [user.id, user.id] };
+};
+
+module.exports = {
+  isOwnStudent,
+  teachesCourse,
+  teachesCourses,
+  teachesTopics,
+  teachesStudent,
+  studentScope,
+  courseScope
+};
@@ -0,0 +1,276 @@
+// Import required modules
+const crypto = require('crypto');
+const logger = require('./logger');
+const { ApiError } = require('./errors');
+const { verifyToken } = require('./auth');
+const { countRateLimited } = require('./metrics');
+
+// ==============================================
+// Rate limiting
+// ==============================================
+// Every /api and /graphql request takes one token from a bucket per client
+// and budget. A bucket holds up to `limit` tokens and refills continuously
+// at limit / window, so a client may burst up to the limit and then sustain
+// the refill rate. Requests finding their bucket empty get 429 with
+// Retry-After (seconds until the next token).
+//
+// Budgets (RATE_LIMIT_<BUDGET>=<requests>/<seconds>):
+//   analytics  aggregations, search, exports, transcripts, GraphQL, event
+//              streams, SQL console runs (30/60)
+//   auth       login and token refresh, against password guessing (10/60)
+//   crud       every other API route (300/60)
+//
+// Clients are told apart by the first identity in RATE_LIMIT_BY (default
+// user,ip) that the request has:
+//   user     a valid access token: its school and user id
+//   api-key  the X-Api-Key header; only enable it behind a gateway that
+//            validates the keys, as made-up keys get fresh buckets
+//   ip       the client address (set TRUST_PROXY behind a load balancer)
+//
+// Configuration:
+//   RATE_LIMIT_DRIVER       memory (default), redis or none
+//   RATE_LIMIT_MAX_BUCKETS  memory driver: buckets kept (default 10000)
+// A failing store lets requests through: the limiter protects MySQL, it
+// must not become the outage itself.
+
+// Budgets and their defaults
+const DEFAULT_BUDGETS = {
+  analytics: '30/60',
+  auth: '10/60',
+  crud: '300/60'
+};
+
+// Budget of each route (first match; full paths as in the OpenAPI document)
+const ROUTE_BUDGETS = [
+  ['auth', /^\/api\/auth\/(login|refresh)$/],
+  ['analytics', /^\/api\/(analytics|district|stream)\//],
+  ['analytics', /^\/api\/students\/(in-courses|all-with-enrollments)$/],
+  ['analytics', /^\/api\/courses\/popular\//],
+  ['analytics', /^\/api\/(search$|export\/)/],
+  ['analytics', /\/transcript$/],
+  ['analytics', /^\/graphql$/],
+  ['analytics', /^\/api\/query$/]
+];
+
+const IDENTITIES = ['user', 'api-key', 'ip'];
+
+const MAX_BUCKETS = Number(process.env.RATE_LIMIT_MAX_BUCKETS) || 10000;
+
+// Parse "<requests>/<seconds>"
+const parseBudget = (name, value) => {
+  const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(value);
+  if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) {
+    throw new Error(`Invalid RATE_LIMIT_${name.toUpperCase()} "${value}" (expected requests/seconds, e.g. 30/60)`);
+  }
+  return { name, limit: Number(match[1]), window: Number(match[2]) };
+};
+
+const BUDGETS = Object.fromEntries(Object.entries(DEFAULT_BUDGETS).map(([name, fallback]) =>
+  [name, parseBudget(name, process.env[`RATE_LIMIT_${name.toUpperCase()}`] || fallback)]));
+
+const IDENTIFY_BY = (process.env.RATE_LIMIT_BY || 'user,ip').split(',').map((item) => item.trim());
+for (const identity of IDENTIFY_BY) {
+  if (!IDENTITIES.includes(identity)) {
+    throw new Error(`Unknown RATE_LIMIT_BY identity "${identity}" (available: ${IDENTITIES.join(', ')})`);
+  }
+}
+
+// Budget of a full request path
+const budgetFor = (path) => {
+  const rule = ROUTE_BUDGETS.find(([, pattern]) => pattern.test(path));
+  return BUDGETS[rule ? rule[0] : 'crud'];
+};
+
+// ==============================================
+// Token buckets
+// ==============================================
+
+// Take one token from a bucket last seen with `tokens` at `at` (ms).
+// Returns the new state and the outcome.
+const takeToken = (bucket, { limit, window }, now) => {
+  const rate = limit / (window * 1000);
+  const available = bucket
+    ? Math.min(limit, bucket.tokens + Math.max(0, now - bucket.at) * rate)
+    : limit;
+  const allowed = available >= 1;
+  const tokens = allowed ? available - 1 : available;
+  return { state: { tokens, at: now }, outcome: outcomeOf(allowed, tokens, { limit, window }) };
+};
+
+// Headers' view of a bucket: whole tokens left, seconds until full, and
+// seconds until the next token for refused requests
+const outcomeOf = (allowed, tokens, { limit, window }) => {
+  const rate = limit / window;
+  return {
+    allowed,
+    remaining: Math.floor(tokens),
+    reset: Math.ceil((limit - tokens) / rate),
+    retryAfter: allowed ? 0 : Math.max(1, Math.ceil((1 - tokens) / rate))
+  };
+};
+
+// ==============================================
+// Stores
+// ==============================================
+// A store takes a token: take(key, budget) -> { allowed, remaining, reset, retryAfter }
+
+// In-process buckets (a Map in least recently used order, like the cache's
+// memory store). A full bucket is the same as a missing one, so once there
+// are too many the least recently used (likeliest to be full) are dropped.
+const createMemoryStore = (maxBuckets = MAX_BUCKETS) => {
+  const buckets = new Map();
+  return {
+    name: 'memory',
+    take: async (key, budget) => {
+      const { state, outcome } = takeToken(buckets.get(key), budget, Date.now());
+      buckets.delete(key);
+      buckets.set(key, state);
+      while (buckets.size > maxBuckets) {
+        buckets.delete(buckets.keys().next().value);
+      }
+      return outcome;
+    }
+  };
+};
+
+// Same algorithm as takeToken, atomic in Redis (one hash per bucket,
+// expiring once it would be full again)
+const TAKE_SCRIPT = `
+  local limit = tonumber(ARGV[1])
+  local rate = limit / (tonumber(ARGV[2]) * 1000)
+  local now = tonumber(ARGV[3])
+  local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'at')
+  local tokens = limit
+  if bucket[1] then
+    tokens = math.min(limit, tonumber(bucket[1]) + math.max(0, now - tonumber(bucket[2])) * rate)
+  end
+  local allowed = 0
+  if tokens >= 1 then
+    tokens = tokens - 1
+    allowed = 1
+  end
+  redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'at', ARGV[3])
+  redis.call('PEXPIRE', KEYS[1], math.ceil((limit - tokens) / rate) + 1000)
+  return { allowed, tostring(tokens) }
+`;
+
+// Redis (buckets shared between app instances, see src/redis.js). Requests
+// are let through while Redis is unavailable.
+const createRedisStore = () => {
+  const redis = require('./redis');
+  // Connect at startup rather than on the first request
+  redis.getClient();
+  return {
+    name: 'redis',
+    take: (key, budget) => redis.attempt('rate limit', async (client) => {
+      const [allowed, tokens] = await client.eval(TAKE_SCRIPT, {
+        keys: [`ratelimit:${key}`],
+        arguments: [String(budget.limit), String(budget.window), String(Date.now())]
+      });
+      return outcomeOf(allowed === 1, Number(tokens), budget);
+    }, null)
+  };
+};
+
+const createStore = (driver = process.env.RATE_LIMIT_DRIVER || 'memory') => {
+  switch (driver) {
+    case 'memory':
+      return createMemoryStore();
+    case 'redis':
+      return createRedisStore();
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown RATE_LIMIT_DRIVER "${driver}" (available: memory, redis, none)`);
+  }
+};
+
+// Created on first use, so reading the budgets (src/openapi.js) connects nothing
+let store;
+const getStore = () => {
+  if (store === undefined) {
+    store = createStore();
+    logger.info(`Rate limiting: ${store ? `${store.name} (by ${IDENTIFY_BY.join(', ')})` : 'disabled'}`);
+  }
+  return store;
+};
+
+// ==============================================
+// Middleware
+// ==============================================
+
+// Client identity of a request, per RATE_LIMIT_BY
+const IDENTIFY = {
+  user: (req) => {
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token) {
+      return null;
+    }
+    try {
+      // Verified: a forged token must not spend (or dodge) another user's budget
+      const claims = verifyToken(token, 'access', req.tenant && req.tenant.id);
+      return `user:${req.tenant.id}:${claims.sub}`;
+    } catch (error) {
+      return null;
+    }
+  },
+  'api-key': (req) => {
+    const key = req.get('x-api-key');
+    return key ? `key:${crypto.createHash('sha256').update(key).digest('base64url')}` : null;
+  },
+  ip: (req) => `ip:${req.ip}`
+};
+
+// (falls back to the address when none of them applies)
+const identify = (req) => {
+  for (const identity of IDENTIFY_BY) {
+    const client = IDENTIFY[identity](req);
+    if (client) {
+      return client;
+    }
+  }
+  return `ip:${req.ip}`;
+};
+
+const setHeaders = (res, budget, outcome) => {
+  res.set('RateLimit-Limit', String(budget.limit));
+  res.set('RateLimit-Remaining', String(outcome.remaining));
+  res.set('RateLimit-Reset', String(outcome.reset));
+  res.set('RateLimit-Policy', `${budget.limit};w=${budget.window}`);
+};
+
+// Express middleware for /api and /graphql (after resolveTenant)
+const rateLimit = async (req, res, next) => {
+  const buckets = getStore();
+  if (!buckets) {
+    return next();
+  }
+  const budget = budgetFor(`${req.baseUrl}${req.path}`);
+  const client = identify(req);
+  let outcome;
+  try {
+    outcome = await buckets.take(`${budget.name}:${client}`, budget);
+  } catch (error) {
+    logger.warn(`Rate limit check failed: ${error.message}`);
+  }
+  // Store unavailable: let the request through
+  if (!outcome) {
+    return next();
+  }
+
+  setHeaders(res, budget, outcome);
+  if (outcome.allowed) {
+    return next();
+  }
+  logger.warn(`Rate limited: ${client} (${budget.name}) ${req.method} ${req.originalUrl}`);
+  countRateLimited(budget.name);
+  const error = new ApiError(429, 'Too many requests, please retry later');
+  error.retryAfter = outcome.retryAfter;
+  next(error);
+};
+
+module.exports = {
+  BUDGETS,
+  budgetFor,
+  rateLimit
+};
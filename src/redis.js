@@ -0,0 +1,47 @@
+// Import required modules
+const logger = require('./logger');
+
+// ==============================================
+// Shared Redis connection
+// ==============================================
+// One client per process, shared by the response cache (CACHE_DRIVER=redis)
+// and the rate limiter (RATE_LIMIT_DRIVER=redis). It connects on first use
+// and keeps reconnecting in the background; callers go through attempt()
+// so an unavailable Redis degrades their feature instead of failing requests.
+//
+//   REDIS_URL   server URL (default redis://localhost:6379)
+
+let client;
+
+const getClient = () => {
+  if (!client) {
+    const { createClient } = require('redis');
+    // Without the offline queue, commands fail at once instead of waiting for a reconnect
+    client = createClient({ url: process.env.REDIS_URL || 'redis://localhost:6379', disableOfflineQueue: true });
+    client.on('error', (error) => logger.warn(`Redis error: ${error.message}`));
+    client.connect().catch(() => {
+      // Reported by the error listener; the client keeps reconnecting
+    });
+  }
+  return client;
+};
+
+// Run operation(client); while Redis is unreachable or when the command
+// fails, log it (tagged with the feature) and return fallback instead
+const attempt = async (feature, operation, fallback) => {
+  const redis = getClient();
+  if (!redis.isReady) {
+    return fallback;
+  }
+  try {
+    return await operation(redis);
+  } catch (error) {
+    logger.warn(`Redis ${feature} error: ${error.message}`);
+    return fallback;
+  }
+};
+
+module.exports = {
+  getClient,
+  attempt
+};
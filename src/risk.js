@@ -0,0 +1,276 @@
+// Import required modules
+const { getPool } = require('./db');
+const grading = require('./grading');
+const attendance = require('./attendance');
+
+// ==============================================
+// At-risk students (early warning)
+// ==============================================
+// Every student is checked against a set of rules; a student who triggers
+// at least one is flagged, with the reasons and a severity score (the sum
+// of the points of the triggered rules). Grades are taken the same way as
+// in transcripts (src/transcripts.js): enrolled and withdrawn enrollments
+// per section term, withdrawals earning neither credits nor grade points.
+//
+// Rules and their thresholds (query parameter / environment default):
+//   low_gpa          cumulative GPA below minGPA (AT_RISK_MIN_GPA, 2.0)
+//   low_grades       lowGrades or more D/F grades (AT_RISK_LOW_GRADES, 2)
+//   declining_gpa    term GPA fell by gpaDrop or more from the previous
+//                    graded term (AT_RISK_GPA_DROP, 0.5)
+//   credit_deficit   fewer credits earned than creditsPerYear for every
+//                    completed grade level (AT_RISK_CREDITS_PER_YEAR, 12)
+//   chronic_absence  chronically absent (CHRONIC_ABSENCE_*, src/attendance.js)
+
+// Default thresholds
+const THRESHOLDS = {
+  minGPA: Number(process.env.AT_RISK_MIN_GPA) || 2.0,
+  lowGrades: Number(process.env.AT_RISK_LOW_GRADES) || 2,
+  gpaDrop: Number(process.env.AT_RISK_GPA_DROP) || 0.5,
+  creditsPerYear: Number(process.env.AT_RISK_CREDITS_PER_YEAR) || 12
+};
+
+// Severity score at or above which a flag is high / medium (otherwise low)
+const SEVERITY_LEVELS = [
+  { minimum: 5, severity: 'high' },
+  { minimum: 3, severity: 'medium' },
+  { minimum: 0, severity: 'low' }
+];
+
+// Letter families counted by low_grades
+const LOW_GRADE_FAMILIES = ['D', 'F'];
+
+// First grade level of the school (credit_deficit expects nothing before it)
+const FIRST_GRADE = 9;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Credit-weighted GPA of { qualityPoints, gradedCredits } (null when nothing is graded)
+const gpaOf = (totals) => (totals.gradedCredits > 0 ? round2(totals.qualityPoints / totals.gradedCredits) : null);
+
+// ==============================================
+// Rules
+// ==============================================
+// check(student, thresholds) returns null or { message, value, threshold };
+// a triggered rule adds its points to the score.
+
+const RULES = {
+  low_gpa: {
+    points: 3,
+    check: (student, { minGPA }) => (student.gpa !== null && student.gpa < minGPA
+      ? { message: `GPA ${student.gpa.toFixed(2)} is below ${minGPA.toFixed(2)}`, value: student.gpa, threshold: minGPA }
+      : null)
+  },
+  low_grades: {
+    points: 2,
+    check: (student, { lowGrades }) => (student.low_grades >= lowGrades
+      ? { message: `${student.low_grades} ${LOW_GRADE_FAMILIES.join('/')} grades`, value: student.low_grades, threshold: lowGrades }
+      : null)
+  },
+  declining_gpa: {
+    points: 2,
+    check: (student, { gpaDrop }) => {
+      const graded = student.terms.filter((term) => term.gpa !== null);
+      if (graded.length < 2) {
+        return null;
+      }
+      const [previous, latest] = graded.slice(-2);
+      const drop = round2(previous.gpa - latest.gpa);
+      return drop >= gpaDrop
+        ? {
+          message: `Term GPA fell from ${previous.gpa.toFixed(2)} (${previous.term}) to ${latest.gpa.toFixed(2)} (${latest.term})`,
+          value: drop,
+          threshold: gpaDrop
+        }
+        : null;
+    }
+  },
+  credit_deficit: {
+    points: 2,
+    check: (student, { creditsPerYear }) => {
+      const expected = creditsPerYear * (student.grade - FIRST_GRADE);
+      return student.credits_earned < expected
+        ? { message: `${student.credits_earned} credits earned, ${expected} expected by grade ${student.grade}`, value: student.credits_earned, threshold: expected }
+        : null;
+    }
+  },
+  chronic_absence: {
+    points: 2,
+    check: (student) => (attendance.isChronicallyAbsent(student)
+      ? {
+        message: `Attended ${Number(student.attendance_rate).toFixed(2)}% of ${student.days_recorded} recorded days`,
+        value: Number(student.attendance_rate),
+        threshold: attendance.CHRONIC_ABSENCE_THRESHOLD
+      }
+      : null)
+  }
+};
+
+const RULE_NAMES = Object.keys(RULES);
+
+// ==============================================
+// Student facts
+// ==============================================
+
+// Grades per student and term (students without enrollments get one row of NULLs).
+// scope: { sql, params } condition on the students alias s (see src/policies.js).
+const loadGrades = async ({ grade, department }, scope) => {
+  // Students taking a course of the department (their other grades still count)
+  const departmentFilter = department
+    ? `AND s.student_id IN (
+         SELECT d.student_id
+         FROM enrollments d
+         INNER JOIN courses dc ON d.course_id = dc.course_id
+         WHERE dc.department = ? AND d.status = 'enrolled'
+       )`
+    : '';
+  const [rows] = await getPool().query(
+    `SELECT
+       s.student_id,
+       s.first_name,
+       s.last_name,
+       s.grade as student_grade,
+       t.term_id,
+       t.name as term_name,
+       c.credits,
+       e.grade,
+       e.status
+     FROM students s
+     LEFT JOIN (
+       enrollments e
+       INNER JOIN courses c ON e.course_id = c.course_id
+       INNER JOIN course_sections cs ON e.section_id = cs.section_id
+       INNER JOIN terms t ON cs.term_id = t.term_id
+     ) ON e.student_id = s.student_id AND e.status IN ('enrolled', 'withdrawn')
+     WHERE 1=1
+       ${grade ? 'AND s.grade = ?' : ''}
+       ${departmentFilter}
+       ${scope.sql}
+     ORDER BY s.student_id, t.start_date, t.term_id`,
+    [...(grade ? [grade] : []), ...(department ? [department] : []), ...scope.params]
+  );
+  return rows;
+};
+
+// Attendance counts and rate per student, by student_id
+const loadAttendance = async () => {
+  const [rows] = await getPool().query(
+    `SELECT
+       e.student_id,
+       ${attendance.statusCountsSql()},
+       ${attendance.attendanceRateSql()} as attendance_rate
+     FROM attendance a
+     INNER JOIN enrollments e ON a.enrollment_id = e.enrollment_id
+     GROUP BY e.student_id`
+  );
+  return new Map(rows.map((row) => [row.student_id, row]));
+};
+
+// Fold grade rows into one record per student: GPA, D/F count, credits
+// earned and GPA per term (chronological)
+const summarizeStudents = (rows) => {
+  const students = new Map();
+  for (const row of rows) {
+    if (!students.has(row.student_id)) {
+      students.set(row.student_id, {
+        student: {
+          student_id: row.student_id,
+          first_name: row.first_name,
+          last_name: row.last_name,
+          grade: row.student_grade
+        },
+        totals: { qualityPoints: 0, gradedCredits: 0 },
+        credits: 0,
+        lowGrades: 0,
+        terms: new Map()
+      });
+    }
+    const entry = students.get(row.student_id);
+    const points = row.status === 'withdrawn' ? null : grading.pointsFor(row.grade);
+    if (points === null) {
+      continue;
+    }
+    if (!entry.terms.has(row.term_id)) {
+      entry.terms.set(row.term_id, { term: row.term_name, qualityPoints: 0, gradedCredits: 0 });
+    }
+    for (const totals of [entry.totals, entry.terms.get(row.term_id)]) {
+      totals.qualityPoints += points * row.credits;
+      totals.gradedCredits += row.credits;
+    }
+    if (grading.isPassing(row.grade)) {
+      entry.credits += row.credits;
+    }
+    if (LOW_GRADE_FAMILIES.includes(row.grade.charAt(0))) {
+      entry.lowGrades++;
+    }
+  }
+
+  return [...students.values()].map(({ student, totals, credits, lowGrades, terms }) => ({
+    ...student,
+    gpa: gpaOf(totals),
+    low_grades: lowGrades,
+    credits_earned: credits,
+    terms: [...terms.values()].map((term) => ({ term: term.term, gpa: gpaOf(term) }))
+  }));
+};
+
+// ==============================================
+// Report
+// ==============================================
+
+const severityOf = (score) => SEVERITY_LEVELS.find((level) => score >= level.minimum).severity;
+
+// Flagged students, highest score first.
+// options: { rules, grade, department, ...thresholds }; scope as in loadGrades.
+const findAtRiskStudents = async (options, scope) => {
+  const thresholds = Object.fromEntries(Object.entries(THRESHOLDS).map(([name, value]) => [name, options[name] ?? value]));
+  const rules = options.rules || RULE_NAMES;
+  const [rows, absences] = await Promise.all([
+    loadGrades(options, scope),
+    rules.includes('chronic_absence') ? loadAttendance() : new Map()
+  ]);
+
+  const flagged = [];
+  for (const student of summarizeStudents(rows)) {
+    const record = absences.get(student.student_id);
+    const facts = {
+      ...student,
+      days_recorded: record ? record.days_recorded : 0,
+      attendance_rate: record ? record.attendance_rate : null
+    };
+
+    const reasons = [];
+    for (const rule of rules) {
+      const result = RULES[rule].check(facts, thresholds);
+      if (result) {
+        reasons.push({ rule, points: RULES[rule].points, ...result });
+      }
+    }
+    if (reasons.length === 0) {
+      continue;
+    }
+
+    const score = reasons.reduce((sum, reason) => sum + reason.points, 0);
+    flagged.push({
+      student_id: facts.student_id,
+      first_name: facts.first_name,
+      last_name: facts.last_name,
+      grade: facts.grade,
+      gpa: facts.gpa,
+      low_grades: facts.low_grades,
+      credits_earned: facts.credits_earned,
+      attendance_rate: facts.attendance_rate,
+      score,
+      severity: severityOf(score),
+      reasons
+    });
+  }
+
+  return flagged.sort((a, b) => b.score - a.score ||
+    a.last_name.localeCompare(b.last_name) || a.first_name.localeCompare(b.first_name));
+};
+
+module.exports = {
+  THRESHOLDS,
+  RULE_NAMES,
+  findAtRiskStudents
+};
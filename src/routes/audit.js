@@ -0,0 +1,66 @@
+// Import required modules
+const express = require('express');
+const { ApiError } = require('../errors');
+const { validate } = require('../validation');
+const schemas = require('../schemas');
+const { authorize } = require('../auth');
+const { paginate } = require('../pagination');
+const { withChanges } = require('../audit');
+
+// Router mounted at /api/audit (admin only)
+const router = express.Router();
+
+// ==============================================
+// GET /api/audit - Audit log entries, newest first
+// ==============================================
+// ?entity=enrollment&id=42   one record (id requires entity)
+// ?actor=3                   changes made by one user
+// ?action=update             creates, updates or deletes only
+// ?from=2024-01-01&to=...    date range (inclusive)
+// Paginated like the other listings (cursor mode by default)
+router.get('/', authorize(), validate(schemas.auditLog), async (req, res, next) => {
+  try {
+    const { entity, id, actor, action, from, to } = req.query;
+    if (id !== undefined && entity === undefined) {
+      throw new ApiError(400, 'Validation failed', [{ location: 'query', field: 'id', message: 'requires entity' }]);
+    }
+
+    const conditions = [];
+    const params = [];
+    const filters = [
+      ['entity = ?', entity],
+      ['entity_id = ?', id],
+      ['actor_id = ?', actor],
+      ['action = ?', action],
+      ['created_at >= ?', from],
+      ['created_at < ? + INTERVAL 1 DAY', to]
+    ];
+    for (const [condition, value] of filters) {
+      if (value !== undefined) {
+        conditions.push(condition);
+        params.push(value);
+      }
+    }
+
+    const query = `
+      SELECT audit_id, entity, entity_id, action, actor_id, actor_role,
+             request_id, reason, before_values, after_values, created_at
+      FROM audit_log
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    `;
+
+    const page = await paginate(req, res, schemas.auditLog.listing, query, params);
+
+    res.json({
+      success: true,
+      count: page.data.length,
+      total: page.total,
+      links: page.links,
+      data: page.data.map(withChanges)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
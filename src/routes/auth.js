@@ -0,0 +1,119 @@
+// Import required modules
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { getPool } = require('../db');
+const logger = require('../logger');
+const { ApiError } = require('../errors');
+const { validate } = require('../validation');
+const schemas = require('../schemas');
+const {
+  DUMMY_PASSWORD_HASH,
+  verifyPassword,
+  signAccessToken,
+  signRefreshToken,
+  verifyToken,
+  authorize
+} = require('../auth');
+
+// Router mounted at /api/auth
+const router = express.Router();
+
+// Columns needed to issue tokens
+const USER_SELECT = `
+  SELECT user_id, email, password_hash, role, student_id, token_version
+  FROM users
+`;
+
+// Build the token response for a users row of the request's tenant
+const tokenResponse = (user, tenantId) => {
+  const accessToken = signAccessToken(user, tenantId);
+  const { exp, iat } = jwt.decode(accessToken);
+  return {
+    tokenType: 'Bearer',
+    accessToken,
+    // Access token lifetime in seconds
+    expiresIn: exp - iat,
+    refreshToken: signRefreshToken(user, tenantId),
+    user: {
+      user_id: user.user_id,
+      email: user.email,
+      role: user.role,
+      student_id: user.student_id
+    }
+  };
+};
+
+// ==============================================
+// POST /api/auth/login - Exchange email and password for tokens
+// ==============================================
+router.post('/login', validate(schemas.login), async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+
+    const [rows] = await getPool().query(`${USER_SELECT} WHERE email = ?`, [email]);
+    const user = rows[0];
+
+    // Same answer, and the same scrypt work, for unknown emails and wrong
+    // passwords: response times do not tell which accounts exist
+    const valid = await verifyPassword(password, user ? user.password_hash : DUMMY_PASSWORD_HASH);
+    if (!user || !valid) {
+      logger.warn(`Failed login attempt for ${email}`);
+      throw new ApiError(401, 'Invalid email or password');
+    }
+
+    logger.info(`User ${user.user_id} (${user.role}) logged in`);
+
+    res.json({
+      success: true,
+      data: tokenResponse(user, req.tenant.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// POST /api/auth/refresh - Exchange a refresh token for a new token pair
+// ==============================================
+router.post('/refresh', validate(schemas.refreshToken), async (req, res, next) => {
+  try {
+    const claims = verifyToken(req.body.refreshToken, 'refresh', req.tenant.id);
+
+    // Re-read the user so role changes and revocations take effect
+    const [rows] = await getPool().query(`${USER_SELECT} WHERE user_id = ?`, [Number(claims.sub)]);
+    const user = rows[0];
+    if (!user || user.token_version !== claims.ver) {
+      throw new ApiError(401, 'Refresh token has been revoked');
+    }
+
+    res.json({
+      success: true,
+      data: tokenResponse(user, req.tenant.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// GET /api/auth/me - The authenticated user
+// ==============================================
+router.get('/me', authorize({ teacher: true, student: true }), async (req, res, next) => {
+  try {
+    const [rows] = await getPool().query(
+      'SELECT user_id, email, role, student_id, created_at FROM users WHERE user_id = ?',
+      [req.user.id]
+    );
+    if (rows.length === 0) {
+      throw new ApiError(404, 'User not found');
+    }
+    res.json({
+      success: true,
+      data: rows[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,55 @@
+// Import required modules
+const express = require('express');
+const logger = require('../logger');
+const { validate } = require('../validation');
+const schemas = require('../schemas');
+const { authorize } = require('../auth');
+const { invalidates } = require('../cache');
+const { parseUpload, importRows, streamExport } = require('../bulk');
+
+// Router mounted at /api (admin only)
+const router = express.Router();
+
+// Raw text bodies for CSV and NDJSON uploads
+const uploadParser = express.text({
+  type: ['text/csv', 'application/x-ndjson', 'application/ndjson'],
+  limit: process.env.IMPORT_MAX_SIZE || '10mb'
+});
+
+// ==============================================
+// POST /api/import/:entity - Bulk upsert from CSV or NDJSON
+// ==============================================
+// ?dryRun=true  validate and report without committing
+// ?atomic=true  commit nothing if any row is rejected
+// ?reason=...   recorded in the audit log; required to change posted grades
+// The entity names are table names, so they double as cache tags
+router.post('/import/:entity', authorize(), invalidates((req) => [req.params.entity]), uploadParser, validate(schemas.bulkImport), async (req, res, next) => {
+  try {
+    const { entity } = req.params;
+    const { dryRun, atomic, reason } = req.query;
+
+    const rows = parseUpload(req, entity);
+
+    logger.info(`Importing ${rows.length} ${entity} rows${dryRun ? ' (dry run)' : ''}`);
+
+    const report = await importRows(entity, rows, { dryRun, atomic, reason });
+
+    res.json({
+      success: true,
+      dryRun,
+      atomic,
+      ...report
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// GET /api/export/:entity - Stream a table as CSV or NDJSON
+// ==============================================
+router.get('/export/:entity', authorize(), validate(schemas.bulkExport), (req, res) => {
+  streamExport(req.params.entity, req.query.format, res);
+});
+
+module.exports = router;
@@ -0,0 +1,303 @@
+// Import required modules
+const express = require('express');
+const { getPool, withTransaction } = require('../db');
+const logger = require('../logger');
+const { ApiError } = require('../errors');
+const { requireAnyColumn } = require('./helpers');
+const { validate } = require('../validation');
+const schemas = require('../schemas');
+const { authorize } = require('../auth');
+const { invalidates } = require('../cache');
+const { auditedWrite, recordChange } = require('../audit');
+const { teachesCourse } = require('../policies');
+const { getRollSheet, takeRollCall } = require('../attendance');
+
+// Router mounted at /api/courses
+const router = express.Router();
+
+// Writes invalidate cached analytics (deleting a course deletes its enrollments)
+router.use(invalidates(['courses', 'enrollments']));
+
+// Columns returned for a single course
+const COURSE_SELECT = `
+  SELECT
+    course_id,
+    course_name,
+    department,
+    credits,
+    description,
+    created_at
+  FROM courses
+  WHERE course_id = ?
+`;
+
+// Load a course by primary key or fail with 404
+const findCourse = async (courseId) => {
+  const [rows] = await getPool().query(COURSE_SELECT, [courseId]);
+  if (rows.length === 0) {
+    throw new ApiError(404, 'Course not found');
+  }
+  return rows[0];
+};
+
+// ==============================================
+// GET /api/courses/:id - Single course
+// ==============================================
+router.get('/:id(\\d+)', authorize({ teacher: true, student: true }), validate(schemas.byId), async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await findCourse(req.params.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// POST /api/courses - Create a course
+// ==============================================
+router.post('/', authorize(), validate(schemas.createCourse), async (req, res, next) => {
+  try {
+    const values = req.body;
+
+    const result = await auditedWrite({ entity: 'course', action: 'create' }, async (db) => {
+      const [inserted] = await db.query('INSERT INTO courses SET ?', [values]);
+      return inserted.insertId;
+    });
+
+    logger.info(`Created course ${result.id}`);
+
+    res.status(201)
+      .location(`/api/courses/${result.id}`)
+      .json({
+        success: true,
+        data: await findCourse(result.id)
+      });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// PUT /api/courses/:id - Replace a course
+// ==============================================
+router.put('/:id(\\d+)', authorize(), validate(schemas.replaceCourse), async (req, res, next) => {
+  try {
+    const values = req.body;
+    // A full replacement clears an omitted description
+    values.description = values.description === undefined ? null : values.description;
+
+    await auditedWrite({ entity: 'course', action: 'update', id: req.params.id }, (db) =>
+      db.query('UPDATE courses SET ? WHERE course_id = ?', [values, req.params.id]));
+
+    logger.info(`Replaced course ${req.params.id}`);
+
+    res.json({
+      success: true,
+      data: await findCourse(req.params.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// PATCH /api/courses/:id - Partially update a course
+// ==============================================
+router.patch('/:id(\\d+)', authorize(), validate(schemas.updateCourse), async (req, res, next) => {
+  try {
+    const values = req.body;
+    requireAnyColumn(values);
+
+    await auditedWrite({ entity: 'course', action: 'update', id: req.params.id }, (db) =>
+      db.query('UPDATE courses SET ? WHERE course_id = ?', [values, req.params.id]));
+
+    logger.info(`Updated course ${req.params.id} (${Object.keys(values).join(', ')})`);
+
+    res.json({
+      success: true,
+      data: await findCourse(req.params.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// GET /api/courses/:id/prerequisites - Courses required before this one
+// ==============================================
+router.get('/:id(\\d+)/prerequisites', authorize({ teacher: true, student: true }), validate(schemas.byId), async (req, res, next) => {
+  try {
+    await findCourse(req.params.id);
+
+    const [rows] = await getPool().query(
+      `SELECT p.prerequisite_id, c.course_name, c.department, c.credits, p.minimum_grade
+       FROM course_prerequisites p
+       INNER JOIN courses c ON p.prerequisite_id = c.course_id
+       WHERE p.course_id = ?
+       ORDER BY c.course_name`,
+      [req.params.id]
+    );
+
+    res.json({
+      success: true,
+      count: rows.length,
+      data: rows
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Prerequisites as recorded in the audit log (changes are logged as course updates)
+const prerequisiteValues = async (connection, courseId) => {
+  const [rows] = await connection.query(
+    'SELECT prerequisite_id, minimum_grade FROM course_prerequisites WHERE course_id = ? ORDER BY prerequisite_id FOR UPDATE',
+    [courseId]
+  );
+  return { prerequisites: rows };
+};
+
+// ==============================================
+// POST /api/courses/:id/prerequisites - Require another course first
+// ==============================================
+// Already required -> 409, unknown prerequisite -> 422,
+// a requirement chain leading back to this course -> 409
+router.post('/:id(\\d+)/prerequisites', authorize(), validate(schemas.addPrerequisite), async (req, res, next) => {
+  try {
+    const courseId = Number(req.params.id);
+    const { prerequisite_id: prerequisiteId, minimum_grade: minimumGrade = null } = req.body;
+
+    await findCourse(courseId);
+
+    // Everything the new prerequisite (transitively) requires must not include this course
+    const [cycle] = await getPool().query(
+      `WITH RECURSIVE required (course_id) AS (
+         SELECT prerequisite_id FROM course_prerequisites WHERE course_id = ?
+         UNION
+         SELECT p.prerequisite_id
+         FROM course_prerequisites p
+         INNER JOIN required r ON p.course_id = r.course_id
+       )
+       SELECT 1 FROM required WHERE course_id = ? LIMIT 1`,
+      [prerequisiteId, courseId]
+    );
+    if (cycle.length > 0) {
+      throw new ApiError(409, 'Prerequisite would create a cycle: that course already requires this one');
+    }
+
+    await withTransaction(async (connection) => {
+      const before = await prerequisiteValues(connection, courseId);
+      await connection.query('INSERT INTO course_prerequisites SET ?', [{
+        course_id: courseId,
+        prerequisite_id: prerequisiteId,
+        minimum_grade: minimumGrade
+      }]);
+      const after = await prerequisiteValues(connection, courseId);
+      await recordChange(connection, { entity: 'course', id: courseId, action: 'update', before, after });
+    });
+
+    logger.info(`Course ${courseId} now requires course ${prerequisiteId}`);
+
+    res.status(201)
+      .location(`/api/courses/${courseId}/prerequisites`)
+      .json({
+        success: true,
+        data: { course_id: courseId, prerequisite_id: prerequisiteId, minimum_grade: minimumGrade }
+      });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// DELETE /api/courses/:id/prerequisites/:prerequisiteId - Drop a requirement
+// ==============================================
+router.delete('/:id(\\d+)/prerequisites/:prerequisiteId(\\d+)', authorize(), validate(schemas.removePrerequisite), async (req, res, next) => {
+  try {
+    const courseId = Number(req.params.id);
+    await withTransaction(async (connection) => {
+      const before = await prerequisiteValues(connection, courseId);
+      const [result] = await connection.query(
+        'DELETE FROM course_prerequisites WHERE course_id = ? AND prerequisite_id = ?',
+        [courseId, req.params.prerequisiteId]
+      );
+      if (result.affectedRows === 0) {
+        throw new ApiError(404, 'Prerequisite not found');
+      }
+      const after = await prerequisiteValues(connection, courseId);
+      await recordChange(connection, { entity: 'course', id: courseId, action: 'update', before, after });
+    });
+
+    logger.info(`Course ${courseId} no longer requires course ${req.params.prerequisiteId}`);
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// GET /api/courses/:id/attendance?date= - Roll sheet of a day
+// ==============================================
+// Every student with a seat in the course that day; status is null for
+// those not recorded yet
+router.get('/:id(\\d+)/attendance', authorize({ teacher: teachesCourse('id') }), validate(schemas.rollSheet), async (req, res, next) => {
+  try {
+    const rows = await getRollSheet(req.params.id, req.query.date, req.query.section_id);
+    res.json({
+      success: true,
+      count: rows.length,
+      date: req.query.date,
+      data: rows
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// POST /api/courses/:id/attendance - Daily roll call
+// ==============================================
+// Records (or corrects) the status of the listed students for one day.
+// Students not enrolled in the course that day -> 422 for the whole call.
+router.post('/:id(\\d+)/attendance', authorize({ teacher: teachesCourse('id') }), validate(schemas.rollCall), invalidates(['attendance']), async (req, res, next) => {
+  try {
+    const { sheet, ...counts } = await takeRollCall(req.params.id, req.body, req.user.id);
+
+    logger.info(`Roll call for course ${req.params.id} on ${req.body.date}: ` +
+      `${counts.created} created, ${counts.updated} updated, ${counts.unchanged} unchanged`);
+
+    res.json({
+      success: true,
+      count: sheet.length,
+      date: req.body.date,
+      summary: counts,
+      // Seats left without a record for the day
+      unrecorded: sheet.filter((seat) => seat.status === null).map((seat) => seat.student_id),
+      data: sheet
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// DELETE /api/courses/:id - Remove a course
+// ==============================================
+// Enrollments are removed by the ON DELETE CASCADE foreign key
+router.delete('/:id(\\d+)', authorize(), validate(schemas.byId), async (req, res, next) => {
+  try {
+    await auditedWrite({ entity: 'course', action: 'delete', id: req.params.id }, (db) =>
+      db.query('DELETE FROM courses WHERE course_id = ?', [req.params.id]));
+
+    logger.info(`Deleted course ${req.params.id}`);
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
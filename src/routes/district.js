@@ -0,0 +1,179 @@
+// Import required modules
+const express = require('express');
+const { getPool } = require('../db');
+const logger = require('../logger');
+const grading = require('../grading');
+const { ApiError } = require('../errors');
+const { authorize } = require('../auth');
+const { DISTRICT_TENANT, listTenants } = require('../tenants');
+
+// Router mounted at /api/district (admins of DISTRICT_TENANT only)
+const router = express.Router();
+
+// ==============================================
+// Per-school queries
+// ==============================================
+// Each school's database is queried through its own pool and the totals are
+// combined here. Averages are rebuilt from sums (grade points / graded
+// enrollments), so a small school does not weigh as much as a large one.
+// Term ids are per school, so there is no term filter.
+
+const DEPARTMENTS_QUERY = `
+  SELECT
+    c.department,
+    COUNT(DISTINCT c.course_id) as total_courses,
+    COUNT(DISTINCT e.student_id) as total_students,
+    COUNT(e.enrollment_id) as total_enrollments,
+    ${grading.gradedCountSql()} as graded,
+    SUM(${grading.pointsSql()}) as grade_points,
+    ${grading.successCountSql()} as successful
+  FROM courses c
+  LEFT JOIN enrollments e ON c.course_id = e.course_id AND e.status = 'enrolled'
+  GROUP BY c.department
+`;
+
+const GRADES_QUERY = `
+  SELECT e.grade, COUNT(*) as count
+  FROM enrollments e
+  WHERE e.status = 'enrolled' AND e.grade IS NOT NULL
+  GROUP BY e.grade
+`;
+
+// Students of a school counted once, however many departments they take
+// courses in (the department rows count each student per department)
+const STUDENTS_QUERY = `
+  SELECT COUNT(DISTINCT e.student_id) as total_students
+  FROM enrollments e
+  WHERE e.status = 'enrolled'
+`;
+
+// Department and grade rows and the student count of one school (null when
+// its database fails)
+const schoolAnalytics = async (tenant) => {
+  try {
+    const pool = getPool(tenant.id);
+    const [[departments], [grades], [[students]]] = await Promise.all([
+      pool.query(DEPARTMENTS_QUERY),
+      pool.query(GRADES_QUERY),
+      pool.query(STUDENTS_QUERY)
+    ]);
+    return { departments, grades, totalStudents: Number(students.total_students) };
+  } catch (error) {
+    logger.error(`District analytics: school ${tenant.id} unavailable:`, error);
+    return null;
+  }
+};
+
+// ==============================================
+// Aggregation
+// ==============================================
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// GPA and success rate from summed counts (null without graded enrollments)
+const rates = ({ graded, grade_points: points, successful }) => ({
+  avg_gpa: graded > 0 ? round(points / graded) : null,
+  success_rate_percent: graded > 0 ? round((successful * 100) / graded) : null
+});
+
+// Add the numeric counts of a row to totals
+const COUNTS = ['total_courses', 'total_students', 'total_enrollments', 'graded', 'grade_points', 'successful'];
+const addCounts = (totals, row) => {
+  for (const name of COUNTS) {
+    totals[name] = (totals[name] || 0) + Number(row[name] || 0);
+  }
+  return totals;
+};
+
+// Departments of all schools, by department name, most enrollments first
+const combineDepartments = (results) => {
+  const departments = new Map();
+  for (const { tenant, departments: rows } of results) {
+    for (const row of rows) {
+      const entry = departments.get(row.department) || { department: row.department, schools: [] };
+      addCounts(entry, row);
+      entry.schools.push(tenant);
+      departments.set(row.department, entry);
+    }
+  }
+  return [...departments.values()]
+    .map(({ graded, grade_points: points, successful, ...entry }) => ({
+      ...entry,
+      graded_enrollments: graded,
+      ...rates({ graded, grade_points: points, successful })
+    }))
+    .sort((a, b) => b.total_enrollments - a.total_enrollments || a.department.localeCompare(b.department));
+};
+
+// Letter grade counts of all schools, in the grading scale's order
+const combineGrades = (results) => {
+  const total = results.reduce((sum, { grades }) => sum + grades.reduce((n, row) => n + row.count, 0), 0);
+  const order = grading.letters();
+  const counts = new Map();
+  for (const { tenant, grades } of results) {
+    for (const row of grades) {
+      const entry = counts.get(row.grade) || { grade: row.grade, count: 0, by_school: {} };
+      entry.count += row.count;
+      entry.by_school[tenant] = row.count;
+      counts.set(row.grade, entry);
+    }
+  }
+  return [...counts.values()]
+    .map((entry) => ({ ...entry, percent: round((entry.count * 100) / total) }))
+    .sort((a, b) => order.indexOf(a.grade) - order.indexOf(b.grade));
+};
+
+// Totals of one school
+const summarizeSchool = ({ tenant, departments, totalStudents }) => {
+  const totals = departments.reduce(addCounts, {});
+  return {
+    tenant,
+    departments: departments.length,
+    total_courses: totals.total_courses || 0,
+    total_students: totalStudents,
+    total_enrollments: totals.total_enrollments || 0,
+    ...rates(totals)
+  };
+};
+
+// ==============================================
+// GET /api/district/analytics - Departments and grade distribution of every school
+// ==============================================
+// Not cached: the response cache is scoped per school (src/cache.js), and
+// writes of the other schools would not invalidate it.
+router.get('/analytics', authorize(), async (req, res, next) => {
+  try {
+    if (req.tenant.id !== DISTRICT_TENANT) {
+      throw new ApiError(403, 'District analytics are only available to district administrators');
+    }
+
+    const tenants = listTenants();
+    const answers = await Promise.all(tenants.map(schoolAnalytics));
+    const results = [];
+    const unavailable = [];
+    answers.forEach((answer, index) => {
+      if (answer) {
+        results.push({ tenant: tenants[index].id, ...answer });
+      } else {
+        unavailable.push(tenants[index].id);
+      }
+    });
+
+    logger.info(`District analytics over ${results.length} of ${tenants.length} schools`);
+
+    res.json({
+      success: true,
+      count: results.length,
+      unavailable,
+      data: {
+        schools: results.map(summarizeSchool),
+        departments: combineDepartments(results),
+        grade_distribution: combineGrades(results)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
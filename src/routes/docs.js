@@ -0,0 +1,52 @@
+// Import required modules
+const express = require('express');
+const swaggerUi = require('swagger-ui-dist');
+const { buildSpec } = require('../openapi');
+
+// Router mounted at / (public): the OpenAPI document and Swagger UI
+const router = express.Router();
+
+// The document is built from the registered routes on first use
+let spec;
+const specFor = (app) => {
+  if (!spec) {
+    spec = buildSpec(app, app.locals.routers);
+  }
+  return spec;
+};
+
+// Swagger UI page; "Authorize" takes an access token from POST /api/auth/login
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>MySQL Express API - Docs</title>
+  <link rel="stylesheet" href="/docs/assets/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="/docs/assets/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: '/openapi.json', dom_id: '#swagger-ui', persistAuthorization: true });
+  </script>
+</body>
+</html>`;
+
+// ==============================================
+// GET /openapi.json - OpenAPI 3.1 document
+// ==============================================
+router.get('/openapi.json', (req, res) => {
+  res.json(specFor(req.app));
+});
+
+// ==============================================
+// GET /docs - Interactive documentation
+// ==============================================
+router.get('/docs', (req, res) => {
+  res.type('html').send(DOCS_PAGE);
+});
+
+// Swagger UI scripts and styles
+router.use('/docs/assets', express.static(swaggerUi.getAbsoluteFSPath(), { index: false }));
+
+module.exports = router;
@@ -0,0 +1,206 @@
+// Import required modules
+const express = require('express');
+const { getPool } = require('../db');
+const logger = require('../logger');
+const { ApiError } = require('../errors');
+const { requireAnyColumn } = require('./helpers');
+const { validate } = require('../validation');
+const schemas = require('../schemas');
+const { authorize } = require('../auth');
+const { invalidates } = require('../cache');
+const { auditedWrite, withChanges } = require('../audit');
+const { REASONS, rejection, requireGradeReason, enroll, leave } = require('../enrollments');
+
+// Router mounted at /api/enrollments
+const router = express.Router();
+
+// Writes invalidate cached analytics
+router.use(invalidates(['enrollments']));
+
+// Columns returned for a single enrollment
+const ENROLLMENT_SELECT = `
+  SELECT
+    enrollment_id,
+    student_id,
+    course_id,
+    section_id,
+    enrollment_date,
+    grade,
+    status,
+    status_reason,
+    status_changed_at,
+    waitlisted_at,
+    created_at,
+    updated_at
+  FROM enrollments
+  WHERE enrollment_id = ?
+`;
+
+// Load an enrollment by primary key or fail with 404
+const findEnrollment = async (enrollmentId) => {
+  const [rows] = await getPool().query(ENROLLMENT_SELECT, [enrollmentId]);
+  if (rows.length === 0) {
+    throw new ApiError(404, 'Enrollment not found');
+  }
+  return rows[0];
+};
+
+// Grades can only be posted for students holding a seat
+const requireGradable = (enrollment, values) => {
+  if (values.grade !== undefined && values.grade !== null && enrollment.status !== 'enrolled') {
+    throw rejection(409, REASONS.NOT_ENROLLED, `Cannot grade a ${enrollment.status} enrollment`);
+  }
+};
+
+// ==============================================
+// GET /api/enrollments/:id - Single enrollment
+// ==============================================
+router.get('/:id(\\d+)', authorize(), validate(schemas.byId), async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await findEnrollment(req.params.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// GET /api/enrollments/:id/history - Audit log entries, oldest first
+// ==============================================
+// Includes workflow decisions (enrolled, waitlisted, promoted, dropped) and
+// grade changes with their reasons
+router.get('/:id(\\d+)/history', authorize(), validate(schemas.byId), async (req, res, next) => {
+  try {
+    const [rows] = await getPool().query(
+      `SELECT audit_id, action, actor_id, actor_role, request_id, reason, before_values, after_values, created_at
+       FROM audit_log
+       WHERE entity = 'enrollment' AND entity_id = ?
+       ORDER BY audit_id`,
+      [req.params.id]
+    );
+    // History outlives the row, so 404 only when neither exists
+    if (rows.length === 0) {
+      await findEnrollment(req.params.id);
+    }
+
+    res.json({
+      success: true,
+      count: rows.length,
+      data: rows.map(withChanges)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// POST /api/enrollments - Request a seat in a course section
+// ==============================================
+// Runs the enrollment workflow (capacity, waitlist, prerequisites, time and
+// credit conflicts; see src/enrollments.js). Accepted requests return 201
+// with reason ENROLLED or WAITLISTED; refusals return 409/422 with a reason code.
+router.post('/', authorize(), validate(schemas.createEnrollment), async (req, res, next) => {
+  try {
+    const { student_id: studentId, section_id: sectionId, enrollment_date: enrollmentDate, waitlist } = req.body;
+
+    const decision = await enroll({ studentId, sectionId, enrollmentDate, waitlist });
+
+    res.status(201)
+      .location(`/api/enrollments/${decision.enrollment_id}`)
+      .json({
+        success: true,
+        reason: decision.reason,
+        waitlist_position: decision.waitlist_position,
+        data: await findEnrollment(decision.enrollment_id)
+      });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// PUT /api/enrollments/:id - Correct an enrollment
+// ==============================================
+// Changing or clearing a posted grade requires a reason (kept in the audit log)
+router.put('/:id(\\d+)', authorize(), validate(schemas.replaceEnrollment), async (req, res, next) => {
+  try {
+    const { reason, ...values } = req.body;
+    // A full replacement clears an omitted grade (course in progress)
+    values.grade = values.grade === undefined ? null : values.grade;
+
+    await auditedWrite({ entity: 'enrollment', action: 'update', id: req.params.id, reason }, (db, enrollment) => {
+      requireGradable(enrollment, values);
+      requireGradeReason(enrollment, values, reason);
+      return db.query('UPDATE enrollments SET ? WHERE enrollment_id = ?', [values, req.params.id]);
+    });
+
+    logger.info(`Replaced enrollment ${req.params.id}`);
+
+    res.json({
+      success: true,
+      data: await findEnrollment(req.params.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// PATCH /api/enrollments/:id - Partially update an enrollment (e.g. post a grade)
+// ==============================================
+// Same reason rule as PUT
+router.patch('/:id(\\d+)', authorize(), validate(schemas.updateEnrollment), async (req, res, next) => {
+  try {
+    const { reason, ...values } = req.body;
+    requireAnyColumn(values);
+
+    await auditedWrite({ entity: 'enrollment', action: 'update', id: req.params.id, reason }, (db, enrollment) => {
+      requireGradable(enrollment, values);
+      requireGradeReason(enrollment, values, reason);
+      return db.query('UPDATE enrollments SET ? WHERE enrollment_id = ?', [values, req.params.id]);
+    });
+
+    logger.info(`Updated enrollment ${req.params.id} (${Object.keys(values).join(', ')})`);
+
+    res.json({
+      success: true,
+      data: await findEnrollment(req.params.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// Drops and withdrawals
+// ==============================================
+// The row is kept with status dropped/withdrawn; a freed seat is handed to
+// the waitlist. The response lists promoted (and skipped) waitlist entries.
+const leaveHandler = (status) => async (req, res, next) => {
+  try {
+    const decision = await leave(req.params.id, status);
+
+    res.json({
+      success: true,
+      reason: decision.reason,
+      promoted: decision.promoted,
+      skipped: decision.skipped,
+      data: await findEnrollment(req.params.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// POST /api/enrollments/:id/drop - Leave the section (or its waitlist)
+router.post('/:id(\\d+)/drop', authorize(), validate(schemas.byId), leaveHandler('dropped'));
+
+// POST /api/enrollments/:id/withdraw - Leave the section late (W on the transcript)
+router.post('/:id(\\d+)/withdraw', authorize(), validate(schemas.byId), leaveHandler('withdrawn'));
+
+// DELETE /api/enrollments/:id - Same as /drop; enrollment history is never deleted
+router.delete('/:id(\\d+)', authorize(), validate(schemas.byId), leaveHandler('dropped'));
+
+module.exports = router;
@@ -0,0 +1,52 @@
+// Import required modules
+const express = require('express');
+const { ApiError } = require('../errors');
+const { authorize } = require('../auth');
+const { runQuery } = require('../graphql');
+
+// Router mounted at /graphql (admin only, like the analytics endpoints)
+const router = express.Router();
+
+// Variables arrive as an object (POST) or a JSON string (GET)
+const parseVariables = (variables) => {
+  if (variables === undefined || variables === null || variables === '') {
+    return undefined;
+  }
+  if (typeof variables === 'object' && !Array.isArray(variables)) {
+    return variables;
+  }
+  if (typeof variables === 'string') {
+    try {
+      return parseVariables(JSON.parse(variables));
+    } catch (error) {
+      // Reported below
+    }
+  }
+  throw new ApiError(400, 'variables must be a JSON object');
+};
+
+// Execute the request and send the GraphQL response ({ data, errors })
+const handle = (source) => async (req, res, next) => {
+  try {
+    const { query, variables, operationName } = source(req);
+    const { status, body } = await runQuery(
+      { query, variables: parseVariables(variables), operationName },
+      req.user
+    );
+    res.status(status).json(body);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ==============================================
+// POST /graphql - { "query": "...", "variables": {...}, "operationName": "..." }
+// ==============================================
+router.post('/', authorize(), handle((req) => req.body || {}));
+
+// ==============================================
+// GET /graphql?query=...&variables=... - Same, for quick curl/browser use
+// ==============================================
+router.get('/', authorize(), handle((req) => req.query));
+
+module.exports = router;
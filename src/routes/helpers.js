@@ -0,0 +1,17 @@
+// Import HTTP error type
+const { ApiError } = require('../errors');
+
+// ==============================================
+// Request body helpers shared by the write routes
+// ==============================================
+
+// Reject PATCH requests that would not change anything
+const requireAnyColumn = (values) => {
+  if (Object.keys(values).length === 0) {
+    throw new ApiError(400, 'Request body contains no updatable fields');
+  }
+};
+
+module.exports = {
+  requireAnyColumn
+};
@@ -0,0 +1,174 @@
+// Import required modules
+const express = require('express');
+const { getPool } = require('../db');
+const logger = require('../logger');
+const { ApiError } = require('../errors');
+const { requireAnyColumn } = require('./helpers');
+const { validate } = require('../validation');
+const schemas = require('../schemas');
+const { authorize } = require('../auth');
+const { auditedWrite } = require('../audit');
+const { checkQuery, runQuery } = require('../sqlconsole');
+
+// Router mounted at /api/query (admin only)
+const router = express.Router();
+
+// Columns returned for a saved query
+const SAVED_QUERY_SELECT = `
+  SELECT query_id, name, description, sql_text as \`sql\`, created_by, created_at, updated_at
+  FROM saved_queries
+`;
+
+// Load a saved query by primary key or fail with 404
+const findSavedQuery = async (queryId) => {
+  const [rows] = await getPool().query(`${SAVED_QUERY_SELECT} WHERE query_id = ?`, [queryId]);
+  if (rows.length === 0) {
+    throw new ApiError(404, 'Saved query not found');
+  }
+  return rows[0];
+};
+
+// The statement is stored in sql_text; it is checked before it is saved
+const toColumns = ({ sql, ...values }) => {
+  if (sql === undefined) {
+    return values;
+  }
+  checkQuery(sql);
+  return { ...values, sql_text: sql };
+};
+
+// ==============================================
+// POST /api/query - Run a read-only SELECT
+// ==============================================
+// Body: { "sql": "SELECT ..." } or { "name": "<saved query>" }. Rows come
+// back as arrays in the order of columns; EXPLAIN's plan is included.
+// See src/sqlconsole.js for what the console accepts.
+router.post('/', authorize(), validate(schemas.runQuery), async (req, res, next) => {
+  try {
+    const { sql, name } = req.body;
+    if ((sql === undefined) === (name === undefined)) {
+      throw new ApiError(400, 'Provide either sql or the name of a saved query');
+    }
+
+    let statement = sql;
+    if (name !== undefined) {
+      const [saved] = await getPool().query('SELECT sql_text FROM saved_queries WHERE name = ?', [name]);
+      if (saved.length === 0) {
+        throw new ApiError(404, 'Saved query not found');
+      }
+      statement = saved[0].sql_text;
+    }
+
+    const result = await runQuery(statement);
+
+    logger.info(`Query console: user ${req.user.id} ran ${name ? `saved query ${name}` : 'a query'} (${result.rows.length} rows, ${result.elapsed_ms}ms)`);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      truncated: result.truncated,
+      elapsed_ms: result.elapsed_ms,
+      columns: result.columns,
+      data: result.rows,
+      explain: result.explain
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// GET /api/query/saved - All saved queries
+// ==============================================
+router.get('/saved', authorize(), async (req, res, next) => {
+  try {
+    const [rows] = await getPool().query(`${SAVED_QUERY_SELECT} ORDER BY name`);
+
+    res.json({
+      success: true,
+      count: rows.length,
+      data: rows
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// POST /api/query/saved - Save a named query
+// ==============================================
+router.post('/saved', authorize(), validate(schemas.createSavedQuery), async (req, res, next) => {
+  try {
+    const values = toColumns(req.body);
+
+    const result = await auditedWrite({ entity: 'saved_query', action: 'create' }, async (db) => {
+      const [inserted] = await db.query('INSERT INTO saved_queries SET ?', [{ ...values, created_by: req.user.id }]);
+      return inserted.insertId;
+    });
+
+    logger.info(`Saved query ${result.id} (${req.body.name})`);
+
+    res.status(201)
+      .location(`/api/query/saved/${result.id}`)
+      .json({
+        success: true,
+        data: await findSavedQuery(result.id)
+      });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// GET /api/query/saved/:id - Single saved query
+// ==============================================
+router.get('/saved/:id(\\d+)', authorize(), validate(schemas.byId), async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await findSavedQuery(req.params.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// PATCH /api/query/saved/:id - Rename, describe or rewrite a saved query
+// ==============================================
+router.patch('/saved/:id(\\d+)', authorize(), validate(schemas.updateSavedQuery), async (req, res, next) => {
+  try {
+    const values = req.body;
+    requireAnyColumn(values);
+
+    await auditedWrite({ entity: 'saved_query', action: 'update', id: req.params.id }, (db) =>
+      db.query('UPDATE saved_queries SET ? WHERE query_id = ?', [toColumns(values), req.params.id]));
+
+    logger.info(`Updated saved query ${req.params.id} (${Object.keys(values).join(', ')})`);
+
+    res.json({
+      success: true,
+      data: await findSavedQuery(req.params.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// DELETE /api/query/saved/:id - Remove a saved query
+// ==============================================
+router.delete('/saved/:id(\\d+)', authorize(), validate(schemas.byId), async (req, res, next) => {
+  try {
+    await auditedWrite({ entity: 'saved_query', action: 'delete', id: req.params.id }, (db) =>
+      db.query('DELETE FROM saved_queries WHERE query_id = ?', [req.params.id]));
+
+    logger.info(`Deleted saved query ${req.params.id}`);
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,41 @@
+// Import required modules
+const express = require('express');
+const logger = require('../logger');
+const { validate } = require('../validation');
+const schemas = require('../schemas');
+const { authorize } = require('../auth');
+const { search } = require('../search');
+
+// Router mounted at /api/search
+const router = express.Router();
+
+// Courses are found by everyone; students only by those who may read them
+// (admins all, teachers their students, students themselves)
+const searchPolicy = { teacher: true, student: true };
+
+// ==============================================
+// GET /api/search?q= - Ranked students and courses
+// ==============================================
+// ?type=student|course  one kind of result only
+// ?department=Science   courses of one department
+// ?grade=10             students of one grade level
+// ?fuzzy=false          no typo tolerance (exact words and prefixes only)
+router.get('/', authorize(searchPolicy), validate(schemas.search), async (req, res, next) => {
+  try {
+    const { terms, data } = await search(req.query, req.user);
+
+    logger.info(`Search "${req.query.q}" returned ${data.length} results`);
+
+    res.json({
+      success: true,
+      query: req.query.q,
+      terms,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,261 @@
+// Import required modules
+const express = require('express');
+const { getPool } = require('../db');
+const logger = require('../logger');
+const { ApiError } = require('../errors');
+const { requireAnyColumn } = require('./helpers');
+const { validate } = require('../validation');
+const { paginate } = require('../pagination');
+const schemas = require('../schemas');
+const { authorize } = require('../auth');
+const { invalidates } = require('../cache');
+const { auditedWrite } = require('../audit');
+const { promoteWaitlist } = require('../enrollments');
+
+// Router mounted at /api/sections
+const router = express.Router();
+
+// Writes invalidate cached analytics (capacity changes promote waitlisted
+// students, deleting a section deletes its enrollments)
+router.use(invalidates(['enrollments']));
+
+// Sections are public to every signed-in user
+const readPolicy = { teacher: true, student: true };
+
+// Columns returned for sections, with course/term names and seat counts
+const SECTION_SELECT = `
+  SELECT
+    cs.section_id,
+    cs.course_id,
+    c.course_name,
+    cs.term_id,
+    t.name AS term_name,
+    cs.section_number,
+    cs.teacher_id,
+    cs.capacity,
+    (SELECT COUNT(*) FROM enrollments e WHERE e.section_id = cs.section_id AND e.status = 'enrolled') AS enrolled,
+    (SELECT COUNT(*) FROM enrollments e WHERE e.section_id = cs.section_id AND e.status = 'waitlisted') AS waitlisted,
+    cs.meeting_days,
+    cs.start_time,
+    cs.end_time,
+    cs.room
+  FROM course_sections cs
+  INNER JOIN courses c ON cs.course_id = c.course_id
+  INNER JOIN terms t ON cs.term_id = t.term_id
+`;
+
+// Load a section by primary key or fail with 404
+const findSection = async (sectionId) => {
+  const [rows] = await getPool().query(`${SECTION_SELECT} WHERE cs.section_id = ?`, [sectionId]);
+  if (rows.length === 0) {
+    throw new ApiError(404, 'Section not found');
+  }
+  return rows[0];
+};
+
+// Sections may only be assigned to users with the teacher role
+const checkTeacher = async (teacherId) => {
+  if (teacherId === undefined || teacherId === null) {
+    return;
+  }
+  const [rows] = await getPool().query(
+    "SELECT 1 FROM users WHERE user_id = ? AND role = 'teacher'",
+    [teacherId]
+  );
+  if (rows.length === 0) {
+    throw new ApiError(422, 'teacher_id must refer to a user with the teacher role');
+  }
+};
+
+// Seats freed by a larger capacity go to the waitlist
+const refill = async (sectionId, values) => {
+  if (values.capacity === undefined) {
+    return;
+  }
+  const { promoted, skipped } = await promoteWaitlist(sectionId);
+  if (promoted.length > 0 || skipped.length > 0) {
+    logger.info(`Section ${sectionId} capacity change: ${promoted.length} promoted, ${skipped.length} skipped`);
+  }
+};
+
+// ==============================================
+// GET /api/sections - Sections, filtered by ?term=, ?course_id=, ?teacher_id=
+// ==============================================
+router.get('/', authorize(readPolicy), validate(schemas.listSections), async (req, res, next) => {
+  try {
+    const { term, course_id: courseId, teacher_id: teacherId } = req.query;
+
+    // Only the filters that were given
+    const conditions = [];
+    const params = [];
+    if (term) {
+      conditions.push('cs.term_id = ?');
+      params.push(term);
+    }
+    if (courseId) {
+      conditions.push('cs.course_id = ?');
+      params.push(courseId);
+    }
+    if (teacherId) {
+      conditions.push('cs.teacher_id = ?');
+      params.push(teacherId);
+    }
+    const query = `${SECTION_SELECT} ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}`;
+
+    // Execute one page of the query (default order: course_name, section_number)
+    const page = await paginate(req, res, schemas.listSections.listing, query, params);
+
+    res.json({
+      success: true,
+      count: page.data.length,
+      total: page.total,
+      links: page.links,
+      data: page.data
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// GET /api/sections/:id - Single section
+// ==============================================
+router.get('/:id(\\d+)', authorize(readPolicy), validate(schemas.byId), async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await findSection(req.params.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// GET /api/sections/:id/waitlist - Waitlisted students in promotion order
+// ==============================================
+router.get('/:id(\\d+)/waitlist', authorize({ teacher: true }), validate(schemas.byId), async (req, res, next) => {
+  try {
+    await findSection(req.params.id);
+
+    const [rows] = await getPool().query(
+      `SELECT
+        ROW_NUMBER() OVER (ORDER BY e.waitlisted_at, e.enrollment_id) AS position,
+        e.enrollment_id,
+        e.student_id,
+        CONCAT(s.first_name, ' ', s.last_name) AS student_name,
+        e.waitlisted_at
+      FROM enrollments e
+      INNER JOIN students s ON e.student_id = s.student_id
+      WHERE e.section_id = ? AND e.status = 'waitlisted'
+      ORDER BY position`,
+      [req.params.id]
+    );
+
+    res.json({
+      success: true,
+      count: rows.length,
+      data: rows
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// POST /api/sections - Offer a course in a term
+// ==============================================
+// Duplicate (course_id, term_id, section_number) -> 409,
+// unknown course, term or teacher -> 422
+router.post('/', authorize(), validate(schemas.createSection), async (req, res, next) => {
+  try {
+    const values = req.body;
+    await checkTeacher(values.teacher_id);
+
+    const result = await auditedWrite({ entity: 'section', action: 'create' }, async (db) => {
+      const [inserted] = await db.query('INSERT INTO course_sections SET ?', [values]);
+      return inserted.insertId;
+    });
+
+    logger.info(`Created section ${result.id} (course ${values.course_id}, term ${values.term_id})`);
+
+    res.status(201)
+      .location(`/api/sections/${result.id}`)
+      .json({
+        success: true,
+        data: await findSection(result.id)
+      });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// PUT /api/sections/:id - Replace a section
+// ==============================================
+router.put('/:id(\\d+)', authorize(), validate(schemas.replaceSection), async (req, res, next) => {
+  try {
+    const values = req.body;
+    // A full replacement clears omitted optional columns
+    for (const column of ['teacher_id', 'meeting_days', 'start_time', 'end_time', 'room']) {
+      values[column] = values[column] === undefined ? null : values[column];
+    }
+    await checkTeacher(values.teacher_id);
+
+    await auditedWrite({ entity: 'section', action: 'update', id: req.params.id }, (db) =>
+      db.query('UPDATE course_sections SET ? WHERE section_id = ?', [values, req.params.id]));
+    await refill(req.params.id, values);
+
+    logger.info(`Replaced section ${req.params.id}`);
+
+    res.json({
+      success: true,
+      data: await findSection(req.params.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// PATCH /api/sections/:id - Partially update a section (e.g. assign a teacher)
+// ==============================================
+router.patch('/:id(\\d+)', authorize(), validate(schemas.updateSection), async (req, res, next) => {
+  try {
+    const values = req.body;
+    requireAnyColumn(values);
+    await checkTeacher(values.teacher_id);
+
+    await auditedWrite({ entity: 'section', action: 'update', id: req.params.id }, (db) =>
+      db.query('UPDATE course_sections SET ? WHERE section_id = ?', [values, req.params.id]));
+    await refill(req.params.id, values);
+
+    logger.info(`Updated section ${req.params.id} (${Object.keys(values).join(', ')})`);
+
+    res.json({
+      success: true,
+      data: await findSection(req.params.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// DELETE /api/sections/:id - Remove a section
+// ==============================================
+// Its enrollments are removed by the ON DELETE CASCADE foreign key
+router.delete('/:id(\\d+)', authorize(), validate(schemas.byId), async (req, res, next) => {
+  try {
+    await auditedWrite({ entity: 'section', action: 'delete', id: req.params.id }, (db) =>
+      db.query('DELETE FROM course_sections WHERE section_id = ?', [req.params.id]));
+
+    logger.info(`Deleted section ${req.params.id}`);
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
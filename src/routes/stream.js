@@ -0,0 +1,44 @@
+// Import required modules
+const express = require('express');
+const logger = require('../logger');
+const { validate } = require('../validation');
+const schemas = require('../schemas');
+const { authorize } = require('../auth');
+const { teachesTopics } = require('../policies');
+const { parseTopics, subscribe } = require('../stream');
+
+// Router mounted at /api/stream
+const router = express.Router();
+
+// ==============================================
+// GET /api/stream/analytics - Live dashboard updates (Server-Sent Events)
+// ==============================================
+// ?topics=departments,students-per-grade,course:3,grade:10 (see src/stream.js).
+// Teachers may subscribe to the courses they teach; the other topics are
+// for admins. The response stays open until the client disconnects.
+router.get('/analytics', authorize({ teacher: teachesTopics('topics') }), validate(schemas.analyticsStream), (req, res, next) => {
+  try {
+    const topics = parseTopics(req.query.topics);
+
+    logger.info(`Opening analytics stream for user ${req.user.id} (topics: ${req.query.topics})`);
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // nginx would otherwise buffer the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    subscribe(req.user.tenant, res, {
+      userId: req.user.id,
+      topics,
+      lastEventId: req.get('Last-Event-ID')
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
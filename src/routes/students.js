@@ -0,0 +1,253 @@
+// Import required modules
+const express = require('express');
+const { getPool } = require('../db');
+const logger = require('../logger');
+const { ApiError } = require('../errors');
+const { requireAnyColumn } = require('./helpers');
+const { validate } = require('../validation');
+const schemas = require('../schemas');
+const { authorize } = require('../auth');
+const { invalidates } = require('../cache');
+const { auditedWrite } = require('../audit');
+const { isOwnStudent, teachesStudent } = require('../policies');
+const { buildTranscript, transcriptToCsv, writeTranscriptPdf } = require('../transcripts');
+const { paginate } = require('../pagination');
+const { termCondition } = require('../terms');
+const attendance = require('../attendance');
+
+// Router mounted at /api/students
+const router = express.Router();
+
+// Writes invalidate cached analytics (deleting a student deletes their enrollments)
+router.use(invalidates(['students', 'enrollments']));
+
+// Students may read their own record, teachers the students in their courses
+const studentRecordPolicy = { student: isOwnStudent('id'), teacher: teachesStudent('id') };
+
+// Columns returned for a single student
+const STUDENT_SELECT = `
+  SELECT
+    student_id,
+    first_name,
+    last_name,
+    email,
+    grade,
+    enrollment_date,
+    created_at,
+    updated_at
+  FROM students
+  WHERE student_id = ?
+`;
+
+// Load a student by primary key or fail with 404
+const findStudent = async (studentId) => {
+  const [rows] = await getPool().query(STUDENT_SELECT, [studentId]);
+  if (rows.length === 0) {
+    throw new ApiError(404, 'Student not found');
+  }
+  return rows[0];
+};
+
+// ==============================================
+// GET /api/students/:id - Single student
+// ==============================================
+// (numeric pattern keeps /grade/..., /in-courses etc. routable)
+router.get('/:id(\\d+)', authorize(studentRecordPolicy), validate(schemas.byId), async (req, res, next) => {
+  try {
+    const student = await findStudent(req.params.id);
+    res.json({
+      success: true,
+      data: student
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// GET /api/students/:id/transcript - Transcript / report card
+// ==============================================
+// Format from ?format=json|csv|pdf, otherwise negotiated from the Accept header
+router.get('/:id(\\d+)/transcript', authorize(studentRecordPolicy), validate(schemas.transcript), async (req, res, next) => {
+  try {
+    const format = req.query.format || req.accepts(['json', 'csv', 'pdf']);
+    if (!format) {
+      throw new ApiError(406, 'Transcripts are available as application/json, text/csv or application/pdf');
+    }
+
+    const transcript = await buildTranscript(req.params.id);
+
+    logger.info(`Generated ${format} transcript for student ${req.params.id}`);
+
+    if (format === 'csv') {
+      res.attachment(`transcript-${req.params.id}.csv`);
+      return res.type('text/csv').send(transcriptToCsv(transcript));
+    }
+
+    if (format === 'pdf') {
+      res.type('application/pdf');
+      res.set('Content-Disposition', `inline; filename="transcript-${req.params.id}.pdf"`);
+      return writeTranscriptPdf(transcript, res);
+    }
+
+    res.json({
+      success: true,
+      data: transcript
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// GET /api/students/:id/attendance - Attendance records and rate
+// ==============================================
+// One page of day records (newest first) and a summary over every record
+// matching the date, term and course filters (?status= only limits the page)
+router.get('/:id(\\d+)/attendance', authorize(studentRecordPolicy), validate(schemas.studentAttendance), async (req, res, next) => {
+  try {
+    const { from, to, term, course_id: courseId, status } = req.query;
+    await findStudent(req.params.id);
+
+    const range = attendance.dateRange({ from, to });
+    const filters = `
+      WHERE e.student_id = ?
+        ${range.sql}
+        ${termCondition(term)}
+        ${courseId ? 'AND e.course_id = ?' : ''}
+    `;
+    const params = [req.params.id, ...range.params, ...(term ? [term] : []), ...(courseId ? [courseId] : [])];
+
+    const query = `
+      SELECT
+        a.attendance_id,
+        a.attendance_date,
+        a.status,
+        a.note,
+        e.course_id,
+        c.course_name,
+        e.section_id,
+        cs.section_number,
+        cs.term_id,
+        t.name as term_name
+      FROM attendance a
+      INNER JOIN enrollments e ON a.enrollment_id = e.enrollment_id
+      INNER JOIN courses c ON e.course_id = c.course_id
+      INNER JOIN course_sections cs ON e.section_id = cs.section_id
+      INNER JOIN terms t ON cs.term_id = t.term_id
+      ${filters}
+        ${status ? 'AND a.status = ?' : ''}
+    `;
+    const page = await paginate(req, res, schemas.studentAttendance.listing, query, status ? [...params, status] : params);
+
+    const [[summary]] = await getPool().query(
+      `SELECT
+         ${attendance.statusCountsSql()},
+         ${attendance.attendanceRateSql()} as attendance_rate
+       FROM attendance a
+       INNER JOIN enrollments e ON a.enrollment_id = e.enrollment_id
+       ${filters}`,
+      params
+    );
+
+    res.json({
+      success: true,
+      count: page.data.length,
+      total: page.total,
+      links: page.links,
+      summary: { ...summary, chronically_absent: attendance.isChronicallyAbsent(summary) },
+      data: page.data
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// POST /api/students - Create a student
+// ==============================================
+router.post('/', authorize(), validate(schemas.createStudent), async (req, res, next) => {
+  try {
+    const values = req.body;
+
+    // INSERT ... SET ? expands the object into column = value pairs
+    const result = await auditedWrite({ entity: 'student', action: 'create' }, async (db) => {
+      const [inserted] = await db.query('INSERT INTO students SET ?', [values]);
+      return inserted.insertId;
+    });
+
+    logger.info(`Created student ${result.id}`);
+
+    const student = await findStudent(result.id);
+    res.status(201)
+      .location(`/api/students/${result.id}`)
+      .json({
+        success: true,
+        data: student
+      });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// PUT /api/students/:id - Replace a student
+// ==============================================
+router.put('/:id(\\d+)', authorize(), validate(schemas.replaceStudent), async (req, res, next) => {
+  try {
+    const values = req.body;
+
+    await auditedWrite({ entity: 'student', action: 'update', id: req.params.id }, (db) =>
+      db.query('UPDATE students SET ? WHERE student_id = ?', [values, req.params.id]));
+
+    logger.info(`Replaced student ${req.params.id}`);
+
+    res.json({
+      success: true,
+      data: await findStudent(req.params.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// PATCH /api/students/:id - Partially update a student
+// ==============================================
+router.patch('/:id(\\d+)', authorize(), validate(schemas.updateStudent), async (req, res, next) => {
+  try {
+    const values = req.body;
+    requireAnyColumn(values);
+
+    await auditedWrite({ entity: 'student', action: 'update', id: req.params.id }, (db) =>
+      db.query('UPDATE students SET ? WHERE student_id = ?', [values, req.params.id]));
+
+    logger.info(`Updated student ${req.params.id} (${Object.keys(values).join(', ')})`);
+
+    res.json({
+      success: true,
+      data: await findStudent(req.params.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// DELETE /api/students/:id - Remove a student
+// ==============================================
+// Enrollments are removed by the ON DELETE CASCADE foreign key
+router.delete('/:id(\\d+)', authorize(), validate(schemas.byId), async (req, res, next) => {
+  try {
+    await auditedWrite({ entity: 'student', action: 'delete', id: req.params.id }, (db) =>
+      db.query('DELETE FROM students WHERE student_id = ?', [req.params.id]));
+
+    logger.info(`Deleted student ${req.params.id}`);
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,155 @@
+// Import required modules
+const express = require('express');
+const { getPool } = require('../db');
+const logger = require('../logger');
+const { ApiError } = require('../errors');
+const { requireAnyColumn } = require('./helpers');
+const { validate } = require('../validation');
+const schemas = require('../schemas');
+const { authorize } = require('../auth');
+
+// Router mounted at /api/terms
+const router = express.Router();
+
+// Terms are public to every signed-in user
+const readPolicy = { teacher: true, student: true };
+
+// Columns returned for terms, with the number of sections offered
+const TERM_SELECT = `
+  SELECT
+    t.term_id,
+    t.name,
+    t.start_date,
+    t.end_date,
+    (SELECT COUNT(*) FROM course_sections cs WHERE cs.term_id = t.term_id) AS section_count,
+    t.created_at,
+    t.updated_at
+  FROM terms t
+`;
+
+// Load a term by primary key or fail with 404
+const findTerm = async (termId) => {
+  const [rows] = await getPool().query(`${TERM_SELECT} WHERE t.term_id = ?`, [termId]);
+  if (rows.length === 0) {
+    throw new ApiError(404, 'Term not found');
+  }
+  return rows[0];
+};
+
+// ==============================================
+// GET /api/terms - All terms, oldest first
+// ==============================================
+router.get('/', authorize(readPolicy), async (req, res, next) => {
+  try {
+    const [rows] = await getPool().query(`${TERM_SELECT} ORDER BY t.start_date`);
+    res.json({
+      success: true,
+      count: rows.length,
+      data: rows
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// GET /api/terms/:id - Single term
+// ==============================================
+router.get('/:id(\\d+)', authorize(readPolicy), validate(schemas.byId), async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await findTerm(req.params.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// POST /api/terms - Create a term
+// ==============================================
+// Duplicate names -> 409, end_date before start_date -> 422 (chk_term_dates)
+router.post('/', authorize(), validate(schemas.createTerm), async (req, res, next) => {
+  try {
+    const values = req.body;
+
+    const result = await auditedWrite({ entity: 'term', action: 'create' }, async (db) => {
+      const [inserted] = await db.query('INSERT INTO terms SET ?', [values]);
+      return inserted.insertId;
+    });
+
+    logger.info(`Created term ${result.id} (${values.name})`);
+
+    res.status(201)
+      .location(`/api/terms/${result.id}`)
+      .json({
+        success: true,
+        data: await findTerm(result.id)
+      });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// PUT /api/terms/:id - Replace a term
+// ==============================================
+router.put('/:id(\\d+)', authorize(), validate(schemas.replaceTerm), async (req, res, next) => {
+  try {
+    const values = req.body;
+
+    await auditedWrite({ entity: 'term', action: 'update', id: req.params.id }, (db) =>
+      db.query('UPDATE terms SET ? WHERE term_id = ?', [values, req.params.id]));
+
+    logger.info(`Replaced term ${req.params.id}`);
+
+    res.json({
+      success: true,
+      data: await findTerm(req.params.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// PATCH /api/terms/:id - Partially update a term
+// ==============================================
+router.patch('/:id(\\d+)', authorize(), validate(schemas.updateTerm), async (req, res, next) => {
+  try {
+    const values = req.body;
+    requireAnyColumn(values);
+
+    await auditedWrite({ entity: 'term', action: 'update', id: req.params.id }, (db) =>
+      db.query('UPDATE terms SET ? WHERE term_id = ?', [values, req.params.id]));
+
+    logger.info(`Updated term ${req.params.id} (${Object.keys(values).join(', ')})`);
+
+    res.json({
+      success: true,
+      data: await findTerm(req.params.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// DELETE /api/terms/:id - Remove a term
+// ==============================================
+// Terms that still have sections are protected by the foreign key -> 422
+router.delete('/:id(\\d+)', authorize(), validate(schemas.byId), async (req, res, next) => {
+  try {
+    await auditedWrite({ entity: 'term', action: 'delete', id: req.params.id }, (db) =>
+      db.query('DELETE FROM terms WHERE term_id = ?', [req.params.id]));
+
+    logger.info(`Deleted term ${req.params.id}`);
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
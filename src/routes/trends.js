@@ -0,0 +1,288 @@
+// Import required modules
+const express = require('express');
+const { getPool } = require('../db');
+const logger = require('../logger');
+const grading = require('../grading');
+const { validate } = require('../validation');
+const schemas = require('../schemas');
+const { authorize } = require('../auth');
+const { cached } = require('../cache');
+const { paginate } = require('../pagination');
+const { termCondition } = require('../terms');
+
+// Router mounted at /api/analytics/trends
+const router = express.Router();
+
+// ==============================================
+// Time buckets
+// ==============================================
+// Trends group enrollments into periods by enrollment_date (?interval=):
+// calendar months, academic terms (the section's term) or calendar years.
+// period is the label, period_start orders the window functions.
+// Every query joins courses c, course_sections cs and terms t.
+const PERIODS = {
+  month: {
+    label: "DATE_FORMAT(e.enrollment_date, '%Y-%m')",
+    start: 'DATE_SUB(e.enrollment_date, INTERVAL DAYOFMONTH(e.enrollment_date) - 1 DAY)'
+  },
+  term: {
+    label: 't.name',
+    start: 't.start_date'
+  },
+  year: {
+    label: 'CAST(YEAR(e.enrollment_date) AS CHAR)',
+    start: 'MAKEDATE(YEAR(e.enrollment_date), 1)'
+  }
+};
+
+const ENROLLMENT_JOINS = `
+  INNER JOIN courses c ON e.course_id = c.course_id
+  INNER JOIN course_sections cs ON e.section_id = cs.section_id
+  INNER JOIN terms t ON cs.term_id = t.term_id
+`;
+
+// Optional enrollment_date range: { sql, params }
+const dateRange = ({ from, to }) => ({
+  sql: `${from ? 'AND e.enrollment_date >= ?' : ''} ${to ? 'AND e.enrollment_date <= ?' : ''}`,
+  params: [from, to].filter(Boolean)
+});
+
+// Aggregates depend on enrollments, courses and students only
+const trendsCache = cached(['courses', 'enrollments', 'students']);
+
+// ==============================================
+// GET /api/analytics/trends/departments - Enrollments and GPA per department over time
+// ==============================================
+// Per department and period: enrollments and average GPA, with the running
+// total, the change from the previous period (LAG), a three-period moving
+// average GPA and the department's rank among all departments that period.
+router.get('/departments', authorize({ teacher: true }), validate(schemas.departmentTrends), trendsCache, async (req, res, next) => {
+  try {
+    const { interval, department, from, to } = req.query;
+    const period = PERIODS[interval];
+    const range = dateRange({ from, to });
+
+    logger.info(`Fetching department trends (interval: ${interval}, department: ${department || 'all'})`);
+
+    const [rows] = await getPool().query(
+      `WITH periods AS (
+         SELECT
+           c.department,
+           ${period.label} as period,
+           ${period.start} as period_start,
+           COUNT(e.enrollment_id) as enrollments,
+           COUNT(DISTINCT e.student_id) as students,
+           ROUND(${grading.gpaSql()}, 2) as avg_gpa
+         FROM enrollments e
+         ${ENROLLMENT_JOINS}
+         WHERE e.status = 'enrolled'
+           ${department ? 'AND c.department = ?' : ''}
+           ${range.sql}
+         GROUP BY c.department, period, period_start
+       )
+       SELECT
+         department,
+         period,
+         period_start,
+         enrollments,
+         students,
+         avg_gpa,
+         SUM(enrollments) OVER running as cumulative_enrollments,
+         enrollments - LAG(enrollments) OVER running as enrollment_change,
+         ROUND(avg_gpa - LAG(avg_gpa) OVER running, 2) as gpa_change,
+         ROUND(AVG(avg_gpa) OVER (PARTITION BY department ORDER BY period_start ROWS BETWEEN 2 PRECEDING AND CURRENT ROW), 2) as gpa_moving_avg,
+         RANK() OVER (PARTITION BY period_start ORDER BY enrollments DESC) as enrollment_rank
+       FROM periods
+       WINDOW running AS (PARTITION BY department ORDER BY period_start)
+       ORDER BY department, period_start`,
+      [...(department ? [department] : []), ...range.params]
+    );
+
+    res.json({
+      success: true,
+      interval,
+      count: rows.length,
+      data: rows
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// GET /api/analytics/trends/cohorts - Cohorts by the year students joined
+// ==============================================
+// Students are grouped by YEAR(students.enrollment_date). Per cohort and
+// period: the students enrolled in anything (and their share of the cohort),
+// enrollments and average GPA, numbered from the cohort's first active
+// period, with the GPA change since that first period (FIRST_VALUE).
+router.get('/cohorts', authorize({ teacher: true }), validate(schemas.cohorts), trendsCache, async (req, res, next) => {
+  try {
+    const { interval, cohort } = req.query;
+    const period = PERIODS[interval];
+
+    logger.info(`Fetching cohort analysis (interval: ${interval}, cohort: ${cohort || 'all'})`);
+
+    const [rows] = await getPool().query(
+      `WITH cohort_sizes AS (
+         SELECT YEAR(enrollment_date) as cohort, COUNT(*) as cohort_size
+         FROM students
+         GROUP BY cohort
+       ),
+       activity AS (
+         SELECT
+           YEAR(s.enrollment_date) as cohort,
+           ${period.label} as period,
+           ${period.start} as period_start,
+           COUNT(DISTINCT e.student_id) as active_students,
+           COUNT(e.enrollment_id) as enrollments,
+           ROUND(${grading.gpaSql()}, 2) as avg_gpa
+         FROM students s
+         INNER JOIN enrollments e ON s.student_id = e.student_id AND e.status = 'enrolled'
+         ${ENROLLMENT_JOINS}
+         ${cohort ? 'WHERE YEAR(s.enrollment_date) = ?' : ''}
+         GROUP BY cohort, period, period_start
+       )
+       SELECT
+         a.cohort,
+         z.cohort_size,
+         a.period,
+         a.period_start,
+         ROW_NUMBER() OVER cohort_periods as period_number,
+         a.active_students,
+         ROUND(a.active_students * 100.0 / z.cohort_size, 2) as active_percent,
+         a.enrollments,
+         a.avg_gpa,
+         ROUND(a.avg_gpa - FIRST_VALUE(a.avg_gpa) OVER cohort_periods, 2) as gpa_change_since_start
+       FROM activity a
+       INNER JOIN cohort_sizes z ON a.cohort = z.cohort
+       WINDOW cohort_periods AS (PARTITION BY a.cohort ORDER BY a.period_start)
+       ORDER BY a.cohort, a.period_start`,
+      cohort ? [cohort] : []
+    );
+
+    res.json({
+      success: true,
+      interval,
+      count: rows.length,
+      data: rows
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// GET /api/analytics/trends/gpa-ranks - GPA rank and percentile within each grade level
+// ==============================================
+// Students with at least one graded course, ranked by credit-weighted GPA
+// among the students of their grade level (RANK, PERCENT_RANK, NTILE).
+// ?grade= only narrows the output: ranks are always within the whole grade.
+router.get('/gpa-ranks', authorize(), validate(schemas.gpaRanks), trendsCache, async (req, res, next) => {
+  try {
+    const { grade, term } = req.query;
+
+    logger.info(`Fetching GPA ranks (grade: ${grade || 'all'}, term: ${term || 'all'})`);
+
+    const query = `
+      WITH student_gpa AS (
+        SELECT
+          s.student_id,
+          s.first_name,
+          s.last_name,
+          s.grade,
+          ${grading.gradedCountSql()} as graded_courses,
+          ROUND(${grading.weightedGpaSql()}, 2) as gpa
+        FROM students s
+        INNER JOIN enrollments e ON s.student_id = e.student_id AND e.status = 'enrolled' ${termCondition(term)}
+        INNER JOIN courses c ON e.course_id = c.course_id
+        GROUP BY s.student_id, s.first_name, s.last_name, s.grade
+        HAVING graded_courses > 0
+      ),
+      ranked AS (
+        SELECT
+          student_gpa.*,
+          RANK() OVER by_grade as grade_rank,
+          COUNT(*) OVER (PARTITION BY grade) as grade_size,
+          ROUND(PERCENT_RANK() OVER (PARTITION BY grade ORDER BY gpa) * 100, 2) as percentile,
+          NTILE(4) OVER by_grade as quartile
+        FROM student_gpa
+        WINDOW by_grade AS (PARTITION BY grade ORDER BY gpa DESC)
+      )
+      SELECT * FROM ranked
+      ${grade ? 'WHERE grade = ?' : ''}
+    `;
+    const params = [...(term ? [term] : []), ...(grade ? [grade] : [])];
+
+    // Execute one page of the query (default order: grade, grade_rank)
+    const page = await paginate(req, res, schemas.gpaRanks.listing, query, params);
+
+    res.json({
+      success: true,
+      count: page.data.length,
+      total: page.total,
+      links: page.links,
+      data: page.data
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// GET /api/analytics/trends/grade-inflation - Course grades period over period
+// ==============================================
+// Per course and period (default: year): graded enrollments, average grade
+// points and share of A grades, each compared with the course's previous
+// period (LAG). A rising average with a steady roster suggests inflation.
+router.get('/grade-inflation', authorize({ teacher: true }), validate(schemas.gradeInflation), trendsCache, async (req, res, next) => {
+  try {
+    const { interval, course_id: courseId, department, from, to } = req.query;
+    const period = PERIODS[interval];
+    const range = dateRange({ from, to });
+
+    logger.info(`Fetching grade inflation (interval: ${interval}, course: ${courseId || 'all'}, department: ${department || 'all'})`);
+
+    const [rows] = await getPool().query(
+      `WITH course_periods AS (
+         SELECT
+           c.course_id,
+           c.course_name,
+           c.department,
+           ${period.label} as period,
+           ${period.start} as period_start,
+           ${grading.gradedCountSql()} as graded,
+           ROUND(${grading.gpaSql()}, 2) as avg_grade_points,
+           ROUND(${grading.familyCountSql('A')} * 100.0 / ${grading.gradedCountSql()}, 2) as a_percent
+         FROM enrollments e
+         ${ENROLLMENT_JOINS}
+         WHERE e.status = 'enrolled'
+           AND e.grade IS NOT NULL
+           ${courseId ? 'AND c.course_id = ?' : ''}
+           ${department ? 'AND c.department = ?' : ''}
+           ${range.sql}
+         GROUP BY c.course_id, c.course_name, c.department, period, period_start
+       )
+       SELECT
+         course_periods.*,
+         ROUND(avg_grade_points - LAG(avg_grade_points) OVER previous, 2) as grade_points_change,
+         ROUND((avg_grade_points - LAG(avg_grade_points) OVER previous) * 100 / NULLIF(LAG(avg_grade_points) OVER previous, 0), 2) as grade_points_change_percent,
+         ROUND(a_percent - LAG(a_percent) OVER previous, 2) as a_percent_change
+       FROM course_periods
+       WINDOW previous AS (PARTITION BY course_id ORDER BY period_start)
+       ORDER BY course_name, period_start`,
+      [...(courseId ? [courseId] : []), ...(department ? [department] : []), ...range.params]
+    );
+
+    res.json({
+      success: true,
+      interval,
+      count: rows.length,
+      data: rows
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,190 @@
+// Import required modules
+const express = require('express');
+const { getPool } = require('../db');
+const logger = require('../logger');
+const { ApiError } = require('../errors');
+const { validate } = require('../validation');
+const schemas = require('../schemas');
+const { hashPassword, authorize } = require('../auth');
+const { recordWrite, recordChange, auditedWrite } = require('../audit');
+
+// Router mounted at /api/users (admin only)
+const router = express.Router();
+
+// Load a user (without the password hash) and the courses they teach
+const findUser = async (userId) => {
+  const [rows] = await getPool().query(
+    'SELECT user_id, email, role, student_id, created_at FROM users WHERE user_id = ?',
+    [userId]
+  );
+  if (rows.length === 0) {
+    throw new ApiError(404, 'User not found');
+  }
+  const [courses] = await getPool().query(
+    'SELECT course_id FROM course_teachers WHERE user_id = ? ORDER BY course_id',
+    [userId]
+  );
+  return {
+    ...rows[0],
+    course_ids: courses.map((course) => course.course_id)
+  };
+};
+
+// Replace the courses assigned to a teacher inside an open transaction
+// (logged as an update of the user's course_ids)
+const assignCourses = async (connection, userId, courseIds) => {
+  const [assigned] = await connection.query(
+    'SELECT course_id FROM course_teachers WHERE user_id = ? ORDER BY course_id FOR UPDATE',
+    [userId]
+  );
+  await connection.query('DELETE FROM course_teachers WHERE user_id = ?', [userId]);
+  if (courseIds.length > 0) {
+    await connection.query(
+      'INSERT INTO course_teachers (user_id, course_id) VALUES ?',
+      [courseIds.map((courseId) => [userId, courseId])]
+    );
+  }
+  await recordChange(connection, {
+    entity: 'user',
+    id: Number(userId),
+    action: 'update',
+    before: { course_ids: assigned.map((row) => row.course_id) },
+    after: { course_ids: [...courseIds].sort((a, b) => a - b) }
+  });
+};
+
+// ==============================================
+// POST /api/users - Create a login
+// ==============================================
+router.post('/', authorize(), validate(schemas.createUser), async (req, res, next) => {
+  const { email, password, role, student_id: studentId, course_ids: courseIds = [] } = req.body;
+
+  // Students log in as one student record; only teachers teach courses
+  if (role === 'student' && !studentId) {
+    return next(new ApiError(400, 'student_id is required for the student role'));
+  }
+  if (role !== 'student' && studentId) {
+    return next(new ApiError(400, 'student_id is only allowed for the student role'));
+  }
+  if (role !== 'teacher' && courseIds.length > 0) {
+    return next(new ApiError(400, 'course_ids is only allowed for the teacher role'));
+  }
+
+  let connection;
+  try {
+    const passwordHash = await hashPassword(password);
+    connection = await getPool().getConnection();
+    await connection.beginTransaction();
+    const result = await recordWrite(connection, { entity: 'user', action: 'create' }, async (db) => {
+      const [inserted] = await db.query(
+        'INSERT INTO users (email, password_hash, role, student_id) VALUES (?, ?, ?, ?)',
+        [email, passwordHash, role, studentId || null]
+      );
+      return inserted.insertId;
+    });
+    if (courseIds.length > 0) {
+      await assignCourses(connection, result.id, courseIds);
+    }
+    await connection.commit();
+
+    logger.info(`Created ${role} user ${result.id}`);
+
+    res.status(201)
+      .location(`/api/users/${result.id}`)
+      .json({
+        success: true,
+        data: await findUser(result.id)
+      });
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    next(error);
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+// ==============================================
+// GET /api/users/:id - Single user
+// ==============================================
+router.get('/:id(\\d+)', authorize(), validate(schemas.byId), async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await findUser(req.params.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// PUT /api/users/:id/courses - Replace the courses a teacher teaches
+// ==============================================
+router.put('/:id(\\d+)/courses', authorize(), validate(schemas.teacherCourses), async (req, res, next) => {
+  let connection;
+  try {
+    const user = await findUser(req.params.id);
+    if (user.role !== 'teacher') {
+      throw new ApiError(400, 'Courses can only be assigned to teachers');
+    }
+
+    connection = await getPool().getConnection();
+    await connection.beginTransaction();
+    await assignCourses(connection, req.params.id, req.body.course_ids);
+    await connection.commit();
+
+    logger.info(`Assigned courses [${req.body.course_ids.join(', ')}] to teacher ${req.params.id}`);
+
+    res.json({
+      success: true,
+      data: await findUser(req.params.id)
+    });
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    next(error);
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+// ==============================================
+// POST /api/users/:id/revoke-tokens - Invalidate all refresh tokens
+// ==============================================
+router.post('/:id(\\d+)/revoke-tokens', authorize(), validate(schemas.byId), async (req, res, next) => {
+  try {
+    await auditedWrite({ entity: 'user', action: 'update', id: req.params.id }, (db) =>
+      db.query('UPDATE users SET token_version = token_version + 1 WHERE user_id = ?', [req.params.id]));
+
+    logger.info(`Revoked refresh tokens of user ${req.params.id}`);
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// DELETE /api/users/:id - Remove a login
+// ==============================================
+router.delete('/:id(\\d+)', authorize(), validate(schemas.byId), async (req, res, next) => {
+  try {
+    await auditedWrite({ entity: 'user', action: 'delete', id: req.params.id }, (db) =>
+      db.query('DELETE FROM users WHERE user_id = ?', [req.params.id]));
+
+    logger.info(`Deleted user ${req.params.id}`);
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
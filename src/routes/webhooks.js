@@ -0,0 +1,274 @@
+// Import required modules
+const express = require('express');
+const { getPool } = require('../db');
+const logger = require('../logger');
+const { ApiError } = require('../errors');
+const { requireAnyColumn } = require('./helpers');
+const { validate } = require('../validation');
+const schemas = require('../schemas');
+const { authorize } = require('../auth');
+const { paginate } = require('../pagination');
+const { auditedWrite } = require('../audit');
+const { generateSecret, destinationProblem } = require('../webhooks');
+
+// Router mounted at /api/webhooks (admin only)
+const router = express.Router();
+
+// Columns returned for a subscription, with its queued and dead-lettered
+// deliveries. The secret is only returned on creation and rotation.
+const SUBSCRIPTION_SELECT = `
+  SELECT
+    s.subscription_id,
+    s.url,
+    s.events,
+    s.description,
+    s.active,
+    s.created_by,
+    s.created_at,
+    s.updated_at,
+    (SELECT COUNT(*) FROM webhook_deliveries d
+     WHERE d.subscription_id = s.subscription_id AND d.status = 'pending') as pending_deliveries,
+    (SELECT COUNT(*) FROM webhook_deliveries d
+     WHERE d.subscription_id = s.subscription_id AND d.status = 'dead') as dead_deliveries
+  FROM webhook_subscriptions s
+`;
+
+// BOOLEAN columns arrive as 0/1
+const toSubscription = (row) => ({ ...row, active: Boolean(row.active) });
+
+// Load a subscription by primary key or fail with 404
+const findSubscription = async (subscriptionId) => {
+  const [rows] = await getPool().query(`${SUBSCRIPTION_SELECT} WHERE s.subscription_id = ?`, [subscriptionId]);
+  if (rows.length === 0) {
+    throw new ApiError(404, 'Webhook not found');
+  }
+  return toSubscription(rows[0]);
+};
+
+// Refuse receivers inside the deployment (see src/webhooks.js)
+const checkUrl = async (url) => {
+  const problem = url === undefined ? null : await destinationProblem(url);
+  if (problem) {
+    throw new ApiError(400, 'Validation failed', [{ location: 'body', field: 'url', message: problem }]);
+  }
+};
+
+// Event types are stored as a JSON array
+const toColumns = (values) => (values.events ? { ...values, events: JSON.stringify(values.events) } : values);
+
+// ==============================================
+// GET /api/webhooks - All subscriptions
+// ==============================================
+router.get('/', authorize(), async (req, res, next) => {
+  try {
+    const [rows] = await getPool().query(`${SUBSCRIPTION_SELECT} ORDER BY s.subscription_id`);
+
+    res.json({
+      success: true,
+      count: rows.length,
+      data: rows.map(toSubscription)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// POST /api/webhooks - Subscribe a URL to event types
+// ==============================================
+// The signing secret is generated unless one is given; it is returned in
+// this response only (rotate it if it gets lost)
+router.post('/', authorize(), validate(schemas.createWebhook), async (req, res, next) => {
+  try {
+    await checkUrl(req.body.url);
+    const secret = req.body.secret || generateSecret();
+
+    const result = await auditedWrite({ entity: 'webhook', action: 'create' }, async (db) => {
+      const [inserted] = await db.query('INSERT INTO webhook_subscriptions SET ?', [{
+        ...toColumns(req.body),
+        secret,
+        created_by: req.user.id
+      }]);
+      return inserted.insertId;
+    });
+
+    logger.info(`Created webhook ${result.id} for ${req.body.events.join(', ')}`);
+
+    res.status(201)
+      .location(`/api/webhooks/${result.id}`)
+      .json({
+        success: true,
+        data: { ...(await findSubscription(result.id)), secret }
+      });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// GET /api/webhooks/deliveries - Delivery log, newest first
+// ==============================================
+// ?status=dead lists the dead letters; ?subscription_id= and ?event= narrow it
+router.get('/deliveries', authorize(), validate(schemas.webhookDeliveries), async (req, res, next) => {
+  try {
+    const { subscription_id: subscriptionId, status, event } = req.query;
+
+    const conditions = [];
+    const params = [];
+    const filters = [
+      ['d.subscription_id = ?', subscriptionId],
+      ['d.status = ?', status],
+      ['o.event_type = ?', event]
+    ];
+    for (const [condition, value] of filters) {
+      if (value !== undefined) {
+        conditions.push(condition);
+        params.push(value);
+      }
+    }
+
+    const query = `
+      SELECT
+        d.delivery_id,
+        d.subscription_id,
+        d.event_id,
+        o.event_type,
+        d.status,
+        d.attempts,
+        d.next_attempt_at,
+        d.last_attempt_at,
+        d.response_status,
+        d.last_error,
+        d.delivered_at,
+        d.created_at
+      FROM webhook_deliveries d
+      INNER JOIN event_outbox o ON d.event_id = o.event_id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    `;
+
+    const page = await paginate(req, res, schemas.webhookDeliveries.listing, query, params);
+
+    res.json({
+      success: true,
+      count: page.data.length,
+      total: page.total,
+      links: page.links,
+      data: page.data
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// POST /api/webhooks/deliveries/:id/retry - Send a delivery again
+// ==============================================
+// Requeues a dead letter (or replays a delivered event) with a fresh set of
+// attempts; the dispatcher picks it up on its next run. Paused subscriptions
+// are refused (their deliveries would not be sent).
+router.post('/deliveries/:id(\\d+)/retry', authorize(), validate(schemas.byId), async (req, res, next) => {
+  try {
+    await auditedWrite({ entity: 'webhook_delivery', action: 'update', id: req.params.id, reason: 'Retried' }, async (db, before) => {
+      const [subscriptions] = await db.query(
+        'SELECT active FROM webhook_subscriptions WHERE subscription_id = ? FOR SHARE',
+        [before.subscription_id]
+      );
+      if (subscriptions.length === 0 || !subscriptions[0].active) {
+        throw new ApiError(409, 'The webhook of this delivery is paused; activate it before retrying');
+      }
+      await db.query(
+        `UPDATE webhook_deliveries
+         SET status = 'pending', attempts = 0, next_attempt_at = NOW(3)
+         WHERE delivery_id = ?`,
+        [req.params.id]
+      );
+    });
+
+    logger.info(`Requeued webhook delivery ${req.params.id}`);
+
+    res.status(202).json({
+      success: true,
+      data: { delivery_id: Number(req.params.id), status: 'pending' }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// GET /api/webhooks/:id - Single subscription
+// ==============================================
+router.get('/:id(\\d+)', authorize(), validate(schemas.byId), async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await findSubscription(req.params.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// PATCH /api/webhooks/:id - Change the URL, events, description or pause
+// ==============================================
+router.patch('/:id(\\d+)', authorize(), validate(schemas.updateWebhook), async (req, res, next) => {
+  try {
+    const values = req.body;
+    requireAnyColumn(values);
+    await checkUrl(values.url);
+
+    await auditedWrite({ entity: 'webhook', action: 'update', id: req.params.id }, (db) =>
+      db.query('UPDATE webhook_subscriptions SET ? WHERE subscription_id = ?', [toColumns(values), req.params.id]));
+
+    logger.info(`Updated webhook ${req.params.id} (${Object.keys(values).join(', ')})`);
+
+    res.json({
+      success: true,
+      data: await findSubscription(req.params.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// POST /api/webhooks/:id/rotate-secret - Replace the signing secret
+// ==============================================
+// Deliveries are signed with the new secret from the next attempt on
+router.post('/:id(\\d+)/rotate-secret', authorize(), validate(schemas.byId), async (req, res, next) => {
+  try {
+    const secret = generateSecret();
+
+    await auditedWrite({ entity: 'webhook', action: 'update', id: req.params.id, reason: 'Secret rotated' }, (db) =>
+      db.query('UPDATE webhook_subscriptions SET secret = ? WHERE subscription_id = ?', [secret, req.params.id]));
+
+    logger.info(`Rotated the secret of webhook ${req.params.id}`);
+
+    res.json({
+      success: true,
+      data: { ...(await findSubscription(req.params.id)), secret }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==============================================
+// DELETE /api/webhooks/:id - Unsubscribe
+// ==============================================
+// Its deliveries are removed by the ON DELETE CASCADE foreign key
+router.delete('/:id(\\d+)', authorize(), validate(schemas.byId), async (req, res, next) => {
+  try {
+    await auditedWrite({ entity: 'webhook', action: 'delete', id: req.params.id }, (db) =>
+      db.query('DELETE FROM webhook_subscriptions WHERE subscription_id = ?', [req.params.id]));
+
+    logger.info(`Deleted webhook ${req.params.id}`);
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,554 @@
+// Import validation helpers
+const { partial } = require('./validation');
+const { defineListing } = require('./pagination');
+const grading = require('./grading');
+const { ROLES } = require('./auth');
+const attendance = require('./attendance');
+const risk = require('./risk');
+const { EVENT_TYPES } = require('./events');
+const stream = require('./stream');
+
+// ==============================================
+// Shared field rules
+// ==============================================
+
+// Positive integer identifier (student_id, course_id, enrollment_id)
+const id = { type: 'integer', required: true, min: 1 };
+
+// Optional ?term=<term_id> filter of the analytics endpoints
+const termFilter = { type: 'integer', min: 1 };
+
+// Id lists (?courseIds=1,2,3, course_ids arrays): capped so one request
+// cannot send an IN (...) list of thousands of ids to MySQL
+const MAX_LIST_ITEMS = 50;
+const idList = { type: 'integerList', min: 1, maxItems: MAX_LIST_ITEMS };
+
+// High school grade level
+const gradeLevel = { type: 'integer', min: 9, max: 12 };
+
+// GPA on the 4.0 scale
+const gpa = { type: 'number', min: 0, max: 4 };
+
+// Letter grade stored in enrollments.grade (NULL while in progress), from the active grading scale
+const letterGrade = { type: 'enum', values: grading.letters(), uppercase: true, nullable: true };
+
+// ==============================================
+// Request body fields (mirror the columns in db/migrations)
+// ==============================================
+
+const studentFields = {
+  first_name: { type: 'string', required: true, maxLength: 50 },
+  last_name: { type: 'string', required: true, maxLength: 50 },
+  email: { type: 'email', required: true, maxLength: 100 },
+  grade: { ...gradeLevel, required: true },
+  enrollment_date: { type: 'date', required: true }
+};
+
+const courseFields = {
+  course_name: { type: 'string', required: true, maxLength: 100 },
+  department: { type: 'string', required: true, maxLength: 50 },
+  credits: { type: 'integer', required: true, min: 0, max: 10 },
+  description: { type: 'string', nullable: true, maxLength: 65535 }
+};
+
+// Enrollment rows as stored (bulk import); course_id is taken from the section
+const enrollmentFields = {
+  student_id: id,
+  section_id: id,
+  enrollment_date: { type: 'date', required: true },
+  grade: letterGrade,
+  // Imported as-is (the database defaults to enrolled)
+  status: { type: 'enum', values: ['enrolled', 'waitlisted', 'dropped', 'withdrawn'] }
+};
+
+// Corrections to an existing enrollment; status changes go through the
+// enrollment workflow (POST /api/enrollments, /drop, /withdraw)
+const enrollmentUpdateFields = {
+  enrollment_date: { type: 'date', required: true },
+  grade: letterGrade
+};
+
+// Why a posted grade is changed (required then; kept in the audit log)
+const changeReason = { type: 'string', minLength: 3, maxLength: 255 };
+
+const termFields = {
+  name: { type: 'string', required: true, maxLength: 50 },
+  start_date: { type: 'date', required: true },
+  end_date: { type: 'date', required: true }
+};
+
+const sectionFields = {
+  course_id: id,
+  term_id: id,
+  section_number: { type: 'string', required: true, maxLength: 10 },
+  teacher_id: { type: 'integer', min: 1, nullable: true },
+  capacity: { type: 'integer', required: true, min: 0, max: 1000 },
+  // Day letters: M T W R (Thursday) F S U (Sunday), e.g. "MWF"
+  meeting_days: {
+    type: 'string',
+    nullable: true,
+    maxLength: 7,
+    uppercase: true,
+    pattern: /^[MTWRFSU]+$/,
+    patternMessage: 'must be day letters from MTWRFSU, e.g. MWF'
+  },
+  start_time: { type: 'time', nullable: true },
+  end_time: { type: 'time', nullable: true },
+  room: { type: 'string', nullable: true, maxLength: 50 }
+};
+
+// Attendance of one student in one course on one day
+const attendanceStatus = { type: 'enum', values: attendance.STATUSES };
+
+// Webhook subscriptions (src/webhooks.js): http(s) endpoint and event types
+const webhookFields = {
+  url: {
+    type: 'string',
+    required: true,
+    maxLength: 2048,
+    pattern: /^https?:\/\/[^\s/?#]+[^\s]*$/i,
+    patternMessage: 'must be an http:// or https:// URL'
+  },
+  events: { type: 'list', values: EVENT_TYPES, required: true },
+  description: { type: 'string', nullable: true, maxLength: 255 },
+  active: { type: 'boolean' }
+};
+
+// Saved queries of the SQL console (src/sqlconsole.js), run by name
+const MAX_SQL_LENGTH = 10000;
+const savedQueryFields = {
+  name: {
+    type: 'string',
+    required: true,
+    maxLength: 100,
+    pattern: /^[a-z0-9][a-z0-9-]*$/,
+    patternMessage: 'must be lowercase letters, digits and dashes (e.g. students-per-grade)'
+  },
+  description: { type: 'string', nullable: true, maxLength: 255 },
+  sql: { type: 'string', required: true, maxLength: MAX_SQL_LENGTH }
+};
+
+// Time buckets of the trends analytics (src/routes/trends.js)
+const trendInterval = (fallback) => ({ type: 'enum', values: ['month', 'term', 'year'], default: fallback });
+
+// Most students a roll call may list (a section's seats, with room to spare)
+const MAX_ROLL_CALL = 200;
+
+// ==============================================
+// Paginated listings (output columns are sortable and selectable)
+// ==============================================
+
+const studentsByGradeListing = defineListing({
+  columns: ['student_id', 'first_name', 'last_name', 'email', 'grade', 'enrollment_date'],
+  defaultSort: ['last_name', 'first_name']
+});
+
+const allWithEnrollmentsListing = defineListing({
+  columns: ['student_id', 'first_name', 'last_name', 'grade', 'total_enrollments', 'courses'],
+  defaultSort: ['last_name']
+});
+
+const studentPerformanceListing = defineListing({
+  columns: [
+    'student_id', 'first_name', 'last_name', 'student_grade',
+    'courses_taken', 'total_credits', 'gpa', 'course_history'
+  ],
+  defaultSort: ['-gpa', '-total_credits']
+});
+
+const sectionsListing = defineListing({
+  columns: [
+    'section_id', 'course_id', 'course_name', 'term_id', 'term_name', 'section_number',
+    'teacher_id', 'capacity', 'enrolled', 'waitlisted', 'meeting_days', 'start_time', 'end_time', 'room'
+  ],
+  defaultSort: ['course_name', 'section_number'],
+  key: 'section_id'
+});
+
+const auditListing = defineListing({
+  columns: [
+    'audit_id', 'entity', 'entity_id', 'action', 'actor_id', 'actor_role',
+    'request_id', 'reason', 'before_values', 'after_values', 'created_at'
+  ],
+  defaultSort: ['-audit_id'],
+  key: 'audit_id'
+});
+
+const topPerformersListing = defineListing({
+  columns: [
+    'student_id', 'first_name', 'last_name', 'email', 'student_grade', 'courses_completed',
+    'total_credits_earned', 'weighted_gpa', 'a_count', 'performance_rating'
+  ],
+  defaultSort: ['-weighted_gpa', '-courses_completed'],
+  defaultLimit: 20
+});
+
+const attendanceListing = defineListing({
+  columns: [
+    'attendance_id', 'attendance_date', 'status', 'note', 'course_id', 'course_name',
+    'section_id', 'section_number', 'term_id', 'term_name'
+  ],
+  defaultSort: ['-attendance_date', 'course_name'],
+  key: 'attendance_id'
+});
+
+const chronicAbsenceListing = defineListing({
+  columns: [
+    'student_id', 'first_name', 'last_name', 'grade', 'days_recorded',
+    'present', 'absent', 'tardy', 'excused', 'attendance_rate'
+  ],
+  defaultSort: ['attendance_rate', 'last_name']
+});
+
+const webhookDeliveriesListing = defineListing({
+  columns: [
+    'delivery_id', 'subscription_id', 'event_id', 'event_type', 'status', 'attempts', 'next_attempt_at',
+    'last_attempt_at', 'response_status', 'last_error', 'delivered_at', 'created_at'
+  ],
+  defaultSort: ['-delivery_id'],
+  key: 'delivery_id'
+});
+
+const gpaRanksListing = defineListing({
+  columns: [
+    'student_id', 'first_name', 'last_name', 'grade', 'graded_courses', 'gpa',
+    'grade_rank', 'grade_size', 'percentile', 'quartile'
+  ],
+  defaultSort: ['grade', 'grade_rank', 'last_name'],
+  key: 'student_id'
+});
+
+// ==============================================
+// Per-route schemas
+// ==============================================
+
+module.exports = {
+  // Body field rules, reused by the bulk importer
+  fields: {
+    students: studentFields,
+    courses: { course_id: { ...id, required: false }, ...courseFields },
+    enrollments: enrollmentFields
+  },
+
+  // Query example endpoints (src/app.js)
+  studentsByGrade: {
+    params: { grade: { ...gradeLevel, required: true } },
+    query: studentsByGradeListing.query,
+    listing: studentsByGradeListing
+  },
+  studentEnrollments: {
+    params: { studentId: id },
+    query: { term: termFilter }
+  },
+  popularCourses: {
+    params: { minEnrollments: { type: 'integer', required: true, min: 0 } },
+    query: { term: termFilter }
+  },
+  allWithEnrollments: {
+    query: { term: termFilter, ...allWithEnrollmentsListing.query },
+    listing: allWithEnrollmentsListing
+  },
+  studentPerformance: {
+    query: {
+      minGPA: { ...gpa, default: 0 },
+      grade: gradeLevel,
+      term: termFilter,
+      ...studentPerformanceListing.query
+    },
+    listing: studentPerformanceListing
+  },
+  studentsInCourses: {
+    query: { courseIds: { ...idList, required: true }, term: termFilter }
+  },
+  courseDetails: {
+    params: { courseId: id },
+    query: { term: termFilter }
+  },
+  topPerformers: {
+    query: {
+      minCourses: { type: 'integer', min: 1, default: 3 },
+      minGPA: { ...gpa, default: 3.5 },
+      term: termFilter,
+      ...topPerformersListing.query
+    },
+    listing: topPerformersListing
+  },
+  departments: {
+    query: { term: termFilter }
+  },
+
+  // At-risk students (src/risk.js): which rules to apply and their thresholds
+  atRisk: {
+    query: {
+      rules: { type: 'list', values: risk.RULE_NAMES },
+      minGPA: { ...gpa, default: risk.THRESHOLDS.minGPA },
+      lowGrades: { type: 'integer', min: 1, default: risk.THRESHOLDS.lowGrades },
+      gpaDrop: { ...gpa, default: risk.THRESHOLDS.gpaDrop },
+      creditsPerYear: { type: 'integer', min: 0, max: 100, default: risk.THRESHOLDS.creditsPerYear },
+      severity: { type: 'list', values: ['high', 'medium', 'low'] },
+      grade: gradeLevel,
+      department: { type: 'string', maxLength: 50 }
+    }
+  },
+
+  // Trends (src/routes/trends.js); from/to limit the enrollment dates
+  departmentTrends: {
+    query: {
+      interval: trendInterval('term'),
+      department: { type: 'string', maxLength: 50 },
+      from: { type: 'date' },
+      to: { type: 'date' }
+    }
+  },
+  cohorts: {
+    query: {
+      interval: trendInterval('year'),
+      cohort: { type: 'integer', min: 1900, max: 2100 }
+    }
+  },
+  gpaRanks: {
+    query: {
+      grade: gradeLevel,
+      term: termFilter,
+      ...gpaRanksListing.query
+    },
+    listing: gpaRanksListing
+  },
+  gradeInflation: {
+    query: {
+      interval: trendInterval('year'),
+      course_id: { type: 'integer', min: 1 },
+      department: { type: 'string', maxLength: 50 },
+      from: { type: 'date' },
+      to: { type: 'date' }
+    }
+  },
+
+  // Attendance (src/attendance.js); from/to limit the attendance dates
+  studentAttendance: {
+    params: { id },
+    query: {
+      from: { type: 'date' },
+      to: { type: 'date' },
+      term: termFilter,
+      course_id: { type: 'integer', min: 1 },
+      status: attendanceStatus,
+      ...attendanceListing.query
+    },
+    listing: attendanceListing
+  },
+  rollSheet: {
+    params: { id },
+    query: {
+      date: { type: 'date', required: true },
+      section_id: { type: 'integer', min: 1 }
+    }
+  },
+  rollCall: {
+    params: { id },
+    body: {
+      date: { type: 'date', required: true },
+      section_id: { type: 'integer', min: 1 },
+      records: {
+        type: 'objectList',
+        required: true,
+        maxItems: MAX_ROLL_CALL,
+        fields: {
+          student_id: id,
+          status: { ...attendanceStatus, required: true },
+          note: { type: 'string', nullable: true, maxLength: 255 }
+        }
+      }
+    }
+  },
+  courseAttendance: {
+    params: { courseId: id },
+    query: { term: termFilter, from: { type: 'date' }, to: { type: 'date' } }
+  },
+  chronicAbsence: {
+    query: {
+      threshold: { type: 'number', min: 0, max: 100, default: attendance.CHRONIC_ABSENCE_THRESHOLD },
+      minDays: { type: 'integer', min: 1, default: attendance.CHRONIC_ABSENCE_MIN_DAYS },
+      term: termFilter,
+      from: { type: 'date' },
+      to: { type: 'date' },
+      course_id: { type: 'integer', min: 1 },
+      grade: gradeLevel,
+      ...chronicAbsenceListing.query
+    },
+    listing: chronicAbsenceListing
+  },
+
+  // Full-text search (src/search.js)
+  search: {
+    query: {
+      q: { type: 'string', required: true, maxLength: 200 },
+      type: { type: 'enum', values: ['student', 'course'] },
+      department: { type: 'string', maxLength: 50 },
+      grade: gradeLevel,
+      fuzzy: { type: 'boolean', default: true },
+      limit: { type: 'integer', min: 1, max: 100, default: 20 }
+    }
+  },
+
+  // Audit log (src/audit.js); id requires entity
+  auditLog: {
+    query: {
+      entity: { type: 'enum', values: ['student', 'course', 'enrollment', 'term', 'section', 'user', 'attendance', 'webhook', 'webhook_delivery', 'saved_query'] },
+      id: { type: 'integer', min: 1 },
+      actor: { type: 'integer', min: 1 },
+      action: { type: 'enum', values: ['create', 'update', 'delete'] },
+      from: { type: 'date' },
+      to: { type: 'date' },
+      ...auditListing.query
+    },
+    listing: auditListing
+  },
+
+  // Authentication
+  login: {
+    body: {
+      email: { type: 'email', required: true, maxLength: 100 },
+      password: { type: 'string', required: true, trim: false, maxLength: 200 }
+    }
+  },
+  refreshToken: {
+    body: { refreshToken: { type: 'string', required: true, maxLength: 2000 } }
+  },
+
+  // User administration
+  createUser: {
+    body: {
+      email: { type: 'email', required: true, maxLength: 100 },
+      password: { type: 'string', required: true, trim: false, minLength: 8, maxLength: 200 },
+      role: { type: 'enum', values: ROLES, required: true },
+      student_id: { type: 'integer', min: 1 },
+      course_ids: idList
+    }
+  },
+  teacherCourses: {
+    params: { id },
+    body: { course_ids: { ...idList, required: true, minItems: 0 } }
+  },
+
+  // Shared by every /:id route
+  byId: {
+    params: { id }
+  },
+
+  // Student transcripts (src/transcripts.js); without ?format= the Accept
+  // header picks one
+  transcript: {
+    params: { id },
+    query: { format: { type: 'enum', values: ['json', 'csv', 'pdf'] } }
+  },
+
+  // Bulk import/export (row fields are checked with the CRUD body rules)
+  bulkImport: {
+    params: { entity: { type: 'enum', values: ['students', 'courses', 'enrollments'], required: true } },
+    query: {
+      dryRun: { type: 'boolean', default: false },
+      atomic: { type: 'boolean', default: false },
+      // Required to change posted grades (enrollments), see requireGradeReason
+      reason: changeReason
+    }
+  },
+  bulkExport: {
+    params: { entity: { type: 'enum', values: ['students', 'courses', 'enrollments'], required: true } },
+    query: { format: { type: 'enum', values: ['csv', 'ndjson'], default: 'csv' } }
+  },
+
+  // CRUD bodies: POST and PUT require every field, PATCH accepts any subset
+  createStudent: { body: studentFields },
+  replaceStudent: { params: { id }, body: studentFields },
+  updateStudent: { params: { id }, body: partial(studentFields) },
+
+  createCourse: { body: courseFields },
+  replaceCourse: { params: { id }, body: courseFields },
+  updateCourse: { params: { id }, body: partial(courseFields) },
+
+  // Enrollment requests (src/enrollments.js); enrollment_date defaults to today
+  createEnrollment: {
+    body: {
+      student_id: id,
+      section_id: id,
+      enrollment_date: { type: 'date' },
+      // Join the waitlist when the section is full (false: refuse with SECTION_FULL)
+      waitlist: { type: 'boolean', default: true }
+    }
+  },
+  replaceEnrollment: { params: { id }, body: { ...enrollmentUpdateFields, reason: changeReason } },
+  updateEnrollment: { params: { id }, body: { ...partial(enrollmentUpdateFields), reason: changeReason } },
+
+  // Course prerequisites
+  addPrerequisite: {
+    params: { id },
+    body: {
+      prerequisite_id: id,
+      // Lowest accepted grade; null or omitted accepts any passing grade
+      minimum_grade: letterGrade
+    }
+  },
+  removePrerequisite: {
+    params: { id, prerequisiteId: id }
+  },
+
+  createTerm: { body: termFields },
+  replaceTerm: { params: { id }, body: termFields },
+  updateTerm: { params: { id }, body: partial(termFields) },
+
+  // Section list filters
+  listSections: {
+    query: {
+      term: termFilter,
+      course_id: { type: 'integer', min: 1 },
+      teacher_id: { type: 'integer', min: 1 },
+      ...sectionsListing.query
+    },
+    listing: sectionsListing
+  },
+  createSection: { body: sectionFields },
+  replaceSection: { params: { id }, body: sectionFields },
+  updateSection: { params: { id }, body: partial(sectionFields) },
+
+  // Webhook subscriptions; the secret is generated unless given
+  createWebhook: {
+    body: {
+      ...webhookFields,
+      secret: { type: 'string', minLength: 16, maxLength: 128, trim: false }
+    }
+  },
+  updateWebhook: { params: { id }, body: partial(webhookFields) },
+  webhookDeliveries: {
+    query: {
+      subscription_id: { type: 'integer', min: 1 },
+      status: { type: 'enum', values: ['pending', 'delivered', 'dead'] },
+      event: { type: 'enum', values: EVENT_TYPES },
+      ...webhookDeliveriesListing.query
+    },
+    listing: webhookDeliveriesListing
+  },
+
+  // SQL console: a statement, or the name of a saved query (one of them)
+  runQuery: {
+    body: {
+      sql: { type: 'string', maxLength: MAX_SQL_LENGTH },
+      name: { type: 'string', maxLength: 100 }
+    }
+  },
+  createSavedQuery: { body: savedQueryFields },
+  updateSavedQuery: { params: { id }, body: partial(savedQueryFields) },
+
+  // Live analytics (src/stream.js): ?topics=departments,course:3
+  analyticsStream: {
+    query: {
+      topics: {
+        type: 'string',
+        required: true,
+        maxLength: 500,
+        pattern: stream.TOPIC_PATTERN,
+        patternMessage: `must be a comma-separated list of: ${stream.TOPIC_NAMES.join(', ')}`
+      }
+    }
+  }
+};
@@ -0,0 +1,307 @@
+// Import required modules
+const { getPool } = require('./db');
+const { ApiError } = require('./errors');
+const { studentScope } = require('./policies');
+
+// ==============================================
+// Full-text search over students and courses
+// ==============================================
+// Two steps per entity type:
+//
+//  1. MySQL finds candidates through the FULLTEXT indexes of migration
+//     0006 (BOOLEAN MODE, every term required as a word prefix). For typo
+//     tolerance the terms are shortened to their first three letters, so
+//     "algerba" still finds "algebra" as a candidate.
+//  2. Each candidate is checked and scored here, word by word: an exact
+//     word beats a prefix, which beats a typo (edit distance 1, or 2 for
+//     terms of 8+ letters). Rows where some term matches nothing are
+//     dropped, and matched words are highlighted with <mark>.
+//
+// Terms shorter than MySQL's minimum token size (3) are not indexed: they
+// are only checked in step 2, or searched with LIKE when no term is long
+// enough for the index.
+
+// innodb_ft_min_token_size (default 3)
+const MIN_TOKEN_SIZE = 3;
+
+// Letters kept when a term is widened for typo-tolerant candidates
+const FUZZY_PREFIX = 3;
+
+// Candidates fetched per type before scoring
+const CANDIDATE_LIMIT = 200;
+
+// Terms beyond this are ignored
+const MAX_TERMS = 8;
+
+// Characters of description shown around the first match
+const SNIPPET_RADIUS = 60;
+
+// InnoDB's default stopwords: never indexed, so never required
+const STOPWORDS = new Set([
+  'a', 'about', 'an', 'are', 'as', 'at', 'be', 'by', 'com', 'de', 'en', 'for', 'from', 'how', 'i',
+  'in', 'is', 'it', 'la', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'what', 'when',
+  'where', 'who', 'will', 'with', 'und', 'www'
+]);
+
+// Match quality per term, by kind
+const QUALITY = { exact: 1, prefix: 0.75, fuzzy: 0.5 };
+
+// Searchable entity types: FULLTEXT columns (with weights), candidate query
+// pieces and the typed result built from a row
+const TYPES = {
+  student: {
+    fields: { first_name: 3, last_name: 3, email: 1 },
+    select: 's.student_id, s.first_name, s.last_name, s.email, s.grade',
+    from: 'students s',
+    toResult: (row) => ({
+      type: 'student',
+      id: row.student_id,
+      title: `${row.first_name} ${row.last_name}`,
+      subtitle: `Grade ${row.grade} · ${row.email}`,
+      url: `/api/students/${row.student_id}`
+    })
+  },
+  course: {
+    fields: { course_name: 3, department: 2, description: 1 },
+    select: 'c.course_id, c.course_name, c.department, c.description',
+    from: 'courses c',
+    toResult: (row) => ({
+      type: 'course',
+      id: row.course_id,
+      title: row.course_name,
+      subtitle: row.department,
+      url: `/api/courses/${row.course_id}`
+    })
+  }
+};
+
+// ==============================================
+// Terms and matching
+// ==============================================
+
+// Lower-cased words of the query, without stopwords and duplicates
+const termsOf = (q) => {
+  const words = String(q).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return [...new Set(words.filter((word) => !STOPWORDS.has(word)))].slice(0, MAX_TERMS);
+};
+
+// Optimal string alignment distance (Levenshtein plus transpositions),
+// giving up once it exceeds max
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+  let previous2 = null;
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1);
+      }
+      best = Math.min(best, current[j]);
+    }
+    if (best > max) {
+      return max + 1;
+    }
+    previous2 = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Typos tolerated in a term
+const allowedTypos = (term) => {
+  if (term.length >= 8) {
+    return 2;
+  }
+  return term.length >= 4 ? 1 : 0;
+};
+
+// How one term matches one word: 'exact', 'prefix', 'fuzzy' or null
+const matchWord = (term, word, fuzzy) => {
+  if (word === term) {
+    return 'exact';
+  }
+  if (word.startsWith(term)) {
+    return 'prefix';
+  }
+  const typos = fuzzy ? allowedTypos(term) : 0;
+  if (typos > 0 && editDistance(term, word, typos) <= typos) {
+    return 'fuzzy';
+  }
+  return null;
+};
+
+// Words of a text with their positions
+const wordsOf = (text) => [...String(text || '').matchAll(/[\p{L}\p{N}]+/gu)]
+  .map((match) => ({ word: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length }));
+
+// ==============================================
+// Highlighting
+// ==============================================
+
+const escapeHtml = (text) => text.replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+// Text with the matched word ranges wrapped in <mark>; long texts are cut
+// to a snippet around the first match
+const highlight = (text, ranges, snippet) => {
+  let from = 0;
+  let to = text.length;
+  if (snippet && text.length > SNIPPET_RADIUS * 2) {
+    from = Math.max(0, ranges[0].start - SNIPPET_RADIUS);
+    to = Math.min(text.length, ranges[0].end + SNIPPET_RADIUS);
+  }
+  let result = from > 0 ? '…' : '';
+  let position = from;
+  for (const range of ranges.filter((r) => r.start >= from && r.end <= to)) {
+    result += `${escapeHtml(text.slice(position, range.start))}<mark>${escapeHtml(text.slice(range.start, range.end))}</mark>`;
+    position = range.end;
+  }
+  result += escapeHtml(text.slice(position, to));
+  return to < text.length ? `${result}…` : result;
+};
+
+// ==============================================
+// Scoring
+// ==============================================
+
+// Score a candidate row: null unless every term matches some word
+const scoreRow = (row, type, terms, fuzzy) => {
+  const { fields } = TYPES[type];
+  const words = Object.fromEntries(Object.keys(fields).map((field) => [field, wordsOf(row[field])]));
+  const ranges = {};
+  let score = 0;
+  let worst = 'exact';
+
+  for (const term of terms) {
+    let best = null;
+    for (const [field, weight] of Object.entries(fields)) {
+      for (const entry of words[field]) {
+        const kind = matchWord(term, entry.word, fuzzy);
+        if (kind) {
+          (ranges[field] = ranges[field] || []).push(entry);
+          const value = QUALITY[kind] * weight;
+          if (!best || value > best.value) {
+            best = { kind, value };
+          }
+        }
+      }
+    }
+    if (!best) {
+      return null;
+    }
+    score += best.value;
+    if (QUALITY[best.kind] < QUALITY[worst]) {
+      worst = best.kind;
+    }
+  }
+
+  const highlights = {};
+  for (const [field, matched] of Object.entries(ranges)) {
+    const sorted = [...new Set(matched)].sort((a, b) => a.start - b.start);
+    highlights[field] = highlight(String(row[field]), sorted, field === 'description');
+  }
+  return { score: Math.round(score * 1000) / 1000, match: worst, highlights };
+};
+
+// ==============================================
+// Candidate queries
+// ==============================================
+
+// Candidate rows of one type, most relevant first
+const findCandidates = async (type, terms, { fuzzy, department, grade, user }) => {
+  const { fields, select, from } = TYPES[type];
+  const alias = from.split(' ')[1];
+  const columns = Object.keys(fields).map((field) => `${alias}.${field}`).join(', ');
+  const conditions = [];
+  const params = [];
+
+  const indexed = terms.filter((term) => term.length >= MIN_TOKEN_SIZE);
+  let relevance = '0';
+  const relevanceParams = [];
+  if (indexed.length > 0) {
+    // Every term required as a prefix (widened for typos); ranked by the full terms
+    const required = indexed
+      .map((term) => `+${fuzzy && allowedTypos(term) > 0 ? term.slice(0, FUZZY_PREFIX) : term}*`)
+      .join(' ');
+    conditions.push(`MATCH(${columns}) AGAINST (? IN BOOLEAN MODE)`);
+    params.push(required);
+    relevance = `MATCH(${columns}) AGAINST (? IN BOOLEAN MODE)`;
+    relevanceParams.push(indexed.map((term) => `${term}*`).join(' '));
+  } else {
+    // Too short for the index: prefix of any column
+    conditions.push(`(${Object.keys(fields).map((field) => `${alias}.${field} LIKE ?`).join(' OR ')})`);
+    params.push(...Object.keys(fields).map(() => `${terms[0]}%`));
+  }
+
+  if (type === 'course' && department) {
+    conditions.push('c.department = ?');
+    params.push(department);
+  }
+  if (type === 'student' && grade) {
+    conditions.push('s.grade = ?');
+    params.push(grade);
+  }
+  // Non-admins only find the students they may read
+  const scope = type === 'student' ? studentScope(user, alias) : { sql: '', params: [] };
+
+  const [rows] = await getPool().query(
+    `SELECT ${select}, ${relevance} AS relevance
+     FROM ${from}
+     WHERE ${conditions.join(' AND ')} ${scope.sql}
+     ORDER BY relevance DESC
+     LIMIT ${CANDIDATE_LIMIT}`,
+    [...relevanceParams, ...params, ...scope.params]
+  );
+  return rows;
+};
+
+// ==============================================
+// Search
+// ==============================================
+
+// Ranked, typed results for a validated /api/search query
+const search = async ({ q, type, department, grade, fuzzy, limit }, user) => {
+  const terms = termsOf(q);
+  if (terms.length === 0) {
+    throw new ApiError(400, 'q must contain at least one searchable word');
+  }
+  if (department && grade) {
+    throw new ApiError(400, 'department (courses) and grade (students) cannot be combined');
+  }
+
+  // department only applies to courses, grade only to students
+  let types = type ? [type] : Object.keys(TYPES);
+  if (department) {
+    types = types.filter((name) => name === 'course');
+  }
+  if (grade) {
+    types = types.filter((name) => name === 'student');
+  }
+
+  const results = [];
+  for (const name of types) {
+    const rows = await findCandidates(name, terms, { fuzzy, department, grade, user });
+    for (const row of rows) {
+      const scored = scoreRow(row, name, terms, fuzzy);
+      if (scored) {
+        results.push({ ...TYPES[name].toResult(row), ...scored, relevance: Number(row.relevance) });
+      }
+    }
+  }
+
+  // Best score first; MySQL's relevance breaks ties
+  results.sort((a, b) => b.score - a.score || b.relevance - a.relevance);
+  return {
+    terms,
+    data: results.slice(0, limit).map(({ relevance, ...result }) => result)
+  };
+};
+
+module.exports = {
+  search
+};
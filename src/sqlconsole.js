@@ -0,0 +1,419 @@
+// Import required modules
+const { Types } = require('mysql2');
+const { getReadOnlyPool } = require('./db');
+const { ApiError, isConnectionError } = require('./errors');
+
+// ==============================================
+// Read-only SQL console
+// ==============================================
+// POST /api/query runs one SELECT statement written by an admin. Three
+// layers keep it read-only and cheap:
+//  1. checkQuery() tokenizes the statement and only accepts a single SELECT
+//     (or WITH ... SELECT) over students, courses and enrollments, without
+//     INTO, locking clauses, variables, optimizer hints or blocking functions
+//  2. it runs inside a READ ONLY transaction that is always rolled back,
+//     with max_execution_time (QUERY_TIMEOUT_MS) and sql_select_limit
+//     (QUERY_ROW_LIMIT) set for the session
+//  3. on the QUERY_DB_USER account, which may only SELECT from those tables
+//     (see README); without it the console answers 503 rather than running
+//     statements as the application's account
+// The checker is a tokenizer rather than a SQL parser: when in doubt it
+// refuses, and everything else (syntax errors, unknown columns) is left for
+// MySQL to report.
+
+// Milliseconds a statement may run before MySQL aborts it
+const TIMEOUT_MS = Number(process.env.QUERY_TIMEOUT_MS) || 5000;
+
+// Rows returned at most (the response says when more were available)
+const ROW_LIMIT = Number(process.env.QUERY_ROW_LIMIT) || 1000;
+
+// SQL mode of console sessions (MySQL 8's default). The tokenizer reads
+// strings the way this mode does: no ANSI_QUOTES, backslash escapes on.
+const SQL_MODE = 'ONLY_FULL_GROUP_BY,STRICT_TRANS_TABLES,NO_ZERO_IN_DATE,NO_ZERO_DATE,ERROR_FOR_DIVISION_BY_ZERO,NO_ENGINE_SUBSTITUTION';
+
+// Tables a statement may read (besides its own CTEs and DUAL)
+const TABLES = ['students', 'courses', 'enrollments'];
+
+// Words never allowed outside strings and quoted identifiers (statements
+// writing data, SELECT ... INTO, FOR UPDATE / FOR SHARE, LOCK IN SHARE MODE)
+const FORBIDDEN_WORDS = new Set([
+  'INTO', 'OUTFILE', 'DUMPFILE', 'INSERT', 'UPDATE', 'DELETE', 'REPLACE',
+  'LOCK', 'SHARE', 'TABLE', 'HANDLER', 'PROCEDURE'
+]);
+
+// Functions that sleep, wait or read files
+const FORBIDDEN_FUNCTIONS = new Set([
+  'SLEEP', 'BENCHMARK', 'LOAD_FILE', 'GET_LOCK', 'RELEASE_LOCK', 'RELEASE_ALL_LOCKS',
+  'IS_FREE_LOCK', 'IS_USED_LOCK', 'MASTER_POS_WAIT', 'SOURCE_POS_WAIT',
+  'WAIT_FOR_EXECUTED_GTID_SET', 'WAIT_UNTIL_SQL_THREAD_AFTER_GTIDS'
+]);
+
+// Words ending a FROM clause at their nesting level
+const CLAUSE_WORDS = new Set([
+  'WHERE', 'GROUP', 'HAVING', 'ORDER', 'LIMIT', 'WINDOW', 'UNION', 'EXCEPT', 'INTERSECT'
+]);
+
+// ==============================================
+// Tokenizer
+// ==============================================
+
+// Token patterns, tried in order at each position (sticky, so they only
+// match where the previous token ended)
+const TOKEN_PATTERNS = [
+  ['space', /\s+/y],
+  ['comment', /(?:--(?=\s|$)|#)[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y],
+  ['string', /'(?:[^'\\]|\\[\s\S]|'')*'|"(?:[^"\\]|\\[\s\S]|"")*"/y],
+  ['identifier', /`(?:[^`]|``)*`/y],
+  ['number', /(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?(?![\w$])/iy],
+  ['word', /[\w$]+/y],
+  ['symbol', /[(),;.@?]|(?:(?!\/\*|--(?:\s|$))[^\s\w$'"`(),;.@?#])+/y]
+];
+
+const refuse = (message) => new ApiError(400, message);
+
+// Split a statement into { type, text, start, end } tokens; words and
+// quoted identifiers also get their lowercase name, words their uppercase
+const tokenize = (sql) => {
+  const tokens = [];
+  let position = 0;
+  while (position < sql.length) {
+    let token = null;
+    for (const [type, pattern] of TOKEN_PATTERNS) {
+      pattern.lastIndex = position;
+      const match = pattern.exec(sql);
+      if (match) {
+        token = { type, text: match[0], start: position, end: pattern.lastIndex };
+        break;
+      }
+    }
+    if (!token) {
+      throw refuse(`Unterminated string or identifier at position ${position + 1}`);
+    }
+    if (token.type === 'comment' && token.text.startsWith('/*')) {
+      if (!token.text.endsWith('*/') || token.text.length < 4) {
+        throw refuse(`Unterminated comment at position ${position + 1}`);
+      }
+      if (/^\/\*[!+]/.test(token.text)) {
+        throw refuse('Executable comments and optimizer hints are not allowed');
+      }
+    }
+    if (token.type === 'word') {
+      token.upper = token.text.toUpperCase();
+      token.name = token.text.toLowerCase();
+    }
+    if (token.type === 'identifier') {
+      token.name = token.text.slice(1, -1).replace(/``/g, '`').toLowerCase();
+    }
+    tokens.push(token);
+    position = token.end;
+  }
+  return tokens.filter((token) => token.type !== 'space' && token.type !== 'comment');
+};
+
+// ==============================================
+// Checking
+// ==============================================
+
+const isName = (token) => Boolean(token) && (token.type === 'word' || token.type === 'identifier');
+
+// Index after the parenthesized group starting at position (position itself
+// when there is none)
+const skipGroup = (tokens, position) => {
+  if (!tokens[position] || tokens[position].text !== '(') {
+    return position;
+  }
+  let depth = 0;
+  for (let index = position; index < tokens.length; index++) {
+    if (tokens[index].text === '(') {
+      depth++;
+    } else if (tokens[index].text === ')' && --depth === 0) {
+      return index + 1;
+    }
+  }
+  return tokens.length;
+};
+
+// CTEs of a leading WITH [RECURSIVE] name [(columns)] AS (...), ... list.
+// Returns the names it defines and, for each body, the names visible in it:
+// a CTE only sees the ones before it (and itself under RECURSIVE), so a body
+// naming a later CTE would read the real table of that name.
+const parseWith = (tokens) => {
+  const names = new Set();
+  const bodies = [];
+  if (!tokens[0] || tokens[0].upper !== 'WITH') {
+    return { names, bodies };
+  }
+  let position = 1;
+  const recursive = Boolean(tokens[position]) && tokens[position].upper === 'RECURSIVE';
+  if (recursive) {
+    position++;
+  }
+  const defined = [];
+  while (isName(tokens[position])) {
+    defined.push(tokens[position].name);
+    position = skipGroup(tokens, position + 1);
+    if (!tokens[position] || tokens[position].upper !== 'AS' || !tokens[position + 1] || tokens[position + 1].text !== '(') {
+      throw refuse('Expected "name AS (SELECT ...)" after WITH');
+    }
+    const end = skipGroup(tokens, position + 1);
+    bodies.push({ start: position + 1, end, visible: new Set(recursive ? defined : defined.slice(0, -1)) });
+    position = end;
+    if (!tokens[position] || tokens[position].text !== ',') {
+      break;
+    }
+    position++;
+  }
+  defined.forEach((name) => names.add(name));
+  return { names, bodies };
+};
+
+// CTE names usable at a token index
+const visibleCtes = (ctes, index) => {
+  const body = ctes.bodies.find(({ start, end }) => index > start && index < end);
+  return body ? body.visible : ctes.names;
+};
+
+// Check every name in table position (after FROM, JOIN or a comma of a FROM
+// list). Each parenthesis gets a level: FROM only starts a table list in a
+// level holding a SELECT, so EXTRACT(YEAR FROM ...) and TRIM(... FROM ...)
+// are not mistaken for one; "(" in table position opens a derived table
+// or a nested join.
+const checkTables = (tokens, ctes) => {
+  const levels = [{ query: false, inFrom: false, expectTable: false, opened: false }];
+
+  tokens.forEach((token, index) => {
+    const level = levels[levels.length - 1];
+    const next = tokens[index + 1];
+
+    // A parenthesis in table position without a subquery holds a join
+    if (level.opened) {
+      level.opened = false;
+      if (token.upper !== 'SELECT' && token.upper !== 'WITH' && token.text !== '(') {
+        level.inFrom = true;
+        level.expectTable = true;
+      }
+    }
+
+    if (token.text === '(') {
+      levels.push({ query: false, inFrom: false, expectTable: false, opened: level.expectTable });
+      level.expectTable = false;
+      return;
+    }
+    if (token.text === ')') {
+      levels.pop();
+      if (levels.length === 0) {
+        throw refuse('Unbalanced parentheses');
+      }
+      return;
+    }
+
+    if (level.expectTable) {
+      if (token.upper === 'LATERAL') {
+        return;
+      }
+      if (!isName(token)) {
+        throw refuse(`Expected a table name instead of ${token.text}`);
+      }
+      if (next && next.text === '.') {
+        throw refuse('Tables must be named without a database');
+      }
+      if (!TABLES.includes(token.name) && token.name !== 'dual' && !visibleCtes(ctes, index).has(token.name)) {
+        throw refuse(`Table ${token.name} cannot be queried (allowed: ${TABLES.join(', ')})`);
+      }
+      level.expectTable = false;
+      return;
+    }
+
+    if (token.type === 'word') {
+      if (token.upper === 'SELECT') {
+        level.query = true;
+        level.inFrom = false;
+      } else if (token.upper === 'FROM' && level.query) {
+        level.inFrom = true;
+        level.expectTable = true;
+      } else if ((token.upper === 'JOIN' || token.upper === 'STRAIGHT_JOIN') && level.inFrom) {
+        level.expectTable = true;
+      } else if (CLAUSE_WORDS.has(token.upper)) {
+        level.inFrom = false;
+      }
+    } else if (token.text === ',' && level.inFrom) {
+      level.expectTable = true;
+    }
+  });
+
+  if (levels.length !== 1) {
+    throw refuse('Unbalanced parentheses');
+  }
+};
+
+// Reject a top-level LIMIT asking for more rows than the console returns
+const checkLimit = (tokens) => {
+  let depth = 0;
+  tokens.forEach((token, index) => {
+    if (token.text === '(') {
+      depth++;
+    } else if (token.text === ')') {
+      depth--;
+    } else if (token.upper === 'LIMIT') {
+      // LIMIT count | LIMIT offset, count | LIMIT count OFFSET offset. Only
+      // plain decimals: MySQL reads 0x7fffffff as a number too.
+      const next = tokens[index + 2];
+      const values = next && (next.text === ',' || next.upper === 'OFFSET') ? [tokens[index + 1], tokens[index + 3]] : [tokens[index + 1]];
+      if (values.some((value) => !value || !/^\d+$/.test(value.text))) {
+        throw refuse('LIMIT and OFFSET take a whole number of rows written in decimal');
+      }
+      const count = next && next.text === ',' ? values[1] : values[0];
+      if (depth === 0 && Number(count.text) > ROW_LIMIT) {
+        throw refuse(`LIMIT may not exceed ${ROW_LIMIT} rows`);
+      }
+    }
+  });
+};
+
+// Validate a statement for the console; returns it without trailing
+// semicolons and comments, or throws a 400 ApiError saying what is wrong
+const checkQuery = (sql) => {
+  const tokens = tokenize(sql);
+
+  // One statement (a trailing semicolon is fine)
+  while (tokens.length > 0 && tokens[tokens.length - 1].text === ';') {
+    tokens.pop();
+  }
+  if (tokens.length === 0) {
+    throw refuse('The query is empty');
+  }
+  if (tokens.some((token) => token.text === ';')) {
+    throw refuse('Only one statement can be run at a time');
+  }
+
+  const first = tokens.find((token) => token.text !== '(');
+  if (!first || (first.upper !== 'SELECT' && first.upper !== 'WITH')) {
+    throw refuse('Only SELECT statements can be run');
+  }
+
+  tokens.forEach((token, index) => {
+    const next = tokens[index + 1];
+    const call = Boolean(next) && next.text === '(';
+    if (token.text === '@') {
+      throw refuse('Variables are not allowed');
+    }
+    if (token.text === '?') {
+      throw refuse('Placeholders are not allowed; write the values into the query');
+    }
+    if (token.type !== 'word') {
+      return;
+    }
+    if (call && FORBIDDEN_FUNCTIONS.has(token.upper)) {
+      throw refuse(`${token.upper}() is not allowed`);
+    }
+    // REPLACE(), INSERT() and the like are string functions
+    if (!call && FORBIDDEN_WORDS.has(token.upper)) {
+      throw refuse(`${token.upper} is not allowed in a read-only query`);
+    }
+    // WITH ROLLUP aside, CTEs may only be defined at the start
+    if (token.upper === 'WITH' && index > 0 && !(next && next.upper === 'ROLLUP')) {
+      throw refuse('WITH is only allowed at the start of the query');
+    }
+  });
+
+  checkTables(tokens, parseWith(tokens));
+  checkLimit(tokens);
+
+  return sql.slice(0, tokens[tokens.length - 1].end);
+};
+
+// ==============================================
+// Running
+// ==============================================
+
+// Type names by mysql2 type code (e.g. 253 -> VAR_STRING)
+const TYPE_NAMES = Object.fromEntries(
+  Object.entries(Types).filter(([, code]) => typeof code === 'number').map(([name, code]) => [code, name])
+);
+
+// NOT_NULL_FLAG of the column definition flags
+const NOT_NULL = 1;
+
+// Column metadata of a result set
+const describeColumns = (fields) => fields.map((field) => ({
+  name: field.name,
+  table: field.orgTable || null,
+  column: field.orgName || null,
+  type: TYPE_NAMES[field.columnType] || String(field.columnType),
+  nullable: !(field.flags & NOT_NULL),
+  length: field.columnLength,
+  decimals: field.decimals
+}));
+
+// Errors MySQL reports for a statement (rather than for the connection)
+// are the caller's to fix: 400 with MySQL's message, 403 when the console
+// account lacks the privilege
+const toApiError = (error) => {
+  if (isConnectionError(error) || !error.sqlState) {
+    return error;
+  }
+  if (error.code === 'ER_QUERY_TIMEOUT') {
+    return new ApiError(400, `Query took longer than ${TIMEOUT_MS}ms and was stopped`, { code: error.code });
+  }
+  if (/ACCESS_DENIED/.test(error.code)) {
+    return new ApiError(403, error.sqlMessage, { code: error.code });
+  }
+  return new ApiError(400, error.sqlMessage, { code: error.code });
+};
+
+// Run a statement on the read-only pool of the current school; returns
+// { columns, rows (arrays), truncated, explain, elapsed_ms }
+const runQuery = async (sql) => {
+  const statement = checkQuery(sql);
+  const pool = getReadOnlyPool();
+  if (!pool) {
+    throw new ApiError(503, 'The query console is disabled: set QUERY_DB_USER to a MySQL account that may only SELECT from students, courses and enrollments');
+  }
+  const connection = await pool.getConnection();
+  let healthy = true;
+  try {
+    // One extra row tells whether the result was cut off
+    await connection.query(
+      'SET SESSION sql_mode = ?, SESSION max_execution_time = ?, SESSION sql_select_limit = ?',
+      [SQL_MODE, TIMEOUT_MS, ROW_LIMIT + 1]
+    );
+    await connection.query('START TRANSACTION READ ONLY');
+
+    const [explain] = await connection.query(`EXPLAIN ${statement}`);
+
+    const started = process.hrtime.bigint();
+    const [rows, fields] = await connection.query({ sql: statement, rowsAsArray: true });
+    const elapsed = Number(process.hrtime.bigint() - started) / 1e6;
+
+    return {
+      columns: describeColumns(fields),
+      rows: rows.slice(0, ROW_LIMIT),
+      truncated: rows.length > ROW_LIMIT,
+      explain,
+      elapsed_ms: Math.round(elapsed * 10) / 10
+    };
+  } catch (error) {
+    healthy = !isConnectionError(error);
+    throw toApiError(error);
+  } finally {
+    if (healthy) {
+      try {
+        await connection.query('ROLLBACK');
+        await connection.query('SET SESSION sql_mode = DEFAULT, SESSION max_execution_time = DEFAULT, SESSION sql_select_limit = DEFAULT');
+        connection.release();
+      } catch {
+        connection.destroy();
+      }
+    } else {
+      connection.destroy();
+    }
+  }
+};
+
+module.exports = {
+  TABLES,
+  TIMEOUT_MS,
+  ROW_LIMIT,
+  checkQuery,
+  runQuery
+};
@@ -0,0 +1,457 @@
+// Import required modules
+const { getPool, isDatabaseReady } = require('./db');
+const logger = require('./logger');
+const grading = require('./grading');
+const { outsideRequest } = require('./context');
+const { countStreamClients } = require('./metrics');
+
+// ==============================================
+// Live analytics (Server-Sent Events)
+// ==============================================
+// Dashboards open GET /api/stream/analytics?topics=... and get the current
+// rows of every topic, then the rows that changed whenever a write touches
+// them. Changes are read from audit_log (migration 0007): every write
+// through the API adds an entry with the row before and after, in the
+// transaction of the change, and audit_id grows with every entry, so it
+// doubles as the SSE event id. One poller per school database
+// (STREAM_POLL_MS) serves all of its open streams, and every instance of
+// the app reads the same log, so no message bus is needed.
+//
+// Messages (event: name, data: JSON):
+//   snapshot  { topic, data: [rows] }                  all rows of the topic
+//   delta     { topic, data: [rows], removed: [keys] } changed rows, and the
+//             keys of rows that no longer exist (e.g. a student who moved
+//             to another grade, a deleted course)
+// Rows have the columns of the matching REST endpoint and are always the
+// current state, so a message delivered twice does no harm.
+//
+// Reconnecting clients send Last-Event-ID (EventSource does so by itself)
+// and get the changes they missed as deltas; clients without it, or too far
+// behind (STREAM_REPLAY_LIMIT log entries), get snapshots again.
+// A comment line every STREAM_HEARTBEAT_MS keeps proxies from closing idle
+// streams.
+
+// Milliseconds between reads of the audit log
+const POLL_MS = Number(process.env.STREAM_POLL_MS) || 1000;
+
+// Milliseconds between heartbeats
+const HEARTBEAT_MS = Number(process.env.STREAM_HEARTBEAT_MS) || 15000;
+
+// Log entries a reconnecting client may have missed before it gets snapshots
+const REPLAY_LIMIT = Number(process.env.STREAM_REPLAY_LIMIT) || 1000;
+
+// Reconnection delay suggested to clients (the SSE retry field)
+const RETRY_MS = 3000;
+
+// Log entries read per query
+const BATCH_SIZE = 500;
+
+// Audit ids are taken when an entry is inserted but become visible when its
+// transaction commits, so a long transaction can show up after later ids.
+// Skipped ids are looked for again for this long (rolled-back writes leave
+// permanent gaps), at most MAX_GAPS of them.
+const GAP_MS = 5 * 60 * 1000;
+const MAX_GAPS = 1000;
+
+// Streams that buffer more than this (a client not reading) are closed;
+// the client reconnects with Last-Event-ID and catches up
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+// ==============================================
+// Topics
+// ==============================================
+// Each topic family knows the key of its rows, which keys a set of changes
+// touched (null: reload everything) and how to load rows (keys null: all).
+// Topic names are "<family>" or "<family>:<param>".
+
+const DEPARTMENT_STATS = `
+  SELECT
+    c.department,
+    COUNT(DISTINCT c.course_id) as total_courses,
+    COUNT(DISTINCT e.student_id) as total_students,
+    SUM(c.credits) as total_credits_offered,
+    AVG(c.credits) as avg_credits_per_course,
+    COUNT(e.enrollment_id) as total_enrollments,
+    ROUND(COUNT(e.enrollment_id) * 1.0 / COUNT(DISTINCT c.course_id), 2) as avg_enrollments_per_course,
+    ROUND(${grading.gpaSql()}, 2) as department_avg_gpa,
+    CONCAT(
+      'A:', ${grading.familyCountSql('A')}, ' ',
+      'B:', ${grading.familyCountSql('B')}, ' ',
+      'C:', ${grading.familyCountSql('C')}
+    ) as grade_distribution,
+    ROUND(${grading.successCountSql()} * 100.0 / ${grading.gradedCountSql()}, 2) as success_rate_percent
+  FROM courses c
+  LEFT JOIN enrollments e ON c.course_id = e.course_id AND e.status = 'enrolled'
+`;
+
+const COURSE_DETAILS = `
+  SELECT
+    c.course_id,
+    c.course_name,
+    c.credits,
+    c.department,
+    COUNT(DISTINCT e.student_id) as total_students,
+    COUNT(DISTINCT s.grade) as grade_levels_represented,
+    ${grading.familyCountSql('A')} as count_A,
+    ${grading.familyCountSql('B')} as count_B,
+    ${grading.familyCountSql('C')} as count_C,
+    ${grading.familyCountSql('D')} as count_D,
+    ${grading.familyCountSql('F')} as count_F,
+    ROUND(${grading.familyCountSql('A')} * 100.0 / COUNT(*), 2) as percent_A,
+    ROUND(${grading.familyCountSql('B')} * 100.0 / COUNT(*), 2) as percent_B,
+    ROUND(${grading.gpaSql()}, 2) as average_gpa,
+    MAX(e.enrollment_date) as latest_enrollment,
+    (
+      SELECT CONCAT(s2.first_name, ' ', s2.last_name)
+      FROM students s2
+      INNER JOIN enrollments e2 ON s2.student_id = e2.student_id
+      WHERE e2.course_id = c.course_id
+        AND LEFT(e2.grade, 1) = 'A'
+        AND e2.status = 'enrolled'
+      LIMIT 1
+    ) as top_student_example
+  FROM courses c
+  LEFT JOIN enrollments e ON c.course_id = e.course_id AND e.status = 'enrolled'
+  LEFT JOIN students s ON e.student_id = s.student_id
+  WHERE c.course_id = ?
+  GROUP BY c.course_id, c.course_name, c.credits, c.department
+`;
+
+const TOPICS = {
+  // GET /api/analytics/departments (all terms)
+  departments: {
+    key: 'department',
+    changed: (changes) => (changes.all ? null : [...changes.departments]),
+    load: async (db, param, keys) => {
+      const [rows] = await db.query(
+        `${DEPARTMENT_STATS}
+         ${keys ? 'WHERE c.department IN (?)' : ''}
+         GROUP BY c.department
+         HAVING COUNT(e.enrollment_id) > 0
+         ORDER BY total_enrollments DESC, department_avg_gpa DESC`,
+        keys ? [keys] : []
+      );
+      return rows;
+    }
+  },
+
+  // GET /api/analytics/students-per-grade
+  'students-per-grade': {
+    key: 'grade',
+    changed: (changes) => [...changes.grades],
+    load: async (db, param, keys) => {
+      const [rows] = await db.query(
+        `SELECT grade, COUNT(*) as student_count, COUNT(DISTINCT email) as unique_emails
+         FROM students
+         ${keys ? 'WHERE grade IN (?)' : ''}
+         GROUP BY grade
+         ORDER BY grade`,
+        keys ? [keys] : []
+      );
+      return rows;
+    }
+  },
+
+  // GET /api/analytics/course-details/:courseId (all terms)
+  course: {
+    key: 'course_id',
+    changed: (changes, courseId) => (changes.all || changes.courses.has(courseId) ? [courseId] : []),
+    load: async (db, courseId) => {
+      const [rows] = await db.query(COURSE_DETAILS, [courseId]);
+      return rows;
+    }
+  },
+
+  // GET /api/students/grade/:grade (the roster of a grade level)
+  grade: {
+    key: 'student_id',
+    changed: (changes, grade) => changes.students
+      .filter((student) => student.grades.includes(grade))
+      .map((student) => student.id),
+    load: async (db, grade, keys) => {
+      const [rows] = await db.query(
+        `SELECT student_id, first_name, last_name, email, grade, enrollment_date
+         FROM students
+         WHERE grade = ? ${keys ? 'AND student_id IN (?)' : ''}
+         ORDER BY last_name, first_name`,
+        keys ? [grade, keys] : [grade]
+      );
+      return rows;
+    }
+  }
+};
+
+// Comma-separated topic names, for ?topics= (src/schemas.js)
+const TOPIC_NAMES = ['departments', 'students-per-grade', 'course:<id>', 'grade:<9-12>'];
+const TOPIC = '(departments|students-per-grade|course:\\d+|grade:(9|1[0-2]))';
+const TOPIC_PATTERN = new RegExp(`^${TOPIC}(,${TOPIC})*$`);
+
+// "course:3,departments" -> [{ name, family, param }]
+const parseTopics = (value) => [...new Set(value.split(','))].map((name) => {
+  const [family, param] = name.split(':');
+  return { name, family: TOPICS[family], param: param === undefined ? null : Number(param) };
+});
+
+// ==============================================
+// Changes
+// ==============================================
+
+// What a batch of log entries touched:
+//   courses, departments  course-details and department rows to reload
+//   grades                students-per-grade rows to reload
+//   students              [{ id, grades }] for the grade rosters (grade
+//                         before and after the change)
+//   all                   enrollments went away with a deleted student or
+//                         section (ON DELETE CASCADE): reload everything
+const collectChanges = async (db, entries) => {
+  const changes = { all: false, courses: new Set(), departments: new Set(), grades: new Set(), students: [] };
+  const changedStudents = [];
+
+  for (const { entity, entity_id: id, action, before_values: before, after_values: after } of entries) {
+    const rows = [before, after].filter(Boolean);
+    if (entity === 'enrollment') {
+      rows.forEach((values) => changes.courses.add(values.course_id));
+    } else if (entity === 'course') {
+      changes.courses.add(id);
+      rows.forEach((values) => changes.departments.add(values.department));
+    } else if (entity === 'student') {
+      const grades = [...new Set(rows.map((values) => values.grade))];
+      grades.forEach((grade) => changes.grades.add(grade));
+      changes.students.push({ id, grades });
+      changedStudents.push(id);
+      changes.all = changes.all || action === 'delete';
+    } else if (entity === 'section') {
+      changes.all = changes.all || action === 'delete';
+    }
+  }
+
+  // Course details count the grade levels of their students
+  if (changedStudents.length > 0) {
+    const [rows] = await db.query('SELECT DISTINCT course_id FROM enrollments WHERE student_id IN (?)', [changedStudents]);
+    rows.forEach((row) => changes.courses.add(row.course_id));
+  }
+  // Departments of the changed courses
+  if (changes.courses.size > 0) {
+    const [rows] = await db.query('SELECT DISTINCT department FROM courses WHERE course_id IN (?)', [[...changes.courses]]);
+    rows.forEach((row) => changes.departments.add(row.department));
+  }
+  return changes;
+};
+
+// ==============================================
+// Clients
+// ==============================================
+
+// Write messages to a client; only the last carries the event id, so a
+// client that loses the connection halfway resumes before all of them
+const send = (client, eventId, messages) => {
+  if (client.closed || messages.length === 0) {
+    return;
+  }
+  const chunks = messages.map(([event, data], index) =>
+    `${index === messages.length - 1 ? `id: ${eventId}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  client.res.write(chunks.join(''));
+  if (client.res.writableLength > MAX_BUFFERED_BYTES) {
+    logger.warn(`Closing analytics stream of user ${client.userId}: client is not reading`);
+    client.res.end();
+  }
+};
+
+// Send every client the changes of a batch of log entries that concern its
+// topics; each topic is loaded once for all of its subscribers
+const publish = async (db, clients, entries, eventId) => {
+  const changes = await collectChanges(db, entries);
+
+  const subscribers = new Map();
+  for (const client of clients) {
+    for (const topic of client.topics) {
+      if (!subscribers.has(topic.name)) {
+        subscribers.set(topic.name, { topic, clients: [] });
+      }
+      subscribers.get(topic.name).clients.push(client);
+    }
+  }
+
+  const outbox = new Map(clients.map((client) => [client, []]));
+  for (const [name, { topic, clients: topicClients }] of subscribers) {
+    const { key, changed, load } = topic.family;
+    const keys = changed(changes, topic.param);
+    if (keys && keys.length === 0) {
+      continue;
+    }
+    const rows = await load(db, topic.param, keys);
+    const message = keys === null
+      ? ['snapshot', { topic: name, data: rows }]
+      : ['delta', {
+        topic: name,
+        data: rows,
+        removed: keys.filter((value) => !rows.some((row) => String(row[key]) === String(value)))
+      }];
+    topicClients.forEach((client) => outbox.get(client).push(message));
+  }
+
+  for (const [client, messages] of outbox) {
+    send(client, eventId, messages);
+  }
+};
+
+// First messages of a new client: what it missed since Last-Event-ID, or
+// snapshots of its topics
+const welcome = async (db, client, cursor) => {
+  if (client.lastEventId !== null && client.lastEventId <= cursor) {
+    const [entries] = await db.query(
+      `SELECT audit_id, entity, entity_id, action, before_values, after_values
+       FROM audit_log
+       WHERE audit_id > ? AND audit_id <= ?
+       ORDER BY audit_id
+       LIMIT ?`,
+      [client.lastEventId, cursor, REPLAY_LIMIT + 1]
+    );
+    if (entries.length <= REPLAY_LIMIT) {
+      if (entries.length > 0) {
+        await publish(db, [client], entries, cursor);
+      }
+      return;
+    }
+  }
+
+  const messages = [];
+  for (const topic of client.topics) {
+    messages.push(['snapshot', { topic: topic.name, data: await topic.family.load(db, topic.param, null) }]);
+  }
+  send(client, cursor, messages);
+};
+
+// ==============================================
+// Pollers (one per school database with open streams)
+// ==============================================
+
+const hubs = new Map();
+
+// Log entries after the cursor, plus skipped ids that have turned up since;
+// advances the cursor
+const readLog = async (db, hub) => {
+  const gaps = [...hub.gaps.keys()];
+  const [entries] = await db.query(
+    `SELECT audit_id, entity, entity_id, action, before_values, after_values
+     FROM audit_log
+     WHERE audit_id > ? ${gaps.length > 0 ? 'OR audit_id IN (?)' : ''}
+     ORDER BY audit_id
+     LIMIT ?`,
+    gaps.length > 0 ? [hub.cursor, gaps, BATCH_SIZE] : [hub.cursor, BATCH_SIZE]
+  );
+
+  const now = Date.now();
+  let expected = hub.cursor + 1;
+  for (const { audit_id: id } of entries) {
+    hub.gaps.delete(id);
+    for (; expected < id && hub.gaps.size < MAX_GAPS; expected += 1) {
+      hub.gaps.set(expected, now);
+    }
+    expected = Math.max(expected, id + 1);
+    hub.cursor = Math.max(hub.cursor, id);
+  }
+  for (const [id, since] of hub.gaps) {
+    if (now - since > GAP_MS) {
+      hub.gaps.delete(id);
+    }
+  }
+  return entries;
+};
+
+// One run: publish new log entries, then welcome the clients that connected
+const poll = async (hub) => {
+  if (!isDatabaseReady(hub.tenantId)) {
+    return;
+  }
+  const db = getPool(hub.tenantId);
+  if (hub.cursor === null) {
+    const [rows] = await db.query('SELECT COALESCE(MAX(audit_id), 0) as last_id FROM audit_log');
+    hub.cursor = Number(rows[0].last_id);
+  }
+
+  let entries;
+  do {
+    entries = await readLog(db, hub);
+    if (entries.length > 0 && hub.clients.size > 0) {
+      await publish(db, [...hub.clients], entries, hub.cursor);
+    }
+  } while (entries.length === BATCH_SIZE);
+
+  for (const client of hub.joining.splice(0)) {
+    if (!client.closed) {
+      await welcome(db, client, hub.cursor);
+      hub.clients.add(client);
+    }
+  }
+};
+
+// Start a run unless one is in progress (runs never overlap)
+const schedule = (hub) => {
+  if (!hub.running) {
+    hub.running = poll(hub)
+      .catch((error) => logger.error(`Analytics stream update failed (${hub.tenantId}):`, error))
+      .finally(() => {
+        hub.running = null;
+      });
+  }
+};
+
+// ==============================================
+// Public API
+// ==============================================
+
+// Attach an SSE response to the tenant's poller.
+// options: { userId, topics (parseTopics), lastEventId (string or undefined) }
+const subscribe = (tenantId, res, { userId, topics, lastEventId }) => {
+  if (!hubs.has(tenantId)) {
+    hubs.set(tenantId, { tenantId, clients: new Set(), joining: [], cursor: null, gaps: new Map(), timer: null, running: null });
+  }
+  const hub = hubs.get(tenantId);
+  const client = {
+    res,
+    userId,
+    topics,
+    lastEventId: /^\d+$/.test(lastEventId || '') ? Number(lastEventId) : null,
+    closed: false
+  };
+
+  res.write(`retry: ${RETRY_MS}\n\n`);
+  const heartbeat = outsideRequest(() => setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS));
+
+  res.on('close', () => {
+    client.closed = true;
+    clearInterval(heartbeat);
+    hub.clients.delete(client);
+    hub.joining = hub.joining.filter((other) => other !== client);
+    countStreamClients(tenantId, -1);
+    // The last stream closed: stop polling (a new one starts from the log's end)
+    if (hub.clients.size === 0 && hub.joining.length === 0) {
+      clearInterval(hub.timer);
+      hubs.delete(tenantId);
+    }
+  });
+
+  hub.joining.push(client);
+  countStreamClients(tenantId, 1);
+  if (!hub.timer) {
+    hub.timer = outsideRequest(() => setInterval(() => schedule(hub), POLL_MS));
+  }
+  // Welcome right away instead of on the next tick
+  outsideRequest(() => schedule(hub));
+};
+
+// End every stream (on shutdown; clients reconnect to another instance)
+const closeStreams = () => {
+  for (const hub of hubs.values()) {
+    [...hub.clients, ...hub.joining].forEach((client) => client.res.end());
+  }
+};
+
+module.exports = {
+  TOPIC_NAMES,
+  TOPIC_PATTERN,
+  parseTopics,
+  subscribe,
+  closeStreams
+};
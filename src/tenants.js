@@ -0,0 +1,117 @@
+// Import required modules
+const jwt = require('jsonwebtoken');
+const { ApiError } = require('./errors');
+
+// ==============================================
+// Tenants: one school database per tenant
+// ==============================================
+// A district runs one deployment for several schools. Each school (tenant)
+// has its own database on the MySQL server and its own connection pool
+// (src/db.js), so the queries need no school filter and a request can only
+// ever reach the database of the tenant it was resolved to.
+//
+//   TENANTS=lincoln:school_lincoln,roosevelt:school_roosevelt   (id:database)
+//
+// Without TENANTS the deployment serves a single tenant, "default", from
+// DB_NAME. A request's tenant comes from, in order:
+//
+//   1. the X-Tenant-Id header
+//   2. its subdomain under TENANT_BASE_DOMAIN (lincoln.schools.example.com)
+//   3. the tid claim of its bearer token
+//   4. DEFAULT_TENANT (the only tenant when there is just one)
+//
+// Tokens are issued per tenant: authenticate() in src/auth.js refuses a
+// token whose tid is not the request's tenant, since user ids are only
+// unique within one school.
+
+// Tenant ids double as subdomains and header values
+const TENANT_ID = /^[a-z0-9][a-z0-9-]{0,62}$/;
+const DATABASE_NAME = /^\w{1,64}$/;
+
+// Parse TENANTS into a Map of id -> { id, database }
+const parseTenants = (value) => {
+  const tenants = new Map();
+  for (const item of value.split(',').map((part) => part.trim()).filter(Boolean)) {
+    const [id, database] = item.split(':').map((part) => part.trim());
+    if (!TENANT_ID.test(id) || !DATABASE_NAME.test(database || '')) {
+      throw new Error(`Invalid TENANTS entry "${item}" (expected id:database, e.g. lincoln:school_lincoln)`);
+    }
+    tenants.set(id, { id, database });
+  }
+  return tenants;
+};
+
+const TENANTS = process.env.TENANTS
+  ? parseTenants(process.env.TENANTS)
+  : new Map([['default', { id: 'default', database: process.env.DB_NAME || 'school_db' }]]);
+
+// Tenant for requests that name none (null: they are refused)
+const DEFAULT_TENANT = process.env.DEFAULT_TENANT || (TENANTS.size === 1 ? [...TENANTS.keys()][0] : null);
+
+// Tenant whose admins may read district-wide analytics (GET /api/district/*)
+const DISTRICT_TENANT = process.env.DISTRICT_TENANT || DEFAULT_TENANT;
+
+// Parent domain of the school subdomains (e.g. schools.example.com)
+const BASE_DOMAIN = (process.env.TENANT_BASE_DOMAIN || '').toLowerCase();
+
+for (const [name, id] of [['DEFAULT_TENANT', DEFAULT_TENANT], ['DISTRICT_TENANT', DISTRICT_TENANT]]) {
+  if (id && !TENANTS.has(id)) {
+    throw new Error(`${name} "${id}" is not listed in TENANTS`);
+  }
+}
+
+// All tenants, in configuration order
+const listTenants = () => [...TENANTS.values()];
+
+const findTenant = (id) => TENANTS.get(String(id).toLowerCase()) || null;
+
+// ==============================================
+// Resolution
+// ==============================================
+
+// "lincoln" for lincoln.schools.example.com (null without TENANT_BASE_DOMAIN)
+const subdomainTenant = (req) => {
+  if (!BASE_DOMAIN || !req.hostname) {
+    return null;
+  }
+  const host = req.hostname.toLowerCase();
+  if (!host.endsWith(`.${BASE_DOMAIN}`)) {
+    return null;
+  }
+  const labels = host.slice(0, -BASE_DOMAIN.length - 1).split('.');
+  return labels[labels.length - 1];
+};
+
+// tid claim of the bearer token. Only decoded here: authenticate() verifies
+// the signature and that the claim matches the resolved tenant.
+const tokenTenant = (req) => {
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return null;
+  }
+  const claims = jwt.decode(token);
+  return claims && typeof claims.tid === 'string' ? claims.tid : null;
+};
+
+// Express middleware: set req.tenant (and echo it as X-Tenant-Id)
+const resolveTenant = (req, res, next) => {
+  const id = req.get('X-Tenant-Id') || subdomainTenant(req) || tokenTenant(req) || DEFAULT_TENANT;
+  if (!id) {
+    return next(new ApiError(400, 'School not specified: use its subdomain, the X-Tenant-Id header or a token it issued'));
+  }
+  const tenant = findTenant(id);
+  if (!tenant) {
+    return next(new ApiError(404, `Unknown school "${id}"`));
+  }
+  req.tenant = tenant;
+  res.set('X-Tenant-Id', tenant.id);
+  next();
+};
+
+module.exports = {
+  DEFAULT_TENANT,
+  DISTRICT_TENANT,
+  listTenants,
+  findTenant,
+  resolveTenant
+};
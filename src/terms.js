@@ -0,0 +1,32 @@
+// Import required modules
+const { ApiError } = require('./errors');
+
+// ==============================================
+// Academic terms and course sections
+// ==============================================
+// Enrollments belong to a course section, and every section is offered
+// in one term. enrollments.course_id is a copy of the section's course
+// (kept equal by the fk_enrollments_section foreign key) so queries can
+// still join courses directly.
+
+// SQL condition limiting an enrollments alias to one term ('' without a term).
+// Add the term id to the query parameters at the matching position:
+//
+//   WHERE 1=1 ${termCondition(term)}    params: term ? [term] : []
+const termCondition = (term, alias = 'e') =>
+  (term ? `AND ${alias}.section_id IN (SELECT section_id FROM course_sections WHERE term_id = ?)` : '');
+
+// Course of a section (for enrollments.course_id), or 422 for unknown sections.
+// db is the pool or a connection inside a transaction.
+const courseOfSection = async (db, sectionId) => {
+  const [rows] = await db.query('SELECT course_id FROM course_sections WHERE section_id = ?', [sectionId]);
+  if (rows.length === 0) {
+    throw new ApiError(422, 'Referenced section does not exist');
+  }
+  return rows[0].course_id;
+};
+
+module.exports = {
+  termCondition,
+  courseOfSection
+};
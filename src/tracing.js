@@ -0,0 +1,57 @@
+// ==============================================
+// OpenTelemetry span export (optional)
+// ==============================================
+// Enabled by setting OTEL_EXPORTER_OTLP_ENDPOINT (e.g. http://otel-collector:4318);
+// the standard OTEL_* variables (OTEL_SERVICE_NAME, OTEL_EXPORTER_OTLP_HEADERS,
+// OTEL_TRACES_SAMPLER, ...) are honoured. Spans are created for incoming HTTP
+// requests, Express middleware/routes and mysql2 queries, and sent over
+// OTLP/HTTP.
+//
+// Instrumentation patches modules as they are loaded, so this file is
+// required first in src/app.js.
+
+const startTracing = () => {
+  if (!process.env.OTEL_EXPORTER_OTLP_ENDPOINT) {
+    return null;
+  }
+
+  const { NodeSDK } = require('@opentelemetry/sdk-node');
+  const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+  const { HttpInstrumentation } = require('@opentelemetry/instrumentation-http');
+  const { ExpressInstrumentation } = require('@opentelemetry/instrumentation-express');
+  const { MySQL2Instrumentation } = require('@opentelemetry/instrumentation-mysql2');
+
+  process.env.OTEL_SERVICE_NAME = process.env.OTEL_SERVICE_NAME || 'mysql-express-api';
+
+  const sdk = new NodeSDK({
+    traceExporter: new OTLPTraceExporter(),
+    instrumentations: [
+      new HttpInstrumentation({
+        // Let every span carry the correlation ID sent back as X-Request-Id
+        applyCustomAttributesOnSpan: (span, request, response) => {
+          const requestId = response.getHeader && response.getHeader('X-Request-Id');
+          if (requestId) {
+            span.setAttribute('http.request_id', requestId);
+          }
+        }
+      }),
+      new ExpressInstrumentation(),
+      new MySQL2Instrumentation()
+    ]
+  });
+  sdk.start();
+  return sdk;
+};
+
+const sdk = startTracing();
+
+// Flush pending spans (called on shutdown)
+const stopTracing = async () => {
+  if (sdk) {
+    await sdk.shutdown();
+  }
+};
+
+module.exports = {
+  stopTracing
+};
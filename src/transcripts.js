@@ -0,0 +1,252 @@
+// Import required modules
+const PDFDocument = require('pdfkit');
+const { getPool } = require('./db');
+const grading = require('./grading');
+const { ApiError } = require('./errors');
+const { formatDate, formatCsvRow } = require('./csv');
+
+// ==============================================
+// Transcripts and report cards
+// ==============================================
+// Built from the same students/enrollments/courses rows as
+// GET /api/students/:studentId/enrollments, grouped by the academic term
+// of each enrollment's section, with grade points taken from the active
+// grading scale (src/grading.js). Withdrawals are listed with a W and
+// count towards no credits or GPA; drops and waitlist entries are left out.
+
+// Academic standing by cumulative GPA, highest threshold first
+const STANDINGS = [
+  { minimum: 3.5, standing: 'Honors' },
+  { minimum: 2.0, standing: 'Good Standing' },
+  { minimum: 0, standing: 'Academic Probation' }
+];
+
+// Round GPAs the same way as the analytics endpoints
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Standing for a GPA (null while nothing has been graded)
+const standingFor = (gpa) =>
+  gpa === null ? 'In Progress' : STANDINGS.find((entry) => gpa >= entry.minimum).standing;
+
+// Running credit and grade-point totals
+const emptyTotals = () => ({ attempted: 0, earned: 0, inProgress: 0, qualityPoints: 0, gradedCredits: 0 });
+
+const addCourse = (totals, course) => {
+  if (course.status === 'withdrawn') {
+    return;
+  }
+  if (course.grade_points === null) {
+    totals.inProgress += course.credits;
+    return;
+  }
+  totals.attempted += course.credits;
+  totals.gradedCredits += course.credits;
+  totals.qualityPoints += course.grade_points * course.credits;
+  if (course.passing) {
+    totals.earned += course.credits;
+  }
+};
+
+// Credit-weighted GPA of a set of totals
+const gpaOf = (totals) => (totals.gradedCredits > 0 ? round2(totals.qualityPoints / totals.gradedCredits) : null);
+
+// ==============================================
+// Build a transcript for one student
+// ==============================================
+const buildTranscript = async (studentId) => {
+  const [students] = await getPool().query(
+    'SELECT student_id, first_name, last_name, email, grade, enrollment_date FROM students WHERE student_id = ?',
+    [studentId]
+  );
+  if (students.length === 0) {
+    throw new ApiError(404, 'Student not found');
+  }
+
+  // Same join as endpoint 2, oldest term first so cumulative figures build up
+  const [rows] = await getPool().query(
+    `SELECT
+       t.term_id,
+       t.name AS term_name,
+       c.course_id,
+       c.course_name,
+       c.department,
+       c.credits,
+       cs.section_number,
+       e.enrollment_date,
+       e.grade,
+       e.status
+     FROM enrollments e
+     INNER JOIN courses c ON e.course_id = c.course_id
+     INNER JOIN course_sections cs ON e.section_id = cs.section_id
+     INNER JOIN terms t ON cs.term_id = t.term_id
+     WHERE e.student_id = ?
+       AND e.status IN ('enrolled', 'withdrawn')
+     ORDER BY t.start_date, t.term_id, c.course_name`,
+    [studentId]
+  );
+
+  // Group enrollments into terms (Map keeps the chronological query order)
+  const terms = new Map();
+  for (const row of rows) {
+    if (!terms.has(row.term_id)) {
+      terms.set(row.term_id, { term: row.term_name, courses: [] });
+    }
+    const withdrawn = row.status === 'withdrawn';
+    terms.get(row.term_id).courses.push({
+      course_id: row.course_id,
+      course_name: row.course_name,
+      department: row.department,
+      credits: row.credits,
+      section_number: row.section_number,
+      enrollment_date: formatDate(row.enrollment_date),
+      grade: withdrawn ? 'W' : row.grade,
+      grade_points: withdrawn ? null : grading.pointsFor(row.grade),
+      passing: withdrawn ? false : grading.isPassing(row.grade),
+      status: withdrawn ? 'withdrawn' : row.grade === null ? 'in_progress' : 'completed'
+    });
+  }
+
+  // Per-term and cumulative figures, in chronological order
+  const cumulative = emptyTotals();
+  const termList = [...terms.values()]
+    .map(({ term, courses }) => {
+      const totals = emptyTotals();
+      for (const course of courses) {
+        addCourse(totals, course);
+        addCourse(cumulative, course);
+      }
+      const cumulativeGpa = gpaOf(cumulative);
+      return {
+        term,
+        courses,
+        credits_attempted: totals.attempted,
+        credits_earned: totals.earned,
+        credits_in_progress: totals.inProgress,
+        term_gpa: gpaOf(totals),
+        cumulative_gpa: cumulativeGpa,
+        cumulative_credits_earned: cumulative.earned,
+        standing: standingFor(cumulativeGpa)
+      };
+    });
+
+  const cumulativeGpa = gpaOf(cumulative);
+  return {
+    student: {
+      ...students[0],
+      enrollment_date: formatDate(students[0].enrollment_date)
+    },
+    grading_scale: grading.describeScale().name,
+    terms: termList,
+    summary: {
+      credits_attempted: cumulative.attempted,
+      credits_earned: cumulative.earned,
+      credits_in_progress: cumulative.inProgress,
+      cumulative_gpa: cumulativeGpa,
+      standing: standingFor(cumulativeGpa)
+    },
+    generated_at: new Date().toISOString()
+  };
+};
+
+// ==============================================
+// CSV rendering: one line per course with term and cumulative figures
+// ==============================================
+const CSV_HEADER = [
+  'student_id', 'term', 'course_id', 'course_name', 'department', 'credits', 'grade',
+  'grade_points', 'status', 'term_gpa', 'cumulative_gpa', 'standing'
+];
+
+const transcriptToCsv = (transcript) => {
+  let csv = formatCsvRow(CSV_HEADER);
+  for (const term of transcript.terms) {
+    for (const course of term.courses) {
+      csv += formatCsvRow([
+        transcript.student.student_id,
+        term.term,
+        course.course_id,
+        course.course_name,
+        course.department,
+        course.credits,
+        course.grade,
+        course.grade_points,
+        course.status,
+        term.term_gpa,
+        term.cumulative_gpa,
+        term.standing
+      ]);
+    }
+  }
+  return csv;
+};
+
+// ==============================================
+// PDF rendering: printable report card streamed to the response
+// ==============================================
+const formatGpa = (gpa) => (gpa === null ? '—' : gpa.toFixed(2));
+
+const writeTranscriptPdf = (transcript, stream) => {
+  const doc = new PDFDocument({ size: 'LETTER', margin: 50 });
+  doc.pipe(stream);
+
+  const { student, summary } = transcript;
+
+  // Header
+  doc.fontSize(18).text('Official Transcript', { align: 'center' });
+  doc.moveDown(0.5);
+  doc.fontSize(11)
+    .text(`${student.first_name} ${student.last_name}  (ID ${student.student_id})`)
+    .text(`${student.email}  ·  Grade ${student.grade}  ·  Enrolled ${student.enrollment_date}`)
+    .text(`Grading scale: ${transcript.grading_scale}`);
+  doc.moveDown();
+
+  // Column positions for the course table
+  const columns = { course: 50, department: 260, credits: 380, grade: 440, points: 500 };
+
+  for (const term of transcript.terms) {
+    doc.fontSize(13).text(term.term, 50);
+    doc.fontSize(9).fillColor('#555555');
+    const headerY = doc.y;
+    doc.text('Course', columns.course, headerY)
+      .text('Department', columns.department, headerY)
+      .text('Credits', columns.credits, headerY)
+      .text('Grade', columns.grade, headerY)
+      .text('Points', columns.points, headerY);
+    doc.fillColor('#000000').fontSize(10);
+
+    for (const course of term.courses) {
+      const rowY = doc.y + 2;
+      doc.text(course.course_name, columns.course, rowY, { width: 200 })
+        .text(course.department, columns.department, rowY)
+        .text(String(course.credits), columns.credits, rowY)
+        .text(course.grade || 'IP', columns.grade, rowY)
+        .text(course.grade_points === null ? '—' : course.grade_points.toFixed(2), columns.points, rowY);
+    }
+
+    doc.moveDown(0.5).fontSize(9).text(
+      `Credits attempted ${term.credits_attempted}, earned ${term.credits_earned}` +
+      `   Term GPA ${formatGpa(term.term_gpa)}   Cumulative GPA ${formatGpa(term.cumulative_gpa)}` +
+      `   ${term.standing}`,
+      50
+    );
+    doc.moveDown();
+  }
+
+  // Summary
+  doc.fontSize(12).text('Summary', 50);
+  doc.fontSize(10)
+    .text(`Credits attempted: ${summary.credits_attempted}`)
+    .text(`Credits earned: ${summary.credits_earned}`)
+    .text(`Credits in progress: ${summary.credits_in_progress}`)
+    .text(`Cumulative GPA: ${formatGpa(summary.cumulative_gpa)}`)
+    .text(`Academic standing: ${summary.standing}`);
+  doc.moveDown();
+  doc.fontSize(8).fillColor('#555555').text(`Generated ${transcript.generated_at}`);
+
+  doc.end();
+};
+
+module.exports = {
+  buildTranscript,
+  transcriptToCsv,
+  writeTranscriptPdf
+};
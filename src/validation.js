@@ -0,0 +1,313 @@
+// Import HTTP error type
+const { ApiError } = require('./errors');
+
+// ==============================================
+// Declarative request validation
+// ==============================================
+// A schema describes the allowed fields of each request location:
+//
+//   validate({
+//     params: { grade: { type: 'integer', required: true, min: 9, max: 12 } },
+//     query:  { minGPA: { type: 'number', min: 0, max: 4, default: 0 } }
+//   })
+//
+// Values are coerced to their declared type and written back onto
+// req.params / req.query / req.body, so handlers can use them directly.
+// Fields not declared in the schema are dropped. Every invalid field is
+// reported in a single 400 response.
+
+// Request locations checked, in reporting order
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Strict patterns for values that arrive as strings
+const INTEGER_PATTERN = /^-?\d+$/;
+const NUMBER_PATTERN = /^-?(\d+\.?\d*|\.\d+)$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)(?::([0-5]\d))?$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Describe the accepted range for error messages
+const describeRange = (rule) => {
+  if (rule.min !== undefined && rule.max !== undefined) {
+    return ` between ${rule.min} and ${rule.max}`;
+  }
+  if (rule.min !== undefined) {
+    return ` greater than or equal to ${rule.min}`;
+  }
+  if (rule.max !== undefined) {
+    return ` less than or equal to ${rule.max}`;
+  }
+  return '';
+};
+
+// Check a numeric value against the rule's min/max
+const inRange = (value, rule) =>
+  (rule.min === undefined || value >= rule.min) &&
+  (rule.max === undefined || value <= rule.max);
+
+// Coerce a single integer (numbers and digit strings are accepted). Values
+// beyond Number.MAX_SAFE_INTEGER are refused: they would be rounded.
+const toInteger = (value) => {
+  const result = typeof value === 'string' && INTEGER_PATTERN.test(value.trim()) ? Number(value.trim()) : value;
+  return Number.isSafeInteger(result) ? result : undefined;
+};
+
+// Coerce a single number (numbers and decimal strings are accepted)
+const toNumber = (value) => {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return value;
+  }
+  if (typeof value === 'string' && NUMBER_PATTERN.test(value.trim())) {
+    return parseFloat(value);
+  }
+  return undefined;
+};
+
+// Check that a YYYY-MM-DD string is a real calendar date
+const isCalendarDate = (value) => {
+  const match = DATE_PATTERN.exec(value);
+  if (!match) {
+    return false;
+  }
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year &&
+    date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === day;
+};
+
+// Type coercers: return { value } on success or { message } on failure
+const coercers = {
+  integer: (value, rule) => {
+    const result = toInteger(value);
+    if (result === undefined || !inRange(result, rule)) {
+      return { message: `must be an integer${describeRange(rule)}` };
+    }
+    return { value: result };
+  },
+
+  number: (value, rule) => {
+    const result = toNumber(value);
+    if (result === undefined || !inRange(result, rule)) {
+      return { message: `must be a number${describeRange(rule)}` };
+    }
+    return { value: result };
+  },
+
+  string: (value, rule) => {
+    if (typeof value !== 'string') {
+      return { message: 'must be a string' };
+    }
+    // Passwords and similar secrets opt out of trimming with trim: false
+    const trimmed = rule.trim === false ? value : value.trim();
+    const result = rule.uppercase ? trimmed.toUpperCase() : trimmed;
+    if (result.length === 0) {
+      return { message: 'must not be empty' };
+    }
+    if (rule.minLength !== undefined && result.length < rule.minLength) {
+      return { message: `must be at least ${rule.minLength} characters` };
+    }
+    if (rule.maxLength !== undefined && result.length > rule.maxLength) {
+      return { message: `must be at most ${rule.maxLength} characters` };
+    }
+    // Optional format check, e.g. { pattern: /^[MTWRFSU]+$/, patternMessage: '...' }
+    if (rule.pattern && !rule.pattern.test(result)) {
+      return { message: rule.patternMessage || 'has an invalid format' };
+    }
+    return { value: result };
+  },
+
+  email: (value, rule) => {
+    if (typeof value !== 'string' || !EMAIL_PATTERN.test(value.trim())) {
+      return { message: 'must be a valid email address' };
+    }
+    const result = value.trim().toLowerCase();
+    if (rule.maxLength !== undefined && result.length > rule.maxLength) {
+      return { message: `must be at most ${rule.maxLength} characters` };
+    }
+    return { value: result };
+  },
+
+  date: (value) => {
+    if (typeof value !== 'string' || !isCalendarDate(value.trim())) {
+      return { message: 'must be a date in YYYY-MM-DD format' };
+    }
+    return { value: value.trim() };
+  },
+
+  // Time of day as HH:MM or HH:MM:SS, normalized to HH:MM:SS
+  time: (value) => {
+    const match = typeof value === 'string' ? TIME_PATTERN.exec(value.trim()) : null;
+    if (!match) {
+      return { message: 'must be a time in HH:MM or HH:MM:SS format' };
+    }
+    const [, hours, minutes, seconds = '00'] = match;
+    return { value: `${hours}:${minutes}:${seconds}` };
+  },
+
+  // true/false, 1/0 and yes/no (query strings) or JSON booleans
+  boolean: (value) => {
+    if (typeof value === 'boolean') {
+      return { value };
+    }
+    const text = String(value).trim().toLowerCase();
+    if (['true', '1', 'yes'].includes(text)) {
+      return { value: true };
+    }
+    if (['false', '0', 'no'].includes(text)) {
+      return { value: false };
+    }
+    return { message: 'must be true or false' };
+  },
+
+  enum: (value, rule) => {
+    const result = typeof value === 'string' && rule.uppercase ? value.trim().toUpperCase() : value;
+    if (!rule.values.includes(result)) {
+      return { message: `must be one of ${rule.values.join(', ')}` };
+    }
+    return { value: result };
+  },
+
+  // Comma-separated list of whitelisted names (e.g. sort=last_name,-gpa)
+  list: (value, rule) => {
+    const items = (Array.isArray(value) ? value : String(value).split(','))
+      .map((item) => String(item).trim())
+      .filter((item) => item.length > 0);
+    const unknown = items.filter((item) => !rule.values.includes(item));
+    if (items.length === 0 || unknown.length > 0) {
+      return { message: `must be a comma-separated list of: ${rule.values.join(', ')}` };
+    }
+    return { value: [...new Set(items)] };
+  },
+
+  // Comma-separated string (query) or JSON array (body) of integers
+  integerList: (value, rule) => {
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    const result = items.map(toInteger);
+    if (result.some((item) => item === undefined || !inRange(item, rule))) {
+      return { message: `must be a comma-separated list of integers${describeRange(rule)}` };
+    }
+    // Lists must be non-empty unless the rule sets minItems: 0
+    if (result.length < (rule.minItems ?? 1)) {
+      return { message: `must contain at least ${rule.minItems ?? 1} item(s)` };
+    }
+    if (rule.maxItems !== undefined && result.length > rule.maxItems) {
+      return { message: `must contain at most ${rule.maxItems} items` };
+    }
+    // Duplicates add nothing to an IN (...) list
+    return { value: [...new Set(result)] };
+  },
+
+  // JSON array of objects, each validated against rule.fields
+  objectList: (value, rule) => {
+    if (!Array.isArray(value)) {
+      return { message: 'must be an array of objects' };
+    }
+    if (value.length < (rule.minItems ?? 1)) {
+      return { message: `must contain at least ${rule.minItems ?? 1} item(s)` };
+    }
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      return { message: `must contain at most ${rule.maxItems} items` };
+    }
+    const result = [];
+    for (const [index, item] of value.entries()) {
+      if (item === null || typeof item !== 'object' || Array.isArray(item)) {
+        return { message: `item ${index + 1}: must be an object` };
+      }
+      const { values, errors } = validateLocation(item, rule.fields, 'body');
+      if (errors.length > 0) {
+        return { message: `item ${index + 1}: ${errors.map((error) => `${error.field} ${error.message}`).join(', ')}` };
+      }
+      result.push(values);
+    }
+    return { value: result };
+  }
+};
+
+// Validate one request location against its field rules
+const validateLocation = (input, fields, location) => {
+  const values = {};
+  const errors = [];
+  const source = input || {};
+
+  for (const [field, rule] of Object.entries(fields)) {
+    let raw = source[field];
+
+    // Treat empty query-string values (?grade=) as missing
+    if (raw === '' && location !== 'body') {
+      raw = undefined;
+    }
+
+    if (raw === undefined) {
+      if (rule.required) {
+        errors.push({ location, field, message: 'is required' });
+      } else if (rule.default !== undefined) {
+        values[field] = rule.default;
+      }
+      continue;
+    }
+
+    if (raw === null) {
+      if (rule.nullable) {
+        values[field] = null;
+      } else {
+        errors.push({ location, field, message: 'must not be null' });
+      }
+      continue;
+    }
+
+    const result = coercers[rule.type](raw, rule);
+    if (result.message) {
+      errors.push({ location, field, message: result.message });
+    } else {
+      values[field] = result.value;
+    }
+  }
+
+  return { values, errors };
+};
+
+// Build a middleware validating the given per-location schema
+const validate = (schema) => {
+  const middleware = (req, res, next) => {
+    const errors = [];
+    const validated = {};
+
+    for (const location of LOCATIONS) {
+      if (!schema[location]) {
+        continue;
+      }
+      const result = validateLocation(req[location], schema[location], location);
+      errors.push(...result.errors);
+      validated[location] = result.values;
+    }
+
+    if (errors.length > 0) {
+      return next(new ApiError(400, 'Validation failed', errors));
+    }
+
+    // Replace raw input with the coerced values
+    for (const location of Object.keys(validated)) {
+      req[location] = validated[location];
+    }
+    next();
+  };
+  // Read by the OpenAPI generator (src/openapi.js)
+  middleware.schema = schema;
+  return middleware;
+};
+
+// Copy of a field map with every field optional (for PATCH bodies)
+const partial = (fields) => {
+  const copy = {};
+  for (const [field, rule] of Object.entries(fields)) {
+    copy[field] = { ...rule, required: false, default: undefined };
+  }
+  return copy;
+};
+
+module.exports = {
+  validate,
+  validateLocation,
+  partial
+};
@@ -0,0 +1,340 @@
+// Import required modules
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { Agent, fetch } = require('undici');
+const { getPool, withTransaction, isDatabaseReady } = require('./db');
+const logger = require('./logger');
+const { listTenants } = require('./tenants');
+const { countWebhookDelivery } = require('./metrics');
+
+// ==============================================
+// Webhook delivery
+// ==============================================
+// Every WEBHOOK_POLL_MS the dispatcher works through each school database:
+//  1. fan-out: outbox events not yet dispatched (src/events.js) get one
+//     webhook_deliveries row per active subscription to their type
+//  2. delivery: due deliveries are POSTed to the subscription's URL
+// Any 2xx answer delivers; anything else (error, timeout, redirect, other
+// status, a URL resolving to an internal address) is retried with
+// exponential backoff, and after WEBHOOK_MAX_ATTEMPTS the delivery is
+// dead-lettered (status 'dead') until retried through the
+// API. Rows are claimed with FOR UPDATE SKIP LOCKED, so several instances
+// can run side by side without sending an event twice; receivers should
+// still treat X-Webhook-Id as an idempotency key (delivery is at least once).
+//
+// Request: POST <url> with the JSON body { id, type, tenant, created_at, data }
+//   X-Webhook-Id          event id (the same for every retry)
+//   X-Webhook-Event       event type
+//   X-Webhook-Delivery    delivery id
+//   X-Webhook-Timestamp   Unix seconds when the attempt was signed
+//   X-Webhook-Signature   sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+
+// Milliseconds between dispatcher runs
+const POLL_MS = Number(process.env.WEBHOOK_POLL_MS) || 2000;
+
+// Events fanned out / deliveries sent per database and batch
+const BATCH_SIZE = Number(process.env.WEBHOOK_BATCH_SIZE) || 50;
+
+// Time a receiver gets to answer
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 5000;
+
+// Attempts before a delivery is dead-lettered
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+
+// Retry delays in seconds: doubled after every failed attempt, up to the cap
+// (10s, 20s, 40s, ... with the defaults)
+const RETRY_BASE_SECONDS = Number(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 10;
+const RETRY_MAX_SECONDS = Number(process.env.WEBHOOK_RETRY_MAX_SECONDS) || 3600;
+
+// Seconds a claimed delivery is reserved for the instance sending it (if it
+// dies mid-request, another instance picks the delivery up afterwards)
+const CLAIM_SECONDS = Math.ceil(TIMEOUT_MS / 1000) + 30;
+
+const USER_AGENT = 'mysql-express-api-webhooks/1.0';
+
+// Hosts allowed to resolve to internal addresses (comma-separated, e.g. a
+// receiver on the private network); every other receiver must be public
+const ALLOWED_HOSTS = new Set((process.env.WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',')
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean));
+
+const retryDelay = (attempts) => Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), RETRY_MAX_SECONDS);
+
+// ==============================================
+// Signing
+// ==============================================
+
+// Random secret for new subscriptions (64 hex characters)
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+// X-Webhook-Signature value for a body signed at timestamp (Unix seconds)
+const sign = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// ==============================================
+// Destinations
+// ==============================================
+// Signed payloads must not reach services inside the deployment (MySQL,
+// Redis, cloud metadata endpoints): receivers are refused when their host
+// resolves to a loopback, private, link-local or otherwise non-public
+// address. destinationProblem() checks when a subscription is saved; each
+// attempt connects through a lookup that checks the addresses it returns,
+// so a DNS answer changing between check and request (DNS rebinding) does
+// not get through.
+
+const INTERNAL_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([prefix, bits]) => INTERNAL_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[
+  // NAT64 (64:ff9b::/96) and 6to4 (2002::/16) embed IPv4 addresses
+  ['::', 127], ['64:ff9b::', 96], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => INTERNAL_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+// (BlockList also matches IPv4-mapped IPv6 addresses against the IPv4 ranges)
+const isInternalAddress = (address) => INTERNAL_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// Host name of a receiver URL as it is looked up (IPv6 without brackets)
+const hostOf = (url) => new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+// Why a host resolving to addresses ([{ address }]) may not be called, or null
+const addressProblem = (host, addresses) => {
+  const internal = !ALLOWED_HOSTS.has(host) && addresses.find(({ address }) => isInternalAddress(address));
+  return internal ? `${host} resolves to a non-public address (${internal.address})` : null;
+};
+
+// Why a receiver URL may not be called, or null when it may
+const destinationProblem = async (url) => {
+  const host = hostOf(url);
+  if (ALLOWED_HOSTS.has(host)) {
+    return null;
+  }
+  try {
+    return addressProblem(host, await dns.promises.lookup(host, { all: true, verbatim: true }));
+  } catch (error) {
+    return `${host} does not resolve`;
+  }
+};
+
+// dns.lookup() for receiver connections that fails instead of returning a
+// non-public address; the socket connects to the address checked here
+const checkedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true, verbatim: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    const problem = addressProblem(hostname.toLowerCase(), addresses);
+    if (problem) {
+      return callback(Object.assign(new Error(problem), { code: 'ERR_WEBHOOK_DESTINATION' }));
+    }
+    return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Connections to receivers (sockets to IP literals skip the lookup: send()
+// checks those itself)
+const receiverAgent = new Agent({ connect: { lookup: checkedLookup } });
+
+// ==============================================
+// Dispatching
+// ==============================================
+
+// Turn a batch of outbox events into deliveries; returns the events handled
+const fanOut = (tenantId) => withTransaction(async (connection) => {
+  const [events] = await connection.query(
+    `SELECT event_id
+     FROM event_outbox
+     WHERE dispatched_at IS NULL
+     ORDER BY event_id
+     LIMIT ?
+     FOR UPDATE SKIP LOCKED`,
+    [BATCH_SIZE]
+  );
+  if (events.length === 0) {
+    return 0;
+  }
+  const eventIds = events.map((event) => event.event_id);
+  await connection.query(
+    `INSERT IGNORE INTO webhook_deliveries (event_id, subscription_id)
+     SELECT o.event_id, s.subscription_id
+     FROM event_outbox o
+     INNER JOIN webhook_subscriptions s ON s.active AND JSON_CONTAINS(s.events, JSON_QUOTE(o.event_type))
+     WHERE o.event_id IN (?)`,
+    [eventIds]
+  );
+  await connection.query('UPDATE event_outbox SET dispatched_at = NOW(3) WHERE event_id IN (?)', [eventIds]);
+  return events.length;
+}, tenantId);
+
+// Claim a batch of due deliveries of active subscriptions, with their event
+const claimDue = (tenantId) => withTransaction(async (connection) => {
+  const [deliveries] = await connection.query(
+    `SELECT
+       d.delivery_id,
+       d.attempts,
+       o.event_id,
+       o.event_type,
+       o.payload,
+       o.created_at,
+       s.url,
+       s.secret
+     FROM webhook_deliveries d
+     INNER JOIN event_outbox o ON d.event_id = o.event_id
+     INNER JOIN webhook_subscriptions s ON d.subscription_id = s.subscription_id
+     WHERE d.status = 'pending'
+       AND d.next_attempt_at <= NOW(3)
+       AND s.active
+     ORDER BY d.next_attempt_at
+     LIMIT ?
+     FOR UPDATE OF d SKIP LOCKED`,
+    [BATCH_SIZE]
+  );
+  if (deliveries.length > 0) {
+    await connection.query(
+      'UPDATE webhook_deliveries SET next_attempt_at = NOW(3) + INTERVAL ? SECOND WHERE delivery_id IN (?)',
+      [CLAIM_SECONDS, deliveries.map((delivery) => delivery.delivery_id)]
+    );
+  }
+  return deliveries;
+}, tenantId);
+
+// POST one delivery; returns { status, error } (error null for 2xx answers)
+const send = async (tenantId, delivery) => {
+  const host = hostOf(delivery.url);
+  const problem = net.isIP(host) && addressProblem(host, [{ address: host }]);
+  if (problem) {
+    return { status: null, error: `Refused: ${problem}` };
+  }
+  const body = JSON.stringify({
+    id: delivery.event_id,
+    type: delivery.event_type,
+    tenant: tenantId,
+    created_at: delivery.created_at,
+    data: delivery.payload
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': USER_AGENT,
+        'X-Webhook-Id': String(delivery.event_id),
+        'X-Webhook-Event': delivery.event_type,
+        'X-Webhook-Delivery': String(delivery.delivery_id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': sign(delivery.secret, timestamp, body)
+      },
+      body,
+      redirect: 'manual',
+      dispatcher: receiverAgent,
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+    // The answer's body is not used
+    await response.body?.cancel();
+    return { status: response.status, error: response.ok ? null : `HTTP ${response.status}` };
+  } catch (error) {
+    // fetch() reports network errors as "fetch failed" with the reason as cause
+    const cause = error.cause || error;
+    if (cause.code === 'ERR_WEBHOOK_DESTINATION') {
+      return { status: null, error: `Refused: ${cause.message}` };
+    }
+    return { status: null, error: error.name === 'TimeoutError' ? `No answer within ${TIMEOUT_MS}ms` : cause.message };
+  }
+};
+
+// Store the outcome of an attempt: delivered, retried later or dead-lettered
+const recordAttempt = async (tenantId, delivery, { status, error }) => {
+  const attempts = delivery.attempts + 1;
+  if (!error) {
+    await getPool(tenantId).query(
+      `UPDATE webhook_deliveries
+       SET status = 'delivered', attempts = ?, response_status = ?, last_error = NULL,
+           last_attempt_at = NOW(3), delivered_at = NOW(3)
+       WHERE delivery_id = ?`,
+      [attempts, status, delivery.delivery_id]
+    );
+    countWebhookDelivery('delivered');
+    return;
+  }
+
+  const dead = attempts >= MAX_ATTEMPTS;
+  await getPool(tenantId).query(
+    `UPDATE webhook_deliveries
+     SET status = ?, attempts = ?, response_status = ?, last_error = ?,
+         last_attempt_at = NOW(3), next_attempt_at = NOW(3) + INTERVAL ? SECOND
+     WHERE delivery_id = ?`,
+    [dead ? 'dead' : 'pending', attempts, status, error.slice(0, 255), dead ? 0 : retryDelay(attempts), delivery.delivery_id]
+  );
+  countWebhookDelivery(dead ? 'dead' : 'failed');
+  if (dead) {
+    logger.warn(`Webhook delivery ${delivery.delivery_id} (${tenantId}, ${delivery.event_type}) dead-lettered after ${attempts} attempts: ${error}`);
+  }
+};
+
+// Fan out everything pending, then send one batch of due deliveries
+const dispatch = async (tenantId) => {
+  let handled;
+  do {
+    handled = await fanOut(tenantId);
+  } while (handled === BATCH_SIZE);
+  const deliveries = await claimDue(tenantId);
+  await Promise.all(deliveries.map(async (delivery) => recordAttempt(tenantId, delivery, await send(tenantId, delivery))));
+};
+
+// ==============================================
+// Dispatcher loop
+// ==============================================
+
+let timer = null;
+let running = null;
+
+// One pass over every connected school database
+const runOnce = async () => {
+  for (const tenant of listTenants()) {
+    if (!isDatabaseReady(tenant.id)) {
+      continue;
+    }
+    try {
+      await dispatch(tenant.id);
+    } catch (error) {
+      logger.error(`Webhook dispatch failed (${tenant.id}):`, error);
+    }
+  }
+};
+
+// Start polling (passes never overlap)
+const startWebhooks = () => {
+  if (timer) {
+    return;
+  }
+  timer = setInterval(() => {
+    if (!running) {
+      running = runOnce().finally(() => {
+        running = null;
+      });
+    }
+  }, POLL_MS);
+  timer.unref();
+  logger.info(`Webhook dispatcher: polling every ${POLL_MS}ms`);
+};
+
+// Stop polling and wait for the current pass (on shutdown)
+const stopWebhooks = async () => {
+  clearInterval(timer);
+  timer = null;
+  await running;
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  generateSecret,
+  sign,
+  destinationProblem,
+  runOnce,
+  startWebhooks,
+  stopWebhooks
+};
@@ -0,0 +1,97 @@
+// Import required modules
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakePool } = require('./support/fake-pool');
+
+// ==============================================
+// Role scoping of the school analytics (teachers see their courses only)
+// ==============================================
+// The app runs against a stand-in pool (test/support/fake-pool.js) that
+// answers with empty results, so the tests can check the SQL a role gets.
+// Tokens are signed locally with a test secret.
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.PORT = '0';
+process.env.WEBHOOK_POLL_MS = '600000';
+
+const statements = installFakePool();
+
+const { server } = require('../src/app');
+const { signAccessToken } = require('../src/auth');
+const { stopWebhooks } = require('../src/webhooks');
+const { closeDatabase } = require('../src/db');
+
+const TEACHER_ID = 5;
+const tokens = {
+  admin: signAccessToken({ user_id: 1, role: 'admin' }, 'default'),
+  teacher: signAccessToken({ user_id: TEACHER_ID, role: 'teacher' }, 'default'),
+  student: signAccessToken({ user_id: 9, role: 'student', student_id: 3 }, 'default')
+};
+
+const ROUTES = [
+  '/api/analytics/students-per-grade',
+  '/api/courses/popular/2?term=1',
+  '/api/analytics/student-performance?grade=10&term=1',
+  '/api/analytics/top-performers?term=1',
+  '/api/analytics/departments?term=1'
+];
+
+// GET a route as a role; returns the response and the statements it ran
+const get = async (path, role) => {
+  statements.length = 0;
+  const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+    headers: { Authorization: `Bearer ${tokens[role]}` }
+  });
+  await response.text();
+  return { response, queries: statements.filter(({ text }) => text !== 'SELECT 1') };
+};
+
+const teacherScoped = ({ text, params }) =>
+  text.includes('SELECT course_id FROM course_teachers WHERE user_id = ?') &&
+  params.filter((param) => param === TEACHER_ID).length >= 2;
+
+before(async () => {
+  if (!server.listening) {
+    await new Promise((resolve) => server.once('listening', resolve));
+  }
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+  await stopWebhooks();
+  await closeDatabase();
+});
+
+for (const path of ROUTES) {
+  test(`${path} is limited to the courses a teacher teaches`, async () => {
+    const { response, queries } = await get(path, 'teacher');
+    assert.equal(response.status, 200);
+    assert.ok(queries.length > 0);
+    assert.ok(queries.every(teacherScoped), 'every statement carries the teacher scope');
+  });
+
+  test(`${path} is school-wide for admins`, async () => {
+    const { response, queries } = await get(path, 'admin');
+    assert.equal(response.status, 200);
+    assert.ok(queries.length > 0);
+    assert.ok(!queries.some(({ text }) => text.includes('course_teachers')));
+  });
+
+  test(`${path} is refused to students`, async () => {
+    const { response, queries } = await get(path, 'student');
+    assert.equal(response.status, 403);
+    assert.equal(queries.length, 0);
+  });
+}
+
+test('teacher reports are not cached, so one teacher never gets another\'s', async () => {
+  for (const path of ['/api/analytics/top-performers?term=2', '/api/analytics/departments?term=2']) {
+    assert.equal((await get(path, 'admin')).response.headers.get('x-cache'), 'MISS');
+    const first = await get(path, 'teacher');
+    const second = await get(path, 'teacher');
+    assert.equal(first.response.headers.get('x-cache'), null);
+    assert.equal(second.response.headers.get('x-cache'), null);
+    assert.ok(second.queries.some(teacherScoped));
+  }
+});
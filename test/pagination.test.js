@@ -0,0 +1,119 @@
+// Import required modules
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const initSqlJs = require('sql.js');
+const { installFakePool } = require('./support/fake-pool');
+
+// ==============================================
+// Listings: cursor (keyset) pagination
+// ==============================================
+// The listing queries run on an in-memory SQLite database, which orders
+// NULLs like MySQL (first ascending, last descending). MySQL's NULL-safe
+// "<=>" is SQLite's "IS".
+
+let sqlite;
+
+// Run a statement on SQLite with mysql2-style placeholders and results
+const runOnSqlite = (text, params) => {
+  const statement = sqlite.prepare(text.replace(/<=>/g, 'IS'));
+  statement.bind(params);
+  const rows = [];
+  while (statement.step()) {
+    rows.push(statement.getAsObject());
+  }
+  statement.free();
+  return rows;
+};
+
+installFakePool((text, params) => (text.includes('FROM (SELECT * FROM students) AS t') ? runOnSqlite(text, params) : undefined));
+
+const { initializeDatabase, closeDatabase } = require('../src/db');
+const { defineListing, paginate } = require('../src/pagination');
+
+const listing = defineListing({
+  columns: ['student_id', 'first_name', 'last_name', 'gpa', 'grade_level'],
+  defaultSort: ['last_name']
+});
+
+// GET /api/students with an already validated query
+const list = (query) => {
+  const req = { query: { limit: 7, ...query }, baseUrl: '/api', path: '/students' };
+  const res = { links: () => {} };
+  return paginate(req, res, listing, 'SELECT * FROM students');
+};
+
+const cursorOf = (link) => new URLSearchParams(link.split('?')[1]).get('cursor');
+const ids = (page) => page.data.map((row) => row.student_id);
+
+before(async () => {
+  const SQL = await initSqlJs();
+  sqlite = new SQL.Database();
+  sqlite.run('CREATE TABLE students (student_id INTEGER PRIMARY KEY, first_name TEXT, last_name TEXT, gpa REAL, grade_level INTEGER)');
+  // Repeated names and GPAs, and NULLs, so ties and NULLs fall across pages
+  const lastNames = ['Adams', 'Baker', 'Clark', null];
+  for (let id = 1; id <= 57; id++) {
+    sqlite.run('INSERT INTO students VALUES (?, ?, ?, ?, ?)', [
+      id,
+      `Student ${id}`,
+      lastNames[(id * 7) % 4],
+      id % 5 === 0 ? null : ((id * 13) % 9) / 2,
+      9 + (id % 4)
+    ]);
+  }
+  await initializeDatabase();
+});
+
+after(async () => {
+  sqlite.close();
+  await closeDatabase();
+});
+
+for (const sort of [['last_name'], ['last_name', '-gpa'], ['-gpa'], ['gpa', '-last_name'], ['-last_name', 'grade_level'], ['-student_id'], ['grade_level', 'student_id', 'gpa']]) {
+  test(`cursors walk sort=${sort.join(',')} forwards and back in the offset order`, async () => {
+    const expected = ids(await list({ sort, offset: 0, limit: 100 }));
+    assert.equal(expected.length, 57);
+
+    let page = await list({ sort });
+    assert.equal(page.links.prev, null);
+    const forwards = ids(page);
+    while (page.links.next) {
+      page = await list({ sort, cursor: cursorOf(page.links.next) });
+      forwards.push(...ids(page));
+    }
+    assert.deepEqual(forwards, expected);
+
+    const backwards = ids(page);
+    while (page.links.prev) {
+      page = await list({ sort, cursor: cursorOf(page.links.prev) });
+      backwards.unshift(...ids(page));
+    }
+    assert.deepEqual(backwards, expected);
+  });
+}
+
+test('sort columns left out of ?fields= still page correctly and are not returned', async () => {
+  const sort = ['-gpa', 'last_name'];
+  const expected = ids(await list({ sort, offset: 0, limit: 100 }));
+  let page = await list({ sort, fields: ['student_id', 'first_name'] });
+  const seen = ids(page);
+  while (page.links.next) {
+    page = await list({ sort, fields: ['student_id', 'first_name'], cursor: cursorOf(page.links.next) });
+    seen.push(...ids(page));
+  }
+  assert.deepEqual(seen, expected);
+  assert.deepEqual(Object.keys(page.data[0]), ['student_id', 'first_name']);
+});
+
+test('page links are relative', async () => {
+  const page = await list({ sort: ['-gpa'] });
+  assert.match(page.links.next, /^\/api\/students\?/);
+});
+
+test('cursors are refused for another sort, when malformed and together with offset', async () => {
+  const { links } = await list({ sort: ['last_name'] });
+  const invalid = (message) => (error) => error.status === 400 && message.test(error.details[0].message);
+
+  await assert.rejects(list({ sort: ['gpa'], cursor: cursorOf(links.next) }), invalid(/was made for sort=last_name/));
+  await assert.rejects(list({ cursor: 'not-a-cursor' }), invalid(/is not a valid cursor/));
+  await assert.rejects(list({ cursor: cursorOf(links.next), offset: 0 }), invalid(/cannot be combined with offset/));
+});
@@ -0,0 +1,71 @@
+// Import required modules
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// ==============================================
+// Read-only SQL console: statement checks
+// ==============================================
+
+delete process.env.QUERY_DB_USER;
+
+const { ROW_LIMIT, checkQuery, runQuery } = require('../src/sqlconsole');
+
+// Assert that checkQuery() refuses a statement with a 400 whose message matches
+const refuses = (sql, message) => assert.throws(
+  () => checkQuery(sql),
+  (error) => error.status === 400 && message.test(error.message),
+  sql
+);
+
+test('single SELECTs over the allowed tables are accepted without trailing semicolons', () => {
+  assert.equal(
+    checkQuery('SELECT grade_level, COUNT(*) FROM students GROUP BY grade_level; -- per grade'),
+    'SELECT grade_level, COUNT(*) FROM students GROUP BY grade_level'
+  );
+  assert.equal(checkQuery('SELECT * FROM students LIMIT 5, 10'), 'SELECT * FROM students LIMIT 5, 10');
+  // Keywords and other tables inside strings are text, not SQL
+  assert.ok(checkQuery("SELECT 'DELETE; FROM users' AS s FROM students"));
+});
+
+test('CTEs may be read like tables', () => {
+  assert.ok(checkQuery('WITH g AS (SELECT * FROM enrollments) SELECT * FROM g JOIN courses c ON c.course_id = g.course_id'));
+});
+
+test('writes, several statements and other statements are refused', () => {
+  refuses('DELETE FROM students', /Only SELECT/);
+  refuses('SELECT 1; DELETE FROM students', /one statement/);
+  refuses('SELECT * FROM students FOR UPDATE', /UPDATE is not allowed/);
+  refuses('SELECT * INTO OUTFILE "/tmp/students" FROM students', /INTO is not allowed/);
+  refuses('', /empty/);
+});
+
+test('only students, courses and enrollments can be read', () => {
+  refuses('SELECT * FROM users', /Table users cannot be queried/);
+  refuses('SELECT * FROM school_db.students', /without a database/);
+  refuses('SELECT * FROM students WHERE student_id IN (SELECT user_id FROM refresh_tokens)', /refresh_tokens cannot be queried/);
+});
+
+test('a CTE named after a real table does not hide it from earlier CTEs', () => {
+  refuses('WITH RECURSIVE a AS (SELECT * FROM users), users AS (SELECT 1 AS x) SELECT * FROM a', /Table users cannot be queried/);
+});
+
+test('LIMIT and OFFSET must be decimal and within the row limit', () => {
+  refuses('SELECT * FROM students LIMIT 0x10', /written in decimal/);
+  refuses('SELECT * FROM students LIMIT 1e3', /written in decimal/);
+  refuses('SELECT * FROM students LIMIT 10 OFFSET 0b1', /written in decimal/);
+  refuses(`SELECT * FROM students LIMIT ${ROW_LIMIT + 1}`, /may not exceed/);
+});
+
+test('sleeping functions, variables, placeholders and hints are refused', () => {
+  refuses('SELECT SLEEP(10)', /SLEEP\(\) is not allowed/);
+  refuses('SELECT @@version', /Variables/);
+  refuses('SELECT * FROM students WHERE student_id = ?', /Placeholders/);
+  refuses('SELECT /*+ MAX_EXECUTION_TIME(100000) */ * FROM students', /optimizer hints/);
+  refuses('SELECT /*!50000 1 */', /Executable comments/);
+});
+
+test('without QUERY_DB_USER the console refuses to run statements (503)', async () => {
+  await assert.rejects(runQuery('SELECT * FROM students'), (error) => error.status === 503);
+  // The statement is still checked first
+  await assert.rejects(runQuery('DELETE FROM students'), (error) => error.status === 400);
+});
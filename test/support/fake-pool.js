@@ -0,0 +1,53 @@
+// Import required modules
+const mysql = require('mysql2/promise');
+const { loadMigrations } = require('../../src/migrations');
+
+// ==============================================
+// Stand-in for MySQL in tests
+// ==============================================
+// installFakePool() must run before src/db.js creates its pools. Every pool
+// then records the statements it is sent (whitespace collapsed) and answers
+// them with answer(text, params) when that returns rows, else with no rows.
+// The migration check is answered as fully migrated, COUNT(*) totals as 0.
+
+const installFakePool = (answer = () => undefined) => {
+  const statements = [];
+
+  const query = async (sql, params = []) => {
+    const text = (typeof sql === 'object' ? sql.sql : sql).replace(/\s+/g, ' ').trim();
+    statements.push({ text, params });
+    const rows = answer(text, params);
+    if (rows !== undefined) {
+      return [rows];
+    }
+    if (/FROM schema_migrations/.test(text)) {
+      return [loadMigrations().map(({ version }) => ({ version }))];
+    }
+    if (/COUNT\(\*\) AS total/.test(text)) {
+      return [[{ total: 0 }]];
+    }
+    return [[]];
+  };
+
+  const connection = {
+    query,
+    execute: query,
+    beginTransaction: async () => {},
+    commit: async () => {},
+    rollback: async () => {},
+    release: () => {},
+    destroy: () => {}
+  };
+
+  mysql.createPool = () => ({
+    query,
+    execute: query,
+    getConnection: async () => connection,
+    end: async () => {},
+    pool: { _allConnections: [], _freeConnections: [], _connectionQueue: [] }
+  });
+
+  return statements;
+};
+
+module.exports = { installFakePool };
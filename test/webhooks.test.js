@@ -0,0 +1,180 @@
+// Import required modules
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const { installFakePool } = require('./support/fake-pool');
+
+// ==============================================
+// Webhooks: receiver checks and signatures
+// ==============================================
+// Receivers run on 127.0.0.1 behind made-up *.test names whose DNS answers
+// the tests control, so a name can turn internal between the check made
+// when a subscription is saved and the attempt (DNS rebinding).
+
+process.env.WEBHOOK_ALLOWED_HOSTS = 'allowed.test';
+
+// Current DNS answers of the *.test names (other names resolve normally)
+const answers = new Map();
+const resolve = (hostname) => answers.get(hostname.toLowerCase());
+
+const realLookup = dns.lookup;
+dns.lookup = (hostname, options, callback) => {
+  const address = resolve(hostname);
+  if (!address) {
+    return realLookup(hostname, options, callback);
+  }
+  const family = address.includes(':') ? 6 : 4;
+  return options.all
+    ? process.nextTick(callback, null, [{ address, family }])
+    : process.nextTick(callback, null, address, family);
+};
+const realPromisesLookup = dns.promises.lookup;
+dns.promises.lookup = async (hostname, options) => {
+  const address = resolve(hostname);
+  if (!address) {
+    return realPromisesLookup(hostname, options);
+  }
+  const family = address.includes(':') ? 6 : 4;
+  return options.all ? [{ address, family }] : { address, family };
+};
+
+// Due deliveries handed to the dispatcher by the stand-in pool
+let due = [];
+const statements = installFakePool((text) => {
+  if (text.includes('FOR UPDATE OF d SKIP LOCKED')) {
+    return due;
+  }
+  return undefined;
+});
+
+const { initializeDatabase, closeDatabase } = require('../src/db');
+const { sign, destinationProblem, runOnce } = require('../src/webhooks');
+
+const SECRET = 'receiver-secret';
+
+// Requests the receiver got
+const received = [];
+const receiver = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    received.push({ headers: req.headers, body });
+    res.statusCode = 204;
+    res.end();
+  });
+});
+
+const receiverUrl = (host) => `http://${host}:${receiver.address().port}/hook`;
+
+const delivery = (url) => ({
+  delivery_id: 1,
+  attempts: 0,
+  event_id: 7,
+  event_type: 'enrollment.graded',
+  payload: { enrollment_id: 3, grade: 'A' },
+  created_at: new Date('2026-01-05T10:00:00Z'),
+  url,
+  secret: SECRET
+});
+
+// Run the dispatcher on one due delivery; returns the attempt's stored outcome
+const deliver = async (url) => {
+  due = [delivery(url)];
+  statements.length = 0;
+  await runOnce();
+  due = [];
+  const update = statements.find(({ text }) => text.startsWith('UPDATE webhook_deliveries SET status ='));
+  return update.text.includes("status = 'delivered'")
+    ? { delivered: true, error: null }
+    : { delivered: false, error: update.params[3] };
+};
+
+before(async () => {
+  await new Promise((resolveListen) => receiver.listen(0, '127.0.0.1', resolveListen));
+  await initializeDatabase();
+});
+
+beforeEach(() => {
+  received.length = 0;
+  answers.clear();
+});
+
+after(async () => {
+  receiver.close();
+  await closeDatabase();
+});
+
+test('sign() is the HMAC-SHA256 of "<timestamp>.<body>" with the subscription secret', () => {
+  const body = '{"id":7}';
+  const expected = crypto.createHmac('sha256', SECRET).update(`1767607200.${body}`).digest('hex');
+  assert.equal(sign(SECRET, 1767607200, body), `sha256=${expected}`);
+  assert.notEqual(sign(SECRET, 1767607201, body), sign(SECRET, 1767607200, body));
+  assert.notEqual(sign('other-secret', 1767607200, body), sign(SECRET, 1767607200, body));
+});
+
+test('receivers at internal addresses are refused when a subscription is saved', async () => {
+  for (const url of [
+    'http://127.0.0.1/hook',
+    'http://10.1.2.3/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://192.168.0.10:8080/hook',
+    'http://[::1]/hook',
+    'http://[::ffff:127.0.0.1]/hook',
+    'http://[64:ff9b::7f00:1]/hook',
+    'http://[2002:7f00:1::]/hook',
+    'http://[fd00::1]/hook'
+  ]) {
+    assert.match(await destinationProblem(url), /resolves to a non-public address/, url);
+  }
+  answers.set('intranet.test', '10.0.0.5');
+  assert.match(await destinationProblem('https://intranet.test/hook'), /intranet\.test resolves to a non-public address \(10\.0\.0\.5\)/);
+});
+
+test('public receivers and allowlisted hosts are accepted', async () => {
+  assert.equal(await destinationProblem('https://8.8.8.8/hook'), null);
+  assert.equal(await destinationProblem('https://[2606:4700:4700::1111]/hook'), null);
+  answers.set('allowed.test', '10.0.0.5');
+  assert.equal(await destinationProblem('https://allowed.test/hook'), null);
+});
+
+test('a receiver name that turns internal after the check is refused at delivery', async () => {
+  answers.set('rebind.test', '93.184.216.34');
+  assert.equal(await destinationProblem(receiverUrl('rebind.test')), null);
+
+  answers.set('rebind.test', '127.0.0.1');
+  const outcome = await deliver(receiverUrl('rebind.test'));
+  assert.equal(outcome.delivered, false);
+  assert.match(outcome.error, /^Refused: rebind\.test resolves to a non-public address \(127\.0\.0\.1\)/);
+  assert.equal(received.length, 0);
+});
+
+test('deliveries to internal IP literals are refused without connecting', async () => {
+  const outcome = await deliver(receiverUrl('127.0.0.1'));
+  assert.equal(outcome.delivered, false);
+  assert.match(outcome.error, /^Refused: 127\.0\.0\.1 resolves to a non-public address/);
+  assert.equal(received.length, 0);
+});
+
+test('delivered requests carry a signature the receiver can verify', async () => {
+  answers.set('allowed.test', '127.0.0.1');
+  const outcome = await deliver(receiverUrl('allowed.test'));
+  assert.deepEqual(outcome, { delivered: true, error: null });
+  assert.equal(received.length, 1);
+
+  const [{ headers, body }] = received;
+  const expected = crypto.createHmac('sha256', SECRET).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+  assert.equal(headers['x-webhook-signature'], `sha256=${expected}`);
+  assert.equal(headers['x-webhook-id'], '7');
+  assert.equal(headers['x-webhook-event'], 'enrollment.graded');
+  assert.deepEqual(JSON.parse(body), {
+    id: 7,
+    type: 'enrollment.graded',
+    tenant: 'default',
+    created_at: '2026-01-05T10:00:00.000Z',
+    data: { enrollment_id: 3, grade: 'A' }
+  });
+});
@@ -15,6 +15,13 @@ NC='\033[0m' # No Color
 # Base URL
 BASE_URL="http://localhost:3000"
 
+# Demo admin account (see db/seeds/03_users.sql)
+ADMIN_EMAIL=${ADMIN_EMAIL:-admin@school.edu}
+ADMIN_PASSWORD=${ADMIN_PASSWORD:-password123}
+
+# Bearer token, filled in after logging in
+TOKEN=""
+
 # Function to test an endpoint
 test_endpoint() {
     local name=$1
@@ -25,7 +32,7 @@ test_endpoint() {
     echo -e "${YELLOW}URL:${NC} $url"
     
     # Make request and capture response code
-    response_code=$(curl -s -o /dev/null -w "%{http_code}" "$url")
+    response_code=$(curl -s -o /dev/null -w "%{http_code}" -H "Authorization: Bearer $TOKEN" "$url")
     
     # Check if successful
     if [ "$response_code" -eq "$expected_code" ]; then
@@ -46,7 +53,7 @@ test_and_show() {
     echo -e "${YELLOW}URL:${NC} $url"
     
     # Make request and display formatted JSON
-    response=$(curl -s "$url")
+    response=$(curl -s -H "Authorization: Bearer $TOKEN" "$url")
     
     # Check if response is valid
     if [ -n "$response" ]; then
@@ -73,12 +80,42 @@ echo ""
 echo -e "${YELLOW}Checking if services are ready...${NC}"
 sleep 2
 
-# Test 1: Health Check
+# Test 1: Health Check (readiness: database, migrations, pool)
 test_endpoint "Health Check" "$BASE_URL/health"
+test_endpoint "Readiness Probe" "$BASE_URL/health/ready"
 
 # Test 2: API Documentation
 test_endpoint "API Documentation" "$BASE_URL/"
 
+# Log in as admin so the remaining tests are authorized
+echo -e "${BLUE}Logging in as:${NC} $ADMIN_EMAIL"
+TOKEN=$(curl -s -X POST "$BASE_URL/api/auth/login" \
+    -H "Content-Type: application/json" \
+    -d "{\"email\": \"$ADMIN_EMAIL\", \"password\": \"$ADMIN_PASSWORD\"}" \
+    | python3 -c "import sys, json; print(json.load(sys.stdin)['data']['accessToken'])" 2>/dev/null)
+
+if [ -n "$TOKEN" ]; then
+    echo -e "${GREEN}✓ Logged in${NC}"
+else
+    echo -e "${RED}✗ Login failed - protected endpoints will return 401${NC}"
+fi
+echo "----------------------------------------"
+
+# Test 2b: Protected endpoint without a token
+TOKEN_BACKUP=$TOKEN
+TOKEN=""
+test_endpoint "Protected Endpoint Without Token" "$BASE_URL/api/analytics/departments" 401
+TOKEN=$TOKEN_BACKUP
+
+# Test 2c: Rate limit headers on API responses (429 once a budget is spent)
+echo -e "${BLUE}Testing:${NC} Rate Limit Headers"
+if curl -s -D - -o /dev/null -H "Authorization: Bearer $TOKEN" "$BASE_URL/api/terms" | grep -qi "^ratelimit-remaining"; then
+    echo -e "${GREEN}✓ PASSED${NC} (RateLimit-* headers present)"
+else
+    echo -e "${RED}✗ FAILED${NC} (RateLimit-* headers missing)"
+fi
+echo "----------------------------------------"
+
 echo ""
 echo "========================================"
 echo "   Simple Queries (⭐)"
@@ -154,6 +191,111 @@ test_and_show "Top Performers" "$BASE_URL/api/analytics/top-performers?minCourse
 # Test 13: Department Analytics
 test_and_show "Department Analytics" "$BASE_URL/api/analytics/departments"
 
+# Test 13b: At-risk students with the reasons they were flagged
+test_and_show "At-Risk Students" "$BASE_URL/api/analytics/at-risk?grade=9"
+
+# Test 13c: Trends with window functions (per period, cohort and grade level)
+test_and_show "Department Trends" "$BASE_URL/api/analytics/trends/departments?interval=year"
+test_endpoint "Cohort Analysis" "$BASE_URL/api/analytics/trends/cohorts"
+test_endpoint "GPA Ranks (Grade 10)" "$BASE_URL/api/analytics/trends/gpa-ranks?grade=10"
+test_endpoint "Grade Inflation" "$BASE_URL/api/analytics/trends/grade-inflation?interval=term"
+
+echo ""
+echo "========================================"
+echo "   Terms and Sections"
+echo "========================================"
+echo ""
+
+# Test 14: Academic terms
+test_and_show "Academic Terms" "$BASE_URL/api/terms"
+
+# Test 15: Sections of a course in a term
+test_endpoint "Algebra I Sections" "$BASE_URL/api/sections?course_id=1"
+
+# Test 16: Analytics limited to one term
+test_endpoint "Department Analytics (term 1)" "$BASE_URL/api/analytics/departments?term=1"
+
+echo ""
+echo "========================================"
+echo "   Enrollment Workflow"
+echo "========================================"
+echo ""
+
+# Test 17: Prerequisites of Algebra II (Algebra I, C or better)
+test_and_show "Course Prerequisites" "$BASE_URL/api/courses/3/prerequisites"
+
+# Test 18: Waitlist of a section
+test_endpoint "Section Waitlist" "$BASE_URL/api/sections/1/waitlist"
+
+# Test 18b: Typo-tolerant search ("algerba" finds Algebra I and II)
+test_and_show "Search Courses" "$BASE_URL/api/search?q=algerba&type=course"
+
+# Test 18c: Audit log (who changed an enrollment, with before/after values)
+test_endpoint "Enrollment History" "$BASE_URL/api/enrollments/1/history"
+test_endpoint "Audit Log" "$BASE_URL/api/audit?entity=enrollment&id=1"
+
+# Test 18d: District analytics across schools; unknown schools are refused
+test_endpoint "District Analytics" "$BASE_URL/api/district/analytics"
+echo -e "${BLUE}Testing:${NC} Unknown School"
+response_code=$(curl -s -o /dev/null -w "%{http_code}" -H "X-Tenant-Id: no-such-school" "$BASE_URL/api/students/grade/10")
+if [ "$response_code" -eq 404 ]; then
+    echo -e "${GREEN}✓ PASSED${NC} (Status: $response_code)"
+else
+    echo -e "${RED}✗ FAILED${NC} (Expected: 404, Got: $response_code)"
+fi
+echo "----------------------------------------"
+
+# Test 18e: Attendance (roll sheet, student records, chronic absence report)
+test_endpoint "Roll Sheet" "$BASE_URL/api/courses/1/attendance?date=2023-09-05"
+test_endpoint "Student Attendance" "$BASE_URL/api/students/2/attendance"
+test_and_show "Course Attendance" "$BASE_URL/api/analytics/course-attendance/1"
+test_and_show "Chronic Absence" "$BASE_URL/api/analytics/chronic-absence"
+
+# Test 18f: Webhook subscriptions and dead-lettered deliveries
+test_endpoint "Webhooks" "$BASE_URL/api/webhooks"
+test_endpoint "Dead Webhook Deliveries" "$BASE_URL/api/webhooks/deliveries?status=dead"
+
+# Test 18g: Live analytics stream (Server-Sent Events; the first message is a snapshot)
+echo -e "${BLUE}Testing:${NC} Analytics Stream"
+first_event=$(curl -s -N --max-time 3 -H "Authorization: Bearer $TOKEN" "$BASE_URL/api/stream/analytics?topics=departments" | grep -m1 '^event:')
+if [ "$first_event" = "event: snapshot" ]; then
+    echo -e "${GREEN}✓ PASSED${NC} ($first_event)"
+else
+    echo -e "${RED}✗ FAILED${NC} (Expected: event: snapshot, Got: ${first_event:-nothing})"
+fi
+echo "----------------------------------------"
+
+# Test 18h: Query console (a saved query, and a write and a forward CTE
+# reference to a real table that must be refused). Without QUERY_DB_USER the
+# console is disabled and the saved query gets 503.
+test_endpoint "Saved Queries" "$BASE_URL/api/query/saved"
+echo -e "${BLUE}Testing:${NC} Query Console"
+response_code=$(curl -s -o /dev/null -w "%{http_code}" -X POST -H "Authorization: Bearer $TOKEN" \
+    -H "Content-Type: application/json" -d '{"name": "students-per-grade"}' "$BASE_URL/api/query")
+refused_code=$(curl -s -o /dev/null -w "%{http_code}" -X POST -H "Authorization: Bearer $TOKEN" \
+    -H "Content-Type: application/json" -d '{"sql": "DELETE FROM students"}' "$BASE_URL/api/query")
+cte_code=$(curl -s -o /dev/null -w "%{http_code}" -X POST -H "Authorization: Bearer $TOKEN" \
+    -H "Content-Type: application/json" \
+    -d '{"sql": "WITH RECURSIVE a AS (SELECT * FROM users), users AS (SELECT 1 AS x) SELECT * FROM a"}' "$BASE_URL/api/query")
+if { [ "$response_code" -eq 200 ] || [ "$response_code" -eq 503 ]; } && [ "$refused_code" -eq 400 ] && [ "$cte_code" -eq 400 ]; then
+    echo -e "${GREEN}✓ PASSED${NC} (Status: $response_code, refused write: $refused_code, refused CTE: $cte_code)"
+else
+    echo -e "${RED}✗ FAILED${NC} (Expected: 200 or 503, 400 and 400, Got: $response_code, $refused_code and $cte_code)"
+fi
+echo "----------------------------------------"
+
+echo ""
+echo "========================================"
+echo "   GraphQL"
+echo "========================================"
+echo ""
+
+# Test 19: Student with GPA and enrolled courses in one request
+test_and_show "GraphQL Student Query" "$BASE_URL/graphql?query=%7Bstudent(id%3A1)%7BfirstName%20gpa%20weightedGpa%20enrollments%7Bgrade%20course%7Bname%20department%7Bname%7D%7D%7D%7D%7D"
+
+# Test 20: OpenAPI document (full response check: npm run test:contract)
+test_endpoint "OpenAPI Document" "$BASE_URL/openapi.json"
+
 echo ""
 echo "========================================"
 echo "   Test Summary"